@@ -0,0 +1,237 @@
+/**
+ * Autenticación de la API de administración
+ *
+ * Las rutas protegidas requieren una API key enviada en el header X-API-Key
+ * (o Authorization: Bearer <key>). Las claves se guardan hasheadas (SHA-256)
+ * en API_KEYS_FILE (default: api-keys.json), cada una con sus permisos:
+ * - read-products: consultar el catálogo del ERP
+ * - run-sync: ejecutar sincronizaciones y ver sus jobs, historial y reportes
+ * - admin: todo lo anterior más órdenes, preguntas, cola de webhooks y equivalencias
+ *
+ * Ejemplo (ver api-keys.example.json):
+ * {
+ *   "claves": [
+ *     { "nombre": "panel-admin", "hash": "sha256:9f86d0...", "permisos": ["admin"] }
+ *   ]
+ * }
+ *
+ * Para generar una clave: node apiAuth.js generar <nombre> [permisos...]
+ */
+
+require('dotenv').config();
+const path = require('path');
+const crypto = require('crypto');
+const { readJsonFile } = require('./localStore');
+
+const API_KEYS_FILE = path.resolve(__dirname, process.env.API_KEYS_FILE || 'api-keys.json');
+
+// Orígenes permitidos para CORS (separados por coma; "*" permite cualquiera)
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || '')
+    .split(',')
+    .map(origin => origin.trim().replace(/\/$/, ''))
+    .filter(Boolean);
+
+const SCOPES = ['read-products', 'run-sync', 'admin'];
+
+// Claves cargadas (null = aún no se leen)
+let cachedKeys = null;
+
+/**
+ * Hashear una API key
+ *
+ * @param {string} apiKey - Clave en texto plano
+ * @returns {string} Hash con prefijo ("sha256:<hex>")
+ */
+function hashApiKey(apiKey) {
+    return `sha256:${crypto.createHash('sha256').update(apiKey, 'utf8').digest('hex')}`;
+}
+
+/**
+ * Cargar las API keys (se leen una vez por proceso)
+ *
+ * @returns {Array<Object>} Claves [{ nombre, hash, permisos }]
+ */
+function loadApiKeys() {
+    if (cachedKeys === null) {
+        const config = readJsonFile(API_KEYS_FILE, null) || {};
+
+        cachedKeys = (config.claves || []).map((key, index) => {
+            const nombre = (key.nombre || `clave ${index + 1}`).toString();
+            const hash = (key.hash || '').toString().trim().toLowerCase();
+            const permisos = Array.isArray(key.permisos) ? key.permisos : [];
+
+            if (!/^sha256:[0-9a-f]{64}$/.test(hash)) {
+                throw new Error(`${API_KEYS_FILE}: hash inválido para "${nombre}" (formato sha256:<64 hex>)`);
+            }
+            const invalidScope = permisos.find(scope => !SCOPES.includes(scope));
+            if (invalidScope) {
+                throw new Error(`${API_KEYS_FILE}: permiso inválido "${invalidScope}" para "${nombre}" (${SCOPES.join(', ')})`);
+            }
+
+            return { nombre, hash, permisos };
+        });
+
+        if (cachedKeys.length > 0) {
+            console.log(`🔑 ${cachedKeys.length} API keys cargadas desde ${API_KEYS_FILE}`);
+        } else {
+            console.warn(`⚠️  No hay API keys en ${API_KEYS_FILE}: las rutas de administración rechazarán todas las peticiones.`);
+            console.warn('   Genera una con: node apiAuth.js generar <nombre> admin');
+        }
+    }
+    return cachedKeys;
+}
+
+/**
+ * Volver a leer el archivo de claves en la próxima consulta
+ */
+function reloadApiKeys() {
+    cachedKeys = null;
+}
+
+/**
+ * Obtener la API key enviada en la petición
+ *
+ * El parámetro api_key solo se acepta en las rutas GET que lo habilitan
+ * (streams SSE, porque EventSource no permite enviar headers): en la URL la
+ * clave queda en logs de acceso, proxies e historial del navegador.
+ *
+ * @param {Object} req - Petición de Express
+ * @param {boolean} allowQueryKey - Aceptar el parámetro api_key
+ * @returns {string|null} Clave o null si no viene
+ */
+function getRequestApiKey(req, allowQueryKey = false) {
+    const header = req.get('x-api-key');
+    if (header) return header.trim();
+
+    const authorization = req.get('authorization') || '';
+    if (authorization.toLowerCase().startsWith('bearer ')) {
+        return authorization.slice(7).trim();
+    }
+
+    if (allowQueryKey && req.method === 'GET' && typeof req.query.api_key === 'string') {
+        return req.query.api_key.trim();
+    }
+    return null;
+}
+
+/**
+ * Buscar la clave configurada que corresponde a una API key
+ *
+ * @param {string} apiKey - Clave en texto plano
+ * @returns {Object|null} Clave configurada o null si no existe
+ */
+function findApiKey(apiKey) {
+    const hash = Buffer.from(hashApiKey(apiKey));
+    return loadApiKeys().find(key => {
+        const expected = Buffer.from(key.hash);
+        return expected.length === hash.length && crypto.timingSafeEqual(expected, hash);
+    }) || null;
+}
+
+/**
+ * Registrar un intento de autenticación fallido
+ */
+function logAuthFailure(req, reason, keyName = null) {
+    const ip = req.ip || req.socket?.remoteAddress || 'desconocida';
+    console.warn(`🚫 Acceso denegado: ${req.method} ${req.originalUrl.split('?')[0]} desde ${ip} (${reason}${keyName ? `, clave "${keyName}"` : ''})`);
+}
+
+/**
+ * Middleware que exige una API key con el permiso indicado (admin tiene todos)
+ *
+ * @param {string} scope - read-products | run-sync | admin
+ * @param {Object} options - Opciones
+ * @param {boolean} options.allowQueryKey - Aceptar la clave en el parámetro api_key (solo para streams SSE)
+ * @returns {Function} Middleware de Express
+ */
+function requireScope(scope, { allowQueryKey = false } = {}) {
+    if (!SCOPES.includes(scope)) {
+        throw new Error(`Permiso desconocido: ${scope}`);
+    }
+
+    return (req, res, next) => {
+        const apiKey = getRequestApiKey(req, allowQueryKey);
+        if (!apiKey) {
+            logAuthFailure(req, 'sin API key');
+            return res.status(401).json({
+                success: false,
+                error: 'Se requiere una API key (header X-API-Key)'
+            });
+        }
+
+        const key = findApiKey(apiKey);
+        if (!key) {
+            logAuthFailure(req, 'API key inválida');
+            return res.status(401).json({
+                success: false,
+                error: 'API key inválida'
+            });
+        }
+
+        if (!key.permisos.includes(scope) && !key.permisos.includes('admin')) {
+            logAuthFailure(req, `falta el permiso ${scope}`, key.nombre);
+            return res.status(403).json({
+                success: false,
+                error: `La API key no tiene el permiso "${scope}"`
+            });
+        }
+
+        req.apiKeyName = key.nombre;
+        next();
+    };
+}
+
+/**
+ * Opciones de CORS según CORS_ORIGINS
+ *
+ * Sin CORS_ORIGINS no se permite ningún origen externo (las peticiones
+ * sin header Origin, como las de servidores o curl, no se ven afectadas).
+ *
+ * @returns {Object} Opciones para el middleware cors
+ */
+function getCorsOptions() {
+    return {
+        origin: (origin, callback) => {
+            const allowed = !origin || CORS_ORIGINS.includes('*') || CORS_ORIGINS.includes(origin);
+            callback(null, allowed);
+        }
+    };
+}
+
+module.exports = {
+    requireScope,
+    getCorsOptions,
+    hashApiKey,
+    loadApiKeys,
+    reloadApiKeys,
+    SCOPES,
+    CORS_ORIGINS,
+    API_KEYS_FILE
+};
+
+// Generar una API key desde la línea de comandos
+if (require.main === module) {
+    const [command, nombre, ...permisos] = process.argv.slice(2);
+
+    if (command !== 'generar' || !nombre) {
+        console.log(`
+🔑 API keys de administración
+
+Uso:
+  node apiAuth.js generar <nombre> [permisos...]   - Generar una clave (permisos: ${SCOPES.join(', ')}; default: admin)
+`);
+        process.exit(command ? 1 : 0);
+    }
+
+    const scopes = permisos.length > 0 ? permisos : ['admin'];
+    const invalidScope = scopes.find(scope => !SCOPES.includes(scope));
+    if (invalidScope) {
+        console.error(`❌ Permiso inválido: ${invalidScope} (${SCOPES.join(', ')})`);
+        process.exit(1);
+    }
+
+    const apiKey = crypto.randomBytes(32).toString('base64url');
+    console.log(`\n🔑 API key para "${nombre}" (guárdala ahora, no se puede recuperar):\n\n   ${apiKey}\n`);
+    console.log(`Agrega esta entrada a "claves" en ${API_KEYS_FILE}:\n`);
+    console.log(JSON.stringify({ nombre, hash: hashApiKey(apiKey), permisos: scopes }, null, 2) + '\n');
+}
@@ -0,0 +1,138 @@
+/**
+ * Kits / packs publicados en Mercado Libre que no existen como código en Manager+
+ *
+ * Cada kit se define (BUNDLES_FILE, default: kits-ml.json) como el SKU de la
+ * publicación y la lista de componentes de Manager+ con su cantidad. El stock
+ * publicable es la cantidad de kits completos que se pueden armar, y en la
+ * Nota de Venta el kit se registra como sus componentes.
+ *
+ * Ejemplo (ver kits-ml.example.json):
+ * {
+ *   "kits": {
+ *     "PACK3-ABC": [{ "sku": "ABC", "cantidad": 3 }],
+ *     "COMBO-1": [{ "sku": "ABC", "cantidad": 1 }, { "sku": "DEF", "cantidad": 2 }]
+ *   }
+ * }
+ */
+
+require('dotenv').config();
+const path = require('path');
+const { readJsonFile } = require('./localStore');
+
+const BUNDLES_FILE = path.resolve(__dirname, process.env.BUNDLES_FILE || 'kits-ml.json');
+
+// Kits cargados (null = aún no se leen)
+let cachedBundles = null;
+
+/**
+ * Cargar las definiciones de kits (se leen una vez por proceso)
+ *
+ * @returns {Object} Mapa SKU del kit -> componentes [{ sku, cantidad }]
+ */
+function loadBundles() {
+    if (cachedBundles === null) {
+        const config = readJsonFile(BUNDLES_FILE, null) || {};
+        const bundles = {};
+
+        Object.entries(config.kits || {}).forEach(([bundleSku, components]) => {
+            if (!Array.isArray(components) || components.length === 0) {
+                throw new Error(`${BUNDLES_FILE}: el kit ${bundleSku} debe tener al menos un componente`);
+            }
+
+            bundles[bundleSku.trim()] = components.map(component => {
+                const sku = (component.sku || '').toString().trim();
+                const cantidad = Number(component.cantidad ?? 1);
+                if (!sku || !Number.isInteger(cantidad) || cantidad < 1) {
+                    throw new Error(`${BUNDLES_FILE}: componente inválido en el kit ${bundleSku} (se requiere "sku" y "cantidad" entera mayor a 0)`);
+                }
+                return { sku, cantidad };
+            });
+        });
+
+        cachedBundles = bundles;
+        if (Object.keys(bundles).length > 0) {
+            console.log(`🧩 ${Object.keys(bundles).length} kits cargados desde ${BUNDLES_FILE}`);
+        }
+    }
+    return cachedBundles;
+}
+
+/**
+ * Volver a leer el archivo de kits en la próxima consulta
+ */
+function reloadBundles() {
+    cachedBundles = null;
+}
+
+/**
+ * Obtener los componentes de un kit
+ *
+ * @param {string} sku - SKU de la publicación
+ * @returns {Array<Object>|null} Componentes [{ sku, cantidad }] o null si no es un kit
+ */
+function getBundle(sku) {
+    return loadBundles()[sku] || null;
+}
+
+/**
+ * Calcular cuántos kits completos se pueden armar
+ *
+ * @param {Array<Object>} components - Componentes del kit
+ * @param {Object} stockBySku - Stock disponible de cada componente (sku -> unidades)
+ * @returns {Object} { stock, components } kits disponibles y detalle por componente
+ */
+function computeBundleStock(components, stockBySku) {
+    const detail = components.map(component => {
+        const stock = Math.max(0, stockBySku[component.sku] || 0);
+        return {
+            sku: component.sku,
+            cantidad: component.cantidad,
+            stock,
+            kits: Math.floor(stock / component.cantidad)
+        };
+    });
+
+    return {
+        stock: Math.min(...detail.map(component => component.kits)),
+        components: detail
+    };
+}
+
+/**
+ * Repartir el precio de una venta de kits entre sus componentes
+ *
+ * El reparto es proporcional al precio de lista de cada componente por su
+ * cantidad; si no hay precios de lista, proporcional a la cantidad.
+ *
+ * @param {Array<Object>} components - Componentes del kit
+ * @param {number} bundlesSold - Kits vendidos
+ * @param {number} lineNet - Monto neto de la línea (todos los kits vendidos)
+ * @param {Object} listPrices - Precio de lista de cada componente (sku -> precio), opcional
+ * @returns {Array<Object>} Líneas [{ sku, cantidad, precioUnit }] para la Nota de Venta
+ */
+function splitBundlePrice(components, bundlesSold, lineNet, listPrices = {}) {
+    const hasListPrices = components.every(component => listPrices[component.sku] > 0);
+    const weights = components.map(component => (
+        component.cantidad * (hasListPrices ? listPrices[component.sku] : 1)
+    ));
+    const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+
+    return components.map((component, index) => {
+        const cantidad = component.cantidad * bundlesSold;
+        const componentNet = lineNet * weights[index] / totalWeight;
+        return {
+            sku: component.sku,
+            cantidad,
+            precioUnit: Math.round(componentNet / cantidad)
+        };
+    });
+}
+
+module.exports = {
+    loadBundles,
+    reloadBundles,
+    getBundle,
+    computeBundleStock,
+    splitBundlePrice,
+    BUNDLES_FILE
+};
@@ -6,54 +6,39 @@
  */
 
 require('dotenv').config();
-const axios = require('axios');
-const { format, addDays, subDays } = require('date-fns');
+const { format } = require('date-fns');
+const erpClient = require('./erpClient');
+const { createWithNextFolio, findDocumentByGlosa } = require('./folioAllocator');
+const { formatRut } = require('./rut');
 
 // Variables de entorno
-const ERP_BASE_URL = process.env.ERP_BASE_URL;
 const ERP_USERNAME = process.env.ERP_USERNAME;
-const ERP_PASSWORD = process.env.ERP_PASSWORD;
 const RUT_EMPRESA = process.env.RUT_EMPRESA;
-const ML_API_BASE_URL = 'https://api.mercadolibre.com';
-const { getAccessToken } = require('./mercadoLibreAuth');
 
-// Variable para almacenar el token de autenticación del ERP
-let erpAuthToken = null;
-let erpTokenExpirationTime = null;
+// Cliente genérico para ventas sin datos de facturación (debe existir en Manager+)
+const ML_GENERIC_CLIENT_RUT = process.env.ML_GENERIC_CLIENT_RUT || '66666666-6';
+const ML_GENERIC_CLIENT_NAME = process.env.ML_GENERIC_CLIENT_NAME || 'CONSUMIDOR FINAL';
 
-/**
- * Autenticarse con el ERP Manager+
- */
-async function authenticateWithERP() {
-    try {
-        const response = await axios.post(`${ERP_BASE_URL}/auth/`, {
-            username: ERP_USERNAME,
-            password: ERP_PASSWORD
-        }, {
-            headers: {
-                'Content-Type': 'application/json'
-            }
-        });
+// Mensajes del ERP que indican que el cliente ya existe (no se sobrescribe)
+const CLIENT_EXISTS_PATTERN = /ya existe|already exists/i;
 
-        erpAuthToken = response.data.auth_token;
-        erpTokenExpirationTime = Date.now() + (60 * 60 * 1000); // 1 hora
-        
-        return erpAuthToken;
-    } catch (error) {
-        console.error('❌ Error en la autenticación con el ERP:', error.response?.data || error.message);
-        throw new Error('Error al autenticarse con el ERP: ' + (error.response?.data?.message || error.message));
-    }
-}
+const { mlClient } = require('./mercadoLibreAuth');
+const { IMPORT_STATUS, DOCUMENT_STAGE, getOrderEntry, saveOrderEntry } = require('./orderLedger');
+const { getSkuMapping } = require('./skuMappings');
+const { getBundle, splitBundlePrice } = require('./bundles');
+const {
+    planReversal,
+    applyReversalToEntry,
+    REVERSAL_STATUS,
+    REVERSAL_REASONS,
+    ML_REVERSAL_DOC_TYPE,
+    ML_REVERSAL_DOC_SUBTYPE,
+    ML_REFUND_ADJUSTMENT_PRODUCT,
+    ML_REVERSAL_INITIAL_FOLIO
+} = require('./orderReversals');
 
-/**
- * Obtener el token de autenticación del ERP (con caché)
- */
-async function getERPAuthToken() {
-    if (erpAuthToken && erpTokenExpirationTime && Date.now() < erpTokenExpirationTime) {
-        return erpAuthToken;
-    }
-    return await authenticateWithERP();
-}
+// Procesamientos en curso por orden (serializa notificaciones simultáneas de una misma orden)
+const orderLocks = new Map();
 
 /**
  * Obtener información completa de una orden de Mercado Libre
@@ -63,14 +48,7 @@ async function getERPAuthToken() {
  */
 async function getMercadoLibreOrder(orderId) {
     try {
-        const token = await getAccessToken();
-        
-        const response = await axios.get(`${ML_API_BASE_URL}/orders/${orderId}`, {
-            headers: {
-                'Authorization': `Bearer ${token}`,
-                'Content-Type': 'application/json'
-            }
-        });
+        const response = await mlClient.get(`/orders/${orderId}`);
 
         return response.data;
         
@@ -88,14 +66,7 @@ async function getMercadoLibreOrder(orderId) {
  */
 async function getMercadoLibreBuyer(buyerId) {
     try {
-        const token = await getAccessToken();
-        
-        const response = await axios.get(`${ML_API_BASE_URL}/users/${buyerId}`, {
-            headers: {
-                'Authorization': `Bearer ${token}`,
-                'Content-Type': 'application/json'
-            }
-        });
+        const response = await mlClient.get(`/users/${buyerId}`);
 
         return response.data;
         
@@ -105,19 +76,86 @@ async function getMercadoLibreBuyer(buyerId) {
     }
 }
 
+/**
+ * Obtener los datos de facturación de una orden
+ * 
+ * @param {string} orderId - ID de la orden en Mercado Libre
+ * @returns {Promise<Object|null>} Respuesta de /orders/{id}/billing_info o null si no hay datos
+ */
+async function getMercadoLibreBillingInfo(orderId) {
+    try {
+        const response = await mlClient.get(`/orders/${orderId}/billing_info`);
+        return response.data;
+        
+    } catch (error) {
+        if (error.response?.status === 404) {
+            return null; // La orden no tiene datos de facturación
+        }
+        console.error(`❌ Error al obtener datos de facturación de la orden ${orderId}:`, error.response?.data || error.message);
+        throw error;
+    }
+}
+
+/**
+ * Extraer los datos de facturación (RUT, nombre, giro y dirección)
+ * 
+ * Soporta el formato con additional_info (lista de { type, value }) y el formato
+ * con campos anidados (name, last_name, address, taxes).
+ * 
+ * @param {Object} billingResponse - Respuesta de /orders/{id}/billing_info
+ * @returns {Object|null} Datos de facturación con RUT válido, o null si no hay
+ */
+function extractBillingData(billingResponse) {
+    const billingInfo = billingResponse?.billing_info || billingResponse?.buyer?.billing_info;
+    if (!billingInfo) {
+        return null;
+    }
+    
+    // Convertir additional_info en un objeto { TYPE: value }
+    const extra = {};
+    (billingInfo.additional_info || []).forEach(info => {
+        if (info?.type) extra[info.type] = info.value;
+    });
+    
+    const docType = (billingInfo.doc_type || billingInfo.identification?.type || '').toUpperCase();
+    const docNumber = billingInfo.doc_number || billingInfo.identification?.number || extra.DOC_NUMBER;
+    
+    if (docType && docType !== 'RUT') {
+        console.warn(`⚠️  Documento de facturación no es RUT (${docType}). Se usará el cliente genérico.`);
+        return null;
+    }
+    
+    const rut = formatRut(docNumber);
+    if (!rut) {
+        if (docNumber) {
+            console.warn(`⚠️  RUT de facturación inválido (${docNumber}). Se usará el cliente genérico.`);
+        }
+        return null;
+    }
+    
+    const address = billingInfo.address || {};
+    const firstName = billingInfo.name || extra.FIRST_NAME || '';
+    const lastName = billingInfo.last_name || extra.LAST_NAME || '';
+    const businessName = extra.BUSINESS_NAME || billingInfo.business_name || '';
+    const streetName = address.street_name || extra.STREET_NAME || '';
+    const streetNumber = address.street_number || extra.STREET_NUMBER || '';
+    
+    return {
+        rut,
+        name: (businessName || `${firstName} ${lastName}`).trim(),
+        giro: billingInfo.taxes?.economic_activity || extra.ECONOMIC_ACTIVITY || billingInfo.taxes?.taxpayer_type?.description || extra.TAXPAYER_TYPE_ID || '',
+        address: `${streetName} ${streetNumber}`.trim(),
+        city: address.city_name || extra.CITY_NAME || '',
+        state: address.state?.name || address.state_name || extra.STATE_NAME || ''
+    };
+}
+
 /**
  * Obtener comunas desde Manager+
  */
 async function getComunas() {
     try {
-        const token = await getERPAuthToken();
-        const response = await axios.get(`${ERP_BASE_URL}/tabla-gral/comunas`, {
-            headers: {
-                'Authorization': `Token ${token}`,
-                'Content-Type': 'application/json'
-            }
-        });
-        return response.data.data || [];
+        return await erpClient.getComunas();
     } catch (error) {
         console.error('❌ Error al obtener comunas:', error.message);
         return [];
@@ -159,22 +197,40 @@ function mapRegionToCode(regionName) {
 /**
  * Crear cliente en Manager+
  * 
+ * Usa el RUT real de los datos de facturación de la orden. Si la orden no
+ * tiene datos de facturación, se usa el cliente genérico "consumidor final"
+ * (ML_GENERIC_CLIENT_RUT), que no se crea ni se modifica.
+ * 
+ * Un cliente que ya existe en Manager+ no se sobrescribe: sus datos (razón
+ * social, giro, dirección, condiciones comerciales) se mantienen.
+ * 
  * @param {Object} orderData - Datos de la orden de Mercado Libre
  * @param {Object} buyerData - Datos del comprador
+ * @param {Object|null} billingData - Datos de facturación (ver extractBillingData)
  * @returns {Promise<Object>} Resultado de la creación
  */
-async function createClient(orderData, buyerData) {
+async function createClient(orderData, buyerData, billingData = null) {
     try {
-        const token = await getERPAuthToken();
+        if (!billingData) {
+            console.log(`ℹ️  Orden ${orderData.id} sin datos de facturación. Usando cliente genérico ${ML_GENERIC_CLIENT_RUT}`);
+            return {
+                success: true,
+                generic: true,
+                cliente: {
+                    rut_cliente: ML_GENERIC_CLIENT_RUT,
+                    razon_social: ML_GENERIC_CLIENT_NAME
+                }
+            };
+        }
+        
         const comunas = await getComunas();
         
-        // Extraer información de la orden
+        // Extraer información de la orden (la dirección de facturación tiene prioridad)
         const shipping = orderData.shipping || {};
         const receiverAddress = shipping.receiver_address || {};
-        const address = receiverAddress.address_line || '';
-        const city = receiverAddress.city?.name || receiverAddress.city_name || '';
-        const state = receiverAddress.state?.name || receiverAddress.state_name || '';
-        const zipCode = receiverAddress.zip_code || '';
+        const address = billingData.address || receiverAddress.address_line || '';
+        const city = billingData.city || receiverAddress.city?.name || receiverAddress.city_name || '';
+        const state = billingData.state || receiverAddress.state?.name || receiverAddress.state_name || '';
         
         // Buscar comuna
         const comuna = comunas.find(c => 
@@ -186,20 +242,16 @@ async function createClient(orderData, buyerData) {
         const codCiudad = mapRegionToCode(state);
         
         // Información del cliente
-        const buyerNickname = buyerData.nickname || 'Comprador ML';
+        const clientName = billingData.name || buyerData.nickname || 'Comprador ML';
         const buyerEmail = buyerData.email || orderData.buyer?.email || '';
         const buyerPhone = shipping.receiver_phone || buyerData.phone?.number || '';
         
-        // RUT del cliente (si está disponible en los datos)
-        // Mercado Libre no siempre proporciona RUT, usar ID como fallback
-        const rutCliente = orderData.buyer?.id?.toString() || buyerData.id?.toString() || `ML-${buyerData.id}`;
-        
         const infoCliente = {
             rut_empresa: RUT_EMPRESA,
-            rut_cliente: rutCliente,
-            razon_social: buyerNickname.toUpperCase().slice(0, 50),
-            nom_fantasia: buyerNickname.toUpperCase().slice(0, 50),
-            giro: "Persona Natural",
+            rut_cliente: billingData.rut,
+            razon_social: clientName.toUpperCase().slice(0, 50),
+            nom_fantasia: clientName.toUpperCase().slice(0, 50),
+            giro: (billingData.giro || "Persona Natural").slice(0, 50),
             holding: "",
             area_prod: "",
             clasif: "A5",
@@ -213,7 +265,7 @@ async function createClient(orderData, buyerData) {
             cod_vendedor: ERP_USERNAME,
             cod_comis: ERP_USERNAME,
             cod_cobrador: "",
-            lista_precio: "18",
+            lista_precio: erpClient.ERP_PRICE_LIST,
             comen_emp: "",
             descrip_dir: "Direccion Mercado Libre",
             direccion: address.slice(0, 70) || city.slice(0, 70),
@@ -233,19 +285,23 @@ async function createClient(orderData, buyerData) {
             caract2: ""
         };
 
-        const response = await axios.post(
-            `${ERP_BASE_URL}/import/create-client/?sobreescribir=S`,
-            infoCliente,
-            {
-                headers: {
-                    'Authorization': `Token ${token}`,
-                    'Content-Type': 'application/json'
-                }
+        let responseData;
+        try {
+            responseData = await erpClient.createClient(infoCliente, { overwrite: false });
+        } catch (error) {
+            if (!CLIENT_EXISTS_PATTERN.test(JSON.stringify(error.response?.data || ''))) {
+                throw error;
             }
-        );
+            responseData = error.response.data;
+        }
+
+        if (CLIENT_EXISTS_PATTERN.test(JSON.stringify(responseData || ''))) {
+            console.log(`ℹ️  El cliente ${infoCliente.rut_cliente} ya existe en el ERP. Se usa sin modificarlo.`);
+            return { success: true, existing: true, data: responseData, cliente: infoCliente };
+        }
 
-        console.log('✅ Cliente creado/actualizado exitosamente en el ERP:', response.data.mensaje);
-        return { success: true, data: response.data, cliente: infoCliente };
+        console.log('✅ Cliente creado exitosamente en el ERP:', responseData.mensaje);
+        return { success: true, data: responseData, cliente: infoCliente };
         
     } catch (error) {
         console.error('❌ Error al crear el cliente en el ERP:', error.response?.data?.mensaje || error.message);
@@ -253,44 +309,6 @@ async function createClient(orderData, buyerData) {
     }
 }
 
-/**
- * Obtener el último folio de Nota de Venta
- */
-async function getFolio() {
-    try {
-        const token = await getERPAuthToken();
-        const fechaHoy = format(new Date(), "yyyyMMdd");
-        const fechaAnterior = format(subDays(new Date(), 3), "yyyyMMdd");
-        const fechaTomorrow = format(addDays(new Date(), 1), "yyyyMMdd");
-        
-        const endpoint = `documents/${RUT_EMPRESA}/NV/V/?df=${fechaAnterior}&dt=${fechaTomorrow}`;
-        
-        const response = await axios.get(`${ERP_BASE_URL}/${endpoint}`, {
-            headers: {
-                'Authorization': `Token ${token}`,
-                'Content-Type': 'application/json'
-            }
-        });
-
-        const documentos = response.data.data || [];
-        
-        // Buscar el folio mayor
-        let maxFolio = -Infinity;
-        documentos.forEach((documento) => {
-            if (documento.folio > maxFolio) {
-                maxFolio = documento.folio;
-            }
-        });
-
-        console.log("El folio más grande es:", maxFolio);
-        return maxFolio;
-        
-    } catch (error) {
-        console.error("❌ Error al obtener folio:", error.message);
-        return 0; // Retornar 0 si hay error, se usará 1 como fallback
-    }
-}
-
 /**
  * Validar unidad de un producto
  * 
@@ -299,18 +317,9 @@ async function getFolio() {
  */
 async function validateProductUnit(sku) {
     try {
-        const token = await getERPAuthToken();
-        const response = await axios.get(
-            `${ERP_BASE_URL}/products/${RUT_EMPRESA}/${sku}`,
-            {
-                headers: {
-                    'Authorization': `Token ${token}`,
-                    'Content-Type': 'application/json'
-                }
-            }
-        );
+        const responseData = await erpClient.getProduct(sku);
         
-        const unidad = response.data.data?.[0]?.unidadstock || "UMS";
+        const unidad = responseData.data?.[0]?.unidadstock || "UMS";
         return unidad;
         
     } catch (error) {
@@ -319,156 +328,426 @@ async function validateProductUnit(sku) {
     }
 }
 
+/**
+ * Separar la venta de un kit en las líneas de sus componentes
+ * 
+ * El precio se reparte según el precio de lista de cada componente en Manager+
+ * (o según la cantidad si algún componente no tiene precio).
+ * 
+ * @param {string} sku - SKU del kit
+ * @param {Array<Object>} components - Componentes del kit (ver bundles.js)
+ * @param {number} bundlesSold - Kits vendidos
+ * @param {number} lineNet - Monto neto de la línea
+ * @returns {Promise<Array<Object>>} Líneas [{ sku, cantidad, precioUnit }]
+ */
+async function explodeBundle(sku, components, bundlesSold, lineNet) {
+    const listPrices = {};
+    for (const component of components) {
+        try {
+            const responseData = await erpClient.getProduct(component.sku);
+            const product = responseData.data?.[0];
+            listPrices[component.sku] = parseFloat(product?.precio || product?.precio_unit) || 0;
+        } catch (error) {
+            console.warn(`   ⚠️  No se pudo obtener el precio de ${component.sku} (kit ${sku}): ${error.message}`);
+            listPrices[component.sku] = 0;
+        }
+    }
+    
+    const lines = splitBundlePrice(components, bundlesSold, lineNet, listPrices);
+    console.log(`🧩 Kit ${sku} x${bundlesSold} separado en: ${lines.map(line => `${line.sku} x${line.cantidad}`).join(', ')}`);
+    return lines;
+}
+
+/**
+ * Construir una línea de detalle de un documento de Manager+
+ * 
+ * @param {Object} line - Datos de la línea
+ * @param {string} line.codProducto - Código del producto en Manager+
+ * @param {number} line.cantidad - Cantidad
+ * @param {string} line.unidad - Unidad del producto
+ * @param {number} line.precioUnit - Precio unitario neto
+ * @param {string} line.descrip - Descripción
+ * @param {string} line.descAdic - Descripción adicional (opcional)
+ * @returns {Object} Línea en formato Manager+
+ */
+function buildDocumentLine({ codProducto, cantidad, unidad, precioUnit, descrip, descAdic = "" }) {
+    return {
+        cod_producto: codProducto,
+        cantidad: cantidad.toString(),
+        unidad: unidad,
+        precio_unit: precioUnit.toString(),
+        moneda_det: "CLP",
+        tasa_cambio_det: "1",
+        nro_serie: "",
+        num_lote: "",
+        fecha_vec: "",
+        cen_cos: "A03",
+        tipo_desc: "",
+        descuento: "",
+        ubicacion: "",
+        bodega: "",
+        concepto1: "Venta",
+        concepto2: "",
+        concepto3: "",
+        concepto4: "",
+        descrip: descrip,
+        desc_adic: descAdic,
+        stock: "0",
+        cod_impesp1: "",
+        mon_impesp1: "",
+        cod_impesp2: "",
+        mon_impesp2: "",
+        fecha_comp: "",
+        porc_retencion: ""
+    };
+}
+
+/**
+ * Construir las líneas de un documento a partir de una orden de Mercado Libre
+ * 
+ * Incluye los productos (los kits separados en sus componentes) y el envío.
+ * 
+ * @param {Object} orderData - Orden de Mercado Libre (o la parte a documentar)
+ * @returns {Promise<Array<Object>>} Líneas en formato Manager+
+ */
+async function buildOrderLines(orderData) {
+    const detalles = [];
+    
+    // Procesar items de la orden
+    for (const item of orderData.order_items || []) {
+        // La tabla de equivalencias tiene prioridad sobre el SKU de la publicación
+        const mapping = getSkuMapping(item.item?.id, item.item?.variation_id);
+        const sku = mapping?.codProducto || item.item?.seller_custom_field || item.item?.id || '';
+        const quantity = (item.quantity || 1) * (mapping?.multiplier || 1);
+        
+        // Calcular precio sin IVA (Mercado Libre incluye impuestos) de la línea completa
+        const lineNet = (item.unit_price || 0) * (item.quantity || 1) / 1.19;
+        
+        // Un kit se registra como sus componentes, con el precio repartido proporcionalmente
+        const bundle = getBundle(sku);
+        const lines = bundle
+            ? await explodeBundle(sku, bundle, quantity, lineNet)
+            : [{ sku, cantidad: quantity, precioUnit: Math.round(lineNet / quantity) }];
+        
+        for (const line of lines) {
+            detalles.push(buildDocumentLine({
+                codProducto: line.sku,
+                cantidad: line.cantidad,
+                unidad: await validateProductUnit(line.sku),
+                precioUnit: line.precioUnit,
+                descrip: item.item?.title || 'Producto Mercado Libre',
+                descAdic: bundle ? `Kit ${sku}` : ""
+            }));
+        }
+    }
+    
+    // Agregar costo de envío si existe
+    const shippingCost = orderData.shipping?.cost || 0;
+    if (shippingCost > 0) {
+        detalles.push(buildDocumentLine({
+            codProducto: "DPCHO",
+            cantidad: 1,
+            unidad: "UMS",
+            precioUnit: Math.round(shippingCost / 1.19),
+            descrip: "DESPACHO e-commerce Mercado Libre"
+        }));
+    }
+    
+    return detalles;
+}
+
+/**
+ * Construir un documento de Manager+ para una orden de Mercado Libre
+ * 
+ * @param {Object} orderData - Orden de Mercado Libre (total_amount y discounts definen los totales)
+ * @param {string} rutCliente - RUT del cliente en Manager+
+ * @param {Array<Object>} detalles - Líneas del documento (ver buildOrderLines)
+ * @param {Object} options - Opciones
+ * @param {string} options.tipodocumento - Tipo de documento (default: NV)
+ * @param {string} options.glosa - Glosa del documento
+ * @returns {Object} Documento en formato Manager+ (sin folio)
+ */
+function buildOrderDocument(orderData, rutCliente, detalles, { tipodocumento = "NV", glosa }) {
+    const fechaHoy = format(new Date(), "dd/MM/yyyy");
+    
+    // Calcular totales
+    const totalPrice = orderData.total_amount || 0;
+    const totalDiscounts = orderData.discounts?.reduce((sum, d) => sum + (d.amount || 0), 0) || 0;
+    const subtotal = totalPrice - totalDiscounts;
+    const afecto = Math.round(subtotal / 1.19);
+    const iva = Math.round(afecto * 0.19);
+    
+    return {
+        rut_empresa: RUT_EMPRESA,
+        tipodocumento: tipodocumento,
+        num_doc: "",
+        fecha_doc: fechaHoy,
+        fecha_ref: "",
+        fecha_vcto: fechaHoy,
+        modalidad: "N",
+        cod_unidnegocio: "UNEG-001",
+        rut_cliente: rutCliente,
+        dire_cliente: "Direccion Mercado Libre",
+        rut_facturador: "",
+        cod_vendedor: ERP_USERNAME,
+        cod_comisionista: ERP_USERNAME,
+        lista_precio: erpClient.ERP_PRICE_LIST,
+        plazo_pago: "01",
+        cod_moneda: "CLP",
+        tasa_cambio: "1",
+        afecto: afecto.toString(),
+        exento: "0",
+        iva: iva.toString(),
+        imp_esp: "",
+        iva_ret: "",
+        imp_ret: "",
+        tipo_desc_global: "M",
+        monto_desc_global: Math.round(totalDiscounts / 1.19).toString(),
+        total: totalPrice.toString(),
+        deuda_pendiente: "0",
+        glosa: glosa,
+        ajuste_iva: "0",
+        detalles: detalles
+    };
+}
+
 /**
  * Crear orden de compra/nota de venta en Manager+
  * 
  * @param {Object} orderData - Datos completos de la orden de Mercado Libre
  * @param {Object} clienteInfo - Información del cliente creado
+ * @param {Object} options - Opciones
+ * @param {Function} options.onBeforeSend - Se invoca con el folio justo antes de enviar la NV al ERP
  * @returns {Promise<Object>} Resultado de la creación
  */
-async function createOrder(orderData, clienteInfo) {
+async function createOrder(orderData, clienteInfo, { onBeforeSend } = {}) {
     try {
-        await getFolio();
-        const maxFolio = await getFolio();
-        
-        const token = await getERPAuthToken();
-        const fechaHoy = format(new Date(), "dd/MM/yyyy");
-        
-        const detalles = [];
+        const detalles = await buildOrderLines(orderData);
+        const infoOrder = buildOrderDocument(orderData, clienteInfo.cliente.rut_cliente, detalles, {
+            glosa: `Mercado Libre; Orden: ${orderData.id}; Comprador: ${orderData.buyer?.nickname || 'N/A'}`
+        });
+
+        // Asignar folio y crear la NV (serializado; reintenta si el folio ya existe)
+        const { folio, result: responseData } = await createWithNextFolio('NV', 'V', async (nextFolio) => {
+            infoOrder.num_doc = nextFolio.toString();
+            console.log("📝 Orden a ingresar:", JSON.stringify(infoOrder, null, 2));
+            if (onBeforeSend) onBeforeSend(nextFolio);
+            return await erpClient.createDocument(infoOrder, { emit: false, docNumReg: false });
+        });
+
+        console.log(`✅ Orden creada exitosamente en el ERP (NV ${folio}):`, responseData);
+        return { success: true, data: responseData, orden: infoOrder };
         
-        // Procesar items de la orden
-        for (const item of orderData.order_items || []) {
-            const sku = item.item?.seller_custom_field || item.item?.id || '';
-            const unidad = await validateProductUnit(sku);
-            
-            // Calcular precio sin IVA (Mercado Libre incluye impuestos)
-            const precioUnit = Math.round((item.unit_price || 0) / 1.19);
-            
-            const detalle = {
-                cod_producto: sku,
-                cantidad: (item.quantity || 1).toString(),
-                unidad: unidad,
-                precio_unit: precioUnit.toString(),
-                moneda_det: "CLP",
-                tasa_cambio_det: "1",
-                nro_serie: "",
-                num_lote: "",
-                fecha_vec: "",
-                cen_cos: "A03",
-                tipo_desc: "",
-                descuento: "",
-                ubicacion: "",
-                bodega: "",
-                concepto1: "Venta",
-                concepto2: "",
-                concepto3: "",
-                concepto4: "",
-                descrip: item.item?.title || 'Producto Mercado Libre',
-                desc_adic: "",
-                stock: "0",
-                cod_impesp1: "",
-                mon_impesp1: "",
-                cod_impesp2: "",
-                mon_impesp2: "",
-                fecha_comp: "",
-                porc_retencion: ""
+    } catch (error) {
+        console.error("❌ Error al crear la orden en el ERP:", error.response?.data?.mensaje || error.message);
+        throw error;
+    }
+}
+
+/**
+ * Registro de una reversa para el registro de órdenes
+ * 
+ * @param {Object} orderData - Orden de Mercado Libre
+ * @param {Object} entry - Entrada de la orden en el registro de órdenes
+ * @param {Object} plan - Plan de reversa (ver orderReversals.js)
+ * @param {string|number} folio - Folio del documento de reversa en Manager+
+ * @returns {Object} Reversa { folio, docType, nvFolio, reason, amount, ... }
+ */
+function buildReversalRecord(orderData, entry, plan, folio) {
+    return {
+        folio: folio.toString(),
+        docType: ML_REVERSAL_DOC_TYPE,
+        nvFolio: entry.nvFolio,
+        reason: plan.reason,
+        mlStatus: orderData.status,
+        full: plan.full,
+        amount: plan.amount,
+        items: plan.items.map(({ itemId, variationId, quantity }) => ({ itemId, variationId, quantity })),
+        shipping: plan.shipping,
+        adjustment: plan.adjustment,
+        createdAt: new Date().toISOString()
+    };
+}
+
+/**
+ * Crear en Manager+ el documento de reversa de una orden
+ * 
+ * Una cancelación sin reversas previas replica la NV completa; en los demás
+ * casos el documento incluye solo las unidades, el envío y el ajuste del plan.
+ * 
+ * @param {Object} orderData - Orden de Mercado Libre
+ * @param {Object} entry - Entrada de la orden en el registro de órdenes (nvFolio, rutCliente)
+ * @param {Object} plan - Plan de reversa (ver orderReversals.js)
+ * @param {Object} options - Opciones
+ * @param {Function} options.onBeforeSend - Se invoca con el folio justo antes de enviar el documento al ERP
+ * @returns {Promise<Object>} Reversa creada { folio, docType, reason, amount, ... }
+ */
+async function createOrderReversal(orderData, entry, plan, { onBeforeSend } = {}) {
+    try {
+        const reversalOrder = plan.full && plan.firstReversal
+            ? orderData
+            : {
+                ...orderData,
+                order_items: plan.items.map(planItem => ({
+                    ...(orderData.order_items || []).find(orderItem => (
+                        orderItem.item?.id === planItem.itemId &&
+                        (orderItem.item?.variation_id || null) === planItem.variationId
+                    )),
+                    quantity: planItem.quantity
+                })),
+                shipping: { cost: plan.shipping ? orderData.shipping?.cost || 0 : 0 },
+                total_amount: plan.amount,
+                discounts: []
             };
-            detalles.push(detalle);
-        }
         
-        // Agregar costo de envío si existe
-        const shippingCost = orderData.shipping?.cost || 0;
-        if (shippingCost > 0) {
-            const despacho = {
-                cod_producto: "DPCHO",
-                cantidad: "1",
-                unidad: "UMS",
-                precio_unit: Math.round(shippingCost / 1.19).toString(),
-                moneda_det: "CLP",
-                tasa_cambio_det: "1",
-                nro_serie: "",
-                num_lote: "",
-                fecha_vec: "",
-                cen_cos: "A03",
-                tipo_desc: "",
-                descuento: "",
-                ubicacion: "",
-                bodega: "",
-                concepto1: "Venta",
-                concepto2: "",
-                concepto3: "",
-                concepto4: "",
-                descrip: "DESPACHO e-commerce Mercado Libre",
-                desc_adic: "",
-                stock: "0",
-                cod_impesp1: "",
-                mon_impesp1: "",
-                cod_impesp2: "",
-                mon_impesp2: "",
-                fecha_comp: "",
-                porc_retencion: ""
-            };
-            detalles.push(despacho);
+        const detalles = await buildOrderLines(reversalOrder);
+        if (plan.adjustment > 0) {
+            if (!ML_REFUND_ADJUSTMENT_PRODUCT) {
+                throw new Error(`$${plan.adjustment} del reembolso no corresponden a unidades completas de la orden. Configura ML_REFUND_ADJUSTMENT_PRODUCT con el producto de ajuste de Manager+`);
+            }
+            detalles.push(buildDocumentLine({
+                codProducto: ML_REFUND_ADJUSTMENT_PRODUCT,
+                cantidad: 1,
+                unidad: await validateProductUnit(ML_REFUND_ADJUSTMENT_PRODUCT),
+                precioUnit: Math.round(plan.adjustment / 1.19),
+                descrip: "Ajuste por reembolso Mercado Libre"
+            }));
         }
         
-        // Calcular totales
-        const totalPrice = orderData.total_amount || 0;
-        const totalDiscounts = orderData.discounts?.reduce((sum, d) => sum + (d.amount || 0), 0) || 0;
-        const subtotal = totalPrice - totalDiscounts;
-        const afecto = Math.round(subtotal / 1.19);
-        const iva = Math.round(afecto * 0.19);
+        const infoReversal = buildOrderDocument(reversalOrder, entry.rutCliente, detalles, {
+            tipodocumento: ML_REVERSAL_DOC_TYPE,
+            glosa: `Mercado Libre; Reversa NV ${entry.nvFolio}; Orden: ${orderData.id}; Motivo: ${plan.reason}`
+        });
         
-        const infoOrder = {
-            rut_empresa: RUT_EMPRESA,
-            tipodocumento: "NV",
-            num_doc: (maxFolio + 1).toString(),
-            fecha_doc: fechaHoy,
-            fecha_ref: "",
-            fecha_vcto: fechaHoy,
-            modalidad: "N",
-            cod_unidnegocio: "UNEG-001",
-            rut_cliente: clienteInfo.cliente.rut_cliente,
-            dire_cliente: "Direccion Mercado Libre",
-            rut_facturador: "",
-            cod_vendedor: ERP_USERNAME,
-            cod_comisionista: ERP_USERNAME,
-            lista_precio: "18",
-            plazo_pago: "01",
-            cod_moneda: "CLP",
-            tasa_cambio: "1",
-            afecto: afecto.toString(),
-            exento: "0",
-            iva: iva.toString(),
-            imp_esp: "",
-            iva_ret: "",
-            imp_ret: "",
-            tipo_desc_global: "M",
-            monto_desc_global: Math.round(totalDiscounts / 1.19).toString(),
-            total: totalPrice.toString(),
-            deuda_pendiente: "0",
-            glosa: `Mercado Libre; Orden: ${orderData.id}; Comprador: ${orderData.buyer?.nickname || 'N/A'}`,
-            ajuste_iva: "0",
-            detalles: detalles
-        };
+        const { folio, result: responseData } = await createWithNextFolio(ML_REVERSAL_DOC_TYPE, ML_REVERSAL_DOC_SUBTYPE, async (nextFolio) => {
+            infoReversal.num_doc = nextFolio.toString();
+            console.log("📝 Reversa a ingresar:", JSON.stringify(infoReversal, null, 2));
+            if (onBeforeSend) onBeforeSend(nextFolio);
+            return await erpClient.createDocument(infoReversal, { emit: false, docNumReg: false });
+        }, { initialFolio: ML_REVERSAL_INITIAL_FOLIO, initialFolioSetting: 'ML_REVERSAL_INITIAL_FOLIO' });
+        
+        console.log(`✅ Reversa creada en el ERP (${ML_REVERSAL_DOC_TYPE} ${folio}, NV ${entry.nvFolio}):`, responseData);
+        return buildReversalRecord(orderData, entry, plan, folio);
+        
+    } catch (error) {
+        console.error("❌ Error al crear la reversa en el ERP:", error.response?.data?.mensaje || error.message);
+        throw error;
+    }
+}
 
-        console.log("📝 Orden a ingresar:", JSON.stringify(infoOrder, null, 2));
+/**
+ * Determinar si un intento anterior pudo haber creado el documento en Manager+
+ * 
+ * Solo es seguro crear el documento de nuevo si el intento falló antes de
+ * enviarlo o si el ERP lo rechazó explícitamente. Sin etapa registrada no
+ * hubo ningún intento de crear el documento.
+ * 
+ * @param {string|null} stage - Etapa registrada (ver DOCUMENT_STAGE)
+ * @returns {boolean} true si el documento pudo haberse creado
+ */
+function wasDocumentPossiblySent(stage) {
+    return Boolean(stage) && stage !== DOCUMENT_STAGE.PREPARING && stage !== DOCUMENT_STAGE.REJECTED;
+}
+
+/**
+ * Determinar si el ERP rechazó un documento (no se creó)
+ * 
+ * Un timeout, un error de red o un 5xx no permiten saber si se creó.
+ * 
+ * @param {Error} error - Error al enviar el documento
+ * @returns {boolean} true si el ERP respondió con un error del cliente
+ */
+function isRejectedByErp(error) {
+    const status = error.response?.status;
+    return status >= 400 && status < 500 && status !== 408;
+}
+
+/**
+ * Registrar una reversa que ya existe en Manager+ (creada sin respuesta del ERP)
+ * 
+ * Se usa el plan guardado al enviarla (pendingReversal) o, si no hay, el plan
+ * actual de la orden.
+ * 
+ * @param {Object} orderData - Orden de Mercado Libre
+ * @param {Object} entry - Entrada de la orden en el registro de órdenes
+ * @param {string|number} folio - Folio del documento de reversa en Manager+
+ * @returns {Object|null} Reversa registrada o null si no había nada que revertir
+ */
+function adoptReversal(orderData, entry, folio) {
+    const plan = entry.pendingReversal || planReversal(orderData, entry);
+    if (!plan) return null;
+    
+    const reversal = { ...buildReversalRecord(orderData, entry, plan, folio), reconciledAt: new Date().toISOString() };
+    saveOrderEntry(entry.orderId, { ...applyReversalToEntry(entry, plan, reversal), pendingReversal: null });
+    console.log(`🔗 ${ML_REVERSAL_DOC_TYPE} ${reversal.folio} de la orden ${entry.orderId} (NV ${entry.nvFolio}) registrada sin crear otra`);
+    return reversal;
+}
 
-        const response = await axios.post(
-            `${ERP_BASE_URL}/import/create-document/?emitir=N&docnumreg=N`,
-            infoOrder,
+/**
+ * Revertir en Manager+ lo cancelado o reembolsado de una orden ya importada
+ * 
+ * Si un intento anterior quedó en proceso o falló después de enviar la
+ * reversa, se busca en Manager+ un documento con la NV y la orden en la glosa
+ * y se registra. Si no se encuentra, la reversa queda en needs_reconcile y no
+ * se crea otra hasta conciliarla (ver reconcileOrder).
+ * 
+ * @param {Object} orderData - Orden de Mercado Libre (recién obtenida)
+ * @param {Object} entry - Entrada de la orden en el registro de órdenes
+ * @returns {Promise<Object|null>} Reversa creada o registrada, o null si no había nada que revertir
+ */
+async function reverseOrderIfNeeded(orderData, entry) {
+    const pendingStatuses = [REVERSAL_STATUS.PROCESSING, REVERSAL_STATUS.FAILED, REVERSAL_STATUS.NEEDS_RECONCILE];
+    if (pendingStatuses.includes(entry.reversalStatus) && wasDocumentPossiblySent(entry.reversalStage)) {
+        const reversalDocument = await findDocumentByGlosa(
+            ML_REVERSAL_DOC_TYPE,
+            ML_REVERSAL_DOC_SUBTYPE,
+            new RegExp(`Reversa NV ${entry.nvFolio}; Orden: ${entry.orderId}(;|$)`),
             {
-                headers: {
-                    'Authorization': `Token ${token}`,
-                    'Content-Type': 'application/json'
-                }
+                since: entry.reversalSentAt || entry.importedAt || entry.createdAt,
+                excludeFolios: (entry.reversals || []).map(reversal => reversal.folio)
             }
         );
-
-        console.log("✅ Orden creada exitosamente en el ERP:", response.data);
-        return { success: true, data: response.data, orden: infoOrder };
         
+        if (!reversalDocument) {
+            const reversalError = `Un intento anterior (${entry.reversalStatus}) pudo haber creado el ${ML_REVERSAL_DOC_TYPE}${entry.attemptedReversalFolio ? ` ${entry.attemptedReversalFolio}` : ''} de la NV ${entry.nvFolio}, pero no se encontró en Manager+. Concilia la reversa antes de reintentar.`;
+            saveOrderEntry(entry.orderId, { reversalStatus: REVERSAL_STATUS.NEEDS_RECONCILE, reversalError });
+            console.warn(`⚠️  Orden ${entry.orderId}: ${reversalError}`);
+            return null;
+        }
+        
+        const adopted = adoptReversal(orderData, entry, reversalDocument.folio);
+        entry = getOrderEntry(entry.orderId);
+        if (!planReversal(orderData, entry)) return adopted;
+    }
+    
+    const plan = planReversal(orderData, entry);
+    if (!plan) return null;
+    
+    console.log(`↩️  Orden ${entry.orderId} (NV ${entry.nvFolio}): ${plan.reason}. Creando reversa por $${plan.amount}${plan.full ? ' (total)' : ''}...`);
+    saveOrderEntry(entry.orderId, {
+        reversalStatus: REVERSAL_STATUS.PROCESSING,
+        reversalStage: DOCUMENT_STAGE.PREPARING,
+        pendingReversal: plan,
+        reversalError: null
+    });
+    
+    try {
+        const reversal = await createOrderReversal(orderData, entry, plan, {
+            onBeforeSend: (folio) => saveOrderEntry(entry.orderId, {
+                reversalStage: DOCUMENT_STAGE.SENT,
+                attemptedReversalFolio: folio.toString(),
+                reversalSentAt: new Date().toISOString()
+            })
+        });
+        saveOrderEntry(entry.orderId, { ...applyReversalToEntry(entry, plan, reversal), pendingReversal: null });
+        return reversal;
     } catch (error) {
-        console.error("❌ Error al crear la orden en el ERP:", error.response?.data?.mensaje || error.message);
+        const { reversalStage } = getOrderEntry(entry.orderId);
+        saveOrderEntry(entry.orderId, {
+            reversalStatus: REVERSAL_STATUS.FAILED,
+            reversalStage: reversalStage === DOCUMENT_STAGE.SENT && isRejectedByErp(error) ? DOCUMENT_STAGE.REJECTED : reversalStage,
+            reversalError: error.response?.data?.mensaje || error.message
+        });
         throw error;
     }
 }
@@ -485,45 +764,308 @@ async function processOrderNotification(notificationData) {
         console.log('📋 Datos de notificación:', JSON.stringify(notificationData, null, 2));
         
         // La notificación de Mercado Libre contiene el ID de la orden
-        const orderId = notificationData.resource || notificationData.id;
+        const orderId = extractOrderId(notificationData);
         
         if (!orderId) {
             throw new Error('No se encontró el ID de la orden en la notificación');
         }
         
-        // Obtener información completa de la orden
-        const orderData = await getMercadoLibreOrder(orderId);
-        console.log('✅ Orden obtenida de Mercado Libre:', orderData.id);
+        return await withOrderLock(orderId, () => importOrder(orderId));
         
+    } catch (error) {
+        console.error('❌ Error al procesar notificación de orden:', error.message);
+        throw error;
+    }
+}
+
+/**
+ * Extraer el ID de la orden desde una notificación
+ * 
+ * El campo resource viene como "/orders/2000001234"
+ * 
+ * @param {Object} notificationData - Datos de la notificación
+ * @returns {string|null} ID de la orden
+ */
+function extractOrderId(notificationData = {}) {
+    const resource = (notificationData.resource || notificationData.id || '').toString();
+    const match = resource.match(/(\d+)\/?$/);
+    return match ? match[1] : null;
+}
+
+/**
+ * Ejecutar una tarea con exclusión mutua por orden
+ * 
+ * @param {string} orderId - ID de la orden
+ * @param {Function} task - Tarea async a ejecutar
+ * @returns {Promise<*>} Resultado de la tarea
+ */
+async function withOrderLock(orderId, task) {
+    const previous = orderLocks.get(orderId) || Promise.resolve();
+    const current = previous.catch(() => {}).then(task);
+    orderLocks.set(orderId, current);
+    
+    try {
+        return await current;
+    } finally {
+        if (orderLocks.get(orderId) === current) {
+            orderLocks.delete(orderId);
+        }
+    }
+}
+
+/**
+ * Buscar en Manager+ la NV de una orden (glosa "Orden: <id>")
+ * 
+ * @param {string} orderId - ID de la orden en Mercado Libre
+ * @param {Object} entry - Entrada de la orden en el registro de órdenes
+ * @returns {Promise<Object|null>} Documento del ERP o null si no existe
+ */
+async function findOrderDocument(orderId, entry) {
+    return await findDocumentByGlosa('NV', 'V', new RegExp(`Orden: ${orderId}(;|$)`), {
+        since: entry.documentSentAt || entry.createdAt
+    });
+}
+
+/**
+ * Importar una orden a Manager+ si aún no fue importada
+ * 
+ * Si la orden ya tiene una Nota de Venta en el registro, no se crea otra:
+ * se actualiza el estado de Mercado Libre y el contador de notificaciones, y
+ * si la orden se canceló o se reembolsó se crea la reversa correspondiente.
+ * 
+ * Si un intento anterior quedó en proceso o falló después de enviar la NV,
+ * se busca en Manager+ una NV con la orden en la glosa y se registra. Si no
+ * se encuentra, la orden queda en needs_reconcile y no se crea otra NV hasta
+ * conciliarla (ver reconcileOrder).
+ * 
+ * Una orden que llega ya cancelada o reembolsada completa no se importa
+ * (queda como cancelled); un reembolso parcial se revierte tras crear la NV.
+ * 
+ * @param {string} orderId - ID de la orden en Mercado Libre
+ * @returns {Promise<Object>} Resultado del procesamiento
+ */
+async function importOrder(orderId) {
+    let existing = getOrderEntry(orderId);
+    const notificationCount = (existing?.notificationCount || 0) + 1;
+    
+    // Obtener información completa de la orden
+    const orderData = await getMercadoLibreOrder(orderId);
+    console.log('✅ Orden obtenida de Mercado Libre:', orderData.id);
+    
+    // Un intento anterior pudo haber creado la NV sin alcanzar a registrarla
+    const pendingStatuses = [IMPORT_STATUS.PROCESSING, IMPORT_STATUS.FAILED, IMPORT_STATUS.NEEDS_RECONCILE];
+    let reconciled = false;
+    if (existing && pendingStatuses.includes(existing.importStatus) && wasDocumentPossiblySent(existing.importStage)) {
+        const nvDocument = await findOrderDocument(orderId, existing);
+        
+        if (!nvDocument) {
+            const error = `Un intento anterior (${existing.importStatus}) pudo haber creado la NV${existing.attemptedNvFolio ? ` ${existing.attemptedNvFolio}` : ''}, pero no se encontró en Manager+. Concilia la orden antes de reintentar.`;
+            saveOrderEntry(orderId, {
+                importStatus: IMPORT_STATUS.NEEDS_RECONCILE,
+                mlStatus: orderData.status,
+                notificationCount,
+                lastNotificationAt: new Date().toISOString(),
+                error
+            });
+            console.warn(`⚠️  Orden ${orderId}: ${error}`);
+            
+            return {
+                success: false,
+                orderId: orderData.id,
+                action: 'needs_reconcile',
+                error
+            };
+        }
+        
+        console.log(`🔗 NV ${nvDocument.folio} de la orden ${orderId} encontrada en Manager+. Se registra sin crear otra.`);
+        existing = saveOrderEntry(orderId, {
+            importStatus: IMPORT_STATUS.IMPORTED,
+            nvFolio: nvDocument.folio.toString(),
+            importedAt: new Date().toISOString(),
+            reconciledAt: new Date().toISOString(),
+            error: null
+        });
+        reconciled = true;
+    }
+    
+    if (existing?.importStatus === IMPORT_STATUS.IMPORTED) {
+        const statusChanged = existing.mlStatus !== orderData.status;
+        saveOrderEntry(orderId, {
+            mlStatus: orderData.status,
+            notificationCount,
+            lastNotificationAt: new Date().toISOString()
+        });
+        
+        if (statusChanged) {
+            console.log(`🔁 Orden ${orderId} ya importada (NV ${existing.nvFolio}). Estado actualizado: ${existing.mlStatus} → ${orderData.status}`);
+        } else if (!reconciled) {
+            console.log(`⏭️  Orden ${orderId} ya importada (NV ${existing.nvFolio}). Notificación repetida omitida.`);
+        }
+        
+        const reversal = await reverseOrderIfNeeded(orderData, getOrderEntry(orderId));
+        const reversalNeedsReconcile = getOrderEntry(orderId).reversalStatus === REVERSAL_STATUS.NEEDS_RECONCILE;
+        
+        return {
+            success: true,
+            orderId: orderData.id,
+            action: reversal ? 'reversed'
+                : reversalNeedsReconcile ? 'reversal_needs_reconcile'
+                : reconciled ? 'reconciled'
+                : statusChanged ? 'status_updated'
+                : 'duplicate',
+            nvFolio: existing.nvFolio,
+            reversal
+        };
+    }
+    
+    // Orden cancelada o reembolsada completa antes de importarla: no se crea NV
+    const initialReversal = planReversal(orderData, {});
+    if (initialReversal?.full) {
+        saveOrderEntry(orderId, {
+            importStatus: IMPORT_STATUS.CANCELLED,
+            mlStatus: orderData.status,
+            notificationCount,
+            lastNotificationAt: new Date().toISOString(),
+            error: null
+        });
+        console.log(`⏭️  Orden ${orderId} ${initialReversal.reason === REVERSAL_REASONS.CANCELLED ? 'cancelada' : 'reembolsada'} antes de importarla. No se crea NV.`);
+        
+        return {
+            success: true,
+            orderId: orderData.id,
+            action: 'skipped_cancelled',
+            reason: initialReversal.reason
+        };
+    }
+    
+    saveOrderEntry(orderId, {
+        importStatus: IMPORT_STATUS.PROCESSING,
+        importStage: DOCUMENT_STAGE.PREPARING,
+        mlStatus: orderData.status,
+        notificationCount,
+        lastNotificationAt: new Date().toISOString(),
+        error: null
+    });
+    
+    let clienteResult;
+    let ordenResult;
+    try {
         // Obtener información del comprador
         const buyerId = orderData.buyer?.id || orderData.buyer_id;
         const buyerData = await getMercadoLibreBuyer(buyerId);
         console.log('✅ Información del comprador obtenida:', buyerData.nickname);
         
+        // Obtener datos de facturación (RUT real del comprador)
+        const billingData = extractBillingData(await getMercadoLibreBillingInfo(orderId));
+        if (billingData) {
+            console.log(`✅ Datos de facturación obtenidos: ${billingData.rut} (${billingData.name})`);
+        }
+        
         // Crear cliente en Manager+
-        const clienteResult = await createClient(orderData, buyerData);
+        clienteResult = await createClient(orderData, buyerData, billingData);
         
-        // Crear orden en Manager+
-        const ordenResult = await createOrder(orderData, clienteResult);
+        // Crear orden en Manager+ (desde el envío, un fallo ya no permite reintentar a ciegas)
+        ordenResult = await createOrder(orderData, clienteResult, {
+            onBeforeSend: (folio) => saveOrderEntry(orderId, {
+                importStage: DOCUMENT_STAGE.SENT,
+                attemptedNvFolio: folio.toString(),
+                rutCliente: clienteResult.cliente.rut_cliente,
+                documentSentAt: new Date().toISOString()
+            })
+        });
         
-        return {
-            success: true,
-            orderId: orderData.id,
-            cliente: clienteResult,
-            orden: ordenResult
-        };
+        saveOrderEntry(orderId, {
+            importStatus: IMPORT_STATUS.IMPORTED,
+            nvFolio: ordenResult.orden.num_doc,
+            rutCliente: clienteResult.cliente.rut_cliente,
+            importedAt: new Date().toISOString()
+        });
         
     } catch (error) {
-        console.error('❌ Error al procesar notificación de orden:', error.message);
+        const { importStage } = getOrderEntry(orderId);
+        saveOrderEntry(orderId, {
+            importStatus: IMPORT_STATUS.FAILED,
+            importStage: importStage === DOCUMENT_STAGE.SENT && isRejectedByErp(error) ? DOCUMENT_STAGE.REJECTED : importStage,
+            error: error.response?.data?.mensaje || error.message
+        });
         throw error;
     }
+    
+    // Un reembolso parcial anterior a la importación se revierte en la misma pasada
+    const reversal = await reverseOrderIfNeeded(orderData, getOrderEntry(orderId));
+    
+    return {
+        success: true,
+        orderId: orderData.id,
+        action: 'imported',
+        nvFolio: ordenResult.orden.num_doc,
+        cliente: clienteResult,
+        orden: ordenResult,
+        reversal
+    };
+}
+
+/**
+ * Conciliar manualmente una orden o su reversa en needs_reconcile
+ * 
+ * @param {string} orderId - ID de la orden en Mercado Libre
+ * @param {Object} options - Opciones
+ * @param {string} options.nvFolio - Folio de la NV que ya existe en Manager+ (se registra sin crear otra)
+ * @param {boolean} options.retry - Confirmar que no existe NV e importar la orden de nuevo
+ * @param {string} options.reversalFolio - Folio de la reversa que ya existe en Manager+ (se registra sin crear otra)
+ * @param {boolean} options.retryReversal - Confirmar que no existe la reversa y crearla de nuevo
+ * @returns {Promise<Object>} Resultado de la conciliación
+ */
+async function reconcileOrder(orderId, { nvFolio = null, retry = false, reversalFolio = null, retryReversal = false } = {}) {
+    return await withOrderLock(orderId.toString(), async () => {
+        if (reversalFolio) {
+            const orderData = await getMercadoLibreOrder(orderId);
+            const reversal = adoptReversal(orderData, getOrderEntry(orderId), reversalFolio);
+            if (!reversal) {
+                throw new Error(`La orden ${orderId} no tiene nada pendiente de revertir`);
+            }
+            return { success: true, orderId: orderId.toString(), action: 'reversal_reconciled', reversal };
+        }
+        
+        if (retryReversal) {
+            console.log(`🔁 Orden ${orderId}: se confirmó que no existe la reversa en Manager+. Reintentando...`);
+            saveOrderEntry(orderId, { reversalStatus: REVERSAL_STATUS.FAILED, reversalStage: DOCUMENT_STAGE.PREPARING });
+            return await importOrder(orderId);
+        }
+        
+        if (nvFolio) {
+            const now = new Date().toISOString();
+            const entry = saveOrderEntry(orderId, {
+                importStatus: IMPORT_STATUS.IMPORTED,
+                nvFolio: nvFolio.toString(),
+                importedAt: now,
+                reconciledAt: now,
+                error: null
+            });
+            console.log(`🔗 Orden ${orderId} conciliada manualmente con la NV ${entry.nvFolio}`);
+            return { success: true, orderId: entry.orderId, action: 'reconciled', nvFolio: entry.nvFolio };
+        }
+        
+        if (!retry) {
+            throw new Error('Indica nvFolio o reversalFolio (el documento ya existe en Manager+), o retry / retryReversal: true (no existe)');
+        }
+        
+        console.log(`🔁 Orden ${orderId}: se confirmó que no existe NV en Manager+. Reintentando importación...`);
+        saveOrderEntry(orderId, { importStatus: IMPORT_STATUS.FAILED, importStage: DOCUMENT_STAGE.PREPARING });
+        return await importOrder(orderId);
+    });
 }
 
 module.exports = {
     processOrderNotification,
+    reconcileOrder,
+    extractOrderId,
     createClient,
     createOrder,
+    createOrderReversal,
     getMercadoLibreOrder,
-    getMercadoLibreBuyer
+    getMercadoLibreBuyer,
+    getMercadoLibreBillingInfo,
+    extractBillingData
 };
 
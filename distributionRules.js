@@ -0,0 +1,165 @@
+/**
+ * Reparto del stock de un SKU publicado en más de una publicación de Mercado Libre
+ *
+ * Cuando varias publicaciones (o variaciones) comparten SKU, cada SKU usa una
+ * estrategia (DISTRIBUTION_RULES_FILE, default: reparto-ml.json):
+ * - espejo: todas las publicaciones reciben el stock completo
+ * - reparto: el stock se divide entre las publicaciones según sus pesos
+ *
+ * Ejemplo (ver reparto-ml.example.json):
+ * {
+ *   "estrategia": "espejo",
+ *   "skus": {
+ *     "ABC123": { "estrategia": "reparto", "pesos": { "MLC111": 2, "MLC222/1789": 1 } }
+ *   }
+ * }
+ *
+ * Los pesos se indican por item o item/variación; las publicaciones sin peso
+ * configurado tienen peso 1.
+ */
+
+require('dotenv').config();
+const path = require('path');
+const { readJsonFile } = require('./localStore');
+
+const DISTRIBUTION_RULES_FILE = path.resolve(__dirname, process.env.DISTRIBUTION_RULES_FILE || 'reparto-ml.json');
+
+const STRATEGIES = ['espejo', 'reparto'];
+const DEFAULT_STRATEGY = 'espejo';
+
+// Reglas cargadas (null = aún no se leen)
+let cachedRules = null;
+
+/**
+ * Validar una estrategia de la configuración
+ */
+function parseStrategy(value, label) {
+    if (!STRATEGIES.includes(value)) {
+        throw new Error(`${DISTRIBUTION_RULES_FILE}: "estrategia" ${label} debe ser ${STRATEGIES.join(' o ')}`);
+    }
+    return value;
+}
+
+/**
+ * Cargar las reglas de reparto (se leen una vez por proceso)
+ *
+ * @returns {Object} { estrategia, skus } estrategia por defecto y reglas por SKU
+ */
+function loadDistributionRules() {
+    if (cachedRules === null) {
+        const config = readJsonFile(DISTRIBUTION_RULES_FILE, null) || {};
+        const rules = {
+            estrategia: parseStrategy(config.estrategia || DEFAULT_STRATEGY, 'global'),
+            skus: {}
+        };
+
+        Object.entries(config.skus || {}).forEach(([sku, skuRule]) => {
+            const pesos = {};
+            Object.entries(skuRule.pesos || {}).forEach(([listingKey, weight]) => {
+                const value = Number(weight);
+                if (isNaN(value) || value < 0) {
+                    throw new Error(`${DISTRIBUTION_RULES_FILE}: peso inválido para ${listingKey} en el SKU ${sku}`);
+                }
+                pesos[listingKey.trim().toUpperCase()] = value;
+            });
+
+            rules.skus[sku.trim()] = {
+                estrategia: parseStrategy(skuRule.estrategia || (Object.keys(pesos).length > 0 ? 'reparto' : rules.estrategia), `del SKU ${sku}`),
+                pesos
+            };
+        });
+
+        cachedRules = rules;
+        if (Object.keys(rules.skus).length > 0) {
+            console.log(`🔀 Reglas de reparto cargadas desde ${DISTRIBUTION_RULES_FILE} (${Object.keys(rules.skus).length} SKUs)`);
+        }
+    }
+    return cachedRules;
+}
+
+/**
+ * Volver a leer el archivo de reglas en la próxima consulta
+ */
+function reloadDistributionRules() {
+    cachedRules = null;
+}
+
+/**
+ * Resolver la estrategia de reparto de un SKU
+ *
+ * @param {string} sku - SKU del producto
+ * @returns {Object} { estrategia, pesos, origen } (origen: "sku:X" o "global")
+ */
+function resolveDistributionRule(sku) {
+    const rules = loadDistributionRules();
+    const skuRule = rules.skus[sku];
+
+    return skuRule
+        ? { ...skuRule, origen: `sku:${sku}` }
+        : { estrategia: rules.estrategia, pesos: {}, origen: 'global' };
+}
+
+/**
+ * Obtener el peso de una publicación (la variación tiene prioridad sobre el item)
+ *
+ * @param {Object} pesos - Pesos configurados (item o item/variación -> peso)
+ * @param {Object} listing - Entrada del mapa de productos ({ itemId, variationId })
+ * @returns {number} Peso de la publicación
+ */
+function getListingWeight(pesos, listing) {
+    const itemKey = (listing.itemId || '').toString().toUpperCase();
+    const variationKey = listing.variationId ? `${itemKey}/${listing.variationId}` : null;
+
+    if (variationKey && pesos[variationKey] !== undefined) return pesos[variationKey];
+    if (pesos[itemKey] !== undefined) return pesos[itemKey];
+    return 1;
+}
+
+/**
+ * Repartir el stock de un SKU entre sus publicaciones
+ *
+ * En "reparto" las unidades que sobran al redondear se asignan a las
+ * publicaciones con mayor fracción (y en empate, en el orden del listado).
+ *
+ * @param {number} stock - Stock del SKU en Manager+
+ * @param {Array<Object>} listings - Publicaciones del SKU
+ * @param {Object} rule - Regla de reparto (ver resolveDistributionRule)
+ * @returns {Array<Object>} [{ stock, peso }] en el mismo orden que listings
+ */
+function distributeStock(stock, listings, rule) {
+    const total = Math.max(0, Math.floor(stock));
+
+    if (rule.estrategia === 'espejo' || listings.length <= 1) {
+        return listings.map(() => ({ stock: total, peso: null }));
+    }
+
+    const weights = listings.map(listing => getListingWeight(rule.pesos, listing));
+    const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+    if (totalWeight === 0) {
+        return listings.map((listing, index) => ({ stock: 0, peso: weights[index] }));
+    }
+
+    const shares = weights.map(weight => total * weight / totalWeight);
+    const allocation = shares.map(Math.floor);
+    let remainder = total - allocation.reduce((sum, units) => sum + units, 0);
+
+    shares
+        .map((share, index) => ({ index, fraction: share - allocation[index] }))
+        .sort((a, b) => b.fraction - a.fraction || a.index - b.index)
+        .forEach(({ index }) => {
+            if (remainder > 0 && weights[index] > 0) {
+                allocation[index]++;
+                remainder--;
+            }
+        });
+
+    return allocation.map((units, index) => ({ stock: units, peso: weights[index] }));
+}
+
+module.exports = {
+    loadDistributionRules,
+    reloadDistributionRules,
+    resolveDistributionRule,
+    distributeStock,
+    DISTRIBUTION_RULES_FILE
+};
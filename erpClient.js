@@ -0,0 +1,264 @@
+/**
+ * Cliente compartido para la API del ERP Manager+
+ *
+ * Centraliza la autenticación (token compartido por todos los módulos),
+ * la re-autenticación ante un 401, los reintentos con backoff ante 429/5xx
+ * y los timeouts de las peticiones.
+ */
+
+require('dotenv').config();
+const axios = require('axios');
+
+// Variables de entorno del ERP
+const ERP_BASE_URL = process.env.ERP_BASE_URL;
+const ERP_USERNAME = process.env.ERP_USERNAME;
+const ERP_PASSWORD = process.env.ERP_PASSWORD;
+const RUT_EMPRESA = process.env.RUT_EMPRESA;
+const ERP_PRICE_LIST = process.env.ERP_PRICE_LIST || '18'; // Lista de precios para NV y sincronización de precios
+
+// Configuración del cliente
+const ERP_TIMEOUT_MS = parseInt(process.env.ERP_TIMEOUT_MS) || 30000;
+const ERP_MAX_RETRIES = process.env.ERP_MAX_RETRIES !== undefined ? parseInt(process.env.ERP_MAX_RETRIES) : 3;
+const ERP_RETRY_BASE_DELAY_MS = parseInt(process.env.ERP_RETRY_BASE_DELAY_MS) || 1000;
+const ERP_TOKEN_TTL_MS = (parseInt(process.env.ERP_TOKEN_TTL_MINUTES) || 60) * 60 * 1000;
+
+// Errores de red que se consideran transitorios
+const RETRYABLE_NETWORK_CODES = ['ECONNABORTED', 'ECONNRESET', 'ETIMEDOUT', 'EAI_AGAIN', 'ECONNREFUSED'];
+
+// Token de autenticación compartido
+let authToken = null;
+let tokenExpirationTime = null;
+let authPromise = null;
+
+/**
+ * Autenticarse con el ERP Manager+
+ *
+ * Si ya hay una autenticación en curso, se reutiliza la misma promesa.
+ *
+ * @returns {Promise<string>} Token de autenticación
+ */
+async function authenticate() {
+    if (!authPromise) {
+        authPromise = (async () => {
+            try {
+                const response = await axios.post(`${ERP_BASE_URL}/auth/`, {
+                    username: ERP_USERNAME,
+                    password: ERP_PASSWORD
+                }, {
+                    headers: {
+                        'Content-Type': 'application/json'
+                    },
+                    timeout: ERP_TIMEOUT_MS
+                });
+
+                authToken = response.data.auth_token;
+                tokenExpirationTime = Date.now() + ERP_TOKEN_TTL_MS;
+
+                return authToken;
+            } catch (error) {
+                console.error('❌ Error en la autenticación con el ERP:', error.response?.data || error.message);
+                throw new Error('Error al autenticarse con el ERP: ' + (error.response?.data?.message || error.message));
+            } finally {
+                authPromise = null;
+            }
+        })();
+    }
+    return authPromise;
+}
+
+/**
+ * Obtener el token de autenticación del ERP (con caché)
+ *
+ * @returns {Promise<string>} Token de autenticación vigente
+ */
+async function getAuthToken() {
+    if (authToken && tokenExpirationTime && Date.now() < tokenExpirationTime) {
+        return authToken;
+    }
+    return await authenticate();
+}
+
+/**
+ * Determinar si una petición fallida puede reintentarse
+ *
+ * Las lecturas (GET) se reintentan ante 429, 5xx y errores de red.
+ * Las escrituras solo ante 429, para no duplicar clientes o documentos
+ * si el ERP alcanzó a procesar la petición.
+ *
+ * @param {Error} error - Error de axios
+ * @returns {boolean} true si se puede reintentar
+ */
+function isRetryableError(error) {
+    const status = error.response?.status;
+    const method = (error.config?.method || 'get').toLowerCase();
+
+    if (status === 429) return true;
+    if (method !== 'get') return false;
+    if (status >= 500) return true;
+    return !error.response && RETRYABLE_NETWORK_CODES.includes(error.code);
+}
+
+/**
+ * Calcular la espera antes de un reintento (respeta Retry-After si viene)
+ *
+ * @param {Error} error - Error de axios
+ * @param {number} attempt - Número de intento (1, 2, 3...)
+ * @returns {number} Milisegundos de espera
+ */
+function getRetryDelay(error, attempt) {
+    const retryAfter = parseInt(error.response?.headers?.['retry-after']);
+    if (!isNaN(retryAfter) && retryAfter > 0) {
+        return retryAfter * 1000;
+    }
+    const jitter = Math.floor(Math.random() * 250);
+    return ERP_RETRY_BASE_DELAY_MS * Math.pow(2, attempt - 1) + jitter;
+}
+
+/**
+ * Cliente HTTP para el ERP
+ */
+const erpHttp = axios.create({
+    baseURL: ERP_BASE_URL,
+    timeout: ERP_TIMEOUT_MS,
+    headers: {
+        'Content-Type': 'application/json'
+    }
+});
+
+erpHttp.interceptors.request.use(async (config) => {
+    const token = await getAuthToken();
+    config.headers.Authorization = `Token ${token}`;
+    return config;
+});
+
+erpHttp.interceptors.response.use(null, async (error) => {
+    const config = error.config;
+    if (!config) {
+        throw error;
+    }
+
+    // Token rechazado: re-autenticar una vez y reintentar
+    if (error.response?.status === 401 && !config._authRetried) {
+        config._authRetried = true;
+        const failedToken = (config.headers?.Authorization || '').replace(/^Token\s+/, '');
+        if (failedToken === authToken) {
+            authToken = null;
+            tokenExpirationTime = null;
+        }
+        return erpHttp(config);
+    }
+
+    // Errores transitorios: reintentar con backoff exponencial
+    config._retryCount = config._retryCount || 0;
+    if (isRetryableError(error) && config._retryCount < ERP_MAX_RETRIES) {
+        config._retryCount++;
+        const delay = getRetryDelay(error, config._retryCount);
+        const reason = error.response?.status || error.code;
+        console.warn(`   ⚠️  Manager+ respondió ${reason} en ${config.url}. Reintento ${config._retryCount}/${ERP_MAX_RETRIES} en ${delay}ms...`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+        return erpHttp(config);
+    }
+
+    throw error;
+});
+
+/**
+ * Obtener un producto por código
+ *
+ * @param {string} sku - Código del producto (cod_producto)
+ * @param {Object} options - Opciones
+ * @param {boolean} options.conStock - Incluir stock detallado por bodega
+ * @returns {Promise<Object>} Respuesta del ERP ({ data: [...] })
+ */
+async function getProduct(sku, { conStock = false } = {}) {
+    const response = await erpHttp.get(`/products/${RUT_EMPRESA}/${encodeURIComponent(sku)}/`, {
+        params: conStock ? { con_stock: 'S' } : {}
+    });
+    return response.data;
+}
+
+/**
+ * Listar productos
+ *
+ * @param {Object} params - Parámetros de consulta del ERP (ej: con_stock, page)
+ * @returns {Promise<Object>} Respuesta del ERP ({ data: [...] })
+ */
+async function listProducts(params = {}) {
+    const response = await erpHttp.get(`/products/${RUT_EMPRESA}/`, { params });
+    return response.data;
+}
+
+/**
+ * Obtener documentos por tipo y rango de fechas
+ *
+ * @param {string} docType - Tipo de documento (ej: NV)
+ * @param {string} docSubType - Subtipo (ej: V)
+ * @param {Object} range - Rango de fechas
+ * @param {string} range.df - Fecha desde (yyyyMMdd)
+ * @param {string} range.dt - Fecha hasta (yyyyMMdd)
+ * @returns {Promise<Object>} Respuesta del ERP ({ data: [...] })
+ */
+async function getDocuments(docType, docSubType, { df, dt } = {}) {
+    const response = await erpHttp.get(`/documents/${RUT_EMPRESA}/${docType}/${docSubType}/`, {
+        params: { df, dt }
+    });
+    return response.data;
+}
+
+/**
+ * Crear o actualizar un cliente
+ *
+ * @param {Object} clientInfo - Datos del cliente en formato Manager+
+ * @param {Object} options - Opciones
+ * @param {boolean} options.overwrite - Sobrescribir si ya existe (default: true)
+ * @returns {Promise<Object>} Respuesta del ERP
+ */
+async function createClient(clientInfo, { overwrite = true } = {}) {
+    const response = await erpHttp.post('/import/create-client/', clientInfo, {
+        params: { sobreescribir: overwrite ? 'S' : 'N' }
+    });
+    return response.data;
+}
+
+/**
+ * Crear un documento (nota de venta, etc.)
+ *
+ * @param {Object} documentInfo - Documento en formato Manager+
+ * @param {Object} options - Opciones
+ * @param {boolean} options.emit - Emitir el documento (default: false)
+ * @param {boolean} options.docNumReg - Usar numeración del registro (default: false)
+ * @returns {Promise<Object>} Respuesta del ERP
+ */
+async function createDocument(documentInfo, { emit = false, docNumReg = false } = {}) {
+    const response = await erpHttp.post('/import/create-document/', documentInfo, {
+        params: {
+            emitir: emit ? 'S' : 'N',
+            docnumreg: docNumReg ? 'S' : 'N'
+        }
+    });
+    return response.data;
+}
+
+/**
+ * Obtener la tabla de comunas
+ *
+ * @returns {Promise<Array>} Lista de comunas
+ */
+async function getComunas() {
+    const response = await erpHttp.get('/tabla-gral/comunas');
+    return response.data.data || [];
+}
+
+module.exports = {
+    authenticate,
+    getAuthToken,
+    getProduct,
+    listProducts,
+    getDocuments,
+    createClient,
+    createDocument,
+    getComunas,
+    erpHttp,
+    RUT_EMPRESA,
+    ERP_PRICE_LIST
+};
@@ -0,0 +1,182 @@
+/**
+ * Asignación segura de folios de documentos en Manager+
+ *
+ * Serializa la asignación del folio y la creación del documento para que dos
+ * órdenes simultáneas nunca usen el mismo número, busca el último folio
+ * ampliando la ventana de fechas cuando no hay documentos recientes, y si el
+ * ERP responde que el folio ya existe reintenta con el siguiente. También
+ * busca documentos por glosa para conciliar los que se crearon sin respuesta.
+ */
+
+require('dotenv').config();
+const { format, addDays, subDays } = require('date-fns');
+const erpClient = require('./erpClient');
+
+// Ventanas de búsqueda del último folio (días hacia atrás)
+const FOLIO_LOOKBACK_DAYS = [3, 15, 60, 365];
+
+// Intentos cuando el ERP indica que el folio ya existe
+const FOLIO_MAX_COLLISIONS = parseInt(process.env.FOLIO_MAX_COLLISIONS) || 5;
+
+// Folio inicial si no existe ningún documento del tipo (ej: primera NV de la empresa)
+const NV_INITIAL_FOLIO = process.env.NV_INITIAL_FOLIO ? parseInt(process.env.NV_INITIAL_FOLIO) : null;
+
+// Mensajes del ERP que indican folio duplicado
+const DUPLICATE_FOLIO_PATTERN = /ya existe|duplicad|already exists/i;
+
+// Cola de asignaciones por tipo de documento y último folio usado en este proceso
+const allocationLocks = new Map();
+const lastAllocatedFolios = new Map();
+
+/**
+ * Buscar el último folio emitido de un tipo de documento
+ *
+ * Amplía la ventana de fechas mientras no encuentre documentos. Los errores
+ * del ERP se propagan: nunca se asume un folio por defecto.
+ *
+ * @param {string} docType - Tipo de documento (ej: NV)
+ * @param {string} docSubType - Subtipo (ej: V)
+ * @returns {Promise<number|null>} Último folio o null si no hay documentos
+ */
+async function findLastFolio(docType, docSubType) {
+    const dt = format(addDays(new Date(), 1), 'yyyyMMdd');
+
+    for (const days of FOLIO_LOOKBACK_DAYS) {
+        const df = format(subDays(new Date(), days), 'yyyyMMdd');
+        const responseData = await erpClient.getDocuments(docType, docSubType, { df, dt });
+        const folios = (responseData.data || [])
+            .map(documento => parseInt(documento.folio))
+            .filter(folio => !isNaN(folio));
+
+        if (folios.length > 0) {
+            const maxFolio = Math.max(...folios);
+            console.log(`🔢 Último folio ${docType} (últimos ${days} días): ${maxFolio}`);
+            return maxFolio;
+        }
+
+        console.log(`   ℹ️  Sin documentos ${docType} en los últimos ${days} días. Ampliando búsqueda...`);
+    }
+
+    return null;
+}
+
+/**
+ * Buscar un documento por su glosa
+ *
+ * Permite saber si un documento enviado sin respuesta del ERP (timeout,
+ * caída del proceso) alcanzó a crearse.
+ *
+ * @param {string} docType - Tipo de documento (ej: NV)
+ * @param {string} docSubType - Subtipo (ej: V)
+ * @param {RegExp} glosaPattern - Patrón que debe cumplir la glosa
+ * @param {Object} options - Opciones
+ * @param {string|Date} options.since - Fecha del envío (se busca desde el día anterior)
+ * @param {Array<string>} options.excludeFolios - Folios ya registrados que no cuentan
+ * @returns {Promise<Object|null>} Documento del ERP o null si no existe
+ */
+async function findDocumentByGlosa(docType, docSubType, glosaPattern, { since = new Date(), excludeFolios = [] } = {}) {
+    const df = format(subDays(new Date(since), 1), 'yyyyMMdd');
+    const dt = format(addDays(new Date(), 1), 'yyyyMMdd');
+    const responseData = await erpClient.getDocuments(docType, docSubType, { df, dt });
+
+    return (responseData.data || []).find(documento => (
+        glosaPattern.test(documento.glosa || '') &&
+        !excludeFolios.includes(documento.folio?.toString())
+    )) || null;
+}
+
+/**
+ * Determinar si una respuesta/error del ERP indica folio duplicado
+ *
+ * @param {Object} payload - Body de la respuesta del ERP
+ * @returns {boolean} true si el folio ya existe
+ */
+function isDuplicateFolioResponse(payload) {
+    if (!payload) return false;
+    const text = typeof payload === 'string' ? payload : JSON.stringify(payload);
+    return DUPLICATE_FOLIO_PATTERN.test(text) && /folio|documento|num_doc/i.test(text);
+}
+
+/**
+ * Ejecutar una tarea con exclusión mutua por tipo de documento
+ */
+async function withAllocationLock(key, task) {
+    const previous = allocationLocks.get(key) || Promise.resolve();
+    const current = previous.catch(() => {}).then(task);
+    allocationLocks.set(key, current);
+
+    try {
+        return await current;
+    } finally {
+        if (allocationLocks.get(key) === current) {
+            allocationLocks.delete(key);
+        }
+    }
+}
+
+/**
+ * Asignar el siguiente folio y crear el documento con él
+ *
+ * @param {string} docType - Tipo de documento (ej: NV)
+ * @param {string} docSubType - Subtipo (ej: V)
+ * @param {Function} createWithFolio - Función async que recibe el folio y crea el documento en el ERP
+ * @param {Object} options - Opciones
+ * @param {number} options.initialFolio - Folio a usar si no existe ningún documento del tipo (default: NV_INITIAL_FOLIO para NV)
+ * @param {string} options.initialFolioSetting - Variable de entorno que define el folio inicial (para el mensaje de error)
+ * @returns {Promise<Object>} { folio, result } con el folio usado y el resultado de createWithFolio
+ */
+async function createWithNextFolio(docType, docSubType, createWithFolio, {
+    initialFolio = docType === 'NV' ? NV_INITIAL_FOLIO : null,
+    initialFolioSetting = 'NV_INITIAL_FOLIO'
+} = {}) {
+    const key = `${docType}/${docSubType}`;
+
+    return withAllocationLock(key, async () => {
+        let lastFolio = await findLastFolio(docType, docSubType);
+
+        if (lastFolio === null) {
+            if (initialFolio !== null) {
+                lastFolio = initialFolio - 1;
+            } else {
+                throw new Error(`No se encontraron documentos ${docType} en los últimos ${FOLIO_LOOKBACK_DAYS[FOLIO_LOOKBACK_DAYS.length - 1]} días. Configura ${initialFolioSetting} para definir el folio inicial.`);
+            }
+        }
+
+        // No retroceder si el ERP aún no refleja un folio que ya usamos
+        let folio = Math.max(lastFolio, lastAllocatedFolios.get(key) || 0) + 1;
+
+        for (let attempt = 1; attempt <= FOLIO_MAX_COLLISIONS; attempt++) {
+            // Solo una respuesta o error de folio duplicado cuenta como colisión;
+            // una respuesta vacía significa que el documento se creó
+            let result = null;
+            let duplicate;
+            try {
+                result = await createWithFolio(folio);
+                duplicate = isDuplicateFolioResponse(result);
+            } catch (error) {
+                if (!isDuplicateFolioResponse(error.response?.data)) {
+                    throw error;
+                }
+                duplicate = true;
+            }
+
+            if (!duplicate) {
+                lastAllocatedFolios.set(key, folio);
+                return { folio, result };
+            }
+
+            console.warn(`   ⚠️  El folio ${docType} ${folio} ya existe en Manager+. Probando con ${folio + 1}...`);
+            lastAllocatedFolios.set(key, folio);
+            folio++;
+        }
+
+        throw new Error(`No se pudo asignar un folio ${docType} libre después de ${FOLIO_MAX_COLLISIONS} intentos`);
+    });
+}
+
+module.exports = {
+    createWithNextFolio,
+    findLastFolio,
+    findDocumentByGlosa,
+    isDuplicateFolioResponse
+};
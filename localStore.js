@@ -0,0 +1,77 @@
+/**
+ * Utilidades de persistencia local
+ *
+ * Centraliza dónde y cómo se guardan los archivos de estado del middleware
+ * (tokens, registros, colas, etc.) para que sobrevivan a reinicios del proceso.
+ * En Render, apunta DATA_DIR a un disco persistente para que también
+ * sobrevivan a los redeploys.
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+
+// Directorio base para los archivos de estado
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+
+/**
+ * Resolver la ruta absoluta de un archivo dentro de DATA_DIR
+ *
+ * @param {string} fileName - Nombre del archivo (o ruta absoluta)
+ * @returns {string} Ruta absoluta del archivo
+ */
+function resolveDataPath(fileName) {
+    return path.isAbsolute(fileName) ? fileName : path.join(DATA_DIR, fileName);
+}
+
+/**
+ * Asegurar que exista el directorio que contendrá un archivo
+ *
+ * @param {string} filePath - Ruta del archivo
+ */
+function ensureDirFor(filePath) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+}
+
+/**
+ * Leer un archivo JSON
+ *
+ * @param {string} filePath - Ruta del archivo
+ * @param {*} defaultValue - Valor a retornar si el archivo no existe
+ * @returns {*} Contenido del archivo parseado
+ */
+function readJsonFile(filePath, defaultValue = null) {
+    try {
+        const content = fs.readFileSync(filePath, 'utf8');
+        return content.trim() ? JSON.parse(content) : defaultValue;
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return defaultValue;
+        }
+        throw new Error(`Error al leer ${filePath}: ${error.message}`);
+    }
+}
+
+/**
+ * Escribir un archivo JSON de forma atómica (archivo temporal + rename)
+ *
+ * Así un corte del proceso a mitad de escritura nunca deja el archivo truncado.
+ *
+ * @param {string} filePath - Ruta del archivo
+ * @param {*} data - Datos a guardar
+ * @param {Object} options - Opciones (mode: permisos del archivo)
+ */
+function writeJsonFile(filePath, data, options = {}) {
+    ensureDirFor(filePath);
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2), { mode: options.mode || 0o644 });
+    fs.renameSync(tmpPath, filePath);
+}
+
+module.exports = {
+    DATA_DIR,
+    resolveDataPath,
+    ensureDirFor,
+    readJsonFile,
+    writeJsonFile
+};
@@ -7,6 +7,7 @@
 
 require('dotenv').config();
 const axios = require('axios');
+const { getTokenStore } = require('./tokenStore');
 
 // Variables de entorno de Mercado Libre
 const ML_CLIENT_ID = process.env.MERCADOLIBRE_CLIENT_ID;
@@ -19,18 +20,131 @@ const ML_SITE_ID = process.env.MERCADOLIBRE_SITE_ID || 'MLA';
 // URL base de la API de Mercado Libre
 const ML_API_BASE_URL = 'https://api.mercadolibre.com';
 
-// Variable para almacenar el token de acceso en memoria
-let accessToken = null;
-let tokenExpirationTime = null;
+// URL de autorización OAuth por sitio (el usuario debe autorizar en el dominio de su país)
+const ML_AUTH_URLS = {
+    MLA: 'https://auth.mercadolibre.com.ar',
+    MLB: 'https://auth.mercadolivre.com.br',
+    MLC: 'https://auth.mercadolibre.cl',
+    MLM: 'https://auth.mercadolibre.com.mx',
+    MCO: 'https://auth.mercadolibre.com.co',
+    MLU: 'https://auth.mercadolibre.com.uy',
+    MPE: 'https://auth.mercadolibre.com.pe'
+};
+const ML_AUTH_BASE_URL = process.env.MERCADOLIBRE_AUTH_URL || ML_AUTH_URLS[ML_SITE_ID] || ML_AUTH_URLS.MLA;
+
+// Timeout de las peticiones a la API de Mercado Libre
+const ML_REQUEST_TIMEOUT_MS = parseInt(process.env.ML_REQUEST_TIMEOUT_MS) || 30000;
+
+// Margen para refrescar el token antes de que expire (default: 5 minutos)
+const TOKEN_REFRESH_MARGIN_MS = (parseInt(process.env.ML_TOKEN_REFRESH_MARGIN_SECONDS) || 300) * 1000;
+
+// Copia en memoria de los tokens guardados en el almacén
+let storedTokens = null;
+
+// Refresco en curso: todas las peticiones concurrentes esperan esta misma promesa
+let refreshPromise = null;
+
+/**
+ * Determinar si los tokens tienen un access token utilizable
+ * (considerando el margen de refresco anticipado)
+ * 
+ * @param {Object|null} tokens - Tokens almacenados
+ * @returns {boolean} true si el access token sigue vigente
+ */
+function isAccessTokenValid(tokens) {
+    return Boolean(
+        tokens?.accessToken &&
+        tokens.expiresAt &&
+        Date.now() < tokens.expiresAt - TOKEN_REFRESH_MARGIN_MS
+    );
+}
+
+/**
+ * Cargar los tokens desde el almacén persistente
+ * 
+ * Si el almacén está vacío y hay tokens en .env, se usan como semilla
+ * (solo la primera vez; luego el almacén es la fuente de verdad).
+ * 
+ * @returns {Promise<Object|null>} Tokens almacenados
+ */
+async function loadStoredTokens() {
+    const store = getTokenStore();
+    storedTokens = await store.load();
+
+    if (!storedTokens && (ML_ACCESS_TOKEN || ML_REFRESH_TOKEN)) {
+        console.log(`🔑 Inicializando almacén de tokens (${store.type}) con los valores de .env`);
+        storedTokens = await store.save({
+            accessToken: ML_ACCESS_TOKEN || null,
+            refreshToken: ML_REFRESH_TOKEN || null,
+            // Sin información de expiración, asumir 6 horas si hay access token
+            expiresAt: ML_ACCESS_TOKEN ? Date.now() + (6 * 60 * 60 * 1000) : null,
+            userId: ML_USER_ID || null
+        });
+    }
+
+    return storedTokens;
+}
+
+/**
+ * Guardar la respuesta de /oauth/token en el almacén persistente
+ * 
+ * @param {Object} tokenData - Respuesta de Mercado Libre (access_token, refresh_token, expires_in, user_id)
+ * @returns {Promise<Object>} Tokens guardados
+ */
+async function saveTokenResponse(tokenData) {
+    const expiresIn = tokenData.expires_in || 21600; // 6 horas por defecto
+
+    storedTokens = await getTokenStore().save({
+        accessToken: tokenData.access_token,
+        // Si no viene un refresh_token nuevo, conservar el anterior
+        refreshToken: tokenData.refresh_token || storedTokens?.refreshToken || null,
+        expiresAt: Date.now() + (expiresIn * 1000),
+        userId: tokenData.user_id || storedTokens?.userId || null,
+        scope: tokenData.scope || storedTokens?.scope || null
+    });
+
+    return storedTokens;
+}
 
 /**
  * Función para refrescar el token de acceso
  * 
+ * Es single-flight: si ya hay un refresco en curso, todas las llamadas
+ * concurrentes esperan el mismo resultado en vez de disparar refrescos propios
+ * (Mercado Libre invalida el refresh token anterior en cada rotación).
+ * 
+ * @param {Object} options - Opciones
+ * @param {string} options.failedToken - Access token que fue rechazado (401), si aplica
  * @returns {Promise<string>} Nuevo token de acceso
  */
-async function refreshAccessToken() {
+async function refreshAccessToken(options = {}) {
+    if (!refreshPromise) {
+        refreshPromise = performTokenRefresh(options).finally(() => {
+            refreshPromise = null;
+        });
+    }
+    return refreshPromise;
+}
+
+/**
+ * Ejecutar el refresco del token contra /oauth/token
+ * 
+ * @param {Object} options - Opciones (ver refreshAccessToken)
+ * @returns {Promise<string>} Nuevo token de acceso
+ */
+async function performTokenRefresh({ failedToken = null } = {}) {
     try {
-        if (!ML_REFRESH_TOKEN) {
+        // Releer el almacén: otro proceso (scheduler/servidor) pudo haber rotado el refresh token
+        const tokens = await loadStoredTokens();
+
+        // Si el token rechazado ya fue reemplazado por uno vigente, no volver a refrescar
+        if (failedToken && tokens?.accessToken !== failedToken && isAccessTokenValid(tokens)) {
+            return tokens.accessToken;
+        }
+
+        const refreshToken = tokens?.refreshToken;
+
+        if (!refreshToken) {
             throw new Error('REFRESH_TOKEN no configurado. Necesitas obtenerlo primero mediante OAuth.');
         }
 
@@ -40,25 +154,23 @@ async function refreshAccessToken() {
             grant_type: 'refresh_token',
             client_id: ML_CLIENT_ID,
             client_secret: ML_CLIENT_SECRET,
-            refresh_token: ML_REFRESH_TOKEN
+            refresh_token: refreshToken
         }, {
             headers: {
                 'Content-Type': 'application/json',
                 'Accept': 'application/json'
-            }
+            },
+            timeout: ML_REQUEST_TIMEOUT_MS
         });
 
-        accessToken = response.data.access_token;
-        const expiresIn = response.data.expires_in || 21600; // 6 horas por defecto
-        tokenExpirationTime = Date.now() + (expiresIn * 1000);
+        const saved = await saveTokenResponse(response.data);
 
-        // Si viene un nuevo refresh_token, actualizarlo
-        if (response.data.refresh_token) {
-            console.log('⚠️  Nuevo REFRESH_TOKEN recibido. Actualiza tu archivo .env');
+        if (response.data.refresh_token && response.data.refresh_token !== refreshToken) {
+            console.log(`🔑 Nuevo REFRESH_TOKEN guardado en el almacén de tokens (${getTokenStore().type})`);
         }
 
         console.log('✅ Token refrescado exitosamente');
-        return accessToken;
+        return saved.accessToken;
         
     } catch (error) {
         console.error('❌ Error al refrescar token:');
@@ -80,30 +192,164 @@ async function refreshAccessToken() {
 /**
  * Función para obtener el token de acceso válido
  * 
+ * Refresca de forma anticipada cuando el token está por expirar
+ * (ML_TOKEN_REFRESH_MARGIN_SECONDS antes de la expiración).
+ * 
  * @returns {Promise<string>} Token de acceso válido
  */
 async function getAccessToken() {
-    // Si hay un token en memoria y no ha expirado, usarlo
-    if (accessToken && tokenExpirationTime && Date.now() < tokenExpirationTime) {
-        return accessToken;
+    // Si hay un refresco en curso, esperar su resultado
+    if (refreshPromise) {
+        return refreshPromise;
+    }
+
+    // Si hay un token en memoria y no está por expirar, usarlo
+    if (isAccessTokenValid(storedTokens)) {
+        return storedTokens.accessToken;
     }
 
-    // Si hay un token configurado en .env, usarlo primero
-    if (ML_ACCESS_TOKEN && !accessToken) {
-        accessToken = ML_ACCESS_TOKEN;
-        // Asumir que expira en 6 horas si no tenemos información
-        tokenExpirationTime = Date.now() + (6 * 60 * 60 * 1000);
-        return accessToken;
+    // Releer el almacén (puede haber sido actualizado por otro proceso)
+    const tokens = await loadStoredTokens();
+    if (isAccessTokenValid(tokens)) {
+        return tokens.accessToken;
     }
 
     // Si hay refresh_token, intentar refrescar
-    if (ML_REFRESH_TOKEN) {
+    if (tokens?.refreshToken) {
         return await refreshAccessToken();
     }
 
+    // Sin refresh_token, usar el access token mientras no haya expirado del todo
+    if (tokens?.accessToken && tokens.expiresAt && Date.now() < tokens.expiresAt) {
+        return tokens.accessToken;
+    }
+
     throw new Error('No hay token de acceso disponible. Necesitas configurar MERCADOLIBRE_ACCESS_TOKEN o realizar el flujo OAuth.');
 }
 
+/**
+ * Cliente HTTP compartido para la API de Mercado Libre
+ * 
+ * - Agrega el header Authorization con un token vigente en cada petición
+ *   (las peticiones quedan en espera mientras haya un refresco en curso)
+ * - Ante un 401, refresca el token una sola vez (single-flight) y reintenta la petición
+ */
+const mlClient = axios.create({
+    baseURL: ML_API_BASE_URL,
+    timeout: ML_REQUEST_TIMEOUT_MS,
+    headers: {
+        'Content-Type': 'application/json'
+    }
+});
+
+mlClient.interceptors.request.use(async (config) => {
+    const token = await getAccessToken();
+    config.headers.Authorization = `Bearer ${token}`;
+    return config;
+});
+
+mlClient.interceptors.response.use(null, async (error) => {
+    const config = error.config;
+
+    if (error.response?.status !== 401 || !config || config._tokenRetried) {
+        throw error;
+    }
+
+    config._tokenRetried = true;
+    const failedToken = (config.headers?.Authorization || '').replace(/^Bearer\s+/, '');
+
+    try {
+        console.log('   ⚠️  Token rechazado por Mercado Libre (401). Refrescando automáticamente...');
+        await refreshAccessToken({ failedToken });
+    } catch (refreshError) {
+        // Mantener el error 401 original para que el llamador pueda diagnosticarlo
+        error.refreshError = refreshError;
+        throw error;
+    }
+
+    return mlClient(config);
+});
+
+/**
+ * Construir la URL de autorización OAuth de Mercado Libre
+ * 
+ * @param {string} redirectUri - URI de redirección registrada en la aplicación
+ * @param {string} state - Valor aleatorio para validar el callback
+ * @returns {string} URL a la que se debe redirigir al usuario
+ */
+function getAuthorizationUrl(redirectUri, state) {
+    if (!ML_CLIENT_ID) {
+        throw new Error('MERCADOLIBRE_CLIENT_ID no configurado');
+    }
+
+    const params = new URLSearchParams({
+        response_type: 'code',
+        client_id: ML_CLIENT_ID,
+        redirect_uri: redirectUri,
+        state
+    });
+
+    return `${ML_AUTH_BASE_URL}/authorization?${params.toString()}`;
+}
+
+/**
+ * Intercambiar un código de autorización por tokens y guardarlos en el almacén
+ * 
+ * Si la cuenta que autorizó no es la configurada en MERCADOLIBRE_USER_ID (o,
+ * sin esa variable, la que ya estaba conectada), los tokens se descartan y
+ * se lanza un error con code ML_USER_MISMATCH.
+ * 
+ * @param {string} code - Código recibido en /oauth/callback
+ * @param {string} redirectUri - Misma URI de redirección usada para autorizar
+ * @returns {Promise<Object>} Tokens guardados
+ */
+async function exchangeAuthorizationCode(code, redirectUri) {
+    try {
+        if (!ML_CLIENT_ID || !ML_CLIENT_SECRET) {
+            throw new Error('MERCADOLIBRE_CLIENT_ID y MERCADOLIBRE_CLIENT_SECRET son requeridos');
+        }
+
+        console.log('🔄 Intercambiando código de autorización por tokens...');
+
+        const response = await axios.post(`${ML_API_BASE_URL}/oauth/token`, {
+            grant_type: 'authorization_code',
+            client_id: ML_CLIENT_ID,
+            client_secret: ML_CLIENT_SECRET,
+            code,
+            redirect_uri: redirectUri
+        }, {
+            headers: {
+                'Content-Type': 'application/json',
+                'Accept': 'application/json'
+            },
+            timeout: ML_REQUEST_TIMEOUT_MS
+        });
+
+        // No guardar tokens de una cuenta distinta a la configurada o ya conectada
+        const authorizedUserId = response.data.user_id?.toString() || null;
+        const expectedUserId = await getConnectedUserId();
+        if (expectedUserId && authorizedUserId !== expectedUserId) {
+            const mismatchError = new Error(`La cuenta autorizada (${authorizedUserId || 'desconocida'}) no coincide con la cuenta conectada (${expectedUserId})`);
+            mismatchError.code = 'ML_USER_MISMATCH';
+            mismatchError.authorizedUserId = authorizedUserId;
+            mismatchError.expectedUserId = expectedUserId;
+            throw mismatchError;
+        }
+
+        const saved = await saveTokenResponse(response.data);
+        console.log(`✅ Tokens obtenidos y guardados en el almacén de tokens (${getTokenStore().type})`);
+        return saved;
+
+    } catch (error) {
+        if (error.code === 'ML_USER_MISMATCH') {
+            console.error(`🚫 ${error.message}: los tokens no se guardaron`);
+            throw error;
+        }
+        console.error('❌ Error al intercambiar código de autorización:', error.response?.data || error.message);
+        throw new Error('Error al intercambiar código de autorización: ' + (error.response?.data?.message || error.response?.data?.error_description || error.message));
+    }
+}
+
 /**
  * Función para verificar la autenticación con Mercado Libre
  * 
@@ -113,46 +359,8 @@ async function verifyMercadoLibreAuth() {
     try {
         console.log('🔐 Verificando autenticación con Mercado Libre...');
         
-        let token = await getAccessToken();
-        
-        let response;
-        try {
-            response = await axios.get(`${ML_API_BASE_URL}/users/me`, {
-                headers: {
-                    'Authorization': `Bearer ${token}`,
-                    'Content-Type': 'application/json'
-                }
-            });
-        } catch (error) {
-            // Si es un error 401, intentar refrescar el token automáticamente
-            if (error.response?.status === 401 && ML_REFRESH_TOKEN) {
-                console.log('   ⚠️  Token expirado. Refrescando automáticamente...');
-                try {
-                    token = await refreshAccessToken();
-                    // Reintentar la petición con el nuevo token
-                    response = await axios.get(`${ML_API_BASE_URL}/users/me`, {
-                        headers: {
-                            'Authorization': `Bearer ${token}`,
-                            'Content-Type': 'application/json'
-                        }
-                    });
-                } catch (refreshError) {
-                    console.error('\n❌ No se pudo refrescar el token automáticamente:');
-                    if (refreshError.response) {
-                        console.error(`   Status: ${refreshError.response.status}`);
-                        console.error(`   Mensaje: ${JSON.stringify(refreshError.response.data, null, 2)}`);
-                    } else {
-                        console.error(`   Error: ${refreshError.message}`);
-                    }
-                    console.error('\n   💡 El REFRESH_TOKEN puede haber expirado o ser inválido.');
-                    console.error('   Necesitas obtener nuevos tokens mediante el flujo OAuth.');
-                    console.error('   Consulta el README.md para obtener nuevos tokens.\n');
-                    throw refreshError;
-                }
-            } else {
-                throw error;
-            }
-        }
+        // El cliente refresca el token automáticamente si está expirado
+        const response = await mlClient.get('/users/me');
 
         console.log('✅ Autenticación exitosa con Mercado Libre');
         console.log(`👤 Usuario: ${response.data.nickname}`);
@@ -162,30 +370,39 @@ async function verifyMercadoLibreAuth() {
         return response.data;
         
     } catch (error) {
-        // Solo mostrar mensajes de error si no fue un error de refresh (ya se mostró arriba)
-        if (!error.response || error.response.status !== 401 || !ML_REFRESH_TOKEN) {
-            console.error('❌ Error en la autenticación con Mercado Libre:');
-            if (error.response) {
-                console.error(`   Status: ${error.response.status}`);
-                console.error(`   Mensaje: ${JSON.stringify(error.response.data, null, 2)}`);
-                if (error.response.status === 401) {
-                    console.error('\n   💡 Posibles causas:');
-                    console.error('   1. El ACCESS_TOKEN ha expirado (válido por 6 horas)');
-                    console.error('   2. El REFRESH_TOKEN ha expirado o es inválido');
-                    console.error('   3. Las credenciales CLIENT_ID o CLIENT_SECRET son incorrectas');
-                    console.error('\n   💡 Solución:');
-                    console.error('   - Verifica que MERCADOLIBRE_REFRESH_TOKEN esté configurado en .env');
-                    console.error('   - Si el REFRESH_TOKEN expiró, obtén nuevos tokens mediante OAuth');
-                    console.error('   - Consulta el README.md para obtener nuevos tokens\n');
-                }
-            } else {
-                console.error(`   Error: ${error.message}`);
+        console.error('❌ Error en la autenticación con Mercado Libre:');
+        if (error.response) {
+            console.error(`   Status: ${error.response.status}`);
+            console.error(`   Mensaje: ${JSON.stringify(error.response.data, null, 2)}`);
+            if (error.response.status === 401) {
+                console.error('\n   💡 Posibles causas:');
+                console.error('   1. El ACCESS_TOKEN ha expirado (válido por 6 horas)');
+                console.error('   2. El REFRESH_TOKEN ha expirado o es inválido');
+                console.error('   3. Las credenciales CLIENT_ID o CLIENT_SECRET son incorrectas');
+                console.error('\n   💡 Solución:');
+                console.error('   - Verifica que haya tokens en el almacén (o MERCADOLIBRE_REFRESH_TOKEN en .env)');
+                console.error('   - Si el REFRESH_TOKEN expiró, vuelve a conectar la cuenta en /oauth/start');
+                console.error('   - Consulta el README.md para obtener nuevos tokens\n');
             }
+        } else {
+            console.error(`   Error: ${error.message}`);
         }
         throw new Error('Error al autenticarse con Mercado Libre: ' + (error.response?.data?.message || error.message));
     }
 }
 
+/**
+ * Obtener el user id de la cuenta de vendedor conectada
+ * 
+ * Usa MERCADOLIBRE_USER_ID o el guardado con los tokens, sin llamar a la API.
+ * 
+ * @returns {Promise<string|null>} User id o null si no hay cuenta conectada
+ */
+async function getConnectedUserId() {
+    const userId = ML_USER_ID || storedTokens?.userId || (await loadStoredTokens())?.userId;
+    return userId ? userId.toString() : null;
+}
+
 /**
  * Función para obtener productos de Mercado Libre
  * 
@@ -196,14 +413,9 @@ async function getMercadoLibreProducts(limit = 10) {
     try {
         console.log(`📦 Obteniendo productos de Mercado Libre (límite: ${limit})...`);
         
-        const token = await getAccessToken();
-        const userId = ML_USER_ID || (await verifyMercadoLibreAuth()).id;
+        const userId = ML_USER_ID || storedTokens?.userId || (await verifyMercadoLibreAuth()).id;
         
-        const response = await axios.get(`${ML_API_BASE_URL}/users/${userId}/items/search`, {
-            headers: {
-                'Authorization': `Bearer ${token}`,
-                'Content-Type': 'application/json'
-            },
+        const response = await mlClient.get(`/users/${userId}/items/search`, {
             params: {
                 status: 'active',
                 limit: limit
@@ -221,12 +433,7 @@ async function getMercadoLibreProducts(limit = 10) {
         const products = [];
         for (let i = 0; i < Math.min(itemIds.length, limit); i++) {
             try {
-                const itemResponse = await axios.get(`${ML_API_BASE_URL}/items/${itemIds[i]}`, {
-                    headers: {
-                        'Authorization': `Bearer ${token}`,
-                        'Content-Type': 'application/json'
-                    }
-                });
+                const itemResponse = await mlClient.get(`/items/${itemIds[i]}`);
 
                 const item = itemResponse.data;
                 products.push({
@@ -278,15 +485,10 @@ async function getMercadoLibreProductBySKU(sku) {
     try {
         console.log(`🔍 Buscando producto con SKU: ${sku}...`);
         
-        const token = await getAccessToken();
-        const userId = ML_USER_ID || (await verifyMercadoLibreAuth()).id;
+        const userId = ML_USER_ID || storedTokens?.userId || (await verifyMercadoLibreAuth()).id;
         
         // Buscar productos del usuario
-        const searchResponse = await axios.get(`${ML_API_BASE_URL}/users/${userId}/items/search`, {
-            headers: {
-                'Authorization': `Bearer ${token}`,
-                'Content-Type': 'application/json'
-            },
+        const searchResponse = await mlClient.get(`/users/${userId}/items/search`, {
             params: {
                 status: 'active'
             }
@@ -297,12 +499,7 @@ async function getMercadoLibreProductBySKU(sku) {
         // Buscar el producto por SKU
         for (const itemId of itemIds) {
             try {
-                const itemResponse = await axios.get(`${ML_API_BASE_URL}/items/${itemId}`, {
-                    headers: {
-                        'Authorization': `Bearer ${token}`,
-                        'Content-Type': 'application/json'
-                    }
-                });
+                const itemResponse = await mlClient.get(`/items/${itemId}`);
 
                 const item = itemResponse.data;
                 const itemSku = item.seller_custom_field || item.id;
@@ -355,20 +552,9 @@ async function updateMercadoLibreStock(itemId, quantity) {
     try {
         console.log(`📝 Actualizando stock del producto ${itemId} a ${quantity}...`);
         
-        const token = await getAccessToken();
-        
-        const response = await axios.put(
-            `${ML_API_BASE_URL}/items/${itemId}`,
-            {
-                available_quantity: quantity
-            },
-            {
-                headers: {
-                    'Authorization': `Bearer ${token}`,
-                    'Content-Type': 'application/json'
-                }
-            }
-        );
+        const response = await mlClient.put(`/items/${itemId}`, {
+            available_quantity: quantity
+        });
 
         console.log(`✅ Stock actualizado exitosamente`);
         console.log(`   - Cantidad anterior: ${response.data.available_quantity || 'N/A'}`);
@@ -440,6 +626,10 @@ module.exports = {
     updateMercadoLibreStock,
     getAccessToken,
     refreshAccessToken,
+    getConnectedUserId,
+    mlClient,
+    getAuthorizationUrl,
+    exchangeAuthorizationCode,
     ML_API_BASE_URL
 };
 
@@ -0,0 +1,107 @@
+/**
+ * Registro persistente de órdenes de Mercado Libre importadas a Manager+
+ *
+ * Relaciona cada orden de Mercado Libre con la Nota de Venta que generó
+ * (folio, estado de importación, timestamps) para que las notificaciones
+ * repetidas de una misma orden no creen documentos duplicados. También guarda
+ * las reversas de la NV (ver orderReversals.js), el envío y los pagos.
+ *
+ * La etapa (importStage / reversalStage) indica si el documento alcanzó a
+ * enviarse a Manager+: si el intento quedó en proceso o falló después de
+ * enviarlo, el documento puede existir aunque no haya respuesta, y la orden
+ * se concilia con Manager+ en vez de crear otro.
+ */
+
+require('dotenv').config();
+const { resolveDataPath, readJsonFile, writeJsonFile } = require('./localStore');
+
+const ORDER_LEDGER_FILE = resolveDataPath(process.env.ORDER_LEDGER_FILE || 'ml-orders.json');
+
+// Estados de importación
+const IMPORT_STATUS = {
+    PROCESSING: 'processing',
+    IMPORTED: 'imported',
+    FAILED: 'failed',
+    // La orden ya estaba cancelada o reembolsada al recibirla: no se crea NV
+    CANCELLED: 'cancelled',
+    // Puede existir una NV sin registrar: requiere conciliación manual
+    NEEDS_RECONCILE: 'needs_reconcile'
+};
+
+// Etapas de creación de un documento en Manager+
+const DOCUMENT_STAGE = {
+    // Antes de enviar el documento (comprador, cliente, líneas, folio)
+    PREPARING: 'preparing',
+    // Documento enviado: el ERP pudo haberlo creado aunque no haya respuesta
+    SENT: 'document_sent',
+    // El ERP respondió con un error: el documento no se creó
+    REJECTED: 'document_rejected'
+};
+
+/**
+ * Leer el registro completo (orderId -> entrada)
+ *
+ * @returns {Object} Entradas del registro
+ */
+function readLedger() {
+    return readJsonFile(ORDER_LEDGER_FILE, {});
+}
+
+/**
+ * Obtener la entrada de una orden
+ *
+ * @param {string|number} orderId - ID de la orden en Mercado Libre
+ * @returns {Object|null} Entrada del registro o null si la orden no fue procesada
+ */
+function getOrderEntry(orderId) {
+    return readLedger()[orderId.toString()] || null;
+}
+
+/**
+ * Listar entradas del registro (más recientes primero)
+ *
+ * @param {Object} filters - Filtros
+ * @param {string} filters.importStatus - Filtrar por estado de importación
+ * @param {string} filters.reversalStatus - Filtrar por estado de reversa
+ * @param {number} filters.limit - Máximo de entradas (default: 100)
+ * @returns {Array<Object>} Entradas del registro
+ */
+function listOrderEntries({ importStatus, reversalStatus, limit = 100 } = {}) {
+    return Object.values(readLedger())
+        .filter(entry => !importStatus || entry.importStatus === importStatus)
+        .filter(entry => !reversalStatus || entry.reversalStatus === reversalStatus)
+        .sort((a, b) => (b.updatedAt || '').localeCompare(a.updatedAt || ''))
+        .slice(0, limit);
+}
+
+/**
+ * Crear o actualizar la entrada de una orden
+ *
+ * @param {string|number} orderId - ID de la orden en Mercado Libre
+ * @param {Object} changes - Campos a actualizar (importStatus, nvFolio, mlStatus, etc.)
+ * @returns {Object} Entrada actualizada
+ */
+function saveOrderEntry(orderId, changes = {}) {
+    const ledger = readLedger();
+    const key = orderId.toString();
+    const now = new Date().toISOString();
+
+    ledger[key] = {
+        orderId: key,
+        createdAt: now,
+        ...ledger[key],
+        ...changes,
+        updatedAt: now
+    };
+
+    writeJsonFile(ORDER_LEDGER_FILE, ledger);
+    return ledger[key];
+}
+
+module.exports = {
+    IMPORT_STATUS,
+    DOCUMENT_STAGE,
+    getOrderEntry,
+    listOrderEntries,
+    saveOrderEntry
+};
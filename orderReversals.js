@@ -0,0 +1,223 @@
+/**
+ * Reversas de órdenes canceladas o reembolsadas
+ *
+ * Cuando una orden que ya tiene Nota de Venta se cancela o se reembolsa
+ * (total o parcialmente, incluido el resultado de una mediación), se crea en
+ * Manager+ un documento de reversa (ML_REVERSAL_DOC_TYPE, default: NCV) por
+ * las líneas afectadas. Este módulo decide qué revertir a partir de la orden
+ * y de lo ya revertido según el registro de órdenes; el documento lo crea
+ * createClientAndOrderML.js.
+ *
+ * Mercado Libre informa los reembolsos parciales como un monto, no por línea:
+ * el monto se asigna primero a unidades completas de las líneas de la orden y
+ * al envío, y lo que no calce queda en una línea de ajuste
+ * (ML_REFUND_ADJUSTMENT_PRODUCT).
+ */
+
+require('dotenv').config();
+
+const ML_REVERSAL_DOC_TYPE = process.env.ML_REVERSAL_DOC_TYPE || 'NCV';
+const ML_REVERSAL_DOC_SUBTYPE = process.env.ML_REVERSAL_DOC_SUBTYPE || 'V';
+const ML_REFUND_ADJUSTMENT_PRODUCT = process.env.ML_REFUND_ADJUSTMENT_PRODUCT || null;
+// Folio inicial si no existe ningún documento de reversa en Manager+
+const ML_REVERSAL_INITIAL_FOLIO = process.env.ML_REVERSAL_INITIAL_FOLIO ? parseInt(process.env.ML_REVERSAL_INITIAL_FOLIO) : null;
+
+// Estados de reversa en el registro de órdenes
+const REVERSAL_STATUS = {
+    PROCESSING: 'processing',
+    PARTIALLY_REVERSED: 'partially_reversed',
+    REVERSED: 'reversed',
+    FAILED: 'failed',
+    // Puede existir una reversa sin registrar: requiere conciliación manual
+    NEEDS_RECONCILE: 'needs_reconcile'
+};
+
+// Motivos de reversa
+const REVERSAL_REASONS = {
+    CANCELLED: 'cancelled',
+    REFUNDED: 'refunded',
+    PARTIALLY_REFUNDED: 'partially_refunded',
+    MEDIATION: 'mediation'
+};
+
+/**
+ * Clave de una línea de la orden (item o item/variación)
+ */
+function getLineKey(orderItem) {
+    const itemId = orderItem.item?.id || '';
+    return orderItem.item?.variation_id ? `${itemId}/${orderItem.item.variation_id}` : itemId;
+}
+
+/**
+ * Monto reembolsado de una orden según sus pagos
+ *
+ * @param {Object} orderData - Orden de Mercado Libre
+ * @returns {number} Monto reembolsado
+ */
+function getRefundedAmount(orderData) {
+    return (orderData.payments || []).reduce((sum, payment) => (
+        sum + Number(payment.transaction_amount_refunded || 0)
+    ), 0);
+}
+
+/**
+ * Monto pagado de una orden (sin contar pagos rechazados o cancelados)
+ *
+ * @param {Object} orderData - Orden de Mercado Libre
+ * @returns {number} Monto pagado
+ */
+function getPaidAmount(orderData) {
+    return (orderData.payments || [])
+        .filter(payment => !['rejected', 'cancelled'].includes(payment.status))
+        .reduce((sum, payment) => sum + Number(payment.transaction_amount || 0), 0);
+}
+
+/**
+ * Asignar un monto reembolsado a unidades de la orden
+ *
+ * Prioridad: unidades completas de una sola línea, el envío completo,
+ * unidades de las líneas en orden, el envío, y el resto como ajuste.
+ *
+ * @param {Array<Object>} lines - Líneas pendientes [{ key, itemId, variationId, unitPrice, remaining }]
+ * @param {number} shippingCost - Costo de envío aún no revertido (0 si no hay)
+ * @param {number} amount - Monto a asignar
+ * @returns {Object} { items, shipping, adjustment }
+ */
+function allocateRefund(lines, shippingCost, amount) {
+    const items = [];
+    let shipping = false;
+    let remaining = amount;
+
+    const take = (line, units) => {
+        const existing = items.find(item => item.key === line.key);
+        if (existing) {
+            existing.quantity += units;
+        } else {
+            items.push({ key: line.key, itemId: line.itemId, variationId: line.variationId, quantity: units, unitPrice: line.unitPrice });
+        }
+        line.remaining -= units;
+        remaining -= units * line.unitPrice;
+    };
+    const takeShipping = () => {
+        shipping = true;
+        remaining -= shippingCost;
+    };
+
+    const exactLine = lines.find(line => {
+        const units = remaining / line.unitPrice;
+        return line.unitPrice > 0 && Math.abs(units - Math.round(units)) < 1e-6 && units >= 1 && units <= line.remaining;
+    });
+    if (exactLine) {
+        take(exactLine, Math.round(remaining / exactLine.unitPrice));
+    } else if (shippingCost > 0 && Math.abs(remaining - shippingCost) < 1) {
+        takeShipping();
+    }
+
+    lines.forEach(line => {
+        if (line.unitPrice <= 0 || line.remaining <= 0) return;
+        const units = Math.min(line.remaining, Math.floor((remaining + 0.5) / line.unitPrice));
+        if (units > 0) take(line, units);
+    });
+    if (!shipping && shippingCost > 0 && remaining + 0.5 >= shippingCost) {
+        takeShipping();
+    }
+
+    const adjustment = Math.round(remaining);
+    return { items, shipping, adjustment: adjustment > 0 ? adjustment : 0 };
+}
+
+/**
+ * Determinar qué revertir de una orden ya importada
+ *
+ * @param {Object} orderData - Orden de Mercado Libre (recién obtenida)
+ * @param {Object} entry - Entrada de la orden en el registro de órdenes
+ * @returns {Object|null} Plan { reason, full, amount, items, shipping, adjustment } o null si no hay nada que revertir
+ */
+function planReversal(orderData, entry = {}) {
+    if (entry.reversalStatus === REVERSAL_STATUS.REVERSED) return null;
+
+    const reversedUnits = entry.reversedUnits || {};
+    const reversedAmount = entry.reversedAmount || 0;
+    const shippingCost = entry.reversedShipping ? 0 : (orderData.shipping?.cost || 0);
+    const lines = (orderData.order_items || []).map(orderItem => ({
+        key: getLineKey(orderItem),
+        itemId: orderItem.item?.id || null,
+        variationId: orderItem.item?.variation_id || null,
+        unitPrice: Number(orderItem.unit_price || 0),
+        remaining: (orderItem.quantity || 1) - (reversedUnits[getLineKey(orderItem)] || 0)
+    }));
+
+    const refunded = getRefundedAmount(orderData);
+    const paid = getPaidAmount(orderData);
+    const fullyRefunded = paid > 0 && refunded >= paid;
+
+    if (orderData.status === 'cancelled' || fullyRefunded) {
+        const items = lines
+            .filter(line => line.remaining > 0)
+            .map(line => ({ key: line.key, itemId: line.itemId, variationId: line.variationId, quantity: line.remaining, unitPrice: line.unitPrice }));
+        if (items.length === 0 && shippingCost === 0) return null;
+
+        // Sin reversas previas se revierte la NV completa, con sus mismos totales
+        const firstReversal = !(entry.reversals || []).length;
+        const amount = firstReversal
+            ? Number(orderData.total_amount || 0)
+            : items.reduce((sum, item) => sum + item.quantity * item.unitPrice, 0) + shippingCost;
+
+        return {
+            reason: orderData.status === 'cancelled' ? REVERSAL_REASONS.CANCELLED : REVERSAL_REASONS.REFUNDED,
+            full: true,
+            firstReversal,
+            amount,
+            items,
+            shipping: shippingCost > 0,
+            adjustment: 0
+        };
+    }
+
+    const pending = Math.round(refunded - reversedAmount);
+    if (pending <= 0) return null;
+
+    return {
+        reason: (orderData.mediations || []).length > 0 ? REVERSAL_REASONS.MEDIATION : REVERSAL_REASONS.PARTIALLY_REFUNDED,
+        full: false,
+        firstReversal: !(entry.reversals || []).length,
+        amount: pending,
+        ...allocateRefund(lines, shippingCost, pending)
+    };
+}
+
+/**
+ * Calcular los cambios del registro de órdenes tras crear una reversa
+ *
+ * @param {Object} entry - Entrada de la orden en el registro de órdenes
+ * @param {Object} plan - Plan de reversa (ver planReversal)
+ * @param {Object} reversal - Reversa creada ({ folio, docType, ... })
+ * @returns {Object} Campos a guardar en la entrada
+ */
+function applyReversalToEntry(entry, plan, reversal) {
+    const reversedUnits = { ...(entry.reversedUnits || {}) };
+    plan.items.forEach(item => {
+        reversedUnits[item.key] = (reversedUnits[item.key] || 0) + item.quantity;
+    });
+
+    return {
+        reversals: [...(entry.reversals || []), reversal],
+        reversedUnits,
+        reversedShipping: Boolean(entry.reversedShipping || plan.shipping),
+        reversedAmount: (entry.reversedAmount || 0) + plan.amount,
+        reversalStatus: plan.full ? REVERSAL_STATUS.REVERSED : REVERSAL_STATUS.PARTIALLY_REVERSED,
+        reversalError: null
+    };
+}
+
+module.exports = {
+    planReversal,
+    applyReversalToEntry,
+    getRefundedAmount,
+    REVERSAL_STATUS,
+    REVERSAL_REASONS,
+    ML_REVERSAL_DOC_TYPE,
+    ML_REVERSAL_DOC_SUBTYPE,
+    ML_REFUND_ADJUSTMENT_PRODUCT,
+    ML_REVERSAL_INITIAL_FOLIO
+};
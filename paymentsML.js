@@ -0,0 +1,135 @@
+/**
+ * Notificaciones de pagos de Mercado Libre (topic "payments")
+ *
+ * Guarda el estado de cada pago en la entrada de su orden en el registro de
+ * órdenes, y un estado resumido de la orden (paymentStatus): paid, refunded,
+ * partially_refunded o el estado de Mercado Libre si el pago no está cerrado.
+ *
+ * Los pagos de órdenes que aún no están en el registro se omiten: el pago
+ * suele notificarse antes que la orden, y una entrada creada por el pago no
+ * debe confundirse con un intento de importación.
+ */
+
+require('dotenv').config();
+const { mlClient } = require('./mercadoLibreAuth');
+const { getOrderEntry, saveOrderEntry } = require('./orderLedger');
+
+// Estados de pago en el registro de órdenes
+const PAYMENT_STATUS = {
+    PAID: 'paid',
+    REFUNDED: 'refunded',
+    PARTIALLY_REFUNDED: 'partially_refunded'
+};
+
+// Estados de Mercado Libre que no cuentan para el resumen si hay otros pagos
+const DISCARDED_STATUSES = ['rejected', 'cancelled'];
+
+/**
+ * Obtener un pago de Mercado Libre
+ *
+ * @param {string} paymentId - ID del pago
+ * @returns {Promise<Object>} Pago
+ */
+async function getMercadoLibrePayment(paymentId) {
+    try {
+        const response = await mlClient.get(`/collections/${paymentId}`);
+        // Según la versión, el pago viene directo o dentro de "collection"
+        return response.data.collection || response.data;
+    } catch (error) {
+        console.error(`❌ Error al obtener el pago ${paymentId} de Mercado Libre:`, error.response?.data || error.message);
+        throw error;
+    }
+}
+
+/**
+ * Resolver el estado de un pago para el registro de órdenes
+ *
+ * @param {Object} payment - Pago de Mercado Libre
+ * @returns {string} paid | refunded | partially_refunded | estado de Mercado Libre
+ */
+function resolvePaymentStatus(payment) {
+    const refunded = Number(payment.transaction_amount_refunded ?? payment.amount_refunded ?? 0);
+
+    if (payment.status === 'refunded' || payment.status === 'charged_back') {
+        return PAYMENT_STATUS.REFUNDED;
+    }
+    if (payment.status === 'approved') {
+        return refunded > 0 ? PAYMENT_STATUS.PARTIALLY_REFUNDED : PAYMENT_STATUS.PAID;
+    }
+    return payment.status || 'unknown';
+}
+
+/**
+ * Resumir el estado de pago de una orden a partir de sus pagos
+ *
+ * @param {Object} payments - Pagos de la orden (id -> pago del registro)
+ * @returns {string} Estado resumido
+ */
+function summarizePaymentStatus(payments) {
+    const all = Object.values(payments).map(payment => payment.paymentStatus);
+    const statuses = all.filter(status => !DISCARDED_STATUSES.includes(status));
+    if (statuses.length === 0) return all[all.length - 1];
+
+    if (statuses.every(status => status === PAYMENT_STATUS.REFUNDED)) return PAYMENT_STATUS.REFUNDED;
+    if (statuses.some(status => status === PAYMENT_STATUS.REFUNDED || status === PAYMENT_STATUS.PARTIALLY_REFUNDED)) {
+        return PAYMENT_STATUS.PARTIALLY_REFUNDED;
+    }
+    if (statuses.every(status => status === PAYMENT_STATUS.PAID)) return PAYMENT_STATUS.PAID;
+    return statuses.find(status => status !== PAYMENT_STATUS.PAID);
+}
+
+/**
+ * Procesar una notificación de pago
+ *
+ * @param {string} paymentId - ID del pago (del resource "/collections/{id}")
+ * @returns {Promise<Object>} Resultado del procesamiento
+ */
+async function processPaymentNotification(paymentId) {
+    const payment = await getMercadoLibrePayment(paymentId);
+    const orderId = payment.order_id;
+
+    if (!orderId) {
+        console.log(`ℹ️  El pago ${paymentId} no tiene orden asociada: se omite`);
+        return { success: true, paymentId, action: 'skipped' };
+    }
+
+    const existing = getOrderEntry(orderId);
+    if (!existing?.importStatus) {
+        console.log(`ℹ️  El pago ${paymentId} es de la orden ${orderId}, que aún no está en el registro de órdenes: se omite`);
+        return { success: true, paymentId, orderId: orderId.toString(), action: 'skipped' };
+    }
+
+    const paymentInfo = {
+        id: payment.id.toString(),
+        status: payment.status || null,
+        statusDetail: payment.status_detail || null,
+        paymentStatus: resolvePaymentStatus(payment),
+        amount: payment.transaction_amount ?? null,
+        refundedAmount: payment.transaction_amount_refunded ?? payment.amount_refunded ?? 0,
+        updatedAt: new Date().toISOString()
+    };
+    const payments = { ...(existing?.payments || {}), [paymentInfo.id]: paymentInfo };
+    const paymentStatus = summarizePaymentStatus(payments);
+
+    saveOrderEntry(orderId, { payments, paymentStatus });
+
+    const statusChanged = existing?.paymentStatus !== paymentStatus;
+    console.log(`💳 Pago ${paymentId} de la orden ${orderId} (NV ${existing?.nvFolio || 'sin NV'}): ${paymentInfo.status}${statusChanged ? `. Orden: ${existing?.paymentStatus || 'sin estado'} → ${paymentStatus}` : ''}`);
+
+    return {
+        success: true,
+        paymentId,
+        orderId: orderId.toString(),
+        nvFolio: existing?.nvFolio || null,
+        action: statusChanged ? 'status_updated' : 'no_change',
+        paymentStatus,
+        payment: paymentInfo
+    };
+}
+
+module.exports = {
+    processPaymentNotification,
+    getMercadoLibrePayment,
+    resolvePaymentStatus,
+    PAYMENT_STATUS
+};
@@ -0,0 +1,158 @@
+/**
+ * Reglas de precio para publicar en Mercado Libre desde una lista de precios de Manager+
+ *
+ * Por defecto la lista de precios de Manager+ se considera neta; el precio publicado se calcula
+ * agregando el recargo (global o por categoría de Mercado Libre) y el IVA, y
+ * redondeando. Las reglas se leen de PRICE_RULES_FILE (default:
+ * reglas-precio-ml.json); sin archivo se usan los valores por defecto.
+ *
+ * Ejemplo (ver reglas-precio-ml.example.json):
+ * {
+ *   "iva": 19,
+ *   "recargo": 10,
+ *   "redondeo": 10,
+ *   "modoRedondeo": "arriba",
+ *   "maxVariacion": 15,
+ *   "categorias": { "MLC1234": { "recargo": 20 } }
+ * }
+ */
+
+require('dotenv').config();
+const path = require('path');
+const { readJsonFile } = require('./localStore');
+
+const PRICE_RULES_FILE = path.resolve(__dirname, process.env.PRICE_RULES_FILE || 'reglas-precio-ml.json');
+
+// Valores por defecto
+const DEFAULT_PRICE_RULES = {
+    iva: 19, // % de IVA que se agrega al precio neto
+    preciosIncluyenIva: false, // true si la lista de Manager+ ya incluye IVA
+    recargo: 0, // % de recargo sobre el precio neto
+    redondeo: 1, // Redondear al múltiplo de este valor
+    modoRedondeo: 'cercano', // cercano | arriba | abajo
+    maxVariacion: 20 // % máximo de cambio respecto al precio actual en Mercado Libre
+};
+
+const ROUNDING_MODES = ['cercano', 'arriba', 'abajo'];
+
+// Reglas cargadas (null = aún no se leen)
+let cachedRules = null;
+
+/**
+ * Validar un valor numérico no negativo de la configuración
+ */
+function parseNonNegative(value, field, label) {
+    const number = Number(value);
+    if (isNaN(number) || number < 0) {
+        throw new Error(`${PRICE_RULES_FILE}: "${field}" inválido ${label}`);
+    }
+    return number;
+}
+
+/**
+ * Cargar las reglas de precio (se leen una vez por proceso)
+ *
+ * @returns {Object} Reglas globales con el mapa "categorias" (categoryId -> { recargo })
+ */
+function loadPriceRules() {
+    if (cachedRules === null) {
+        const config = readJsonFile(PRICE_RULES_FILE, null) || {};
+        const rules = { ...DEFAULT_PRICE_RULES, ...config, categorias: {} };
+
+        ['iva', 'recargo', 'redondeo', 'maxVariacion'].forEach(field => {
+            rules[field] = parseNonNegative(rules[field], field, 'en la configuración global');
+        });
+        if (rules.redondeo === 0) {
+            rules.redondeo = 1;
+        }
+        if (!ROUNDING_MODES.includes(rules.modoRedondeo)) {
+            throw new Error(`${PRICE_RULES_FILE}: "modoRedondeo" debe ser ${ROUNDING_MODES.join(', ')}`);
+        }
+        rules.preciosIncluyenIva = Boolean(rules.preciosIncluyenIva);
+
+        Object.entries(config.categorias || {}).forEach(([categoryId, categoryRule]) => {
+            rules.categorias[categoryId.trim()] = {
+                recargo: parseNonNegative(categoryRule.recargo ?? 0, 'recargo', `en la categoría ${categoryId}`)
+            };
+        });
+
+        cachedRules = rules;
+    }
+    return cachedRules;
+}
+
+/**
+ * Volver a leer el archivo de reglas en la próxima consulta
+ */
+function reloadPriceRules() {
+    cachedRules = null;
+}
+
+/**
+ * Redondear un precio al múltiplo configurado
+ *
+ * @param {number} price - Precio a redondear
+ * @param {number} step - Múltiplo (ej: 10, 100)
+ * @param {string} mode - cercano | arriba | abajo
+ * @returns {number} Precio redondeado
+ */
+function roundPrice(price, step, mode) {
+    const rounders = { cercano: Math.round, arriba: Math.ceil, abajo: Math.floor };
+    return rounders[mode](price / step) * step;
+}
+
+/**
+ * Calcular el precio a publicar en Mercado Libre
+ *
+ * @param {number} erpPrice - Precio de la lista de Manager+
+ * @param {string} categoryId - Categoría de la publicación en Mercado Libre (opcional)
+ * @returns {Object} { price, rule } precio final y regla aplicada
+ */
+function computeMercadoLibrePrice(erpPrice, categoryId = null) {
+    const rules = loadPriceRules();
+    const categoryRule = categoryId ? rules.categorias[categoryId] : null;
+    const recargo = categoryRule ? categoryRule.recargo : rules.recargo;
+
+    const netPrice = rules.preciosIncluyenIva ? erpPrice / (1 + rules.iva / 100) : erpPrice;
+    const withMarkup = netPrice * (1 + recargo / 100);
+    const withVat = withMarkup * (1 + rules.iva / 100);
+    const price = roundPrice(withVat, rules.redondeo, rules.modoRedondeo);
+
+    return {
+        price,
+        rule: {
+            origen: categoryRule ? `categoria:${categoryId}` : 'global',
+            recargo,
+            iva: rules.iva,
+            preciosIncluyenIva: rules.preciosIncluyenIva,
+            redondeo: rules.redondeo,
+            modoRedondeo: rules.modoRedondeo
+        }
+    };
+}
+
+/**
+ * Verificar que el cambio de precio no supere la variación máxima permitida
+ *
+ * @param {number} currentPrice - Precio actual en Mercado Libre
+ * @param {number} newPrice - Precio calculado
+ * @returns {Object} { allowed, deltaPercent, maxVariacion }
+ */
+function checkPriceDelta(currentPrice, newPrice) {
+    const { maxVariacion } = loadPriceRules();
+
+    if (!currentPrice) {
+        return { allowed: true, deltaPercent: null, maxVariacion };
+    }
+
+    const deltaPercent = Math.round(Math.abs(newPrice - currentPrice) / currentPrice * 10000) / 100;
+    return { allowed: deltaPercent <= maxVariacion, deltaPercent, maxVariacion };
+}
+
+module.exports = {
+    loadPriceRules,
+    reloadPriceRules,
+    computeMercadoLibrePrice,
+    checkPriceDelta,
+    PRICE_RULES_FILE
+};
@@ -0,0 +1,118 @@
+/**
+ * Preguntas de Mercado Libre (topic "questions")
+ *
+ * Cada notificación de pregunta (nueva o respondida) se guarda en
+ * ML_QUESTIONS_FILE (default: ml-questions.json dentro de DATA_DIR) para que
+ * soporte pueda revisarlas desde la API sin entrar a Mercado Libre.
+ */
+
+require('dotenv').config();
+const { mlClient } = require('./mercadoLibreAuth');
+const { resolveDataPath, readJsonFile, writeJsonFile } = require('./localStore');
+
+const ML_QUESTIONS_FILE = resolveDataPath(process.env.ML_QUESTIONS_FILE || 'ml-questions.json');
+
+/**
+ * Leer las preguntas guardadas (id -> pregunta)
+ */
+function readQuestions() {
+    return readJsonFile(ML_QUESTIONS_FILE, {});
+}
+
+/**
+ * Obtener una pregunta de Mercado Libre
+ *
+ * @param {string} questionId - ID de la pregunta
+ * @returns {Promise<Object|null>} Pregunta o null si fue eliminada
+ */
+async function getMercadoLibreQuestion(questionId) {
+    try {
+        const response = await mlClient.get(`/questions/${questionId}`);
+        return response.data;
+    } catch (error) {
+        if (error.response?.status === 404) {
+            return null;
+        }
+        console.error(`❌ Error al obtener la pregunta ${questionId} de Mercado Libre:`, error.response?.data || error.message);
+        throw error;
+    }
+}
+
+/**
+ * Procesar una notificación de pregunta
+ *
+ * @param {string} questionId - ID de la pregunta (del resource "/questions/{id}")
+ * @returns {Promise<Object>} Resultado del procesamiento
+ */
+async function processQuestionNotification(questionId) {
+    const question = await getMercadoLibreQuestion(questionId);
+    const questions = readQuestions();
+    const key = questionId.toString();
+    const existing = questions[key];
+    const now = new Date().toISOString();
+
+    if (!question) {
+        if (!existing) {
+            console.log(`ℹ️  La pregunta ${questionId} ya no existe en Mercado Libre: se omite`);
+            return { success: true, questionId: key, action: 'skipped' };
+        }
+        questions[key] = { ...existing, status: 'DELETED', updatedAt: now };
+    } else {
+        questions[key] = {
+            id: key,
+            itemId: question.item_id || null,
+            text: question.text || '',
+            status: question.status || null,
+            fromId: question.from?.id?.toString() || null,
+            createdAt: question.date_created || null,
+            answer: question.answer
+                ? { text: question.answer.text, status: question.answer.status, createdAt: question.answer.date_created || null }
+                : null,
+            receivedAt: existing?.receivedAt || now,
+            updatedAt: now
+        };
+    }
+
+    writeJsonFile(ML_QUESTIONS_FILE, questions);
+    console.log(`❓ Pregunta ${questionId} (${questions[key].itemId || 'sin publicación'}): ${questions[key].status}`);
+
+    return {
+        success: true,
+        questionId: key,
+        action: existing ? 'updated' : 'stored',
+        question: questions[key]
+    };
+}
+
+/**
+ * Listar preguntas guardadas (más recientes primero)
+ *
+ * @param {Object} filters - Filtros
+ * @param {string} filters.status - Estado en Mercado Libre (UNANSWERED, ANSWERED, DELETED, ...)
+ * @param {string} filters.itemId - Publicación
+ * @param {number} filters.limit - Máximo de preguntas (default: 100)
+ * @returns {Array<Object>} Preguntas
+ */
+function listQuestions({ status, itemId, limit = 100 } = {}) {
+    return Object.values(readQuestions())
+        .filter(question => (!status || question.status === status.toUpperCase()) && (!itemId || question.itemId === itemId))
+        .sort((a, b) => (b.createdAt || b.receivedAt || '').localeCompare(a.createdAt || a.receivedAt || ''))
+        .slice(0, limit);
+}
+
+/**
+ * Obtener una pregunta guardada
+ *
+ * @param {string} questionId - ID de la pregunta
+ * @returns {Object|null} Pregunta o null si no existe
+ */
+function getQuestion(questionId) {
+    return readQuestions()[questionId.toString()] || null;
+}
+
+module.exports = {
+    processQuestionNotification,
+    listQuestions,
+    getQuestion,
+    ML_QUESTIONS_FILE
+};
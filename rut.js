@@ -0,0 +1,76 @@
+/**
+ * Utilidades para RUT chileno
+ *
+ * Limpieza, validación del dígito verificador (módulo 11) y formato
+ * "12345678-9" que usa Manager+ en rut_cliente.
+ */
+
+/**
+ * Limpiar un RUT dejando solo dígitos y K (sin puntos, guion ni espacios)
+ *
+ * @param {string} rut - RUT en cualquier formato
+ * @returns {string} RUT limpio en mayúsculas (ej: 12345678K)
+ */
+function cleanRut(rut) {
+    return (rut || '').toString().replace(/[^0-9kK]/g, '').toUpperCase();
+}
+
+/**
+ * Calcular el dígito verificador de un RUT
+ *
+ * @param {string|number} body - Cuerpo del RUT (sin dígito verificador)
+ * @returns {string} Dígito verificador (0-9 o K)
+ */
+function computeCheckDigit(body) {
+    let sum = 0;
+    let multiplier = 2;
+
+    const digits = body.toString().split('').reverse();
+    for (const digit of digits) {
+        sum += parseInt(digit) * multiplier;
+        multiplier = multiplier === 7 ? 2 : multiplier + 1;
+    }
+
+    const remainder = 11 - (sum % 11);
+    if (remainder === 11) return '0';
+    if (remainder === 10) return 'K';
+    return remainder.toString();
+}
+
+/**
+ * Validar un RUT (formato y dígito verificador)
+ *
+ * @param {string} rut - RUT en cualquier formato
+ * @returns {boolean} true si el RUT es válido
+ */
+function isValidRut(rut) {
+    const cleaned = cleanRut(rut);
+    if (!/^\d{7,8}[0-9K]$/.test(cleaned)) {
+        return false;
+    }
+
+    const body = cleaned.slice(0, -1);
+    const checkDigit = cleaned.slice(-1);
+    return computeCheckDigit(body) === checkDigit;
+}
+
+/**
+ * Formatear un RUT como "12345678-9"
+ *
+ * @param {string} rut - RUT en cualquier formato
+ * @returns {string|null} RUT formateado o null si es inválido
+ */
+function formatRut(rut) {
+    if (!isValidRut(rut)) {
+        return null;
+    }
+    const cleaned = cleanRut(rut);
+    return `${parseInt(cleaned.slice(0, -1))}-${cleaned.slice(-1)}`;
+}
+
+module.exports = {
+    cleanRut,
+    computeCheckDigit,
+    isValidRut,
+    formatRut
+};
@@ -7,142 +7,973 @@
 
 require('dotenv').config();
 const express = require('express');
-const axios = require('axios');
 const cors = require('cors');
-const { processOrderNotification } = require('./createClientAndOrderML');
-const { syncProductStock, syncMultipleProducts, syncAllProducts } = require('./syncStocksML');
+const crypto = require('crypto');
+const { requireScope, getCorsOptions, loadApiKeys, CORS_ORIGINS } = require('./apiAuth');
+const { verifyMercadoLibreAuth, getAuthorizationUrl, exchangeAuthorizationCode } = require('./mercadoLibreAuth');
+const erpClient = require('./erpClient');
+const { routeNotification, listTopicHandlers } = require('./webhookTopics');
+const { listQuestions, getQuestion } = require('./questionsML');
+const { IMPORT_STATUS, getOrderEntry, listOrderEntries } = require('./orderLedger');
+const { reconcileOrder } = require('./createClientAndOrderML');
+const {
+    enqueueNotification,
+    startWebhookWorker,
+    listQueuedNotifications,
+    listDeadLetters,
+    getDeadLetter,
+    replayDeadLetter,
+    discardDeadLetter
+} = require('./webhookQueue');
+const { verifyMercadoLibreWebhook, listWebhookRejections, ML_WEBHOOK_ALLOWED_IPS } = require('./webhookAuth');
+const {
+    syncProductStock,
+    syncMultipleProducts,
+    clearMercadoLibreProductsCache,
+    getUnmappedMercadoLibreItems,
+    getDuplicateSkusReport,
+    getFulfillmentStockReport
+} = require('./syncStocksML');
+const { recordSyncRun, listSyncRuns, getSyncRun, getSkuSyncHistory } = require('./syncHistory');
+const { createSyncJob, getSyncJob, listSyncJobs, cancelSyncJob, subscribeToSyncJob } = require('./syncJobs');
+const {
+    listSkuMappings,
+    saveSkuMapping,
+    deleteSkuMapping,
+    exportSkuMappingsCsv,
+    importSkuMappingsCsv
+} = require('./skuMappings');
 
 // Configuración de Express
 const app = express();
 // Render usa el puerto de la variable de entorno PORT, o 3001 para desarrollo local
 const PORT = process.env.PORT || 3001;
 
+/**
+ * Interpretar TRUST_PROXY para Express
+ *
+ * Sin valor se confía en un proxy (el de Render). Un número es la cantidad de
+ * proxies (0 = ninguno), "true"/"false" se toman como booleanos y cualquier
+ * otro valor se pasa tal cual (IPs o rangos separados por coma, "loopback", etc.).
+ */
+function parseTrustProxy(value) {
+    if (value === undefined || value.trim() === '') return 1;
+
+    const trimmed = value.trim();
+    if (/^\d+$/.test(trimmed)) return parseInt(trimmed);
+    if (trimmed === 'true' || trimmed === 'false') return trimmed === 'true';
+    return trimmed;
+}
+
+// Detrás del proxy de Render, req.ip toma la IP del cliente desde X-Forwarded-For
+app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY));
+
 // Middlewares
-app.use(cors()); // Permite peticiones desde cualquier origen
+app.use(cors(getCorsOptions())); // Solo los orígenes de CORS_ORIGINS
 app.use(express.json()); // Permite parsear JSON en las peticiones
 
-// Variables de entorno del ERP
-const ERP_BASE_URL = process.env.ERP_BASE_URL;
-const ERP_USERNAME = process.env.ERP_USERNAME;
-const ERP_PASSWORD = process.env.ERP_PASSWORD;
-const RUT_EMPRESA = process.env.RUT_EMPRESA;
+// Estados OAuth ya usados (nonce -> expiresAt), para que cada "state" sirva una sola vez
+const usedOAuthStates = new Map();
+const OAUTH_STATE_TTL_MS = 10 * 60 * 1000; // 10 minutos
+
+/**
+ * Eliminar estados OAuth usados que ya expiraron
+ */
+function cleanupOAuthStates() {
+    const now = Date.now();
+    for (const [nonce, expiresAt] of usedOAuthStates) {
+        if (expiresAt <= now) {
+            usedOAuthStates.delete(nonce);
+        }
+    }
+}
+
+/**
+ * Firmar el contenido de un "state" OAuth con el secreto de la aplicación
+ */
+function signOAuthState(payload) {
+    if (!process.env.MERCADOLIBRE_CLIENT_SECRET) {
+        throw new Error('MERCADOLIBRE_CLIENT_SECRET no configurado');
+    }
+    return crypto.createHmac('sha256', process.env.MERCADOLIBRE_CLIENT_SECRET).update(payload).digest('hex');
+}
+
+/**
+ * Crear un "state" OAuth firmado y de corta duración ("<expira>.<nonce>.<firma>")
+ *
+ * Al ir firmado no depende de memoria del servidor: sigue siendo válido tras
+ * un reinicio, pero solo hasta que expira.
+ */
+function createOAuthState() {
+    const payload = `${Date.now() + OAUTH_STATE_TTL_MS}.${crypto.randomBytes(16).toString('hex')}`;
+    return `${payload}.${signOAuthState(payload)}`;
+}
+
+/**
+ * Validar y consumir un "state" OAuth
+ *
+ * @param {string} state - State recibido en /oauth/callback
+ * @returns {boolean} true si la firma es válida, no expiró y no se había usado
+ */
+function consumeOAuthState(state) {
+    const [expiresAtText, nonce, signature] = (state || '').toString().split('.');
+    if (!expiresAtText || !nonce || !signature) return false;
+
+    const expected = Buffer.from(signOAuthState(`${expiresAtText}.${nonce}`));
+    const received = Buffer.from(signature);
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) return false;
+
+    const expiresAt = parseInt(expiresAtText);
+    cleanupOAuthStates();
+    if (!(expiresAt > Date.now()) || usedOAuthStates.has(nonce)) return false;
+
+    usedOAuthStates.set(nonce, expiresAt);
+    return true;
+}
+
+/**
+ * Obtener la URI de redirección OAuth (debe coincidir con la registrada en Mercado Libre)
+ */
+function getOAuthRedirectUri(req) {
+    return process.env.MERCADOLIBRE_REDIRECT_URI || `${req.protocol}://${req.get('host')}/oauth/callback`;
+}
+
+/**
+ * Escapar texto para insertarlo en HTML
+ */
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Renderizar una página HTML simple para el flujo OAuth
+ */
+function renderOAuthPage(title, body) {
+    return `
+        <html>
+            <head>
+                <title>${escapeHtml(title)}</title>
+                <style>
+                    body {
+                        font-family: Arial, sans-serif;
+                        max-width: 800px;
+                        margin: 50px auto;
+                        padding: 20px;
+                        background-color: #f5f5f5;
+                    }
+                    .container {
+                        background: white;
+                        padding: 30px;
+                        border-radius: 8px;
+                        box-shadow: 0 2px 4px rgba(0,0,0,0.1);
+                    }
+                    h1 { color: #3483fa; }
+                    table { border-collapse: collapse; margin: 20px 0; }
+                    th, td { text-align: left; padding: 8px 16px; border-bottom: 1px solid #eee; }
+                    .instructions {
+                        background: #fff3cd;
+                        padding: 15px;
+                        border-radius: 4px;
+                        border-left: 4px solid #ffc107;
+                        margin: 20px 0;
+                    }
+                    .success { color: #28a745; font-weight: bold; }
+                </style>
+            </head>
+            <body>
+                <div class="container">
+                    ${body}
+                </div>
+            </body>
+        </html>
+    `;
+}
+
+/**
+ * Endpoint para consultar productos del ERP
+ * 
+ * GET /api/local/productos/:sku?
+ */
+app.get('/api/local/productos/:sku?', requireScope('read-products'), async (req, res) => {
+    try {
+        const codProducto = req.params.sku;
+        
+        console.log(`📦 Consultando ${codProducto ? `producto ${codProducto}` : 'lista de productos'} en Manager+`);
+        
+        const data = codProducto
+            ? await erpClient.getProduct(codProducto)
+            : await erpClient.listProducts();
+        
+        res.json({
+            success: true,
+            data,
+            message: codProducto ? `Producto ${codProducto} consultado exitosamente` : 'Lista de productos consultada exitosamente'
+        });
+        
+    } catch (error) {
+        console.error('❌ Error al consultar productos:', error.response?.data || error.message);
+        
+        const statusCode = error.response?.status || 500;
+        const errorMessage = error.response?.data?.message || error.message || 'Error desconocido';
+        
+        res.status(statusCode).json({
+            success: false,
+            error: errorMessage,
+            details: error.response?.data || null
+        });
+    }
+});
+
+/**
+ * Endpoint para sincronizar stocks entre Manager+ y Mercado Libre
+ * 
+ * POST /api/sync/stocks
+ * GET /api/sync/stocks?sku=ABC123
+ * GET /api/sync/stocks?all=true   (crea un job, ver /api/sync/jobs)
+ */
+app.post('/api/sync/stocks', requireScope('run-sync'), async (req, res) => {
+    try {
+        const { skus, dryRun = false } = req.body;
+        
+        if (!skus || !Array.isArray(skus) || skus.length === 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Se requiere un array de SKUs en el body'
+            });
+        }
+        
+        const results = await syncMultipleProducts(skus, { dryRun, trigger: 'api' });
+        
+        res.json({
+            success: true,
+            dryRun,
+            results
+        });
+        
+    } catch (error) {
+        console.error('❌ Error en sincronización:', error.message);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+app.get('/api/sync/stocks', requireScope('run-sync'), async (req, res) => {
+    try {
+        const { sku, all, dryRun } = req.query;
+        const isDryRun = dryRun === 'true' || dryRun === true;
+        
+        if (all === 'true' || all === true) {
+            // El catálogo completo tarda más que el timeout de la petición: se ejecuta como job
+            const job = createSyncJob({ type: 'stock', all: true, dryRun: isDryRun });
+            res.status(202).json({
+                success: true,
+                dryRun: isDryRun,
+                job,
+                statusUrl: `/api/sync/jobs/${job.id}`,
+                eventsUrl: `/api/sync/jobs/${job.id}/events`
+            });
+        } else if (sku) {
+            const startedAt = new Date().toISOString();
+            const result = await syncProductStock(sku, { dryRun: isDryRun });
+            recordSyncRun({
+                type: 'stock',
+                trigger: 'api',
+                options: { sku, dryRun: isDryRun },
+                startedAt,
+                results: { total: 1, details: result.listings || [result] }
+            });
+            res.json({
+                success: result.success,
+                dryRun: isDryRun,
+                result
+            });
+        } else {
+            res.status(400).json({
+                success: false,
+                error: 'Se requiere el parámetro "sku" o "all=true"'
+            });
+        }
+        
+    } catch (error) {
+        console.error('❌ Error en sincronización:', error.message);
+        res.status(error.code === 'SYNC_LOCKED' ? 409 : 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * Jobs de sincronización en segundo plano
+ * 
+ * POST /api/sync/jobs                 - Crear un job ({ type: "stock"|"price", all, skus, dryRun, priceList, concurrency })
+ * GET  /api/sync/jobs                 - Jobs recientes
+ * GET  /api/sync/jobs/:id             - Estado, progreso y resultados parciales
+ * GET  /api/sync/jobs/:id/events      - Progreso en vivo (Server-Sent Events)
+ * POST /api/sync/jobs/:id/cancel      - Cancelar un job en curso
+ */
+app.post('/api/sync/jobs', requireScope('run-sync'), (req, res) => {
+    try {
+        const { type = 'stock', all = false, skus, dryRun = false, priceList = null, concurrency = null } = req.body || {};
+        
+        if (!['stock', 'price'].includes(type)) {
+            return res.status(400).json({
+                success: false,
+                error: 'El campo "type" debe ser "stock" o "price"'
+            });
+        }
+        if (!all && (!Array.isArray(skus) || skus.length === 0)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Se requiere "all": true o un array "skus"'
+            });
+        }
+        
+        const job = createSyncJob({
+            type,
+            all: all === true || all === 'true',
+            skus: Array.isArray(skus) ? skus.map(sku => sku.toString().trim()).filter(Boolean) : [],
+            dryRun: dryRun === true || dryRun === 'true',
+            priceList,
+            concurrency: parseInt(concurrency) || null
+        });
+        
+        res.status(202).json({
+            success: true,
+            job,
+            statusUrl: `/api/sync/jobs/${job.id}`,
+            eventsUrl: `/api/sync/jobs/${job.id}/events`
+        });
+        
+    } catch (error) {
+        res.status(error.code === 'SYNC_LOCKED' ? 409 : 500).json({
+            success: false,
+            error: error.message,
+            lock: error.lock
+        });
+    }
+});
+
+app.get('/api/sync/jobs', requireScope('run-sync'), (req, res) => {
+    const jobs = listSyncJobs();
+    res.json({
+        success: true,
+        count: jobs.length,
+        jobs
+    });
+});
+
+app.get('/api/sync/jobs/:id', requireScope('run-sync'), (req, res) => {
+    const job = getSyncJob(req.params.id, { includeDetails: req.query.details !== 'false' });
+    
+    if (!job) {
+        return res.status(404).json({
+            success: false,
+            error: `No existe el job ${req.params.id}`
+        });
+    }
+    
+    res.json({
+        success: true,
+        job
+    });
+});
+
+// EventSource no permite headers: esta ruta también acepta ?api_key=
+app.get('/api/sync/jobs/:id/events', requireScope('run-sync', { allowQueryKey: true }), (req, res) => {
+    const job = getSyncJob(req.params.id, { includeDetails: false });
+    
+    if (!job) {
+        return res.status(404).json({
+            success: false,
+            error: `No existe el job ${req.params.id}`
+        });
+    }
+    
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive'
+    });
+    res.flushHeaders();
+    
+    const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    send('status', job);
+    
+    let keepAlive = null;
+    const unsubscribe = subscribeToSyncJob(req.params.id, (event, data) => {
+        send(event, data);
+        if (event === 'end') {
+            close();
+        }
+    });
+    
+    function close() {
+        clearInterval(keepAlive);
+        if (unsubscribe) unsubscribe();
+        res.end();
+    }
+    
+    // Job ya terminado: solo se envía su estado final
+    if (!unsubscribe) {
+        send('end', job);
+        return res.end();
+    }
+    
+    // Comentario periódico para que los proxies no corten la conexión
+    keepAlive = setInterval(() => res.write(': ping\n\n'), 15000);
+    req.on('close', close);
+});
+
+app.post('/api/sync/jobs/:id/cancel', requireScope('run-sync'), (req, res) => {
+    try {
+        const job = cancelSyncJob(req.params.id);
+        
+        if (!job) {
+            return res.status(404).json({
+                success: false,
+                error: `No existe el job ${req.params.id}`
+            });
+        }
+        
+        res.json({
+            success: true,
+            message: 'Cancelación solicitada: el job se detiene al terminar el grupo de SKUs en curso',
+            job
+        });
+        
+    } catch (error) {
+        res.status(error.code === 'JOB_FINISHED' ? 409 : 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * Historial de ejecuciones de sincronización
+ * 
+ * GET /api/sync/runs?type=stock&trigger=cron&limit=50  - Ejecuciones (sin detalle)
+ * GET /api/sync/runs/:id                               - Ejecución con el antes/después por publicación
+ * GET /api/sync/sku/:sku/history?changesOnly=true      - Historial de un SKU
+ */
+app.get('/api/sync/runs', requireScope('run-sync'), (req, res) => {
+    try {
+        const { type, trigger, limit } = req.query;
+        const runs = listSyncRuns({ type, trigger, limit: parseInt(limit) || 50 });
+        
+        res.json({
+            success: true,
+            count: runs.length,
+            runs
+        });
+        
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+app.get('/api/sync/runs/:id', requireScope('run-sync'), (req, res) => {
+    try {
+        const run = getSyncRun(req.params.id);
+        
+        if (!run) {
+            return res.status(404).json({
+                success: false,
+                error: `No existe la ejecución ${req.params.id}`
+            });
+        }
+        
+        res.json({
+            success: true,
+            run
+        });
+        
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+app.get('/api/sync/sku/:sku/history', requireScope('run-sync'), (req, res) => {
+    try {
+        const { type, changesOnly, limit } = req.query;
+        const history = getSkuSyncHistory(req.params.sku, {
+            type,
+            changesOnly: changesOnly === 'true',
+            limit: parseInt(limit) || 100
+        });
+        
+        res.json({
+            success: true,
+            sku: req.params.sku,
+            count: history.length,
+            history
+        });
+        
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * Reporte de SKUs publicados en más de una publicación/variación
+ * 
+ * GET /api/sync/duplicates?refresh=true
+ */
+app.get('/api/sync/duplicates', requireScope('run-sync'), async (req, res) => {
+    try {
+        const report = await getDuplicateSkusReport({ refresh: req.query.refresh === 'true' });
+        
+        res.json({
+            success: true,
+            generatedAt: report.generatedAt,
+            count: report.skus.length,
+            skus: report.skus
+        });
+        
+    } catch (error) {
+        console.error('❌ Error al generar reporte de SKUs duplicados:', error.message);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * Reporte de solo lectura del stock de las publicaciones Full vs. Manager+
+ * 
+ * GET /api/sync/fulfillment?refresh=true
+ */
+app.get('/api/sync/fulfillment', requireScope('run-sync'), async (req, res) => {
+    try {
+        const report = await getFulfillmentStockReport({ refresh: req.query.refresh === 'true' });
+        
+        res.json({
+            success: true,
+            ...report
+        });
+        
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * Procesar una notificación de Mercado Libre (invocado por el worker de la cola)
+ * 
+ * Cada topic tiene su handler (ver webhookTopics.js). Lanza error si el
+ * procesamiento falla, para que la cola lo reintente.
+ * 
+ * @param {Object} notificationData - Body de la notificación
+ */
+async function handleMercadoLibreNotification(notificationData) {
+    const topic = notificationData.topic || notificationData.type;
+    
+    console.log(`📨 Procesando notificación ${topic} (${notificationData.resource})...`);
+    const result = await routeNotification(notificationData);
+    if (result) {
+        console.log(`✅ Notificación ${topic} procesada exitosamente`);
+    }
+}
+
+/**
+ * Endpoint para recibir webhooks de Mercado Libre
+ * 
+ * POST /api/webhooks/mercadolibre
+ * 
+ * Mercado Libre enviará notificaciones cuando ocurran eventos como:
+ * - Nuevas órdenes
+ * - Cambios en órdenes existentes
+ * 
+ * Antes de encolarla se verifica su autenticidad (ver webhookAuth.js); las
+ * rechazadas quedan en el log de auditoría. La notificación se guarda en la
+ * cola persistente antes de responder, y el worker la procesa con reintentos.
+ */
+app.post('/api/webhooks/mercadolibre', verifyMercadoLibreWebhook, (req, res) => {
+    try {
+        console.log('📥 Webhook recibido de Mercado Libre');
+        console.log('📋 Headers:', JSON.stringify(req.headers, null, 2));
+        console.log('📋 Body:', JSON.stringify(req.body, null, 2));
+        
+        const item = enqueueNotification(req.body);
+        
+        // Responder a Mercado Libre (200 OK) una vez persistida la notificación
+        res.status(200).json({
+            success: true,
+            message: 'Notificación recibida',
+            queueId: item.id
+        });
+        
+    } catch (error) {
+        console.error('❌ Error al encolar webhook:', error.message);
+        // No se pudo persistir: responder con error para que Mercado Libre la reenvíe
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * Endpoints para administrar la cola de notificaciones
+ * 
+ * GET /api/webhooks/queue
+ * GET /api/webhooks/dead-letter
+ * GET /api/webhooks/dead-letter/:id
+ * POST /api/webhooks/dead-letter/:id/replay
+ * DELETE /api/webhooks/dead-letter/:id
+ * GET /api/webhooks/rejected?code=MALFORMED&limit=100
+ * GET /api/webhooks/topics
+ */
+app.get('/api/webhooks/queue', requireScope('admin'), (req, res) => {
+    try {
+        const items = listQueuedNotifications();
+        res.json({
+            success: true,
+            count: items.length,
+            items
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+app.get('/api/webhooks/dead-letter', requireScope('admin'), (req, res) => {
+    try {
+        const items = listDeadLetters();
+        res.json({
+            success: true,
+            count: items.length,
+            items
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
 
-// Variable para almacenar el token de autenticación en memoria
-let authToken = null;
-let tokenExpirationTime = null;
+app.get('/api/webhooks/dead-letter/:id', requireScope('admin'), (req, res) => {
+    try {
+        const item = getDeadLetter(req.params.id);
+        if (!item) {
+            return res.status(404).json({
+                success: false,
+                error: `No existe la notificación ${req.params.id} en dead-letter`
+            });
+        }
+        res.json({
+            success: true,
+            item
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+app.post('/api/webhooks/dead-letter/:id/replay', requireScope('admin'), (req, res) => {
+    try {
+        const item = replayDeadLetter(req.params.id);
+        if (!item) {
+            return res.status(404).json({
+                success: false,
+                error: `No existe la notificación ${req.params.id} en dead-letter`
+            });
+        }
+        console.log(`🔁 Notificación ${item.id} reencolada desde dead-letter`);
+        res.json({
+            success: true,
+            message: 'Notificación reencolada',
+            item
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+app.delete('/api/webhooks/dead-letter/:id', requireScope('admin'), (req, res) => {
+    try {
+        const item = discardDeadLetter(req.params.id);
+        if (!item) {
+            return res.status(404).json({
+                success: false,
+                error: `No existe la notificación ${req.params.id} en dead-letter`
+            });
+        }
+        console.log(`🗑️  Notificación ${item.id} descartada desde dead-letter`);
+        res.json({
+            success: true,
+            message: 'Notificación descartada',
+            item
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+app.get('/api/webhooks/rejected', requireScope('admin'), (req, res) => {
+    try {
+        const { code, limit } = req.query;
+        const items = listWebhookRejections({
+            code,
+            limit: parseInt(limit) || 100
+        });
+        res.json({
+            success: true,
+            count: items.length,
+            items
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+app.get('/api/webhooks/topics', requireScope('admin'), (req, res) => {
+    res.json({
+        success: true,
+        topics: listTopicHandlers()
+    });
+});
+
+/**
+ * Endpoint para verificar el webhook (GET request de Mercado Libre)
+ * 
+ * Mercado Libre puede hacer un GET para verificar que el endpoint existe
+ */
+app.get('/api/webhooks/mercadolibre', (req, res) => {
+    res.json({
+        success: true,
+        message: 'Webhook endpoint activo',
+        timestamp: new Date().toISOString()
+    });
+});
 
 /**
- * Función para autenticarse con el ERP Manager+
+ * Endpoints para consultar el registro de órdenes importadas
+ * 
+ * GET /api/orders?importStatus=failed&reversalStatus=failed&limit=50
+ * GET /api/orders/:orderId
+ * POST /api/orders/:orderId/reconcile  { "nvFolio": "1234" } | { "retry": true }
+ *                                      { "reversalFolio": "55" } | { "retryReversal": true }
+ * 
+ * Permiten saber qué Nota de Venta generó cada orden de Mercado Libre y sus reversas,
+ * y conciliar las órdenes o reversas en needs_reconcile (registrar el documento
+ * existente o crearlo de nuevo)
  */
-async function authenticateWithERP() {
+app.get('/api/orders', requireScope('admin'), (req, res) => {
     try {
-        console.log('🔐 Autenticando con el ERP Manager+...');
-        
-        const response = await axios.post(`${ERP_BASE_URL}/auth/`, {
-            username: ERP_USERNAME,
-            password: ERP_PASSWORD
-        }, {
-            headers: {
-                'Content-Type': 'application/json'
-            }
+        const { importStatus, reversalStatus, limit } = req.query;
+        const orders = listOrderEntries({
+            importStatus,
+            reversalStatus,
+            limit: parseInt(limit) || 100
         });
-
-        authToken = response.data.auth_token;
-        tokenExpirationTime = Date.now() + (60 * 60 * 1000); // 1 hora
         
-        console.log('✅ Autenticación exitosa');
-        return authToken;
+        res.json({
+            success: true,
+            count: orders.length,
+            orders
+        });
         
     } catch (error) {
-        console.error('❌ Error en la autenticación:', error.response?.data || error.message);
-        throw new Error('Error al autenticarse con el ERP: ' + (error.response?.data?.message || error.message));
+        console.error('❌ Error al consultar registro de órdenes:', error.message);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
     }
-}
+});
 
-/**
- * Función para obtener el token de autenticación
- */
-async function getAuthToken() {
-    if (authToken && tokenExpirationTime && Date.now() < tokenExpirationTime) {
-        return authToken;
+app.get('/api/orders/:orderId', requireScope('admin'), (req, res) => {
+    try {
+        const order = getOrderEntry(req.params.orderId);
+        
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                error: `La orden ${req.params.orderId} no ha sido procesada`
+            });
+        }
+        
+        res.json({
+            success: true,
+            order
+        });
+        
+    } catch (error) {
+        console.error('❌ Error al consultar orden:', error.message);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
     }
-    return await authenticateWithERP();
-}
+});
 
-/**
- * Endpoint para consultar productos del ERP
- * 
- * GET /api/local/productos/:sku?
- */
-app.get('/api/local/productos/:sku?', async (req, res) => {
+app.post('/api/orders/:orderId/reconcile', requireScope('admin'), async (req, res) => {
     try {
-        const codProducto = req.params.sku;
-        const token = await getAuthToken();
+        const { nvFolio, retry, reversalFolio, retryReversal } = req.body || {};
+        const order = getOrderEntry(req.params.orderId);
         
-        let url;
-        if (codProducto) {
-            url = `${ERP_BASE_URL}/products/${RUT_EMPRESA}/${codProducto}/`;
-        } else {
-            url = `${ERP_BASE_URL}/products/${RUT_EMPRESA}/`;
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                error: `La orden ${req.params.orderId} no ha sido procesada`
+            });
         }
         
-        console.log(`📦 Consultando productos desde: ${url}`);
+        const reconcilingReversal = Boolean(reversalFolio) || retryReversal === true;
+        if (!reconcilingReversal && !nvFolio && retry !== true) {
+            return res.status(400).json({
+                success: false,
+                error: 'Indica nvFolio o reversalFolio (el documento ya existe en Manager+), o retry / retryReversal: true (no existe)'
+            });
+        }
+        if (!reconcilingReversal && order.importStatus === IMPORT_STATUS.IMPORTED) {
+            return res.status(409).json({
+                success: false,
+                error: `La orden ${req.params.orderId} ya está importada (NV ${order.nvFolio})`
+            });
+        }
+        if (reconcilingReversal && order.importStatus !== IMPORT_STATUS.IMPORTED) {
+            return res.status(409).json({
+                success: false,
+                error: `La orden ${req.params.orderId} no tiene una NV registrada`
+            });
+        }
         
-        const response = await axios.get(url, {
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Token ${token}`
-            }
+        const result = await reconcileOrder(req.params.orderId, {
+            nvFolio,
+            retry: retry === true,
+            reversalFolio,
+            retryReversal: retryReversal === true
         });
         
         res.json({
             success: true,
-            data: response.data,
-            message: codProducto ? `Producto ${codProducto} consultado exitosamente` : 'Lista de productos consultada exitosamente'
+            result,
+            order: getOrderEntry(req.params.orderId)
         });
         
     } catch (error) {
-        console.error('❌ Error al consultar productos:', error.response?.data || error.message);
-        
-        const statusCode = error.response?.status || 500;
-        const errorMessage = error.response?.data?.message || error.message || 'Error desconocido';
-        
-        res.status(statusCode).json({
+        console.error('❌ Error al conciliar orden:', error.message);
+        res.status(500).json({
             success: false,
-            error: errorMessage,
-            details: error.response?.data || null
+            error: error.response?.data?.mensaje || error.message
         });
     }
 });
 
 /**
- * Endpoint para sincronizar stocks entre Manager+ y Mercado Libre
+ * Endpoints para consultar las preguntas recibidas (vista de soporte)
  * 
- * POST /api/sync/stocks
- * GET /api/sync/stocks?sku=ABC123
- * GET /api/sync/stocks?all=true
+ * GET /api/questions?status=UNANSWERED&itemId=MLC123&limit=100
+ * GET /api/questions/:id
  */
-app.post('/api/sync/stocks', async (req, res) => {
+app.get('/api/questions', requireScope('admin'), (req, res) => {
     try {
-        const { skus, dryRun = false } = req.body;
+        const { status, itemId, limit } = req.query;
+        const questions = listQuestions({
+            status,
+            itemId,
+            limit: parseInt(limit) || 100
+        });
         
-        if (!skus || !Array.isArray(skus) || skus.length === 0) {
-            return res.status(400).json({
+        res.json({
+            success: true,
+            count: questions.length,
+            questions
+        });
+        
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+app.get('/api/questions/:id', requireScope('admin'), (req, res) => {
+    try {
+        const question = getQuestion(req.params.id);
+        
+        if (!question) {
+            return res.status(404).json({
                 success: false,
-                error: 'Se requiere un array de SKUs en el body'
+                error: `No existe la pregunta ${req.params.id}`
             });
         }
         
-        const results = await syncMultipleProducts(skus, { dryRun });
+        res.json({
+            success: true,
+            question
+        });
+        
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * Endpoints de la tabla de equivalencias publicación ML ↔ producto Manager+
+ * 
+ * GET    /api/sku-mappings                            - Listar equivalencias
+ * GET    /api/sku-mappings/export                     - Exportar como CSV
+ * POST   /api/sku-mappings/import?replace=true        - Importar CSV (body text/csv)
+ * GET    /api/sku-mappings/unmapped?refresh=true      - Publicaciones sin SKU ni equivalencia
+ * PUT    /api/sku-mappings/:itemId/:variationId?      - Crear o actualizar ({ codProducto, multiplier })
+ * DELETE /api/sku-mappings/:itemId/:variationId?      - Eliminar
+ */
+app.get('/api/sku-mappings', requireScope('admin'), (req, res) => {
+    try {
+        const mappings = listSkuMappings();
         
         res.json({
             success: true,
-            dryRun,
-            results
+            count: mappings.length,
+            mappings
         });
         
     } catch (error) {
-        console.error('❌ Error en sincronización:', error.message);
+        console.error('❌ Error al consultar equivalencias de SKU:', error.message);
         res.status(500).json({
             success: false,
             error: error.message
@@ -150,34 +981,71 @@ app.post('/api/sync/stocks', async (req, res) => {
     }
 });
 
-app.get('/api/sync/stocks', async (req, res) => {
+app.get('/api/sku-mappings/export', requireScope('admin'), (req, res) => {
     try {
-        const { sku, all, dryRun } = req.query;
-        const isDryRun = dryRun === 'true' || dryRun === true;
+        res.set('Content-Type', 'text/csv; charset=utf-8');
+        res.set('Content-Disposition', 'attachment; filename="sku-mappings.csv"');
+        res.send(exportSkuMappingsCsv());
         
-        if (all === 'true' || all === true) {
-            const results = await syncAllProducts({ dryRun: isDryRun });
-            res.json({
-                success: true,
-                dryRun: isDryRun,
-                results
-            });
-        } else if (sku) {
-            const result = await syncProductStock(sku, { dryRun: isDryRun });
-            res.json({
-                success: result.success,
-                dryRun: isDryRun,
-                result
+    } catch (error) {
+        console.error('❌ Error al exportar equivalencias de SKU:', error.message);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+app.post('/api/sku-mappings/import', requireScope('admin'), express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }), (req, res) => {
+    try {
+        if (typeof req.body !== 'string' || !req.body.trim()) {
+            return res.status(400).json({
+                success: false,
+                error: 'Se requiere el contenido CSV en el body (Content-Type: text/csv)'
             });
-        } else {
-            res.status(400).json({
+        }
+        
+        const result = importSkuMappingsCsv(req.body, { replace: req.query.replace === 'true' });
+        if (result.rejected) {
+            console.warn(`⚠️  Importación de equivalencias de SKU rechazada: ${result.errors.length} filas con errores (replace=true)`);
+            return res.status(400).json({
                 success: false,
-                error: 'Se requiere el parámetro "sku" o "all=true"'
+                error: 'Con replace=true el CSV no debe tener filas con errores. La tabla no se modificó.',
+                imported: 0,
+                errors: result.errors
             });
         }
+        clearMercadoLibreProductsCache();
+        
+        console.log(`📥 Equivalencias de SKU importadas: ${result.imported} (${result.errors.length} con errores)`);
+        res.json({
+            success: result.errors.length === 0,
+            imported: result.imported,
+            errors: result.errors
+        });
         
     } catch (error) {
-        console.error('❌ Error en sincronización:', error.message);
+        console.error('❌ Error al importar equivalencias de SKU:', error.message);
+        res.status(400).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+app.get('/api/sku-mappings/unmapped', requireScope('admin'), async (req, res) => {
+    try {
+        const report = await getUnmappedMercadoLibreItems({ refresh: req.query.refresh === 'true' });
+        
+        res.json({
+            success: true,
+            generatedAt: report.generatedAt,
+            count: report.items.length,
+            items: report.items
+        });
+        
+    } catch (error) {
+        console.error('❌ Error al generar reporte de publicaciones sin SKU:', error.message);
         res.status(500).json({
             success: false,
             error: error.message
@@ -185,56 +1053,51 @@ app.get('/api/sync/stocks', async (req, res) => {
     }
 });
 
-/**
- * Endpoint para recibir webhooks de Mercado Libre
- * 
- * POST /api/webhooks/mercadolibre
- * 
- * Mercado Libre enviará notificaciones cuando ocurran eventos como:
- * - Nuevas órdenes
- * - Cambios en órdenes existentes
- */
-app.post('/api/webhooks/mercadolibre', async (req, res) => {
+app.put('/api/sku-mappings/:itemId/:variationId?', requireScope('admin'), (req, res) => {
     try {
-        console.log('📥 Webhook recibido de Mercado Libre');
-        console.log('📋 Headers:', JSON.stringify(req.headers, null, 2));
-        console.log('📋 Body:', JSON.stringify(req.body, null, 2));
+        const { codProducto, multiplier } = req.body || {};
+        const mapping = saveSkuMapping({
+            itemId: req.params.itemId,
+            variationId: req.params.variationId || null,
+            codProducto,
+            multiplier
+        });
+        clearMercadoLibreProductsCache();
         
-        // Responder inmediatamente a Mercado Libre (200 OK)
-        // para evitar que reintente la notificación
-        res.status(200).json({
+        res.json({
             success: true,
-            message: 'Notificación recibida'
-        });
-        
-        // Procesar la notificación de forma asíncrona
-        // (no bloquear la respuesta)
-        setImmediate(async () => {
-            try {
-                const notificationData = req.body;
-                
-                // Verificar el tipo de notificación
-                const topic = notificationData.topic || notificationData.type;
-                
-                if (topic === 'orders_v2' || topic === 'orders') {
-                    // Es una notificación de orden
-                    console.log('🛒 Procesando notificación de orden...');
-                    await processOrderNotification(notificationData);
-                    console.log('✅ Notificación de orden procesada exitosamente');
-                } else {
-                    console.log(`ℹ️  Tipo de notificación no manejado: ${topic}`);
-                }
-                
-            } catch (error) {
-                console.error('❌ Error al procesar notificación:', error.message);
-                // Aquí podrías implementar un sistema de reintentos o logging
-            }
+            mapping
         });
         
     } catch (error) {
-        console.error('❌ Error al procesar webhook:', error.message);
-        // Aún así responder 200 para evitar reintentos de Mercado Libre
-        res.status(200).json({
+        console.error('❌ Error al guardar equivalencia de SKU:', error.message);
+        res.status(400).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+app.delete('/api/sku-mappings/:itemId/:variationId?', requireScope('admin'), (req, res) => {
+    try {
+        const mapping = deleteSkuMapping(req.params.itemId, req.params.variationId || null);
+        
+        if (!mapping) {
+            return res.status(404).json({
+                success: false,
+                error: 'Equivalencia no encontrada'
+            });
+        }
+        clearMercadoLibreProductsCache();
+        
+        res.json({
+            success: true,
+            mapping
+        });
+        
+    } catch (error) {
+        console.error('❌ Error al eliminar equivalencia de SKU:', error.message);
+        res.status(500).json({
             success: false,
             error: error.message
         });
@@ -242,16 +1105,28 @@ app.post('/api/webhooks/mercadolibre', async (req, res) => {
 });
 
 /**
- * Endpoint para verificar el webhook (GET request de Mercado Libre)
+ * Endpoint para iniciar la autorización OAuth de Mercado Libre
  * 
- * Mercado Libre puede hacer un GET para verificar que el endpoint existe
+ * GET /oauth/start
+ * 
+ * Redirige a la pantalla de autorización con un "state" firmado de un solo
+ * uso, así que se puede abrir directamente desde el navegador. No requiere API
+ * key: /oauth/callback solo guarda tokens de la cuenta configurada en
+ * MERCADOLIBRE_USER_ID o de la que ya estaba conectada.
  */
-app.get('/api/webhooks/mercadolibre', (req, res) => {
-    res.json({
-        success: true,
-        message: 'Webhook endpoint activo',
-        timestamp: new Date().toISOString()
-    });
+app.get('/oauth/start', (req, res) => {
+    try {
+        const authorizationUrl = getAuthorizationUrl(getOAuthRedirectUri(req), createOAuthState());
+        console.log('🔐 Iniciando autorización OAuth con Mercado Libre...');
+        res.redirect(authorizationUrl);
+
+    } catch (error) {
+        console.error('❌ Error al iniciar autorización OAuth:', error.message);
+        res.status(500).send(renderOAuthPage('Error de Autorización', `
+            <h1>❌ Error de Autorización</h1>
+            <p>${escapeHtml(error.message)}</p>
+        `));
+    }
 });
 
 /**
@@ -260,131 +1135,68 @@ app.get('/api/webhooks/mercadolibre', (req, res) => {
  * GET /oauth/callback
  * 
  * Este endpoint recibe el código de autorización después de que el usuario
- * autoriza la aplicación en Mercado Libre
+ * autoriza la aplicación en Mercado Libre, valida el "state" generado en
+ * /oauth/start, intercambia el código por tokens y los guarda
  */
-app.get('/oauth/callback', (req, res) => {
-    const { code, error } = req.query;
+app.get('/oauth/callback', async (req, res) => {
+    const { code, error, state } = req.query;
     
     if (error) {
         console.error('❌ Error en autorización de Mercado Libre:', error);
-        return res.status(400).send(`
-            <html>
-                <head><title>Error de Autorización</title></head>
-                <body>
-                    <h1>❌ Error de Autorización</h1>
-                    <p>Error: ${error}</p>
-                    <p>Por favor, intenta nuevamente.</p>
-                </body>
-            </html>
-        `);
+        return res.status(400).send(renderOAuthPage('Error de Autorización', `
+            <h1>❌ Error de Autorización</h1>
+            <p>Error: ${escapeHtml(error)}</p>
+            <p>Por favor, inicia nuevamente la conexión con <a href="/oauth/start">/oauth/start</a>.</p>
+        `));
     }
     
     if (!code) {
-        return res.status(400).send(`
-            <html>
-                <head><title>Error</title></head>
-                <body>
-                    <h1>❌ Error</h1>
-                    <p>No se recibió el código de autorización.</p>
-                </body>
-            </html>
-        `);
+        return res.status(400).send(renderOAuthPage('Error', `
+            <h1>❌ Error</h1>
+            <p>No se recibió el código de autorización.</p>
+        `));
     }
     
-    console.log('✅ Código de autorización recibido:', code);
+    // Validar el state (firmado, vigente y de un solo uso)
+    if (!consumeOAuthState(state)) {
+        console.warn('⚠️  Callback OAuth con state inválido o expirado');
+        return res.status(400).send(renderOAuthPage('Error de Autorización', `
+            <h1>❌ Solicitud de autorización inválida</h1>
+            <p>El parámetro <code>state</code> no es válido o expiró.</p>
+            <p>Inicia la conexión con <a href="/oauth/start">/oauth/start</a>.</p>
+        `));
+    }
     
-    // Mostrar página con instrucciones para intercambiar el código por tokens
-    res.send(`
-        <html>
-            <head>
-                <title>Autorización Exitosa</title>
-                <style>
-                    body {
-                        font-family: Arial, sans-serif;
-                        max-width: 800px;
-                        margin: 50px auto;
-                        padding: 20px;
-                        background-color: #f5f5f5;
-                    }
-                    .container {
-                        background: white;
-                        padding: 30px;
-                        border-radius: 8px;
-                        box-shadow: 0 2px 4px rgba(0,0,0,0.1);
-                    }
-                    h1 { color: #3483fa; }
-                    .code-box {
-                        background: #f8f9fa;
-                        padding: 15px;
-                        border-radius: 4px;
-                        border-left: 4px solid #3483fa;
-                        margin: 20px 0;
-                        font-family: monospace;
-                        word-break: break-all;
-                    }
-                    .instructions {
-                        background: #fff3cd;
-                        padding: 15px;
-                        border-radius: 4px;
-                        border-left: 4px solid #ffc107;
-                        margin: 20px 0;
-                    }
-                    .command {
-                        background: #000;
-                        color: #0f0;
-                        padding: 15px;
-                        border-radius: 4px;
-                        margin: 10px 0;
-                        font-family: monospace;
-                        overflow-x: auto;
-                    }
-                    .success { color: #28a745; font-weight: bold; }
-                </style>
-            </head>
-            <body>
-                <div class="container">
-                    <h1>✅ Autorización Exitosa</h1>
-                    <p class="success">¡Has autorizado la aplicación correctamente!</p>
-                    
-                    <div class="instructions">
-                        <h3>📋 Próximos Pasos:</h3>
-                        <p>Ahora necesitas intercambiar este código por tokens de acceso.</p>
-                    </div>
-                    
-                    <h3>🔑 Código de Autorización:</h3>
-                    <div class="code-box">
-                        ${code}
-                    </div>
-                    
-                    <h3>💻 Comando para Obtener Tokens:</h3>
-                    <p>Ejecuta este comando en tu terminal (reemplaza los valores):</p>
-                    <div class="command">
-curl -X POST \\
-  https://api.mercadolibre.com/oauth/token \\
-  -H 'Content-Type: application/json' \\
-  -d '{
-    "grant_type": "authorization_code",
-    "client_id": "TU_CLIENT_ID",
-    "client_secret": "TU_CLIENT_SECRET",
-    "code": "${code}",
-    "redirect_uri": "${req.protocol}://${req.get('host')}/oauth/callback"
-  }'
-                    </div>
-                    
-                    <div class="instructions">
-                        <p><strong>⚠️ Importante:</strong></p>
-                        <ul>
-                            <li>Reemplaza <code>TU_CLIENT_ID</code> con tu Client ID de Mercado Libre</li>
-                            <li>Reemplaza <code>TU_CLIENT_SECRET</code> con tu Client Secret</li>
-                            <li>Guarda los tokens que recibas en tu archivo <code>.env</code></li>
-                        </ul>
-                    </div>
-                    
-                    <p><strong>📝 Nota:</strong> Puedes cerrar esta ventana después de copiar el código.</p>
-                </div>
-            </body>
-        </html>
-    `);
+    try {
+        await exchangeAuthorizationCode(code, getOAuthRedirectUri(req));
+        const user = await verifyMercadoLibreAuth();
+        
+        res.send(renderOAuthPage('Autorización Exitosa', `
+            <h1>✅ Cuenta conectada</h1>
+            <p class="success">¡La aplicación quedó autorizada y los tokens fueron guardados!</p>
+            <table>
+                <tr><th>Nickname</th><td>${escapeHtml(user.nickname)}</td></tr>
+                <tr><th>User ID</th><td>${escapeHtml(user.id)}</td></tr>
+                <tr><th>Sitio</th><td>${escapeHtml(user.site_id)}</td></tr>
+            </table>
+            <p><strong>📝 Nota:</strong> Puedes cerrar esta ventana.</p>
+        `));
+        
+    } catch (exchangeError) {
+        if (exchangeError.code === 'ML_USER_MISMATCH') {
+            return res.status(403).send(renderOAuthPage('Cuenta no autorizada', `
+                <h1>🚫 Cuenta no autorizada</h1>
+                <p>La cuenta de Mercado Libre que autorizó (${escapeHtml(exchangeError.authorizedUserId || 'desconocida')}) no es la cuenta conectada (${escapeHtml(exchangeError.expectedUserId)}). Los tokens no se guardaron.</p>
+                <p>Cierra la sesión de Mercado Libre, ingresa con la cuenta del vendedor y vuelve a iniciar la conexión con <a href="/oauth/start">/oauth/start</a>.</p>
+            `));
+        }
+        console.error('❌ Error al completar la autorización OAuth:', exchangeError.message);
+        res.status(502).send(renderOAuthPage('Error de Autorización', `
+            <h1>❌ No se pudo completar la autorización</h1>
+            <p>${escapeHtml(exchangeError.message)}</p>
+            <p>Por favor, inicia nuevamente la conexión con <a href="/oauth/start">/oauth/start</a>.</p>
+        `));
+    }
 });
 
 /**
@@ -414,12 +1226,38 @@ app.get('/', (req, res) => {
             health: '/health',
             productos: '/api/local/productos/:sku?',
             syncStocks: '/api/sync/stocks',
+            syncJobs: '/api/sync/jobs/:id?',
+            syncRuns: '/api/sync/runs/:id?',
+            syncSkuHistory: '/api/sync/sku/:sku/history',
+            syncDuplicates: '/api/sync/duplicates',
+            syncFulfillment: '/api/sync/fulfillment',
+            orders: '/api/orders/:orderId?',
+            questions: '/api/questions/:id?',
+            skuMappings: '/api/sku-mappings/:itemId?/:variationId?',
+            skuMappingsUnmapped: '/api/sku-mappings/unmapped',
             webhook: '/api/webhooks/mercadolibre',
+            webhookQueue: '/api/webhooks/queue',
+            webhookDeadLetter: '/api/webhooks/dead-letter/:id?',
+            webhookRejected: '/api/webhooks/rejected',
+            webhookTopics: '/api/webhooks/topics',
+            oauthStart: '/oauth/start',
             oauthCallback: '/oauth/callback'
         }
     });
 });
 
+/**
+ * Cargar las API keys antes de aceptar peticiones: con un archivo inválido
+ * todas las rutas protegidas fallarían, así que el servidor no inicia
+ */
+try {
+    loadApiKeys();
+} catch (error) {
+    console.error(`❌ Error al cargar las API keys: ${error.message}`);
+    console.error('   Corrige el archivo (o API_KEYS_FILE) y vuelve a iniciar el servidor.');
+    process.exit(1);
+}
+
 /**
  * Iniciar el servidor
  */
@@ -433,12 +1271,39 @@ app.listen(PORT, () => {
     console.log(`   - GET /api/sync/stocks?sku=ABC123`);
     console.log(`   - GET /api/sync/stocks?all=true`);
     console.log(`   - POST /api/sync/stocks`);
+    console.log(`   - POST|GET /api/sync/jobs/:id? (events, cancel)`);
+    console.log(`   - GET /api/sync/runs/:id?`);
+    console.log(`   - GET /api/sync/sku/:sku/history`);
+    console.log(`   - GET /api/sync/duplicates`);
+    console.log(`   - GET /api/sync/fulfillment`);
+    console.log(`   - GET /api/orders/:orderId?`);
+    console.log(`   - POST /api/orders/:orderId/reconcile`);
+    console.log(`   - GET /api/questions/:id?`);
+    console.log(`   - GET /api/sku-mappings (export, import, unmapped)`);
+    console.log(`   - PUT|DELETE /api/sku-mappings/:itemId/:variationId?`);
     console.log(`   - POST /api/webhooks/mercadolibre`);
+    console.log(`   - GET /api/webhooks/queue`);
+    console.log(`   - GET|DELETE /api/webhooks/dead-letter/:id?`);
+    console.log(`   - POST /api/webhooks/dead-letter/:id/replay`);
+    console.log(`   - GET /api/webhooks/rejected`);
+    console.log(`   - GET /api/webhooks/topics`);
+    console.log(`   - GET /oauth/start`);
     console.log(`   - GET /oauth/callback`);
+    console.log(`🔒 Rutas públicas: /health, /, /api/webhooks/mercadolibre, /oauth/start y /oauth/callback; el resto requiere API key`);
+    console.log(`🌍 CORS: ${CORS_ORIGINS.length > 0 ? CORS_ORIGINS.join(', ') : 'sin orígenes externos permitidos'}`);
+    console.log(`📮 Webhooks: ${ML_WEBHOOK_ALLOWED_IPS.length > 0 ? `solo desde ${ML_WEBHOOK_ALLOWED_IPS.join(', ')}` : 'desde cualquier IP'}${process.env.WEBHOOK_SECRET ? ', con secreto en la URL' : ''}`);
+    console.log(`📨 Topics habilitados: ${listTopicHandlers().filter(handler => handler.enabled).map(handler => handler.topic).join(', ') || 'ninguno'}`);
+    if (!process.env.MERCADOLIBRE_CLIENT_ID) {
+        console.warn('⚠️  MERCADOLIBRE_CLIENT_ID no configurado: no se verificará el application_id de los webhooks');
+    }
+    
+    // Iniciar el worker de la cola de notificaciones
+    startWebhookWorker(handleMercadoLibreNotification);
+    
     console.log(`\n💡 Realizando autenticación inicial con el ERP...`);
     
     // Realizar una autenticación inicial al iniciar el servidor
-    authenticateWithERP()
+    erpClient.authenticate()
         .then(() => {
             console.log('✅ Servidor listo para recibir peticiones\n');
         })
@@ -0,0 +1,94 @@
+/**
+ * Notificaciones de envíos de Mercado Libre (topic "shipments")
+ *
+ * Guarda el seguimiento y el estado de entrega de cada envío en la entrada de
+ * su orden en el registro de órdenes, junto al folio de la Nota de Venta.
+ * Los envíos de órdenes sin NV importada se omiten.
+ */
+
+require('dotenv').config();
+const { mlClient } = require('./mercadoLibreAuth');
+const { IMPORT_STATUS, getOrderEntry, saveOrderEntry } = require('./orderLedger');
+
+/**
+ * Obtener un envío de Mercado Libre
+ *
+ * @param {string} shipmentId - ID del envío
+ * @returns {Promise<Object>} Envío
+ */
+async function getMercadoLibreShipment(shipmentId) {
+    try {
+        const response = await mlClient.get(`/shipments/${shipmentId}`, {
+            headers: { 'x-format-new': 'true' }
+        });
+        return response.data;
+    } catch (error) {
+        console.error(`❌ Error al obtener el envío ${shipmentId} de Mercado Libre:`, error.response?.data || error.message);
+        throw error;
+    }
+}
+
+/**
+ * Resumir un envío para el registro de órdenes
+ *
+ * @param {Object} shipment - Envío de Mercado Libre
+ * @returns {Object} { id, status, substatus, trackingNumber, trackingMethod, ... }
+ */
+function toShipmentInfo(shipment) {
+    return {
+        id: shipment.id.toString(),
+        status: shipment.status || null,
+        substatus: shipment.substatus || null,
+        trackingNumber: shipment.tracking_number || null,
+        trackingMethod: shipment.tracking_method || null,
+        logisticType: shipment.logistic?.type || shipment.logistic_type || null,
+        shippedAt: shipment.status_history?.date_shipped || null,
+        deliveredAt: shipment.status_history?.date_delivered || null,
+        updatedAt: new Date().toISOString()
+    };
+}
+
+/**
+ * Procesar una notificación de envío
+ *
+ * @param {string} shipmentId - ID del envío (del resource "/shipments/{id}")
+ * @returns {Promise<Object>} Resultado del procesamiento
+ */
+async function processShipmentNotification(shipmentId) {
+    const shipment = await getMercadoLibreShipment(shipmentId);
+    const orderId = shipment.order_id;
+
+    if (!orderId) {
+        console.log(`ℹ️  El envío ${shipmentId} no tiene orden asociada: se omite`);
+        return { success: true, shipmentId, action: 'skipped' };
+    }
+
+    const existing = getOrderEntry(orderId);
+    if (existing?.importStatus !== IMPORT_STATUS.IMPORTED) {
+        console.log(`ℹ️  El envío ${shipmentId} es de la orden ${orderId}, que no tiene NV importada: se omite`);
+        return { success: true, shipmentId, orderId: orderId.toString(), action: 'skipped' };
+    }
+
+    const shipmentInfo = toShipmentInfo(shipment);
+    const statusChanged = existing.shipment?.status !== shipmentInfo.status ||
+        existing.shipment?.substatus !== shipmentInfo.substatus ||
+        existing.shipment?.trackingNumber !== shipmentInfo.trackingNumber;
+
+    saveOrderEntry(orderId, { shipment: shipmentInfo });
+
+    console.log(`🚚 Envío ${shipmentId} de la orden ${orderId} (NV ${existing.nvFolio}): ${shipmentInfo.status}${shipmentInfo.substatus ? `/${shipmentInfo.substatus}` : ''}${shipmentInfo.trackingNumber ? `, seguimiento ${shipmentInfo.trackingNumber}` : ''}`);
+
+    return {
+        success: true,
+        shipmentId,
+        orderId: orderId.toString(),
+        nvFolio: existing.nvFolio,
+        action: statusChanged ? 'status_updated' : 'no_change',
+        shipment: shipmentInfo
+    };
+}
+
+module.exports = {
+    processShipmentNotification,
+    getMercadoLibreShipment
+};
@@ -0,0 +1,264 @@
+/**
+ * Tabla de equivalencias entre publicaciones de Mercado Libre y productos de Manager+
+ *
+ * Para publicaciones cuyo SKU no coincide con el cod_producto del ERP (o que no
+ * tienen SKU). Cada equivalencia relaciona un item (o una variación) con un
+ * cod_producto y un multiplicador: cuántas unidades de Manager+ equivalen a una
+ * unidad publicada (ej: un pack de 6 → multiplicador 6). La sincronización
+ * consulta esta tabla antes de leer el seller_custom_field / SELLER_SKU.
+ */
+
+require('dotenv').config();
+const { resolveDataPath, readJsonFile, writeJsonFile } = require('./localStore');
+
+const SKU_MAPPINGS_FILE = resolveDataPath(process.env.SKU_MAPPINGS_FILE || 'sku-mappings.json');
+
+// Columnas del CSV de importación/exportación
+const CSV_COLUMNS = ['item_id', 'variation_id', 'cod_producto', 'multiplicador'];
+
+/**
+ * Clave de una equivalencia (item o item/variación)
+ *
+ * @param {string} itemId - ID del item en Mercado Libre
+ * @param {string|number} variationId - ID de la variación (opcional)
+ * @returns {string} Clave
+ */
+function mappingKey(itemId, variationId = null) {
+    return variationId ? `${itemId}/${variationId}` : `${itemId}`;
+}
+
+/**
+ * Leer la tabla completa (clave -> equivalencia)
+ *
+ * @returns {Object} Equivalencias
+ */
+function readSkuMappings() {
+    return readJsonFile(SKU_MAPPINGS_FILE, {});
+}
+
+/**
+ * Listar las equivalencias
+ *
+ * @returns {Array<Object>} Equivalencias ordenadas por item
+ */
+function listSkuMappings() {
+    return Object.values(readSkuMappings())
+        .sort((a, b) => mappingKey(a.itemId, a.variationId).localeCompare(mappingKey(b.itemId, b.variationId)));
+}
+
+/**
+ * Obtener la equivalencia de un item o variación
+ *
+ * La equivalencia de la variación tiene prioridad sobre la del item.
+ *
+ * @param {string} itemId - ID del item en Mercado Libre
+ * @param {string|number} variationId - ID de la variación (opcional)
+ * @param {Object} mappings - Tabla ya leída (opcional, para consultas masivas)
+ * @returns {Object|null} Equivalencia o null si no existe
+ */
+function getSkuMapping(itemId, variationId = null, mappings = null) {
+    const table = mappings || readSkuMappings();
+    return (variationId && table[mappingKey(itemId, variationId)]) || table[mappingKey(itemId)] || null;
+}
+
+/**
+ * Validar y normalizar los datos de una equivalencia
+ *
+ * @param {Object} data - { itemId, variationId, codProducto, multiplier }
+ * @returns {Object} Equivalencia normalizada
+ */
+function normalizeMapping({ itemId, variationId = null, codProducto, multiplier = 1 }) {
+    const normalizedItemId = (itemId || '').toString().trim().toUpperCase();
+    const normalizedCode = (codProducto || '').toString().trim();
+    const normalizedMultiplier = multiplier === null || multiplier === '' || multiplier === undefined ? 1 : Number(multiplier);
+
+    if (!/^[A-Z]{3}\d+$/.test(normalizedItemId)) {
+        throw new Error(`ID de item inválido: "${itemId}" (ej: MLC123456789)`);
+    }
+    if (!normalizedCode) {
+        throw new Error(`Falta cod_producto para ${normalizedItemId}`);
+    }
+    if (!Number.isInteger(normalizedMultiplier) || normalizedMultiplier < 1) {
+        throw new Error(`Multiplicador inválido para ${normalizedItemId}: debe ser un entero mayor o igual a 1`);
+    }
+
+    return {
+        itemId: normalizedItemId,
+        variationId: variationId ? variationId.toString().trim() : null,
+        codProducto: normalizedCode,
+        multiplier: normalizedMultiplier
+    };
+}
+
+/**
+ * Crear o actualizar una equivalencia
+ *
+ * @param {Object} data - { itemId, variationId, codProducto, multiplier }
+ * @returns {Object} Equivalencia guardada
+ */
+function saveSkuMapping(data) {
+    const mapping = normalizeMapping(data);
+    const mappings = readSkuMappings();
+    const key = mappingKey(mapping.itemId, mapping.variationId);
+    const now = new Date().toISOString();
+
+    mappings[key] = {
+        createdAt: mappings[key]?.createdAt || now,
+        ...mapping,
+        updatedAt: now
+    };
+
+    writeJsonFile(SKU_MAPPINGS_FILE, mappings);
+    return mappings[key];
+}
+
+/**
+ * Eliminar una equivalencia
+ *
+ * @param {string} itemId - ID del item en Mercado Libre
+ * @param {string|number} variationId - ID de la variación (opcional)
+ * @returns {Object|null} Equivalencia eliminada o null si no existía
+ */
+function deleteSkuMapping(itemId, variationId = null) {
+    const mappings = readSkuMappings();
+    const key = mappingKey((itemId || '').toString().toUpperCase(), variationId);
+    const mapping = mappings[key];
+    if (!mapping) return null;
+
+    delete mappings[key];
+    writeJsonFile(SKU_MAPPINGS_FILE, mappings);
+    return mapping;
+}
+
+/**
+ * Separar una línea CSV respetando comillas
+ *
+ * @param {string} line - Línea del archivo
+ * @param {string} separator - Separador (, o ;)
+ * @returns {Array<string>} Campos
+ */
+function parseCsvLine(line, separator) {
+    const fields = [];
+    let current = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (inQuotes) {
+            if (char === '"' && line[i + 1] === '"') {
+                current += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                current += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === separator) {
+            fields.push(current.trim());
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    fields.push(current.trim());
+    return fields;
+}
+
+/**
+ * Escapar un valor para CSV
+ */
+function toCsvValue(value) {
+    const text = value === null || value === undefined ? '' : value.toString();
+    return /[",;\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Exportar las equivalencias como CSV
+ *
+ * @returns {string} Contenido CSV (item_id,variation_id,cod_producto,multiplicador)
+ */
+function exportSkuMappingsCsv() {
+    const rows = listSkuMappings().map(mapping => [
+        mapping.itemId,
+        mapping.variationId,
+        mapping.codProducto,
+        mapping.multiplier
+    ].map(toCsvValue).join(','));
+
+    return [CSV_COLUMNS.join(','), ...rows].join('\n') + '\n';
+}
+
+/**
+ * Importar equivalencias desde CSV
+ *
+ * Acepta coma o punto y coma como separador. Al combinar, las filas válidas
+ * se guardan aunque otras tengan errores. Al reemplazar, cualquier fila con
+ * error rechaza la importación completa y la tabla no se modifica (si no,
+ * las equivalencias de esas filas se perderían).
+ *
+ * @param {string} csvText - Contenido CSV con encabezado item_id,variation_id,cod_producto,multiplicador
+ * @param {Object} options - Opciones
+ * @param {boolean} options.replace - Reemplazar toda la tabla en vez de combinar (default: false)
+ * @returns {Object} { imported, errors, rejected } filas importadas, errores por fila de datos y si se rechazó la importación
+ */
+function importSkuMappingsCsv(csvText, { replace = false } = {}) {
+    const lines = (csvText || '').replace(/^\uFEFF/, '').split(/\r?\n/).filter(line => line.trim());
+    if (lines.length === 0) {
+        throw new Error('El CSV está vacío');
+    }
+
+    const separator = lines[0].includes(';') ? ';' : ',';
+    const header = parseCsvLine(lines[0], separator).map(column => column.toLowerCase());
+    const columnIndex = Object.fromEntries(CSV_COLUMNS.map(column => [column, header.indexOf(column)]));
+
+    if (columnIndex.item_id === -1 || columnIndex.cod_producto === -1) {
+        throw new Error(`El CSV debe tener encabezado con las columnas ${CSV_COLUMNS.join(', ')}`);
+    }
+
+    const mappings = replace ? {} : readSkuMappings();
+    const now = new Date().toISOString();
+    const errors = [];
+    let imported = 0;
+
+    lines.slice(1).forEach((line, index) => {
+        const fields = parseCsvLine(line, separator);
+        const field = column => (columnIndex[column] === -1 ? '' : fields[columnIndex[column]] || '');
+
+        try {
+            const mapping = normalizeMapping({
+                itemId: field('item_id'),
+                variationId: field('variation_id') || null,
+                codProducto: field('cod_producto'),
+                multiplier: field('multiplicador')
+            });
+            const key = mappingKey(mapping.itemId, mapping.variationId);
+            mappings[key] = {
+                createdAt: mappings[key]?.createdAt || now,
+                ...mapping,
+                updatedAt: now
+            };
+            imported++;
+        } catch (error) {
+            errors.push({ row: index + 1, error: error.message });
+        }
+    });
+
+    if (replace && errors.length > 0) {
+        return { imported: 0, errors, rejected: true };
+    }
+
+    writeJsonFile(SKU_MAPPINGS_FILE, mappings);
+    return { imported, errors, rejected: false };
+}
+
+module.exports = {
+    listSkuMappings,
+    getSkuMapping,
+    saveSkuMapping,
+    deleteSkuMapping,
+    exportSkuMappingsCsv,
+    importSkuMappingsCsv,
+    readSkuMappings
+};
@@ -0,0 +1,172 @@
+/**
+ * Reglas de stock publicado en Mercado Libre
+ *
+ * Calcula cuánto publicar a partir del stock de Manager+ para evitar sobreventa
+ * cuando las últimas unidades se venden en la tienda física. Las reglas se
+ * definen en un archivo (STOCK_RULES_FILE, default: reglas-stock-ml.json) a
+ * nivel global, por categoría de Mercado Libre y por SKU; cada nivel
+ * sobrescribe solo los campos que define.
+ *
+ * Ejemplo (ver reglas-stock-ml.example.json):
+ * {
+ *   "global": { "reserva": 1 },
+ *   "categorias": { "MLC1234": { "porcentaje": 50 } },
+ *   "skus": { "ABC123": { "reserva": 0, "maximo": 5, "minimo": 2 } }
+ * }
+ *
+ * Campos de una regla:
+ * - reserva: unidades que nunca se publican (stock de seguridad)
+ * - porcentaje: porcentaje del stock restante que se asigna a Mercado Libre
+ * - maximo: tope de unidades publicadas
+ * - minimo: si el resultado queda bajo este valor la publicación se pausa
+ */
+
+require('dotenv').config();
+const path = require('path');
+const { readJsonFile } = require('./localStore');
+
+const STOCK_RULES_FILE = path.resolve(__dirname, process.env.STOCK_RULES_FILE || 'reglas-stock-ml.json');
+
+// Regla por defecto: publicar exactamente el stock de Manager+
+const DEFAULT_RULE = {
+    reserva: 0,
+    porcentaje: 100,
+    maximo: null,
+    minimo: null
+};
+
+// Reglas cargadas (null = aún no se leen)
+let cachedRules = null;
+
+/**
+ * Validar los campos de una regla
+ *
+ * @param {Object} rule - Regla tal como viene en el archivo
+ * @param {string} label - Identificación de la regla para los mensajes de error
+ * @returns {Object} Regla con solo los campos definidos, convertidos a número
+ */
+function normalizeRule(rule, label) {
+    if (!rule || typeof rule !== 'object') {
+        throw new Error(`${STOCK_RULES_FILE}: la regla ${label} debe ser un objeto`);
+    }
+
+    const normalized = {};
+    for (const field of Object.keys(DEFAULT_RULE)) {
+        if (rule[field] === undefined) continue;
+        if (rule[field] === null) {
+            normalized[field] = null;
+            continue;
+        }
+
+        const value = Number(rule[field]);
+        if (isNaN(value) || value < 0 || (field === 'porcentaje' && value > 100)) {
+            throw new Error(`${STOCK_RULES_FILE}: "${field}" inválido en la regla ${label}`);
+        }
+        normalized[field] = value;
+    }
+    return normalized;
+}
+
+/**
+ * Cargar las reglas de stock (se leen una vez por proceso)
+ *
+ * @returns {Object} { global, categorias, skus }
+ */
+function loadStockRules() {
+    if (cachedRules === null) {
+        const config = readJsonFile(STOCK_RULES_FILE, null) || {};
+
+        const normalizeGroup = (group = {}, prefix) => Object.fromEntries(
+            Object.entries(group).map(([key, rule]) => [key.toString().trim(), normalizeRule(rule, `${prefix} ${key}`)])
+        );
+
+        cachedRules = {
+            global: normalizeRule(config.global || {}, 'global'),
+            categorias: normalizeGroup(config.categorias, 'de categoría'),
+            skus: normalizeGroup(config.skus, 'del SKU')
+        };
+
+        const overrides = Object.keys(cachedRules.categorias).length + Object.keys(cachedRules.skus).length;
+        if (Object.keys(cachedRules.global).length > 0 || overrides > 0) {
+            console.log(`🛡️  Reglas de stock cargadas desde ${STOCK_RULES_FILE} (${Object.keys(cachedRules.skus).length} SKUs, ${Object.keys(cachedRules.categorias).length} categorías)`);
+        }
+    }
+    return cachedRules;
+}
+
+/**
+ * Volver a leer el archivo de reglas en la próxima consulta
+ */
+function reloadStockRules() {
+    cachedRules = null;
+}
+
+/**
+ * Resolver la regla efectiva de un SKU (SKU > categoría > global)
+ *
+ * @param {string} sku - SKU del producto
+ * @param {string} categoryId - Categoría de la publicación en Mercado Libre (opcional)
+ * @returns {Object} Regla efectiva con "origen" (lista de niveles que aportaron campos)
+ */
+function resolveStockRule(sku, categoryId = null) {
+    const rules = loadStockRules();
+    const rule = { ...DEFAULT_RULE };
+    const origen = [];
+
+    const layers = [
+        ['global', rules.global],
+        [`categoria:${categoryId}`, categoryId ? rules.categorias[categoryId] : null],
+        [`sku:${sku}`, rules.skus[sku]]
+    ];
+
+    layers.forEach(([name, layer]) => {
+        if (layer && Object.keys(layer).length > 0) {
+            Object.assign(rule, layer);
+            origen.push(name);
+        }
+    });
+
+    return { ...rule, origen };
+}
+
+/**
+ * Calcular la cantidad a publicar en Mercado Libre
+ *
+ * @param {number} erpStock - Stock disponible en Manager+ (después de las reglas de bodegas)
+ * @param {Object} rule - Regla efectiva (ver resolveStockRule)
+ * @returns {Object} { quantity, pause, steps } cantidad final, si se debe pausar y el detalle del cálculo
+ */
+function applyStockRule(erpStock, rule) {
+    const steps = [];
+    let quantity = Math.max(0, Math.floor(erpStock));
+
+    if (rule.reserva) {
+        quantity = Math.max(0, quantity - rule.reserva);
+        steps.push(`reserva ${rule.reserva} → ${quantity}`);
+    }
+
+    if (rule.porcentaje !== null && rule.porcentaje < 100) {
+        quantity = Math.floor(quantity * rule.porcentaje / 100);
+        steps.push(`${rule.porcentaje}% → ${quantity}`);
+    }
+
+    if (rule.maximo !== null && quantity > rule.maximo) {
+        quantity = rule.maximo;
+        steps.push(`máximo ${rule.maximo} → ${quantity}`);
+    }
+
+    const pause = rule.minimo !== null && rule.minimo > 0 && quantity < rule.minimo;
+    if (pause) {
+        steps.push(`bajo el mínimo ${rule.minimo} → pausar`);
+    }
+
+    return { quantity, pause, steps };
+}
+
+module.exports = {
+    loadStockRules,
+    reloadStockRules,
+    resolveStockRule,
+    applyStockRule,
+    STOCK_RULES_FILE
+};
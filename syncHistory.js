@@ -0,0 +1,213 @@
+/**
+ * Historial persistente de ejecuciones de sincronización
+ *
+ * Cada ejecución (stock o precios) se agrega como una línea JSON a
+ * SYNC_RUNS_FILE (default: sync-runs.jsonl dentro de DATA_DIR) con su origen
+ * (cron, api, cli, webhook), opciones, contadores y el antes/después de cada
+ * publicación, para poder responder cuándo y por qué cambió una publicación.
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const crypto = require('crypto');
+const { resolveDataPath, ensureDirFor } = require('./localStore');
+
+const SYNC_RUNS_FILE = resolveDataPath(process.env.SYNC_RUNS_FILE || 'sync-runs.jsonl');
+const SYNC_RUNS_MAX = parseInt(process.env.SYNC_RUNS_MAX) || 500; // Ejecuciones que se conservan
+
+// Orígenes de una ejecución
+const SYNC_TRIGGERS = ['cron', 'api', 'cli', 'webhook'];
+
+/**
+ * Leer todas las ejecuciones guardadas (en orden de registro)
+ *
+ * Las líneas corruptas (ej: un corte a mitad de escritura) se ignoran.
+ *
+ * @returns {Array<Object>} Ejecuciones
+ */
+function readSyncRuns() {
+    let content;
+    try {
+        content = fs.readFileSync(SYNC_RUNS_FILE, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return [];
+        }
+        throw new Error(`Error al leer ${SYNC_RUNS_FILE}: ${error.message}`);
+    }
+
+    return content.split('\n').filter(line => line.trim()).reduce((runs, line) => {
+        try {
+            runs.push(JSON.parse(line));
+        } catch (error) {
+            // Línea incompleta: se omite
+        }
+        return runs;
+    }, []);
+}
+
+/**
+ * Reescribir el archivo con las últimas SYNC_RUNS_MAX ejecuciones (atómico)
+ *
+ * @param {Array<Object>} runs - Ejecuciones en orden de registro
+ */
+function pruneSyncRuns(runs) {
+    const kept = runs.slice(-SYNC_RUNS_MAX);
+    const tmpPath = `${SYNC_RUNS_FILE}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpPath, kept.map(run => JSON.stringify(run)).join('\n') + '\n');
+    fs.renameSync(tmpPath, SYNC_RUNS_FILE);
+}
+
+/**
+ * Resumir el resultado de una publicación para el historial
+ *
+ * @param {Object} result - Resultado de syncProductStock / syncProductPrice
+ * @param {string} type - stock | price
+ * @returns {Object} { sku, itemId, variationId, action, before, after, ... }
+ */
+function toHistoryDetail(result, type) {
+    const isPrice = type === 'price';
+    return {
+        sku: result.sku,
+        itemId: result.itemId || null,
+        variationId: result.variationId || null,
+        action: result.action,
+        success: result.success,
+        before: (isPrice ? result.mlPrice : result.mlStock) ?? null,
+        after: (isPrice ? result.newPrice : result.newStock) ?? null,
+        [isPrice ? 'erpPrice' : 'managerStock']: (isPrice ? result.erpPrice : result.managerStock) ?? null,
+        pasos: result.appliedRule?.pasos || null,
+        message: result.message || null,
+        error: result.error || null
+    };
+}
+
+/**
+ * Registrar una ejecución de sincronización
+ *
+ * Nunca lanza error: un problema al guardar el historial no debe hacer
+ * fallar la sincronización.
+ *
+ * @param {Object} run - Datos de la ejecución
+ * @param {string} run.type - stock | price
+ * @param {string} run.trigger - cron | api | cli | webhook
+ * @param {Object} run.options - Opciones de la sincronización
+ * @param {string} run.startedAt - Inicio (ISO)
+ * @param {Object} run.results - Resumen con "details" por publicación (null si falló)
+ * @param {Error} run.error - Error fatal (opcional)
+ * @returns {Object|null} Ejecución guardada (sin detalle) o null si no se pudo guardar
+ */
+function recordSyncRun({ type = 'stock', trigger, options = {}, startedAt, results = null, error = null }) {
+    try {
+        const finishedAt = new Date().toISOString();
+        const details = (results?.details || []).map(result => toHistoryDetail(result, type));
+        const counters = details.reduce((acc, detail) => {
+            acc[detail.action] = (acc[detail.action] || 0) + 1;
+            return acc;
+        }, { total: results?.total ?? details.length });
+
+        // Solo opciones simples (sin callbacks, señales de cancelación, etc.)
+        const storedOptions = Object.fromEntries(
+            Object.entries(options).filter(([key, value]) => (
+                key !== 'trigger' && (value === null || ['string', 'number', 'boolean'].includes(typeof value))
+            ))
+        );
+
+        const run = {
+            id: crypto.randomUUID(),
+            type,
+            trigger: SYNC_TRIGGERS.includes(trigger) ? trigger : 'api',
+            status: error ? 'failed' : results?.cancelled ? 'cancelled' : 'completed',
+            startedAt,
+            finishedAt,
+            durationMs: new Date(finishedAt) - new Date(startedAt),
+            options: storedOptions,
+            counters,
+            error: error ? error.message : null,
+            details
+        };
+
+        ensureDirFor(SYNC_RUNS_FILE);
+        fs.appendFileSync(SYNC_RUNS_FILE, JSON.stringify(run) + '\n');
+
+        const runs = readSyncRuns();
+        if (runs.length > SYNC_RUNS_MAX) {
+            pruneSyncRuns(runs);
+        }
+
+        const summary = { ...run };
+        delete summary.details;
+        return summary;
+    } catch (recordError) {
+        console.warn(`⚠️  No se pudo guardar el historial de sincronización: ${recordError.message}`);
+        return null;
+    }
+}
+
+/**
+ * Listar ejecuciones (más recientes primero, sin el detalle por publicación)
+ *
+ * @param {Object} filters - Filtros
+ * @param {string} filters.type - stock | price
+ * @param {string} filters.trigger - cron | api | cli | webhook
+ * @param {number} filters.limit - Máximo de ejecuciones (default: 50)
+ * @returns {Array<Object>} Ejecuciones
+ */
+function listSyncRuns({ type, trigger, limit = 50 } = {}) {
+    return readSyncRuns()
+        .filter(run => (!type || run.type === type) && (!trigger || run.trigger === trigger))
+        .reverse()
+        .slice(0, limit)
+        .map(({ details, ...summary }) => summary);
+}
+
+/**
+ * Obtener una ejecución con su detalle por publicación
+ *
+ * @param {string} id - ID de la ejecución
+ * @returns {Object|null} Ejecución o null si no existe
+ */
+function getSyncRun(id) {
+    return readSyncRuns().find(run => run.id === id) || null;
+}
+
+/**
+ * Historial de un SKU a través de las ejecuciones (más reciente primero)
+ *
+ * @param {string} sku - Código SKU del producto
+ * @param {Object} filters - Filtros
+ * @param {string} filters.type - stock | price
+ * @param {boolean} filters.changesOnly - Solo entradas donde cambió el valor (default: false)
+ * @param {number} filters.limit - Máximo de entradas (default: 100)
+ * @returns {Array<Object>} Entradas { runId, type, trigger, startedAt, dryRun, ...detalle }
+ */
+function getSkuSyncHistory(sku, { type, changesOnly = false, limit = 100 } = {}) {
+    const entries = [];
+
+    readSyncRuns()
+        .filter(run => !type || run.type === type)
+        .reverse()
+        .forEach(run => {
+            run.details
+                .filter(detail => detail.sku === sku && (!changesOnly || detail.before !== detail.after))
+                .forEach(detail => entries.push({
+                    runId: run.id,
+                    type: run.type,
+                    trigger: run.trigger,
+                    startedAt: run.startedAt,
+                    dryRun: Boolean(run.options.dryRun),
+                    ...detail
+                }));
+        });
+
+    return entries.slice(0, limit);
+}
+
+module.exports = {
+    recordSyncRun,
+    listSyncRuns,
+    getSyncRun,
+    getSkuSyncHistory,
+    SYNC_TRIGGERS,
+    SYNC_RUNS_FILE
+};
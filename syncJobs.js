@@ -0,0 +1,255 @@
+/**
+ * Jobs de sincronización en segundo plano
+ *
+ * Una sincronización del catálogo completo tarda más que el timeout de una
+ * petición HTTP (en Render, por ejemplo). Un job ejecuta la sincronización en
+ * el proceso del servidor y responde de inmediato con su id; el estado, el
+ * progreso y los resultados parciales se consultan después o se reciben en
+ * vivo (ver subscribeToSyncJob). Los jobs viven en memoria (los últimos
+ * SYNC_JOBS_MAX); el historial persistente está en syncHistory.js.
+ */
+
+require('dotenv').config();
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { syncMultipleProducts, syncAllProducts, syncPrices, syncAllPrices } = require('./syncStocksML');
+const { getFullSyncLock, describeLock } = require('./syncLock');
+
+const SYNC_JOBS_MAX = parseInt(process.env.SYNC_JOBS_MAX) || 50;
+
+// Estados de un job
+const JOB_STATUS = {
+    QUEUED: 'queued',
+    RUNNING: 'running',
+    COMPLETED: 'completed',
+    FAILED: 'failed',
+    CANCELLED: 'cancelled'
+};
+
+const FINISHED_STATUSES = [JOB_STATUS.COMPLETED, JOB_STATUS.FAILED, JOB_STATUS.CANCELLED];
+
+// Jobs en memoria (id -> job), en orden de creación
+const jobs = new Map();
+
+/**
+ * Vista pública de un job (sin el controlador de cancelación ni los eventos)
+ *
+ * @param {Object} job - Job interno
+ * @param {Object} options - Opciones
+ * @param {boolean} options.includeDetails - Incluir los resultados por publicación (default: true)
+ * @returns {Object} Job
+ */
+function toJobView(job, { includeDetails = true } = {}) {
+    const view = {
+        id: job.id,
+        type: job.type,
+        status: job.status,
+        params: job.params,
+        createdAt: job.createdAt,
+        startedAt: job.startedAt,
+        finishedAt: job.finishedAt,
+        cancelRequested: job.cancelRequested,
+        progress: job.progress,
+        summary: job.summary,
+        error: job.error
+    };
+    if (includeDetails) {
+        view.details = job.details;
+    }
+    return view;
+}
+
+/**
+ * Descartar los jobs terminados más antiguos por sobre SYNC_JOBS_MAX
+ */
+function pruneJobs() {
+    const finished = Array.from(jobs.values()).filter(job => FINISHED_STATUSES.includes(job.status));
+    finished.slice(0, Math.max(0, jobs.size - SYNC_JOBS_MAX)).forEach(job => jobs.delete(job.id));
+}
+
+/**
+ * Ejecutar la sincronización de un job
+ *
+ * @param {Object} job - Job interno
+ */
+async function runJob(job) {
+    const { all, skus, dryRun, priceList, concurrency } = job.params;
+
+    job.status = JOB_STATUS.RUNNING;
+    job.startedAt = new Date().toISOString();
+    job.events.emit('status', toJobView(job, { includeDetails: false }));
+
+    const options = {
+        dryRun,
+        trigger: 'api',
+        // Los jobs de SKUs puntuales también usan el catálogo recién cargado
+        refreshCatalog: true,
+        signal: job.controller.signal,
+        onProgress: ({ processed, total, results }) => {
+            job.progress = { processed, total };
+            job.details.push(...results);
+            job.events.emit('progress', { processed, total, results });
+        }
+    };
+    if (concurrency) options.concurrency = concurrency;
+    if (priceList) options.priceList = priceList;
+
+    try {
+        let results;
+        if (job.type === 'price') {
+            results = all ? await syncAllPrices(options) : await syncPrices(skus, options);
+        } else {
+            results = all ? await syncAllProducts(options) : await syncMultipleProducts(skus, options);
+        }
+
+        const { details, ...summary } = results;
+        job.summary = summary;
+        job.details = details;
+        job.status = results.cancelled ? JOB_STATUS.CANCELLED : JOB_STATUS.COMPLETED;
+    } catch (error) {
+        job.status = JOB_STATUS.FAILED;
+        job.error = error.message;
+    }
+
+    job.finishedAt = new Date().toISOString();
+    console.log(`🧵 Job de sincronización ${job.id} terminado: ${job.status}`);
+    job.events.emit('end', toJobView(job, { includeDetails: false }));
+    job.events.removeAllListeners();
+    pruneJobs();
+}
+
+/**
+ * Crear un job de sincronización y empezar a ejecutarlo
+ *
+ * Solo puede haber una sincronización completa (all) a la vez: si ya hay una
+ * en curso (en este proceso o en otro que comparte DATA_DIR) se lanza un
+ * error con code "SYNC_LOCKED".
+ *
+ * @param {Object} params - Parámetros del job
+ * @param {string} params.type - stock | price (default: stock)
+ * @param {boolean} params.all - Sincronizar todo el catálogo
+ * @param {Array<string>} params.skus - SKUs a sincronizar (si no es all)
+ * @param {boolean} params.dryRun - Simular sin hacer cambios
+ * @param {string} params.priceList - Lista de precios de Manager+ (solo price)
+ * @param {number} params.concurrency - SKUs en paralelo (opcional)
+ * @returns {Object} Job creado
+ */
+function createSyncJob({ type = 'stock', all = false, skus = [], dryRun = false, priceList = null, concurrency = null } = {}) {
+    if (all) {
+        const runningJob = Array.from(jobs.values()).find(job => job.params.all && !FINISHED_STATUSES.includes(job.status));
+        const lock = runningJob
+            ? { type: runningJob.type, trigger: 'api', jobId: runningJob.id, acquiredAt: runningJob.createdAt }
+            : getFullSyncLock();
+
+        if (lock) {
+            const error = new Error(describeLock(lock));
+            error.code = 'SYNC_LOCKED';
+            error.lock = lock;
+            throw error;
+        }
+    }
+
+    const job = {
+        id: crypto.randomUUID(),
+        type,
+        status: JOB_STATUS.QUEUED,
+        params: { all: Boolean(all), skus: all ? [] : skus, dryRun: Boolean(dryRun), priceList, concurrency },
+        createdAt: new Date().toISOString(),
+        startedAt: null,
+        finishedAt: null,
+        cancelRequested: false,
+        progress: { processed: 0, total: all ? null : skus.length },
+        summary: null,
+        error: null,
+        details: [],
+        controller: new AbortController(),
+        events: new EventEmitter()
+    };
+
+    jobs.set(job.id, job);
+    console.log(`🧵 Job de sincronización ${job.id} creado (${type}${all ? ', todo el catálogo' : `, ${skus.length} SKUs`}${dryRun ? ', dry run' : ''})`);
+
+    // Se ejecuta después de responder la petición que lo creó
+    setImmediate(() => runJob(job));
+
+    return toJobView(job);
+}
+
+/**
+ * Obtener un job
+ *
+ * @param {string} id - ID del job
+ * @param {Object} options - Ver toJobView
+ * @returns {Object|null} Job o null si no existe
+ */
+function getSyncJob(id, options = {}) {
+    const job = jobs.get(id);
+    return job ? toJobView(job, options) : null;
+}
+
+/**
+ * Listar los jobs (más recientes primero, sin resultados por publicación)
+ *
+ * @returns {Array<Object>} Jobs
+ */
+function listSyncJobs() {
+    return Array.from(jobs.values()).reverse().map(job => toJobView(job, { includeDetails: false }));
+}
+
+/**
+ * Solicitar la cancelación de un job
+ *
+ * La sincronización se detiene al terminar el grupo de SKUs en curso; los
+ * resultados obtenidos hasta ese momento se conservan.
+ *
+ * @param {string} id - ID del job
+ * @returns {Object|null} Job o null si no existe
+ */
+function cancelSyncJob(id) {
+    const job = jobs.get(id);
+    if (!job) return null;
+
+    if (FINISHED_STATUSES.includes(job.status)) {
+        const error = new Error(`El job ${id} ya terminó (${job.status})`);
+        error.code = 'JOB_FINISHED';
+        throw error;
+    }
+
+    job.cancelRequested = true;
+    job.controller.abort();
+    console.log(`🛑 Cancelación solicitada para el job ${id}`);
+    job.events.emit('status', toJobView(job, { includeDetails: false }));
+    return toJobView(job, { includeDetails: false });
+}
+
+/**
+ * Suscribirse a los eventos de un job en curso
+ *
+ * Eventos: "status" (cambio de estado), "progress" ({ processed, total, results })
+ * y "end" (job terminado).
+ *
+ * @param {string} id - ID del job
+ * @param {Function} listener - (evento, datos) => void
+ * @returns {Function|null} Función para cancelar la suscripción, o null si el job no existe o ya terminó
+ */
+function subscribeToSyncJob(id, listener) {
+    const job = jobs.get(id);
+    if (!job || FINISHED_STATUSES.includes(job.status)) return null;
+
+    const handlers = ['status', 'progress', 'end'].map(event => {
+        const handler = data => listener(event, data);
+        job.events.on(event, handler);
+        return [event, handler];
+    });
+
+    return () => handlers.forEach(([event, handler]) => job.events.off(event, handler));
+}
+
+module.exports = {
+    createSyncJob,
+    getSyncJob,
+    listSyncJobs,
+    cancelSyncJob,
+    subscribeToSyncJob,
+    JOB_STATUS
+};
@@ -0,0 +1,224 @@
+/**
+ * Bloqueo de sincronización completa
+ *
+ * Evita que dos sincronizaciones completas (--all, scheduler o jobs de la API)
+ * corran al mismo tiempo. El bloqueo es un archivo en DATA_DIR
+ * (SYNC_LOCK_FILE, default: sync-full.lock), así que también aplica entre
+ * procesos que comparten el disco (servidor, scheduler y línea de comandos).
+ *
+ * El archivo se escribe completo en un temporal y se enlaza en su lugar, así
+ * que nunca se lee a medio escribir. Mientras la sincronización corre, el
+ * bloqueo se renueva (refreshedAt); uno cuyo proceso ya no existe, o que no se
+ * renovó en SYNC_LOCK_TTL_MINUTES, se considera abandonado y se reemplaza. Un
+ * archivo dañado no se reemplaza: hay que revisarlo y eliminarlo a mano.
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const os = require('os');
+const crypto = require('crypto');
+const { resolveDataPath, ensureDirFor, writeJsonFile } = require('./localStore');
+
+const SYNC_LOCK_FILE = resolveDataPath(process.env.SYNC_LOCK_FILE || 'sync-full.lock');
+const SYNC_LOCK_TTL_MINUTES = parseInt(process.env.SYNC_LOCK_TTL_MINUTES) || 360;
+// Cada cuánto se renueva el bloqueo (un cuarto del TTL, máximo 5 minutos)
+const SYNC_LOCK_REFRESH_MS = Math.min(5 * 60000, SYNC_LOCK_TTL_MINUTES * 60000 / 4);
+
+/**
+ * Leer un archivo de bloqueo
+ *
+ * @param {string} filePath - Ruta del archivo (default: SYNC_LOCK_FILE)
+ * @returns {Object|null} Contenido del bloqueo, { corrupt: true } si no se puede interpretar, o null si no existe
+ */
+function readLock(filePath = SYNC_LOCK_FILE) {
+    let content;
+    try {
+        content = fs.readFileSync(filePath, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+
+    try {
+        const lock = JSON.parse(content);
+        return lock && typeof lock === 'object' ? lock : { corrupt: true };
+    } catch (error) {
+        return { corrupt: true };
+    }
+}
+
+/**
+ * Determinar si un bloqueo quedó abandonado
+ *
+ * @param {Object} lock - Contenido del archivo de bloqueo
+ * @returns {boolean} true si se puede reemplazar
+ */
+function isStaleLock(lock) {
+    if (!lock) return true;
+    if (lock.corrupt) return false;
+
+    const lastSeen = new Date(lock.refreshedAt || lock.acquiredAt).getTime();
+    if (isNaN(lastSeen) || (Date.now() - lastSeen) / 60000 > SYNC_LOCK_TTL_MINUTES) return true;
+
+    // El PID solo se puede comprobar en la misma máquina
+    if (lock.hostname === os.hostname() && lock.pid) {
+        try {
+            process.kill(lock.pid, 0);
+        } catch (error) {
+            return error.code === 'ESRCH';
+        }
+    }
+    return false;
+}
+
+/**
+ * Describir un bloqueo vigente para los mensajes de error
+ *
+ * @param {Object} lock - Contenido del archivo de bloqueo
+ * @returns {string} Mensaje
+ */
+function describeLock(lock) {
+    if (lock.corrupt) {
+        return `El archivo de bloqueo ${SYNC_LOCK_FILE} está dañado. Si no hay una sincronización completa en curso, elimínalo`;
+    }
+    return `Ya hay una sincronización completa en curso (${lock.type || 'stock'}, ${lock.trigger || 'desconocido'}, desde ${lock.acquiredAt})`;
+}
+
+/**
+ * Obtener el bloqueo vigente
+ *
+ * @returns {Object|null} { pid, hostname, type, trigger, acquiredAt, refreshedAt } ({ corrupt: true } si está dañado) o null si no hay sincronización completa en curso
+ */
+function getFullSyncLock() {
+    const lock = readLock();
+    return lock && !isStaleLock(lock) ? lock : null;
+}
+
+/**
+ * Quitar un bloqueo abandonado
+ *
+ * El archivo se mueve primero a un nombre propio: si entre la lectura y el
+ * movimiento otro proceso ya lo había reemplazado por uno nuevo, se devuelve.
+ *
+ * @param {Object} stale - Bloqueo abandonado tal como se leyó
+ */
+function removeStaleLock(stale) {
+    const movedPath = `${SYNC_LOCK_FILE}.${process.pid}.stale`;
+    try {
+        fs.renameSync(SYNC_LOCK_FILE, movedPath);
+    } catch (error) {
+        if (error.code === 'ENOENT') return;
+        throw error;
+    }
+
+    const moved = readLock(movedPath);
+    if (moved?.id !== stale.id) {
+        try {
+            fs.linkSync(movedPath, SYNC_LOCK_FILE);
+        } catch (error) {
+            if (error.code !== 'EEXIST') throw error;
+        }
+    }
+    fs.rmSync(movedPath, { force: true });
+}
+
+/**
+ * Tomar el bloqueo de sincronización completa
+ *
+ * Se renueva automáticamente hasta liberarlo, para que una sincronización
+ * más larga que SYNC_LOCK_TTL_MINUTES no lo pierda.
+ *
+ * @param {Object} info - Datos de la sincronización (type, trigger)
+ * @returns {Function} Función que libera el bloqueo
+ */
+function acquireFullSyncLock(info = {}) {
+    ensureDirFor(SYNC_LOCK_FILE);
+    const acquiredAt = new Date().toISOString();
+    const lock = {
+        id: crypto.randomUUID(),
+        pid: process.pid,
+        hostname: os.hostname(),
+        ...info,
+        acquiredAt,
+        refreshedAt: acquiredAt
+    };
+    const tmpPath = `${SYNC_LOCK_FILE}.${lock.id}.tmp`;
+
+    try {
+        fs.writeFileSync(tmpPath, JSON.stringify(lock, null, 2));
+
+        for (let attempt = 0; attempt < 2; attempt++) {
+            try {
+                // link falla si el archivo existe: solo un proceso puede crearlo, y ya completo
+                fs.linkSync(tmpPath, SYNC_LOCK_FILE);
+                return startLockRefresh(lock);
+            } catch (error) {
+                if (error.code !== 'EEXIST') throw error;
+
+                const current = readLock();
+                if (current && !isStaleLock(current)) {
+                    const lockError = new Error(describeLock(current));
+                    lockError.code = 'SYNC_LOCKED';
+                    lockError.lock = current;
+                    throw lockError;
+                }
+
+                if (current) {
+                    console.warn(`⚠️  Se reemplaza un bloqueo de sincronización abandonado (PID ${current.pid}, desde ${current.acquiredAt})`);
+                    removeStaleLock(current);
+                }
+            }
+        }
+    } finally {
+        fs.rmSync(tmpPath, { force: true });
+    }
+
+    throw new Error(`No se pudo tomar el bloqueo de sincronización (${SYNC_LOCK_FILE})`);
+}
+
+/**
+ * Renovar periódicamente un bloqueo tomado
+ *
+ * @param {Object} lock - Bloqueo tomado
+ * @returns {Function} Función que detiene la renovación y libera el bloqueo
+ */
+function startLockRefresh(lock) {
+    const timer = setInterval(() => {
+        try {
+            if (readLock()?.id !== lock.id) {
+                console.warn(`⚠️  El bloqueo de sincronización ${SYNC_LOCK_FILE} ya no pertenece a este proceso: no se renueva`);
+                clearInterval(timer);
+                return;
+            }
+            lock.refreshedAt = new Date().toISOString();
+            writeJsonFile(SYNC_LOCK_FILE, lock);
+        } catch (error) {
+            console.error('❌ Error al renovar el bloqueo de sincronización:', error.message);
+        }
+    }, SYNC_LOCK_REFRESH_MS);
+    timer.unref();
+
+    return () => {
+        clearInterval(timer);
+        releaseFullSyncLock(lock);
+    };
+}
+
+/**
+ * Liberar el bloqueo (solo si sigue siendo el que tomó este proceso)
+ *
+ * @param {Object} lock - Bloqueo tomado
+ */
+function releaseFullSyncLock(lock) {
+    if (readLock()?.id === lock.id) {
+        fs.rmSync(SYNC_LOCK_FILE, { force: true });
+    }
+}
+
+module.exports = {
+    getFullSyncLock,
+    acquireFullSyncLock,
+    describeLock,
+    SYNC_LOCK_FILE,
+    SYNC_LOCK_TTL_MINUTES
+};
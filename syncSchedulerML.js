@@ -54,7 +54,8 @@ async function executeSync() {
             dryRun: false, // SIEMPRE sincronización real
             concurrency: CONCURRENCY,
             maxRetries: MAX_RETRIES,
-            retryDelay: 2000
+            retryDelay: 2000,
+            trigger: 'cron'
         };
         
         const results = await syncAllProducts(options);
@@ -72,6 +73,12 @@ async function executeSync() {
         // Resumen rápido
         console.log(`\n📊 Resumen:`);
         console.log(`   ${colors.green}✅ Actualizados: ${results.updated}${colors.reset}`);
+        if (results.paused > 0) {
+            console.log(`   ${colors.yellow}⏸️  Pausados: ${results.paused}${colors.reset}`);
+        }
+        if (results.reactivated > 0) {
+            console.log(`   ${colors.green}▶️  Reactivados: ${results.reactivated}${colors.reset}`);
+        }
         console.log(`   ${colors.blue}ℹ️  Sin cambios: ${results.noChange}${colors.reset}`);
         console.log(`   ${colors.yellow}⏭️  Omitidos: ${results.skipped}${colors.reset}`);
         if (results.errors > 0) {
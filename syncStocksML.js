@@ -6,114 +6,156 @@
  */
 
 require('dotenv').config();
-const axios = require('axios');
-const { verifyMercadoLibreAuth, getMercadoLibreProductBySKU, getAccessToken, ML_API_BASE_URL } = require('./mercadoLibreAuth');
+const erpClient = require('./erpClient');
+const { applyWarehouseRules } = require('./warehouseRules');
+const { resolveStockRule, applyStockRule } = require('./stockRules');
+const { computeMercadoLibrePrice, checkPriceDelta } = require('./priceRules');
+const { resolveDataPath, readJsonFile, writeJsonFile } = require('./localStore');
+const { getSkuMapping, readSkuMappings } = require('./skuMappings');
+const { getBundle, computeBundleStock } = require('./bundles');
+const { resolveDistributionRule, distributeStock } = require('./distributionRules');
+const { recordSyncRun } = require('./syncHistory');
+const { acquireFullSyncLock } = require('./syncLock');
+const { verifyMercadoLibreAuth, getMercadoLibreProductBySKU, mlClient } = require('./mercadoLibreAuth');
 
 // Variables de entorno
-const ERP_BASE_URL = process.env.ERP_BASE_URL;
-const ERP_USERNAME = process.env.ERP_USERNAME;
-const ERP_PASSWORD = process.env.ERP_PASSWORD;
-const RUT_EMPRESA = process.env.RUT_EMPRESA;
 const ML_USER_ID = process.env.MERCADOLIBRE_USER_ID;
 
-// Variable para almacenar el token de autenticación del ERP
-let erpAuthToken = null;
-let erpTokenExpirationTime = null;
+// Carga de publicaciones de Mercado Libre
+const ML_MULTIGET_BATCH_SIZE = 20; // Máximo de ids por llamada a /items?ids=
+const ML_MULTIGET_CONCURRENCY = parseInt(process.env.ML_MULTIGET_CONCURRENCY) || 4;
+const ML_SEARCH_PAGE_SIZE = 50; // Máximo permitido por Mercado Libre con offset
+const ML_SCAN_PAGE_SIZE = 100; // Máximo permitido por Mercado Libre con search_type=scan
+const ML_OFFSET_MAX_RESULTS = 1000; // Con offset no se puede pasar de 1000 resultados
+const ML_ITEM_ATTRIBUTES = 'id,title,status,sub_status,category_id,price,available_quantity,seller_custom_field,attributes,variations,shipping,inventory_id';
 
-// Caché para productos de Mercado Libre (Mapa SKU -> datos del producto)
+// Foto de stock de Manager+ (listado paginado de productos con con_stock=S)
+const ERP_SNAPSHOT_PAGE_SIZE = parseInt(process.env.ERP_SNAPSHOT_PAGE_SIZE) || 500;
+const ERP_SNAPSHOT_MAX_PAGES = 1000; // Tope de seguridad ante una paginación que no termina
+
+// Pausas automáticas
+const ML_PAUSE_ON_ZERO_STOCK = process.env.ML_PAUSE_ON_ZERO_STOCK === 'true'; // Pausar en vez de publicar 0
+const PAUSED_ITEMS_FILE = resolveDataPath(process.env.ML_PAUSED_ITEMS_FILE || 'ml-paused-items.json');
+
+// Caché para productos de Mercado Libre (Mapa SKU -> publicaciones con ese SKU).
+// Las sincronizaciones completas y los jobs la descartan al empezar para no
+// comparar contra stock, estados o publicaciones desactualizados.
 let mlProductsCache = null;
 
+// Publicaciones/variaciones sin SKU ni equivalencia de la última carga
+let unmappedItemsReport = null;
+
+// SKUs publicados en más de una publicación/variación en la última carga
+let duplicateSkusReport = null;
+
 /**
- * Autenticarse con el ERP Manager+
+ * Extraer stock de un producto desde la respuesta del endpoint de productos
+ * 
+ * Cuando se usa con_stock=S, el stock viene en el campo "stock" (array de arrays)
+ * donde cada objeto tiene un campo "saldo" que es el stock real. Solo cuentan
+ * las bodegas configuradas para Mercado Libre (ver warehouseRules.js).
+ * 
+ * @param {Object} product - Objeto del producto de Manager+
+ * @returns {Object} { stock, breakdown } stock publicable y detalle por bodega
  */
-async function authenticateWithERP() {
-    try {
-        const response = await axios.post(`${ERP_BASE_URL}/auth/`, {
-            username: ERP_USERNAME,
-            password: ERP_PASSWORD
-        }, {
-            headers: {
-                'Content-Type': 'application/json'
-            }
-        });
-
-        erpAuthToken = response.data.auth_token;
-        erpTokenExpirationTime = Date.now() + (60 * 60 * 1000); // 1 hora
-        
-        return erpAuthToken;
-    } catch (error) {
-        console.error('❌ Error en la autenticación con el ERP:', error.response?.data || error.message);
-        throw new Error('Error al autenticarse con el ERP: ' + (error.response?.data?.message || error.message));
+function extractStockFromProduct(product) {
+    // El campo stock puede venir como array de arrays o directamente array de objetos
+    const stockEntries = product.stock;
+    if (!Array.isArray(stockEntries)) {
+        return { stock: 0, breakdown: [] };
     }
+
+    const stockItems = stockEntries
+        .flatMap(entry => (Array.isArray(entry) ? entry : [entry]))
+        .filter(item => item && typeof item === 'object');
+
+    return applyWarehouseRules(stockItems);
 }
 
 /**
- * Obtener el token de autenticación del ERP (con caché)
+ * Normalizar un producto de Manager+ al formato usado en la sincronización
+ * 
+ * @param {Object} product - Producto tal como lo retorna Manager+
+ * @param {string} fallbackSku - SKU a usar si el producto no trae código
+ * @returns {Object} Producto con sku, nombre, stock publicable y detalle por bodega
  */
-async function getERPAuthToken() {
-    if (erpAuthToken && erpTokenExpirationTime && Date.now() < erpTokenExpirationTime) {
-        return erpAuthToken;
-    }
-    return await authenticateWithERP();
+function normalizeManagerProduct(product, fallbackSku = null) {
+    // Extraer el stock del campo "stock" (array de arrays con campo "saldo")
+    const { stock, breakdown } = extractStockFromProduct(product);
+
+    return {
+        sku: product.codigo_prod || product.cod_producto || product.codigo || fallbackSku,
+        nombre: product.nombre || product.descripcion || product.descrip || '',
+        stock: stock,
+        stockBreakdown: breakdown,
+        unidad: product.unidadstock || product.unidad || '',
+        precio: parseFloat(product.precio || product.precio_unit || product.precio_venta) || 0,
+        rawData: product
+    };
 }
 
 /**
- * Determina si un registro de stock pertenece a "Bodega General" y excluye "Bodega temporal".
+ * Recorrer el listado de productos de Manager+ página por página e indexarlo por SKU
+ * 
+ * @param {Object} params - Parámetros del listado (ej: con_stock, lista_precio)
+ * @param {string} description - Descripción para los logs
+ * @returns {Promise<Map<string, Object>>} Mapa de SKU -> producto normalizado
  */
-function isGeneralWarehouse(stockItem = {}) {
-    const name = (
-        stockItem.bodega ||
-        stockItem.almacen ||
-        stockItem.descripcion_bodega ||
-        stockItem.nombre_bodega ||
-        stockItem.bod ||
-        ''
-    ).toString().toLowerCase().trim();
+async function loadManagerProductIndex(params, description) {
+    console.log(`📦 Cargando ${description} de Manager+ (listado completo)...`);
+    const index = new Map();
+    let page = 1;
+
+    while (page <= ERP_SNAPSHOT_MAX_PAGES) {
+        const responseData = await erpClient.listProducts({
+            ...params,
+            page: page,
+            page_size: ERP_SNAPSHOT_PAGE_SIZE
+        });
+
+        const products = Array.isArray(responseData) ? responseData : (responseData.data || []);
+        let newProducts = 0;
 
-    // Si no hay nombre de bodega, asumimos bodega general (evita descartar todo por falta de campo)
-    if (!name) return true;
+        products.forEach(product => {
+            const normalized = normalizeManagerProduct(product);
+            const sku = normalized.sku?.toString().trim();
+            if (!sku || index.has(sku)) return;
+            index.set(sku, { ...normalized, sku });
+            newProducts++;
+        });
 
-    if (name.includes('temporal')) return false;
-    if (name.includes('general')) return true;
+        // Fin del listado: página vacía, sin siguiente página o repetida
+        // (si el ERP ignora la paginación retorna siempre los mismos productos)
+        const totalPages = parseInt(responseData.total_pages || responseData.last_page);
+        if (products.length === 0 || newProducts === 0) break;
+        if (responseData.next === null || (!isNaN(totalPages) && page >= totalPages)) break;
+        page++;
+    }
 
-    // Fallback: incluir otras bodegas solo si no son temporales
-    return !name.includes('temporal');
+    console.log(`✅ ${index.size} productos de Manager+ cargados en memoria (${page} página${page === 1 ? '' : 's'})`);
+    return index;
 }
 
 /**
- * Extraer stock de un producto desde la respuesta del endpoint de productos
+ * Cargar una foto del stock de todos los productos de Manager+
  * 
- * Cuando se usa con_stock=S, el stock viene en el campo "stock" (array de arrays)
- * donde cada objeto tiene un campo "saldo" que es el stock real
+ * Recorre el listado de productos con con_stock=S y lo indexa por SKU,
+ * para no consultar Manager+ una vez por cada SKU.
  * 
- * @param {Object} product - Objeto del producto de Manager+
- * @returns {number} Stock total del producto (solo Bodega General)
+ * @returns {Promise<Map<string, Object>>} Mapa de SKU -> producto normalizado
  */
-function extractStockFromProduct(product) {
-    let stock = 0;
-
-    // El campo stock puede venir como array de arrays o directamente array de objetos
-    const stockEntries = product.stock;
-    if (!Array.isArray(stockEntries)) {
-        return 0;
-    }
-
-    const processItem = (item) => {
-        if (!item || typeof item !== 'object') return;
-        if (!isGeneralWarehouse(item)) return;
-        const saldo = item.saldo || 0;
-        stock += parseFloat(saldo) || 0;
-    };
-
-    stockEntries.forEach(entry => {
-        if (Array.isArray(entry)) {
-            entry.forEach(processItem);
-        } else {
-            processItem(entry);
-        }
-    });
+async function loadManagerStockSnapshot() {
+    return loadManagerProductIndex({ con_stock: 'S' }, 'stock');
+}
 
-    return stock;
+/**
+ * Cargar los precios de una lista de precios de Manager+
+ * 
+ * @param {string} priceListId - Código de la lista de precios (default: ERP_PRICE_LIST)
+ * @returns {Promise<Map<string, Object>>} Mapa de SKU -> producto normalizado (campo precio)
+ */
+async function loadManagerPriceList(priceListId = erpClient.ERP_PRICE_LIST) {
+    return loadManagerProductIndex({ lista_precio: priceListId }, `lista de precios ${priceListId}`);
 }
 
 /**
@@ -126,22 +168,11 @@ function extractStockFromProduct(product) {
  */
 async function getManagerProductBySKU(sku) {
     try {
-        const token = await getERPAuthToken();
-        
         // Usar el endpoint de productos con con_stock=S para obtener el stock
-        const url = `${ERP_BASE_URL}/products/${RUT_EMPRESA}/${sku}/`;
-        
-        const response = await axios.get(url, {
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Token ${token}`
-            },
-            params: {
-                con_stock: 'S'  // Incluir stock detallado por producto
-            }
-        });
+        // (el cliente del ERP ya reintenta con backoff ante 429/5xx)
+        const responseData = await erpClient.getProduct(sku, { conStock: true });
 
-        const productData = response.data.data || response.data;
+        const productData = responseData.data || responseData;
         
         if (!productData || (Array.isArray(productData) && productData.length === 0)) {
             return null;
@@ -150,24 +181,14 @@ async function getManagerProductBySKU(sku) {
         // Si es un array, tomar el primer elemento
         const product = Array.isArray(productData) ? productData[0] : productData;
         
-        // Extraer el stock del campo "stock" (array de arrays con campo "saldo")
-        const stock = extractStockFromProduct(product);
-        
-        return {
-            sku: product.codigo_prod || product.cod_producto || product.codigo || sku,
-            nombre: product.nombre || product.descripcion || product.descrip || '',
-            stock: stock,
-            unidad: product.unidadstock || product.unidad || '',
-            precio: product.precio || product.precio_unit || 0,
-            rawData: product
-        };
+        return normalizeManagerProduct(product, sku);
         
     } catch (error) {
         if (error.response?.status === 404) {
             return null; // Producto no encontrado
         }
         
-        // Detectar rate limiting
+        // Detectar rate limiting (persistente después de los reintentos)
         if (error.response?.status === 429) {
             throw new Error(`Rate limit alcanzado en Manager+ (429). Reduce la concurrencia.`);
         }
@@ -182,6 +203,36 @@ async function getManagerProductBySKU(sku) {
     }
 }
 
+/**
+ * Obtener el stock de un kit a partir del stock de sus componentes en Manager+
+ * 
+ * @param {string} sku - SKU del kit
+ * @param {Array<Object>} components - Componentes del kit (ver bundles.js)
+ * @param {Map} managerSnapshot - Foto de stock de Manager+ (opcional)
+ * @returns {Promise<Object>} Producto con el stock en kits completos y el detalle por componente
+ */
+async function getManagerBundleProduct(sku, components, managerSnapshot = null) {
+    const stockBySku = {};
+
+    for (const component of components) {
+        const product = managerSnapshot?.get(component.sku) || await getManagerProductBySKU(component.sku);
+        if (!product) {
+            throw new Error(`Componente ${component.sku} del kit no encontrado en Manager+`);
+        }
+        stockBySku[component.sku] = parseInt(product.stock) || 0;
+    }
+
+    const { stock, components: componentDetail } = computeBundleStock(components, stockBySku);
+
+    return {
+        sku,
+        nombre: `Kit ${sku}`,
+        stock,
+        stockBreakdown: [],
+        bundleComponents: componentDetail
+    };
+}
+
 /**
  * Resolver el SKU de un producto de Mercado Libre desde los datos disponibles.
  * Priorizamos el campo seller_custom_field y como fallback buscamos el atributo SELLER_SKU.
@@ -218,10 +269,251 @@ function resolveSkuFromMLItem(item = {}) {
     return null;
 }
 
+/**
+ * Describir una variación a partir de sus atributos (ej: "Color: Rojo, Talla: M")
+ * 
+ * @param {Object} variation - Variación de Mercado Libre
+ * @returns {string} Descripción de la variación
+ */
+function describeVariation(variation = {}) {
+    return (variation.attribute_combinations || [])
+        .map(attr => `${attr.name}: ${attr.value_name}`)
+        .join(', ');
+}
+
+/**
+ * Resolver el producto de Manager+ de una publicación o variación
+ * 
+ * La tabla de equivalencias tiene prioridad sobre el SKU configurado en
+ * Mercado Libre (seller_custom_field / SELLER_SKU).
+ * 
+ * @param {Object} item - Publicación de Mercado Libre
+ * @param {Object} variation - Variación (null si la publicación no tiene variaciones)
+ * @param {Object} mappings - Tabla de equivalencias
+ * @returns {Object|null} { sku, multiplier, skuSource } o null si no se puede vincular
+ */
+function resolveListingSku(item, variation, mappings) {
+    const mapping = getSkuMapping(item.id, variation?.id, mappings);
+    if (mapping) {
+        return { sku: mapping.codProducto, multiplier: mapping.multiplier || 1, skuSource: 'mapping' };
+    }
+
+    const sku = resolveSkuFromMLItem(variation || item);
+    return sku ? { sku, multiplier: 1, skuSource: 'listing' } : null;
+}
+
+/**
+ * Indexar una publicación de Mercado Libre en el mapa de productos
+ * 
+ * Las publicaciones con variaciones se indexan por el SKU de cada variación
+ * (cada una tiene su propio stock); las demás por el SKU de la publicación.
+ * Un SKU puede quedar con varias publicaciones (ver distributionRules.js).
+ * 
+ * @param {Object} item - Publicación de Mercado Libre
+ * @param {Map<string, Array<Object>>} productMap - Mapa SKU -> publicaciones con ese SKU
+ * @param {Array<Object>} itemsWithoutSKU - Acumulador de publicaciones/variaciones sin SKU
+ * @param {Object} mappings - Tabla de equivalencias (ver skuMappings.js)
+ */
+function addItemToProductMap(item, productMap, itemsWithoutSKU, mappings = {}) {
+    const entries = [];
+    const variations = Array.isArray(item.variations) ? item.variations : [];
+
+    if (variations.length > 0) {
+        const variationIds = variations.map(variation => variation.id);
+
+        variations.forEach(variation => {
+            const resolved = resolveListingSku(item, variation, mappings);
+            const variationLabel = describeVariation(variation);
+
+            if (!resolved) {
+                itemsWithoutSKU.push({
+                    id: item.id,
+                    variationId: variation.id,
+                    title: variationLabel ? `${item.title} (${variationLabel})` : item.title,
+                    status: item.status
+                });
+                return;
+            }
+
+            entries.push({
+                ...resolved,
+                itemId: item.id,
+                variationId: variation.id,
+                variationIds: variationIds,
+                currentStock: variation.available_quantity || 0,
+                currentPrice: variation.price ?? item.price ?? null,
+                title: variationLabel ? `${item.title} (${variationLabel})` : item.title,
+                status: item.status,
+                subStatus: item.sub_status || [],
+                categoryId: item.category_id || null,
+                logisticType: item.shipping?.logistic_type || null,
+                inventoryId: variation.inventory_id || item.inventory_id || null
+            });
+        });
+    } else {
+        const resolved = resolveListingSku(item, null, mappings);
+
+        if (!resolved) {
+            itemsWithoutSKU.push({ id: item.id, variationId: null, title: item.title, status: item.status });
+            return;
+        }
+
+        entries.push({
+            ...resolved,
+            itemId: item.id,
+            variationId: null,
+            currentStock: item.available_quantity || 0,
+            currentPrice: item.price ?? null,
+            title: item.title,
+            status: item.status,
+            subStatus: item.sub_status || [],
+            categoryId: item.category_id || null,
+            logisticType: item.shipping?.logistic_type || null,
+            inventoryId: item.inventory_id || null
+        });
+    }
+
+    entries.forEach(entry => {
+        if (!productMap.has(entry.sku)) {
+            productMap.set(entry.sku, []);
+        }
+        productMap.get(entry.sku).push(entry);
+    });
+}
+
+/**
+ * Listar los IDs de todas las publicaciones del vendedor con un estado
+ * 
+ * Usa paginación por offset y, si el catálogo supera los 1000 resultados
+ * (límite del offset en Mercado Libre), cambia a search_type=scan con scroll_id.
+ * 
+ * @param {string|number} userId - ID del vendedor en Mercado Libre
+ * @param {string} status - Estado de las publicaciones (active, paused)
+ * @returns {Promise<Array<string>>} IDs de las publicaciones
+ */
+async function listMercadoLibreItemIds(userId, status = 'active') {
+    const itemIds = [];
+    let offset = 0;
+
+    while (true) {
+        const response = await mlClient.get(`/users/${userId}/items/search`, {
+            params: {
+                status: status,
+                limit: ML_SEARCH_PAGE_SIZE,
+                offset: offset
+            }
+        });
+
+        const results = response.data.results || [];
+        const total = response.data.paging?.total || 0;
+
+        if (total > ML_OFFSET_MAX_RESULTS) {
+            console.log(`   📚 ${total} publicaciones (${status}): usando search_type=scan`);
+            return await scanMercadoLibreItemIds(userId, status);
+        }
+
+        itemIds.push(...results);
+
+        if (results.length === 0 || results.length < ML_SEARCH_PAGE_SIZE || offset + results.length >= total) {
+            return itemIds;
+        }
+        offset += ML_SEARCH_PAGE_SIZE;
+    }
+}
+
+/**
+ * Listar los IDs de publicaciones con search_type=scan (catálogos grandes)
+ * 
+ * @param {string|number} userId - ID del vendedor en Mercado Libre
+ * @param {string} status - Estado de las publicaciones (active, paused)
+ * @returns {Promise<Array<string>>} IDs de las publicaciones
+ */
+async function scanMercadoLibreItemIds(userId, status = 'active') {
+    const itemIds = [];
+    let scrollId = null;
+
+    while (true) {
+        const params = {
+            status: status,
+            search_type: 'scan',
+            limit: ML_SCAN_PAGE_SIZE
+        };
+        if (scrollId) {
+            params.scroll_id = scrollId;
+        }
+
+        const response = await mlClient.get(`/users/${userId}/items/search`, { params });
+        const results = response.data.results || [];
+
+        if (results.length === 0) {
+            return itemIds;
+        }
+
+        itemIds.push(...results);
+        scrollId = response.data.scroll_id;
+
+        if (!scrollId) {
+            return itemIds;
+        }
+    }
+}
+
+/**
+ * Obtener el detalle de hasta 20 publicaciones con el multiget /items?ids=
+ * 
+ * @param {Array<string>} itemIds - IDs de las publicaciones (máximo 20)
+ * @returns {Promise<Array<Object>>} Publicaciones obtenidas (las que fallan se omiten)
+ */
+async function getMercadoLibreItemsBatch(itemIds) {
+    // include_attributes=all para recibir el SELLER_SKU de cada variación
+    const response = await mlClient.get('/items', {
+        params: {
+            ids: itemIds.join(','),
+            attributes: ML_ITEM_ATTRIBUTES,
+            include_attributes: 'all'
+        }
+    });
+
+    const items = [];
+    (response.data || []).forEach((entry, index) => {
+        if (entry.code === 200 && entry.body) {
+            items.push(entry.body);
+        } else {
+            const itemId = entry.body?.id || itemIds[index];
+            console.warn(`   ⚠️  Error al obtener detalles del producto ${itemId}: ${entry.body?.message || `código ${entry.code}`}`);
+        }
+    });
+
+    return items;
+}
+
+/**
+ * Ejecutar una tarea sobre cada elemento con un máximo de tareas simultáneas
+ * 
+ * @param {Array} array - Elementos a procesar
+ * @param {number} concurrency - Máximo de tareas simultáneas
+ * @param {Function} task - Función async que recibe cada elemento y su índice
+ * @returns {Promise<void>}
+ */
+async function runWithConcurrency(array, concurrency, task) {
+    let nextIndex = 0;
+    const workers = Array.from({ length: Math.min(concurrency, array.length) }, async () => {
+        while (nextIndex < array.length) {
+            const index = nextIndex++;
+            await task(array[index], index);
+        }
+    });
+    await Promise.all(workers);
+}
+
 /**
  * Pre-cargar todos los productos de Mercado Libre en un Map para acceso rápido O(1)
  * 
- * @returns {Promise<Map<string, Object>>} Mapa de SKU -> datos del producto
+ * Incluye publicaciones activas y pausadas. Las publicaciones con variaciones
+ * aportan una entrada por variación. Los SKUs con más de una publicación
+ * quedan en el reporte de duplicados.
+ * 
+ * @returns {Promise<Map<string, Array<Object>>>} Mapa de SKU -> publicaciones (itemId, variationId, stock, status)
  */
 async function loadAllMercadoLibreProducts() {
     if (mlProductsCache) {
@@ -232,129 +524,81 @@ async function loadAllMercadoLibreProducts() {
         console.log('📦 Pre-cargando productos de Mercado Libre en memoria...');
         const productMap = new Map();
         const itemsWithoutSKU = [];
+        const mappings = readSkuMappings();
         
         // Verificar autenticación primero para obtener userId y validar token
-        // Esta función ahora refresca automáticamente el token si está expirado
+        // (el cliente de Mercado Libre refresca el token automáticamente si está expirado)
         const authResult = await verifyMercadoLibreAuth();
         const userId = ML_USER_ID || authResult.id;
         
-        let offset = 0;
-        const limit = 50; // Máximo permitido por Mercado Libre
-        let hasMore = true;
-        let token = await getAccessToken();
+        // Las pausadas se incluyen para reactivarlas cuando vuelva a haber stock
+        const activeItemIds = await listMercadoLibreItemIds(userId, 'active');
+        const pausedItemIds = await listMercadoLibreItemIds(userId, 'paused');
+        const itemIds = [...activeItemIds, ...pausedItemIds];
+        console.log(`   ${activeItemIds.length} publicaciones activas y ${pausedItemIds.length} pausadas. Obteniendo detalles en lotes de ${ML_MULTIGET_BATCH_SIZE}...`);
+
+        const batches = [];
+        for (let i = 0; i < itemIds.length; i += ML_MULTIGET_BATCH_SIZE) {
+            batches.push(itemIds.slice(i, i + ML_MULTIGET_BATCH_SIZE));
+        }
 
-        while (hasMore) {
-            let response;
+        // Los lotes se guardan por posición para indexarlos en el orden del listado
+        const batchResults = new Array(batches.length).fill([]);
+        await runWithConcurrency(batches, ML_MULTIGET_CONCURRENCY, async (batch, batchIndex) => {
             try {
-                response = await axios.get(`${ML_API_BASE_URL}/users/${userId}/items/search`, {
-                    headers: {
-                        'Authorization': `Bearer ${token}`,
-                        'Content-Type': 'application/json'
-                    },
-                    params: {
-                        status: 'active',
-                        limit: limit,
-                        offset: offset
-                    }
-                });
+                batchResults[batchIndex] = await getMercadoLibreItemsBatch(batch);
             } catch (error) {
-                // Si es un error 401, intentar refrescar el token y reintentar
-                if (error.response?.status === 401) {
-                    console.warn('\n⚠️  Token expirado durante la carga. Refrescando...');
-                    const { refreshAccessToken } = require('./mercadoLibreAuth');
-                    token = await refreshAccessToken();
-                    // Reintentar la petición con el nuevo token
-                    response = await axios.get(`${ML_API_BASE_URL}/users/${userId}/items/search`, {
-                        headers: {
-                            'Authorization': `Bearer ${token}`,
-                            'Content-Type': 'application/json'
-                        },
-                        params: {
-                            status: 'active',
-                            limit: limit,
-                            offset: offset
-                        }
-                    });
-                } else {
-                    throw error;
-                }
+                // Continuar con el siguiente lote si hay error
+                console.warn(`   ⚠️  Error al obtener detalles de ${batch.length} productos (${batch[0]}...):`, error.message);
             }
+        });
 
-            const itemIds = response.data.results || [];
-            
-            if (!itemIds || itemIds.length === 0) {
-                hasMore = false;
-                break;
-            }
-            
-            // Obtener detalles de cada producto
-            for (const itemId of itemIds) {
-                try {
-                    let itemResponse;
-                    try {
-                        itemResponse = await axios.get(`${ML_API_BASE_URL}/items/${itemId}`, {
-                            headers: {
-                                'Authorization': `Bearer ${token}`,
-                                'Content-Type': 'application/json'
-                            }
-                        });
-                    } catch (error) {
-                        // Si es un error 401, refrescar token y reintentar
-                        if (error.response?.status === 401) {
-                            const { refreshAccessToken } = require('./mercadoLibreAuth');
-                            token = await refreshAccessToken();
-                            itemResponse = await axios.get(`${ML_API_BASE_URL}/items/${itemId}`, {
-                                headers: {
-                                    'Authorization': `Bearer ${token}`,
-                                    'Content-Type': 'application/json'
-                                }
-                            });
-                        } else {
-                            throw error;
-                        }
-                    }
-
-                    const item = itemResponse.data;
-                    const sku = resolveSkuFromMLItem(item);
+        batchResults.forEach(items => {
+            items.forEach(item => addItemToProductMap(item, productMap, itemsWithoutSKU, mappings));
+        });
 
-                    if (!sku) {
-                        itemsWithoutSKU.push({ id: item.id, title: item.title });
-                        continue;
-                    }
-
-                    // Si el SKU ya existe, mantener el primero (puede haber duplicados)
-                    if (!productMap.has(sku)) {
-                        productMap.set(sku, {
-                            sku: sku,
-                            itemId: item.id,
-                            currentStock: item.available_quantity || 0,
-                            title: item.title,
-                            status: item.status
-                        });
-                    }
-                } catch (error) {
-                    // Continuar con el siguiente producto si hay error
-                    console.warn(`   ⚠️  Error al obtener detalles del producto ${itemId}:`, error.message);
-                    continue;
-                }
-            }
-            
-            // Verificar si hay más páginas
-            const total = response.data.paging?.total || 0;
-            if (offset + itemIds.length >= total || itemIds.length < limit) {
-                hasMore = false;
-            } else {
-                offset += limit;
-            }
-        }
+        const duplicateSkus = Array.from(productMap.entries())
+            .filter(([, listings]) => listings.length > 1)
+            .map(([sku, listings]) => {
+                const rule = resolveDistributionRule(sku);
+                return {
+                    sku,
+                    estrategia: rule.estrategia,
+                    origen: rule.origen,
+                    listings: listings.map(listing => ({
+                        itemId: listing.itemId,
+                        variationId: listing.variationId,
+                        title: listing.title,
+                        status: listing.status,
+                        logisticType: listing.logisticType
+                    }))
+                };
+            });
 
         mlProductsCache = productMap;
+        unmappedItemsReport = {
+            generatedAt: new Date().toISOString(),
+            items: itemsWithoutSKU
+        };
+        duplicateSkusReport = {
+            generatedAt: unmappedItemsReport.generatedAt,
+            skus: duplicateSkus
+        };
         
         console.log(`✅ ${productMap.size} SKUs únicos cargados en memoria`);
+        const fulfillmentCount = Array.from(productMap.values()).flat().filter(isFulfillmentListing).length;
+        if (fulfillmentCount > 0) {
+            console.log(`   📦 ${fulfillmentCount} publicaciones/variaciones Full: su stock lo administra Mercado Libre y no se sincroniza`);
+        }
+        if (duplicateSkus.length > 0) {
+            const withoutRule = duplicateSkus.filter(duplicate => duplicate.origen === 'global').length;
+            console.warn(`⚠️  ${duplicateSkus.length} SKUs están en más de una publicación/variación y se sincronizan todas${withoutRule > 0 ? ` (${withoutRule} sin regla de reparto: se usa "${resolveDistributionRule(null).estrategia}")` : ''}.`);
+            console.warn(`   Ejemplos: ${duplicateSkus.slice(0, 5).map(duplicate => `${duplicate.sku} (${duplicate.listings.map(listing => listing.variationId ? `${listing.itemId}/${listing.variationId}` : listing.itemId).join(', ')})`).join('; ')}${duplicateSkus.length > 5 ? '...' : ''}`);
+        }
         if (itemsWithoutSKU.length > 0) {
-            console.warn(`⚠️  ${itemsWithoutSKU.length} publicaciones no tienen SKU configurado (seller_custom_field o atributo SELLER_SKU).`);
-            console.warn(`   Estas publicaciones se omiten porque no podemos vincularlas con el ERP.`);
-            console.warn(`   Ejemplos: ${itemsWithoutSKU.slice(0, 5).map(i => `${i.id} (${i.title || 'sin título'})`).join(', ')}${itemsWithoutSKU.length > 5 ? '...' : ''}\n`);
+            console.warn(`⚠️  ${itemsWithoutSKU.length} publicaciones/variaciones no tienen SKU configurado (seller_custom_field o atributo SELLER_SKU).`);
+            console.warn(`   Estas publicaciones se omiten porque no podemos vincularlas con el ERP. Agrégalas a la tabla de equivalencias (/api/sku-mappings).`);
+            console.warn(`   Ejemplos: ${itemsWithoutSKU.slice(0, 5).map(i => `${i.variationId ? `${i.id}/${i.variationId}` : i.id} (${i.title || 'sin título'})`).join(', ')}${itemsWithoutSKU.length > 5 ? '...' : ''}\n`);
         }
         
         return productMap;
@@ -366,9 +610,9 @@ async function loadAllMercadoLibreProducts() {
             console.error(`   Mensaje: ${JSON.stringify(error.response.data, null, 2)}`);
             if (error.response.status === 401) {
                 console.error('\n   💡 Solución:');
-                console.error('   1. Verifica que MERCADOLIBRE_ACCESS_TOKEN esté configurado en .env');
-                console.error('   2. Verifica que MERCADOLIBRE_REFRESH_TOKEN esté configurado');
-                console.error('   3. Si los tokens han expirado, obtén nuevos tokens mediante OAuth');
+                console.error('   1. Verifica que haya tokens en el almacén (o MERCADOLIBRE_REFRESH_TOKEN en .env)');
+                console.error('   2. Verifica que MERCADOLIBRE_CLIENT_ID y MERCADOLIBRE_CLIENT_SECRET sean correctos');
+                console.error('   3. Si los tokens han expirado, vuelve a conectar la cuenta en /oauth/start');
                 console.error('   4. Ejecuta: npm run test:ml para verificar la autenticación\n');
             }
         } else {
@@ -379,21 +623,129 @@ async function loadAllMercadoLibreProducts() {
 }
 
 /**
- * Obtener información de un producto desde Mercado Libre por SKU (usando caché)
+ * Descartar el catálogo de Mercado Libre en memoria (se vuelve a cargar en la próxima sincronización)
+ */
+function clearMercadoLibreProductsCache() {
+    mlProductsCache = null;
+}
+
+/**
+ * Obtener las publicaciones/variaciones que no se pudieron vincular con Manager+
+ * 
+ * @param {Object} options - Opciones
+ * @param {boolean} options.refresh - Volver a cargar el catálogo de Mercado Libre (default: false)
+ * @returns {Promise<Object>} { generatedAt, items }
+ */
+async function getUnmappedMercadoLibreItems({ refresh = false } = {}) {
+    if (refresh) {
+        clearMercadoLibreProductsCache();
+    }
+    if (refresh || !unmappedItemsReport) {
+        await loadAllMercadoLibreProducts();
+    }
+    return unmappedItemsReport;
+}
+
+/**
+ * Obtener los SKUs que están en más de una publicación/variación
+ * 
+ * @param {Object} options - Opciones
+ * @param {boolean} options.refresh - Volver a cargar el catálogo de Mercado Libre (default: false)
+ * @returns {Promise<Object>} { generatedAt, skus }
+ */
+async function getDuplicateSkusReport({ refresh = false } = {}) {
+    if (refresh) {
+        clearMercadoLibreProductsCache();
+    }
+    if (refresh || !duplicateSkusReport) {
+        await loadAllMercadoLibreProducts();
+    }
+    return duplicateSkusReport;
+}
+
+/**
+ * Comparar el stock de las publicaciones Full con el stock de Manager+
+ * 
+ * Reporte de solo lectura para planificar envíos a las bodegas de Mercado
+ * Libre: no modifica ninguna publicación.
+ * 
+ * @param {Object} options - Opciones
+ * @param {boolean} options.refresh - Volver a cargar el catálogo de Mercado Libre (default: false)
+ * @returns {Promise<Object>} { generatedAt, count, items } con el stock Full y de Manager+ por publicación
+ */
+async function getFulfillmentStockReport({ refresh = false } = {}) {
+    if (refresh) {
+        clearMercadoLibreProductsCache();
+    }
+
+    try {
+        const productMap = await loadAllMercadoLibreProducts();
+        const fulfillmentListings = Array.from(productMap.values()).flat().filter(isFulfillmentListing);
+
+        let managerSnapshot = null;
+        if (fulfillmentListings.length > 0) {
+            try {
+                managerSnapshot = await loadManagerStockSnapshot();
+            } catch (error) {
+                console.warn(`⚠️  No se pudo cargar el stock completo de Manager+ (${error.response?.status || error.message}). Se consultará cada SKU por separado.`);
+            }
+        }
+
+        const items = [];
+        for (const listing of fulfillmentListings) {
+            let managerStock = null;
+            let error = null;
+            try {
+                const managerProduct = await resolveManagerProduct(listing.sku, managerSnapshot);
+                managerStock = managerProduct ? parseInt(managerProduct.stock) || 0 : null;
+                if (!managerProduct) {
+                    error = 'Producto no encontrado en Manager+';
+                }
+            } catch (managerError) {
+                error = managerError.message;
+            }
+
+            items.push({
+                sku: listing.sku,
+                itemId: listing.itemId,
+                variationId: listing.variationId || null,
+                inventoryId: listing.inventoryId || null,
+                title: listing.title,
+                status: listing.status,
+                fullStock: listing.currentStock,
+                managerStock,
+                multiplier: listing.multiplier || 1,
+                error
+            });
+        }
+
+        return {
+            generatedAt: new Date().toISOString(),
+            count: items.length,
+            items
+        };
+
+    } catch (error) {
+        console.error('❌ Error al generar reporte de stock Full:', error.message);
+        throw error;
+    }
+}
+
+/**
+ * Obtener las publicaciones de Mercado Libre de un SKU (usando caché)
  * 
  * @param {string} sku - Código SKU del producto
  * @param {Map} productsMap - Mapa de productos (opcional, se carga automáticamente)
- * @returns {Promise<Object>} Información del producto con stock
+ * @returns {Promise<Array<Object>>} Publicaciones/variaciones con ese SKU (vacío si no hay)
  */
-async function getMercadoLibreProductStockBySKU(sku, productsMap = null) {
+async function getMercadoLibreListingsBySKU(sku, productsMap = null) {
     try {
         // Si no se proporciona el mapa, cargarlo
         if (!productsMap) {
             productsMap = await loadAllMercadoLibreProducts();
         }
 
-        const product = productsMap.get(sku);
-        return product || null;
+        return productsMap.get(sku) || [];
         
     } catch (error) {
         console.error(`❌ Error al obtener producto ${sku} de Mercado Libre:`, error.message);
@@ -401,52 +753,54 @@ async function getMercadoLibreProductStockBySKU(sku, productsMap = null) {
     }
 }
 
+/**
+ * Obtener información de un producto desde Mercado Libre por SKU (usando caché)
+ * 
+ * Si el SKU está en varias publicaciones devuelve la primera.
+ * 
+ * @param {string} sku - Código SKU del producto
+ * @param {Map} productsMap - Mapa de productos (opcional, se carga automáticamente)
+ * @returns {Promise<Object>} Información del producto con stock
+ */
+async function getMercadoLibreProductStockBySKU(sku, productsMap = null) {
+    const listings = await getMercadoLibreListingsBySKU(sku, productsMap);
+    return listings[0] || null;
+}
+
 /**
  * Actualizar el stock de un producto en Mercado Libre
  * 
+ * Para variaciones se envía el array "variations" completo: Mercado Libre
+ * elimina las variaciones que no vienen en el PUT, por lo que las demás
+ * se incluyen solo con su id (sin modificar su stock).
+ * 
  * @param {string} itemId - ID del item en Mercado Libre
  * @param {number} quantity - Nueva cantidad de stock
+ * @param {Object} variation - Variación a actualizar (opcional)
+ * @param {number} variation.variationId - ID de la variación
+ * @param {Array<number>} variation.variationIds - IDs de todas las variaciones del item
+ * @param {boolean} variation.activate - Reactivar la publicación en la misma actualización
  * @returns {Promise<Object>} Respuesta de la actualización
  */
-async function updateMercadoLibreStock(itemId, quantity) {
+async function updateMercadoLibreStock(itemId, quantity, { variationId = null, variationIds = [], activate = false } = {}) {
     try {
-        let token = await getAccessToken();
-        
-        let response;
-        try {
-            response = await axios.put(
-                `${ML_API_BASE_URL}/items/${itemId}`,
-                {
-                    available_quantity: quantity
-                },
-                {
-                    headers: {
-                        'Authorization': `Bearer ${token}`,
-                        'Content-Type': 'application/json'
-                    }
-                }
-            );
-        } catch (error) {
-            // Si es un error 401, refrescar token y reintentar
-            if (error.response?.status === 401) {
-                const { refreshAccessToken } = require('./mercadoLibreAuth');
-                token = await refreshAccessToken();
-                response = await axios.put(
-                    `${ML_API_BASE_URL}/items/${itemId}`,
-                    {
-                        available_quantity: quantity
-                    },
-                    {
-                        headers: {
-                            'Authorization': `Bearer ${token}`,
-                            'Content-Type': 'application/json'
-                        }
-                    }
-                );
-            } else {
-                throw error;
-            }
+        let body;
+        if (variationId) {
+            const allVariationIds = variationIds.includes(variationId) ? variationIds : [...variationIds, variationId];
+            body = {
+                variations: allVariationIds.map(id => (
+                    id === variationId ? { id, available_quantity: quantity } : { id }
+                ))
+            };
+        } else {
+            body = { available_quantity: quantity };
         }
+        if (activate) {
+            body.status = 'active';
+        }
+
+        // El cliente refresca el token y reintenta automáticamente ante un 401
+        const response = await mlClient.put(`/items/${itemId}`, body);
 
         return response.data;
         
@@ -476,89 +830,407 @@ async function updateMercadoLibreStock(itemId, quantity) {
 }
 
 /**
- * Sincronizar el stock de un producto específico (optimizado con caché)
+ * Actualizar el precio de un producto en Mercado Libre
+ * 
+ * Igual que con el stock, para variaciones se envía el array "variations"
+ * completo para no eliminar las demás.
+ * 
+ * @param {string} itemId - ID del item en Mercado Libre
+ * @param {number} price - Nuevo precio (con IVA)
+ * @param {Object} variation - Variación a actualizar (opcional, ver updateMercadoLibreStock)
+ * @returns {Promise<Object>} Respuesta de la actualización
+ */
+async function updateMercadoLibrePrice(itemId, price, { variationId = null, variationIds = [] } = {}) {
+    try {
+        let body;
+        if (variationId) {
+            const allVariationIds = variationIds.includes(variationId) ? variationIds : [...variationIds, variationId];
+            body = {
+                variations: allVariationIds.map(id => (
+                    id === variationId ? { id, price } : { id }
+                ))
+            };
+        } else {
+            body = { price };
+        }
+
+        const response = await mlClient.put(`/items/${itemId}`, body);
+        return response.data;
+    } catch (error) {
+        console.error(`❌ Error al actualizar precio de ${itemId} en Mercado Libre:`, error.response?.data || error.message);
+        throw error;
+    }
+}
+
+/**
+ * Registrar (o quitar) una publicación como pausada por la sincronización
+ * 
+ * @param {string} itemId - ID del item en Mercado Libre
+ * @param {boolean} paused - true al pausarla, false al reactivarla
+ */
+function setPausedBySync(itemId, paused) {
+    const pausedItems = readJsonFile(PAUSED_ITEMS_FILE, {});
+    if (paused) {
+        pausedItems[itemId] = new Date().toISOString();
+    } else if (pausedItems[itemId]) {
+        delete pausedItems[itemId];
+    } else {
+        return;
+    }
+    writeJsonFile(PAUSED_ITEMS_FILE, pausedItems);
+}
+
+/**
+ * Determinar si una publicación pausada se puede reactivar automáticamente
+ * 
+ * Solo se reactivan las que pausó Mercado Libre por falta de stock o las que
+ * pausó esta sincronización; nunca las pausadas manualmente por el vendedor.
+ * 
+ * @param {Object} mlProduct - Entrada del mapa de productos de Mercado Libre
+ * @returns {boolean} true si se puede reactivar
+ */
+function canReactivate(mlProduct) {
+    if ((mlProduct.subStatus || []).includes('out_of_stock')) {
+        return true;
+    }
+    return Boolean(readJsonFile(PAUSED_ITEMS_FILE, {})[mlProduct.itemId]);
+}
+
+/**
+ * Pausar una publicación en Mercado Libre
+ * 
+ * @param {string} itemId - ID del item en Mercado Libre
+ * @returns {Promise<Object>} Respuesta de la actualización
+ */
+async function pauseMercadoLibreItem(itemId) {
+    try {
+        const response = await mlClient.put(`/items/${itemId}`, { status: 'paused' });
+        setPausedBySync(itemId, true);
+        return response.data;
+    } catch (error) {
+        console.error(`❌ Error al pausar la publicación ${itemId} en Mercado Libre:`, error.response?.data || error.message);
+        throw error;
+    }
+}
+
+/**
+ * Obtener el producto de Manager+ de un SKU
+ * 
+ * Usa la foto de stock y consulta Manager+ individualmente solo si el SKU no
+ * está en ella; los kits se calculan desde el stock de sus componentes.
+ * 
+ * @param {string} sku - Código SKU del producto
+ * @param {Map} managerSnapshot - Foto de stock de Manager+ (opcional)
+ * @returns {Promise<Object|null>} Producto normalizado o null si no existe
+ */
+async function resolveManagerProduct(sku, managerSnapshot = null) {
+    const bundle = getBundle(sku);
+    if (bundle) {
+        return await getManagerBundleProduct(sku, bundle, managerSnapshot);
+    }
+    return managerSnapshot?.get(sku) || await getManagerProductBySKU(sku);
+}
+
+/**
+ * Determinar si una publicación es Full (stock en bodegas de Mercado Libre)
+ * 
+ * @param {Object} mlProduct - Entrada del mapa de productos de Mercado Libre
+ * @returns {boolean} true si la logística es fulfillment
+ */
+function isFulfillmentListing(mlProduct) {
+    return mlProduct.logisticType === 'fulfillment';
+}
+
+/**
+ * Resultado de una publicación Full: su stock lo administra Mercado Libre y no se modifica
  * 
  * @param {string} sku - Código SKU del producto
+ * @param {Object} mlProduct - Entrada del mapa de productos de Mercado Libre
+ * @param {number} managerStock - Stock del SKU en Manager+
+ * @returns {Object} Resultado omitido
+ */
+function buildFulfillmentResult(sku, mlProduct, managerStock) {
+    return {
+        sku,
+        itemId: mlProduct.itemId,
+        variationId: mlProduct.variationId || null,
+        managerStock,
+        mlStock: mlProduct.currentStock,
+        logisticType: mlProduct.logisticType,
+        success: true,
+        action: 'skipped',
+        newStock: mlProduct.currentStock,
+        message: 'Publicación Full: el stock lo administra Mercado Libre'
+    };
+}
+
+/**
+ * Sincronizar el stock de una publicación (o variación) de un SKU
+ * 
+ * @param {string} sku - Código SKU del producto
+ * @param {Object} mlProduct - Entrada del mapa de productos de Mercado Libre
+ * @param {Object} managerProduct - Producto de Manager+ (ver normalizeManagerProduct)
+ * @param {number} assignedStock - Stock de Manager+ que le corresponde a esta publicación
+ * @param {Object} distribution - Reparto aplicado ({ estrategia, origen, peso, asignado }) o null si es la única publicación del SKU
  * @param {Object} options - Opciones de sincronización
- * @param {Map} mlProductsMap - Mapa de productos de Mercado Libre (opcional)
  * @returns {Promise<Object>} Resultado de la sincronización
  */
-async function syncProductStock(sku, options = {}, mlProductsMap = null) {
+async function syncListingStock(sku, mlProduct, managerProduct, assignedStock, distribution, options = {}) {
     const { dryRun = false, forceUpdate = false } = options;
-    
+
     try {
-        // 1. Obtener stock de Manager+
-        let managerProduct;
-        try {
-            managerProduct = await getManagerProductBySKU(sku);
-        } catch (error) {
+        // Aplicar reglas de stock (reserva, porcentaje, máximo, mínimo)
+        const managerStock = parseInt(managerProduct.stock) || 0;
+        const mlStock = mlProduct.currentStock;
+        const multiplier = mlProduct.multiplier || 1;
+        // Con multiplicador (ej: pack de 6) se publican unidades completas del pack
+        const availableUnits = Math.floor(assignedStock / multiplier);
+        const rule = resolveStockRule(sku, mlProduct.categoryId);
+        const { quantity: publishStock, pause, steps } = applyStockRule(availableUnits, rule);
+        if (multiplier > 1) {
+            steps.unshift(`÷${multiplier} → ${availableUnits}`);
+        }
+        if (distribution?.estrategia === 'reparto') {
+            steps.unshift(`reparto peso ${distribution.peso} → ${assignedStock}`);
+        }
+
+        const baseResult = {
+            sku,
+            itemId: mlProduct.itemId,
+            variationId: mlProduct.variationId || null,
+            managerStock,
+            mlStock,
+            multiplier,
+            skuSource: mlProduct.skuSource || 'listing',
+            logisticType: mlProduct.logisticType || null,
+            distribution,
+            warehouseBreakdown: managerProduct.stockBreakdown || [],
+            bundleComponents: managerProduct.bundleComponents || null,
+            appliedRule: {
+                origen: rule.origen,
+                reserva: rule.reserva,
+                porcentaje: rule.porcentaje,
+                maximo: rule.maximo,
+                minimo: rule.minimo,
+                pasos: steps
+            }
+        };
+
+        const isPaused = mlProduct.status === 'paused';
+
+        // Bajo el mínimo (o en 0 con ML_PAUSE_ON_ZERO_STOCK): pausar la publicación
+        // en vez de publicar pocas unidades. Una variación no se puede pausar por
+        // separado, así que se publica en 0.
+        const shouldPause = !mlProduct.variationId && (pause || (ML_PAUSE_ON_ZERO_STOCK && publishStock === 0));
+        if (shouldPause) {
+            if (isPaused) {
+                return {
+                    ...baseResult,
+                    success: true,
+                    action: 'no_change',
+                    newStock: mlStock,
+                    message: 'Publicación ya pausada'
+                };
+            }
+
+            if (dryRun) {
+                return {
+                    ...baseResult,
+                    success: true,
+                    action: 'would_pause',
+                    newStock: mlStock,
+                    message: 'Dry run: la publicación se pausaría'
+                };
+            }
+
+            await pauseMercadoLibreItem(mlProduct.itemId);
+            mlProduct.status = 'paused';
+
             return {
-                sku,
-                success: false,
-                error: error.message,
-                action: 'error'
+                ...baseResult,
+                success: true,
+                action: 'paused',
+                newStock: mlStock,
+                message: pause ? 'Publicación pausada (stock bajo el mínimo)' : 'Publicación pausada (sin stock)'
+            };
+        }
+
+        const newStock = pause ? 0 : publishStock;
+
+        // Publicación pausada que vuelve a tener stock: reactivarla
+        if (isPaused && newStock > 0) {
+            if (!canReactivate(mlProduct)) {
+                return {
+                    ...baseResult,
+                    success: true,
+                    action: 'skipped',
+                    newStock: mlStock,
+                    message: 'Publicación pausada manualmente: no se reactiva'
+                };
+            }
+
+            if (dryRun) {
+                return {
+                    ...baseResult,
+                    success: true,
+                    action: 'would_reactivate',
+                    newStock,
+                    message: 'Dry run: la publicación se reactivaría'
+                };
+            }
+
+            await updateMercadoLibreStock(mlProduct.itemId, newStock, {
+                variationId: mlProduct.variationId,
+                variationIds: mlProduct.variationIds,
+                activate: true
+            });
+            setPausedBySync(mlProduct.itemId, false);
+            mlProduct.currentStock = newStock;
+            mlProduct.status = 'active';
+
+            return {
+                ...baseResult,
+                success: true,
+                action: 'reactivated',
+                newStock,
+                message: 'Publicación reactivada con stock'
+            };
+        }
+
+        // Comparar stocks
+        if (newStock === mlStock && !forceUpdate) {
+            return {
+                ...baseResult,
+                success: true,
+                action: 'no_change',
+                newStock,
+                message: 'Stocks ya están sincronizados'
             };
         }
         
-        if (!managerProduct) {
+        // Actualizar stock en Mercado Libre
+        if (dryRun) {
             return {
-                sku,
-                success: false,
-                error: 'Producto no encontrado en Manager+',
-                action: 'skipped'
+                ...baseResult,
+                success: true,
+                action: 'would_update',
+                newStock,
+                message: 'Dry run: no se realizaron cambios'
             };
         }
         
-        // 2. Obtener stock de Mercado Libre (usando caché si está disponible)
-        const mlProduct = await getMercadoLibreProductStockBySKU(sku, mlProductsMap);
+        await updateMercadoLibreStock(mlProduct.itemId, newStock, {
+            variationId: mlProduct.variationId,
+            variationIds: mlProduct.variationIds
+        });
+        mlProduct.currentStock = newStock;
         
-        if (!mlProduct) {
+        return {
+            ...baseResult,
+            success: true,
+            action: 'updated',
+            newStock,
+            message: 'Stock actualizado exitosamente'
+        };
+        
+    } catch (error) {
+        return {
+            sku,
+            itemId: mlProduct.itemId,
+            variationId: mlProduct.variationId || null,
+            success: false,
+            error: error.message,
+            action: 'error'
+        };
+    }
+}
+
+/**
+ * Sincronizar el stock de un producto específico (optimizado con caché)
+ * 
+ * Si el SKU está en varias publicaciones se sincronizan todas, con el stock
+ * repartido según su regla (ver distributionRules.js), y el resultado trae el
+ * detalle de cada una en "listings".
+ * 
+ * @param {string} sku - Código SKU del producto
+ * @param {Object} options - Opciones de sincronización
+ * @param {Map} mlProductsMap - Mapa de productos de Mercado Libre (opcional)
+ * @param {Map} managerSnapshot - Foto de stock de Manager+ (opcional, ver loadManagerStockSnapshot)
+ * @returns {Promise<Object>} Resultado de la sincronización
+ */
+async function syncProductStock(sku, options = {}, mlProductsMap = null, managerSnapshot = null) {
+    try {
+        // 1. Obtener stock de Manager+
+        let managerProduct;
+        try {
+            managerProduct = await resolveManagerProduct(sku, managerSnapshot);
+        } catch (error) {
             return {
                 sku,
                 success: false,
-                error: 'Producto no encontrado en Mercado Libre',
-                action: 'skipped'
+                error: error.message,
+                action: 'error'
             };
         }
         
-        // 3. Comparar stocks
-        const managerStock = parseInt(managerProduct.stock) || 0;
-        const mlStock = mlProduct.currentStock;
-        
-        if (managerStock === mlStock && !forceUpdate) {
+        if (!managerProduct) {
             return {
                 sku,
-                success: true,
-                action: 'no_change',
-                managerStock,
-                mlStock,
-                message: 'Stocks ya están sincronizados'
+                success: false,
+                error: 'Producto no encontrado en Manager+',
+                action: 'skipped'
             };
         }
         
-        // 4. Actualizar stock en Mercado Libre
-        if (dryRun) {
+        // 2. Obtener las publicaciones de Mercado Libre (usando caché si está disponible)
+        const listings = await getMercadoLibreListingsBySKU(sku, mlProductsMap);
+        
+        if (listings.length === 0) {
             return {
                 sku,
-                success: true,
-                action: 'would_update',
-                managerStock,
-                mlStock,
-                newStock: managerStock,
-                message: 'Dry run: no se realizaron cambios'
+                success: false,
+                error: 'Producto no encontrado en Mercado Libre',
+                action: 'skipped'
             };
         }
         
-        await updateMercadoLibreStock(mlProduct.itemId, managerStock);
+        const managerStock = parseInt(managerProduct.stock) || 0;
+        if (listings.length === 1) {
+            return isFulfillmentListing(listings[0])
+                ? buildFulfillmentResult(sku, listings[0], managerStock)
+                : await syncListingStock(sku, listings[0], managerProduct, managerStock, null, options);
+        }
+        
+        // 3. Varias publicaciones con el mismo SKU: espejo o reparto por pesos entre
+        //    las que no son Full. Se procesan en orden porque pueden ser variaciones
+        //    del mismo item.
+        const distributionRule = resolveDistributionRule(sku);
+        const syncableListings = listings.filter(listing => !isFulfillmentListing(listing));
+        const shares = distributeStock(managerStock, syncableListings, distributionRule);
+        const listingResults = [];
+        for (const listing of listings) {
+            if (isFulfillmentListing(listing)) {
+                listingResults.push(buildFulfillmentResult(sku, listing, managerStock));
+                continue;
+            }
+            const share = shares[syncableListings.indexOf(listing)];
+            listingResults.push(await syncListingStock(sku, listing, managerProduct, share.stock, {
+                estrategia: distributionRule.estrategia,
+                origen: distributionRule.origen,
+                peso: share.peso,
+                asignado: share.stock
+            }, options));
+        }
         
+        const failed = listingResults.filter(result => result.action === 'error');
         return {
             sku,
-            success: true,
-            action: 'updated',
+            success: failed.length === 0,
+            action: failed.length > 0 ? 'error' : 'multiple',
+            error: failed.length > 0 ? failed.map(result => `${result.itemId}: ${result.error}`).join('; ') : undefined,
             managerStock,
-            mlStock,
-            newStock: managerStock,
-            message: 'Stock actualizado exitosamente'
+            distribution: { estrategia: distributionRule.estrategia, origen: distributionRule.origen },
+            listings: listingResults
         };
         
     } catch (error) {
@@ -577,18 +1249,27 @@ async function syncProductStock(sku, options = {}, mlProductsMap = null) {
  * @param {Array} array - Array a procesar
  * @param {Function} processor - Función que procesa cada elemento
  * @param {number} concurrency - Número máximo de operaciones paralelas
- * @returns {Promise<Array>} Resultados del procesamiento
+ * @param {Object} hooks - Opcional
+ * @param {AbortSignal} hooks.signal - Al abortarse no se procesan más chunks
+ * @param {Function} hooks.onChunk - Se llama después de cada chunk con (procesados, total, resultados del chunk)
+ * @returns {Promise<Array>} Resultados del procesamiento (parciales si se canceló)
  */
-async function processInParallel(array, processor, concurrency = 5) {
+async function processInParallel(array, processor, concurrency = 5, { signal = null, onChunk = null } = {}) {
     const results = [];
     let rateLimitErrors = 0;
     const MAX_RATE_LIMIT_ERRORS = 5;
     
     for (let i = 0; i < array.length; i += concurrency) {
+        if (signal?.aborted) {
+            console.log(`\n🛑 Sincronización cancelada después de ${i}/${array.length} productos`);
+            break;
+        }
+        
         const chunk = array.slice(i, i + concurrency);
+        let chunkResults = [];
         
         try {
-            const chunkResults = await Promise.all(chunk.map(processor));
+            chunkResults = await Promise.all(chunk.map(processor));
             results.push(...chunkResults);
             
             // Contar errores de rate limiting en este chunk
@@ -617,17 +1298,202 @@ async function processInParallel(array, processor, concurrency = 5) {
         // Mostrar progreso
         const processed = Math.min(i + concurrency, array.length);
         process.stdout.write(`\r   Procesando: ${processed}/${array.length} productos... \n`);
+        if (onChunk) {
+            onChunk(processed, array.length, chunkResults);
+        }
     }
     
     process.stdout.write('\n');
     return results;
 }
 
+/**
+ * Obtener los resultados por publicación de un resultado de syncProductStock
+ * 
+ * @param {Object} result - Resultado de un SKU
+ * @returns {Array<Object>} Resultados por publicación (el mismo resultado si el SKU tiene una sola)
+ */
+function getListingResults(result) {
+    return result.listings || [result];
+}
+
+/**
+ * Mostrar en consola el resultado de una publicación
+ * 
+ * @param {string} sku - Código SKU del producto
+ * @param {Object} result - Resultado de la publicación
+ * @param {boolean} multipleListings - El SKU tiene varias publicaciones (se muestra el item)
+ */
+function logStockResult(sku, result, multipleListings = false) {
+    const label = result.variationId
+        ? `${sku} [${result.itemId}/${result.variationId}]`
+        : multipleListings ? `${sku} [${result.itemId}]` : sku;
+    const ruleSteps = result.appliedRule?.pasos?.length ? ` [${result.appliedRule.pasos.join(', ')}]` : '';
+    if (result.action === 'updated' || result.action === 'would_update') {
+        console.log(`   ✅ ${label}: ${result.mlStock} → ${result.newStock} (ERP ${result.managerStock}${ruleSteps})`);
+    } else if (result.action === 'paused' || result.action === 'would_pause') {
+        console.log(`   ⏸️  ${label}: ${result.action === 'paused' ? 'pausada' : 'se pausaría'} (ERP ${result.managerStock}${ruleSteps})`);
+    } else if (result.action === 'reactivated' || result.action === 'would_reactivate') {
+        console.log(`   ▶️  ${label}: ${result.action === 'reactivated' ? 'reactivada' : 'se reactivaría'} con ${result.newStock} (ERP ${result.managerStock}${ruleSteps})`);
+    } else if (result.action === 'no_change') {
+        console.log(`   ℹ️  ${label}: sin cambios (ML ${result.mlStock} = publicable ${result.newStock}, ERP ${result.managerStock})`);
+    } else if (result.action === 'skipped') {
+        console.log(`   ⏭️  ${label}: omitido (${result.error || result.message || 'motivo no especificado'})`);
+    } else if (result.action === 'error' || !result.success) {
+        console.log(`   ❌ ${label}: ${result.error || 'error desconocido'}`);
+    }
+}
+
+/**
+ * Recalcular los contadores del resumen a partir del detalle por publicación
+ * 
+ * @param {Object} results - Resumen de syncMultipleProducts (se modifica)
+ */
+function countStockResults(results) {
+    Object.assign(results, { updated: 0, skipped: 0, errors: 0, noChange: 0, paused: 0, reactivated: 0 });
+
+    results.details.forEach(result => {
+        if (result.success) {
+            if (result.action === 'updated' || result.action === 'would_update') {
+                results.updated++;
+            } else if (result.action === 'paused' || result.action === 'would_pause') {
+                results.paused++;
+            } else if (result.action === 'reactivated' || result.action === 'would_reactivate') {
+                results.reactivated++;
+            } else if (result.action === 'no_change') {
+                results.noChange++;
+            } else {
+                results.skipped++;
+            }
+        } else {
+            results.errors++;
+        }
+    });
+}
+
+/**
+ * Reemplazar en el detalle los resultados de un SKU reintentado
+ * 
+ * Las publicaciones que no habían fallado conservan su resultado original
+ * (en el reintento aparecerían sin cambios).
+ * 
+ * @param {Array<Object>} details - Detalle por publicación
+ * @param {string} sku - SKU reintentado
+ * @param {Array<Object>} retryResults - Resultados del reintento por publicación
+ * @returns {Array<Object>} Detalle actualizado (mismo orden)
+ */
+function mergeRetryResults(details, sku, retryResults) {
+    const previous = details.filter(result => result.sku === sku);
+    const merged = retryResults.map(retryResult => {
+        const original = previous.find(result => (
+            result.itemId &&
+            result.itemId === retryResult.itemId &&
+            (result.variationId || null) === (retryResult.variationId || null)
+        ));
+        return original && original.action !== 'error' ? original : retryResult;
+    });
+
+    const index = details.findIndex(result => result.sku === sku);
+    const others = details.filter(result => result.sku !== sku);
+    others.splice(index === -1 ? others.length : index, 0, ...merged);
+    return others;
+}
+
+/**
+ * Reemplazar las entradas de una publicación en el catálogo en memoria
+ * 
+ * Las publicaciones que ya no están activas ni pausadas se quitan, como en
+ * la carga completa.
+ * 
+ * @param {Object} item - Publicación recién obtenida de Mercado Libre
+ * @param {Map<string, Array<Object>>} productMap - Mapa SKU -> publicaciones
+ * @returns {Array<string>} SKUs de la publicación (antes y después del cambio)
+ */
+function replaceItemInProductMap(item, productMap) {
+    const skus = new Set();
+
+    Array.from(productMap.entries()).forEach(([sku, listings]) => {
+        const remaining = listings.filter(listing => listing.itemId !== item.id);
+        if (remaining.length === listings.length) return;
+
+        skus.add(sku);
+        if (remaining.length > 0) {
+            productMap.set(sku, remaining);
+        } else {
+            productMap.delete(sku);
+        }
+    });
+
+    if (['active', 'paused'].includes(item.status)) {
+        const itemMap = new Map();
+        addItemToProductMap(item, itemMap, [], readSkuMappings());
+        itemMap.forEach((listings, sku) => {
+            skus.add(sku);
+            productMap.set(sku, [...(productMap.get(sku) || []), ...listings]);
+        });
+    }
+
+    return Array.from(skus);
+}
+
+/**
+ * Sincronizar el stock de los SKUs de una publicación
+ * 
+ * Se usa al recibir una notificación "items": la publicación se vuelve a leer
+ * desde Mercado Libre (su stock o su SKU pueden haber cambiado) antes de
+ * sincronizar cada uno de sus SKUs con todas sus publicaciones.
+ * 
+ * @param {string} itemId - ID de la publicación (ej: MLC123456789)
+ * @param {Object} options - Opciones de sincronización (dryRun, trigger)
+ * @returns {Promise<Object>} { itemId, skus, details }
+ */
+async function syncMercadoLibreItemStock(itemId, options = {}) {
+    const startedAt = new Date().toISOString();
+
+    try {
+        const mlProductsMap = await loadAllMercadoLibreProducts();
+        const [item] = await getMercadoLibreItemsBatch([itemId]);
+        if (!item) {
+            throw new Error(`No se pudo obtener la publicación ${itemId} de Mercado Libre`);
+        }
+
+        const skus = replaceItemInProductMap(item, mlProductsMap);
+        if (skus.length === 0) {
+            console.log(`ℹ️  La publicación ${itemId} no tiene SKU ni equivalencia: no se sincroniza`);
+            return { itemId, skus, details: [] };
+        }
+
+        const details = [];
+        for (const sku of skus) {
+            const result = await syncProductStock(sku, options, mlProductsMap);
+            const listings = getListingResults(result);
+            listings.forEach(listing => logStockResult(sku, listing, listings.length > 1));
+            details.push(...listings);
+        }
+
+        recordSyncRun({
+            type: 'stock',
+            trigger: options.trigger,
+            options: { ...options, itemId },
+            startedAt,
+            results: { total: details.length, details }
+        });
+
+        return { itemId, skus, details };
+
+    } catch (error) {
+        console.error(`❌ Error al sincronizar la publicación ${itemId}:`, error.message);
+        recordSyncRun({ type: 'stock', trigger: options.trigger, options: { ...options, itemId }, startedAt, error });
+        throw error;
+    }
+}
+
 /**
  * Sincronizar stocks de múltiples productos (optimizado con procesamiento paralelo)
  * 
  * @param {Array<string>} skus - Array de códigos SKU
  * @param {Object} options - Opciones de sincronización
+ * @param {boolean} options.refreshCatalog - Volver a cargar el catálogo de Mercado Libre antes de sincronizar
  * @returns {Promise<Object>} Resumen de la sincronización
  */
 async function syncMultipleProducts(skus, options = {}) {
@@ -637,6 +1503,9 @@ async function syncMultipleProducts(skus, options = {}) {
         skipped: 0,
         errors: 0,
         noChange: 0,
+        paused: 0,
+        reactivated: 0,
+        cancelled: false,
         details: []
     };
     
@@ -658,6 +1527,7 @@ async function syncMultipleProducts(skus, options = {}) {
     console.log('='.repeat(60));
     
     const startTime = Date.now();
+    const startedAt = new Date(startTime).toISOString();
     
     try {
         // Verificar autenticación con Mercado Libre primero
@@ -665,8 +1535,26 @@ async function syncMultipleProducts(skus, options = {}) {
         
         // Pre-cargar productos de Mercado Libre en memoria (una sola vez)
         console.log('📦 Pre-cargando datos...');
+        if (options.refreshCatalog) {
+            clearMercadoLibreProductsCache();
+        }
         const mlProductsMap = await loadAllMercadoLibreProducts();
         
+        // Foto de stock de Manager+ (una sola vez por ejecución). Si falla se
+        // consulta Manager+ SKU por SKU como antes.
+        let managerSnapshot = null;
+        try {
+            managerSnapshot = await loadManagerStockSnapshot();
+        } catch (error) {
+            console.warn(`⚠️  No se pudo cargar el stock completo de Manager+ (${error.response?.status || error.message}). Se consultará cada SKU por separado.`);
+        }
+        if (managerSnapshot) {
+            const missingSkus = skus.filter(sku => !managerSnapshot.has(sku) && !getBundle(sku)).length;
+            if (missingSkus > 0) {
+                console.log(`   ℹ️  ${missingSkus} SKUs no están en el listado de Manager+ y se consultarán individualmente`);
+            }
+        }
+        
         console.log('\n🔄 Iniciando sincronización paralela...\n');
         
         // Procesar productos en paralelo con límite de concurrencia
@@ -674,18 +1562,10 @@ async function syncMultipleProducts(skus, options = {}) {
             skus,
             async (sku) => {
                 try {
-                    const result = await syncProductStock(sku, options, mlProductsMap);
+                    const result = await syncProductStock(sku, options, mlProductsMap, managerSnapshot);
                     
-                    // Log detallado por resultado
-                    if (result.action === 'updated' || result.action === 'would_update') {
-                        console.log(`   ✅ ${sku}: ${result.mlStock} → ${result.managerStock}`);
-                    } else if (result.action === 'no_change') {
-                        console.log(`   ℹ️  ${sku}: sin cambios (ML ${result.mlStock} = ERP ${result.managerStock})`);
-                    } else if (result.action === 'skipped') {
-                        console.log(`   ⏭️  ${sku}: omitido (${result.error || 'motivo no especificado'})`);
-                    } else if (result.action === 'error' || !result.success) {
-                        console.log(`   ❌ ${sku}: ${result.error || 'error desconocido'}`);
-                    }
+                    // Log detallado por publicación (item/variación cuando aplica)
+                    getListingResults(result).forEach(listingResult => logStockResult(sku, listingResult, Boolean(result.listings)));
                     
                     return result;
                 } catch (error) {
@@ -698,25 +1578,21 @@ async function syncMultipleProducts(skus, options = {}) {
                     };
                 }
             },
-            concurrency
+            concurrency,
+            {
+                signal: options.signal,
+                onChunk: (processed, total, chunkResults) => options.onProgress?.({
+                    processed,
+                    total,
+                    results: chunkResults.flatMap(getListingResults)
+                })
+            }
         );
         
-        results.details = processedResults;
-        
-        // Procesar resultados
-        results.details.forEach(result => {
-            if (result.success) {
-                if (result.action === 'updated' || result.action === 'would_update') {
-                    results.updated++;
-                } else if (result.action === 'no_change') {
-                    results.noChange++;
-                } else {
-                    results.skipped++;
-                }
-            } else {
-                results.errors++;
-            }
-        });
+        // Un resultado por publicación (los SKUs con varias publicaciones se expanden)
+        results.details = processedResults.flatMap(getListingResults);
+        results.cancelled = Boolean(options.signal?.aborted);
+        countStockResults(results);
         
         // Reintentos automáticos
         const failedProducts = results.details.filter(r => 
@@ -727,7 +1603,7 @@ async function syncMultipleProducts(skus, options = {}) {
             !r.error.includes('skipped')
         );
         
-        if (failedProducts.length > 0 && !options.dryRun) {
+        if (failedProducts.length > 0 && !options.dryRun && !results.cancelled) {
             const maxRetries = options.maxRetries !== undefined ? options.maxRetries : 3;
             const retryDelay = options.retryDelay !== undefined ? options.retryDelay : 2000;
             
@@ -744,13 +1620,13 @@ async function syncMultipleProducts(skus, options = {}) {
                 console.log(`\n🔄 Intento ${retryAttempt}/${maxRetries} de reintento...`);
                 
                 const retryConcurrency = Math.max(2, Math.floor(concurrency / 2));
-                const failedSkus = remainingFailures.map(r => r.sku);
+                const failedSkus = [...new Set(remainingFailures.map(r => r.sku))];
                 
                 const retryProcessedResults = await processInParallel(
                     failedSkus,
                     async (sku) => {
                         try {
-                            const result = await syncProductStock(sku, options, mlProductsMap);
+                            const result = await syncProductStock(sku, options, mlProductsMap, managerSnapshot);
                             
                             if (result.success) {
                                 console.log(`   ✅ Reintento exitoso: ${sku}`);
@@ -766,32 +1642,18 @@ async function syncMultipleProducts(skus, options = {}) {
                             };
                         }
                     },
-                    retryConcurrency
+                    retryConcurrency,
+                    { signal: options.signal }
                 );
                 
                 // Actualizar resultados originales y contadores
+                const retryListingResults = retryProcessedResults.flatMap(getListingResults);
                 retryProcessedResults.forEach(retryResult => {
-                    const originalIndex = results.details.findIndex(r => r.sku === retryResult.sku);
-                    if (originalIndex !== -1) {
-                        const originalResult = results.details[originalIndex];
-                        const wasError = !originalResult.success && originalResult.action === 'error';
-                        
-                        results.details[originalIndex] = retryResult;
-                        
-                        if (retryResult.success && wasError) {
-                            results.errors--;
-                            if (retryResult.action === 'updated' || retryResult.action === 'would_update') {
-                                results.updated++;
-                            } else if (retryResult.action === 'no_change') {
-                                results.noChange++;
-                            } else if (retryResult.action === 'skipped') {
-                                results.skipped++;
-                            }
-                        }
-                    }
+                    results.details = mergeRetryResults(results.details, retryResult.sku, getListingResults(retryResult));
                 });
+                countStockResults(results);
                 
-                remainingFailures = retryProcessedResults.filter(r => 
+                remainingFailures = retryListingResults.filter(r => 
                     !r.success && 
                     r.action === 'error' &&
                     r.error && 
@@ -823,17 +1685,24 @@ async function syncMultipleProducts(skus, options = {}) {
         console.log('\n' + '='.repeat(60));
         console.log('📊 Resumen final de sincronización:');
         console.log(`   ✅ Actualizados: ${results.updated}`);
+        console.log(`   ⏸️  Pausados: ${results.paused}`);
+        console.log(`   ▶️  Reactivados: ${results.reactivated}`);
         console.log(`   ℹ️  Sin cambios: ${results.noChange}`);
         console.log(`   ⏭️  Omitidos: ${results.skipped}`);
         console.log(`   ❌ Errores finales: ${results.errors}`);
+        if (results.cancelled) {
+            console.log(`   🛑 Cancelada: ${new Set(results.details.map(r => r.sku)).size}/${results.total} SKUs procesados`);
+        }
         console.log(`   ⏱️  Tiempo total: ${duration}s`);
         console.log(`   ⚡ Velocidad: ${(results.total / duration).toFixed(2)} productos/segundo`);
         console.log('='.repeat(60));
         
+        recordSyncRun({ type: 'stock', trigger: options.trigger, options, startedAt, results });
         return results;
         
     } catch (error) {
         console.error('\n❌ Error fatal en sincronización:', error.message);
+        recordSyncRun({ type: 'stock', trigger: options.trigger, options, startedAt, error });
         throw error;
     }
 }
@@ -845,12 +1714,21 @@ async function syncMultipleProducts(skus, options = {}) {
  * @returns {Promise<Object>} Resumen de la sincronización
  */
 async function syncAllProducts(options = {}) {
+    const startedAt = new Date().toISOString();
+    let skus;
+    let releaseLock = null;
+
     try {
-        // Pre-cargar productos de Mercado Libre (esto también extrae los SKUs)
+        // Solo una sincronización completa a la vez (entre procesos que comparten DATA_DIR)
+        releaseLock = acquireFullSyncLock({ type: 'stock', trigger: options.trigger || 'api' });
+        
+        // Pre-cargar productos de Mercado Libre (esto también extrae los SKUs),
+        // siempre desde la API: el proceso puede llevar horas corriendo
+        clearMercadoLibreProductsCache();
         const mlProductsMap = await loadAllMercadoLibreProducts();
         
         // Extraer SKUs del mapa
-        const skus = Array.from(mlProductsMap.keys());
+        skus = Array.from(mlProductsMap.keys());
 
         if (skus.length === 0) {
             throw new Error('No hay publicaciones con SKU configurado en Mercado Libre. Configura seller_custom_field o el atributo SELLER_SKU para cada publicación.');
@@ -858,20 +1736,305 @@ async function syncAllProducts(options = {}) {
         
         console.log(`✅ Sincronizando ${skus.length} SKUs únicos\n`);
         
-        return await syncMultipleProducts(skus, options);
-        
     } catch (error) {
+        releaseLock?.();
         console.error('❌ Error al obtener productos de Mercado Libre:', error.message);
+        recordSyncRun({ type: 'stock', trigger: options.trigger, options, startedAt, error });
+        throw error;
+    }
+
+    try {
+        // El catálogo ya se cargó arriba
+        return await syncMultipleProducts(skus, { ...options, refreshCatalog: false });
+    } finally {
+        releaseLock();
+    }
+}
+
+/**
+ * Sincronizar el precio de una publicación (o variación) de un SKU
+ * 
+ * @param {string} sku - Código SKU del producto
+ * @param {Object} mlProduct - Entrada del mapa de productos de Mercado Libre
+ * @param {number} listPrice - Precio del SKU en la lista de Manager+
+ * @param {Object} options - Opciones (dryRun)
+ * @returns {Promise<Object>} Resultado de la sincronización
+ */
+async function syncListingPrice(sku, mlProduct, listPrice, options = {}) {
+    const { dryRun = false } = options;
+
+    try {
+        // Con multiplicador el precio publicado corresponde al pack completo
+        const erpPrice = listPrice * (mlProduct.multiplier || 1);
+
+        const mlPrice = mlProduct.currentPrice;
+        const { price: newPrice, rule } = computeMercadoLibrePrice(erpPrice, mlProduct.categoryId);
+        const delta = checkPriceDelta(mlPrice, newPrice);
+
+        const baseResult = {
+            sku,
+            itemId: mlProduct.itemId,
+            variationId: mlProduct.variationId || null,
+            erpPrice,
+            mlPrice,
+            newPrice,
+            deltaPercent: delta.deltaPercent,
+            appliedRule: rule
+        };
+
+        if (newPrice === mlPrice) {
+            return { ...baseResult, success: true, action: 'no_change', message: 'Precios ya están sincronizados' };
+        }
+
+        // Protección ante listas de precios mal cargadas: no aplicar cambios bruscos
+        if (!delta.allowed) {
+            return {
+                ...baseResult,
+                success: true,
+                action: 'blocked',
+                message: `Cambio de ${delta.deltaPercent}% supera el máximo permitido (${delta.maxVariacion}%)`
+            };
+        }
+
+        if (dryRun) {
+            return { ...baseResult, success: true, action: 'would_update', message: 'Dry run: no se realizaron cambios' };
+        }
+
+        await updateMercadoLibrePrice(mlProduct.itemId, newPrice, {
+            variationId: mlProduct.variationId,
+            variationIds: mlProduct.variationIds
+        });
+        mlProduct.currentPrice = newPrice;
+
+        return { ...baseResult, success: true, action: 'updated', message: 'Precio actualizado exitosamente' };
+
+    } catch (error) {
+        return {
+            sku,
+            itemId: mlProduct.itemId,
+            variationId: mlProduct.variationId || null,
+            success: false,
+            error: error.message,
+            action: 'error'
+        };
+    }
+}
+
+/**
+ * Sincronizar el precio de un producto desde la lista de precios de Manager+
+ * 
+ * Si el SKU está en varias publicaciones todas reciben el mismo precio de
+ * lista y el resultado trae el detalle de cada una en "listings".
+ * 
+ * @param {string} sku - Código SKU del producto
+ * @param {Object} options - Opciones (dryRun)
+ * @param {Map} mlProductsMap - Mapa de productos de Mercado Libre
+ * @param {Map} priceList - Lista de precios de Manager+ (ver loadManagerPriceList)
+ * @returns {Promise<Object>} Resultado de la sincronización
+ */
+async function syncProductPrice(sku, options = {}, mlProductsMap = null, priceList = null) {
+    try {
+        const listings = await getMercadoLibreListingsBySKU(sku, mlProductsMap);
+        if (listings.length === 0) {
+            return { sku, success: false, error: 'Producto no encontrado en Mercado Libre', action: 'skipped' };
+        }
+
+        const listPrice = priceList?.get(sku)?.precio || 0;
+        if (!listPrice) {
+            return { sku, success: false, error: 'Producto sin precio en la lista de Manager+', action: 'skipped' };
+        }
+
+        if (listings.length === 1) {
+            return await syncListingPrice(sku, listings[0], listPrice, options);
+        }
+
+        const listingResults = [];
+        for (const listing of listings) {
+            listingResults.push(await syncListingPrice(sku, listing, listPrice, options));
+        }
+
+        const failed = listingResults.filter(result => result.action === 'error');
+        return {
+            sku,
+            success: failed.length === 0,
+            action: failed.length > 0 ? 'error' : 'multiple',
+            error: failed.length > 0 ? failed.map(result => `${result.itemId}: ${result.error}`).join('; ') : undefined,
+            listings: listingResults
+        };
+
+    } catch (error) {
+        return {
+            sku,
+            success: false,
+            error: error.message,
+            action: 'error'
+        };
+    }
+}
+
+/**
+ * Sincronizar precios de múltiples productos desde la lista de precios de Manager+
+ * 
+ * @param {Array<string>} skus - Lista de SKUs a sincronizar
+ * @param {Object} options - Opciones (dryRun, concurrency, priceList, refreshCatalog)
+ * @returns {Promise<Object>} Resumen de la sincronización de precios
+ */
+async function syncPrices(skus, options = {}) {
+    const priceListId = options.priceList || erpClient.ERP_PRICE_LIST;
+    const concurrency = Math.min(options.concurrency || 5, 20);
+    const results = {
+        total: skus.length,
+        priceList: priceListId,
+        cancelled: false,
+        updated: 0,
+        blocked: 0,
+        skipped: 0,
+        errors: 0,
+        noChange: 0,
+        details: []
+    };
+
+    console.log(`\n💲 Iniciando sincronización de precios de ${skus.length} SKUs (lista ${priceListId})${options.dryRun ? ' [DRY RUN]' : ''}`);
+    console.log('='.repeat(60));
+
+    const startTime = Date.now();
+    const startedAt = new Date(startTime).toISOString();
+
+    try {
+        if (options.refreshCatalog) {
+            clearMercadoLibreProductsCache();
+        }
+        const mlProductsMap = await loadAllMercadoLibreProducts();
+        const priceList = await loadManagerPriceList(priceListId);
+
+        console.log('\n🔄 Comparando precios...\n');
+
+        const processedResults = await processInParallel(
+            skus,
+            async (sku) => {
+                const result = await syncProductPrice(sku, options, mlProductsMap, priceList);
+
+                getListingResults(result).forEach(listingResult => {
+                    const label = listingResult.variationId
+                        ? `${sku} [${listingResult.itemId}/${listingResult.variationId}]`
+                        : result.listings ? `${sku} [${listingResult.itemId}]` : sku;
+
+                    if (listingResult.action === 'updated' || listingResult.action === 'would_update') {
+                        console.log(`   ✅ ${label}: $${listingResult.mlPrice} → $${listingResult.newPrice} (lista $${listingResult.erpPrice}, ${listingResult.appliedRule.origen})`);
+                    } else if (listingResult.action === 'blocked') {
+                        console.log(`   🛑 ${label}: $${listingResult.mlPrice} → $${listingResult.newPrice} bloqueado (${listingResult.message})`);
+                    } else if (listingResult.action === 'skipped') {
+                        console.log(`   ⏭️  ${label}: omitido (${listingResult.error})`);
+                    } else if (listingResult.action === 'error') {
+                        console.log(`   ❌ ${label}: ${listingResult.error}`);
+                    }
+                });
+
+                return result;
+            },
+            concurrency,
+            {
+                signal: options.signal,
+                onChunk: (processed, total, chunkResults) => options.onProgress?.({
+                    processed,
+                    total,
+                    results: chunkResults.flatMap(getListingResults)
+                })
+            }
+        );
+
+        // Un resultado por publicación (los SKUs con varias publicaciones se expanden)
+        results.details = processedResults.flatMap(getListingResults);
+        results.cancelled = Boolean(options.signal?.aborted);
+
+        results.details.forEach(result => {
+            if (result.action === 'updated' || result.action === 'would_update') {
+                results.updated++;
+            } else if (result.action === 'blocked') {
+                results.blocked++;
+            } else if (result.action === 'no_change') {
+                results.noChange++;
+            } else if (result.action === 'skipped') {
+                results.skipped++;
+            } else {
+                results.errors++;
+            }
+        });
+
+        const duration = ((Date.now() - startTime) / 1000).toFixed(2);
+
+        console.log('\n' + '='.repeat(60));
+        console.log('📊 Resumen de sincronización de precios:');
+        console.log(`   ✅ ${options.dryRun ? 'Se actualizarían' : 'Actualizados'}: ${results.updated}`);
+        console.log(`   🛑 Bloqueados por variación máxima: ${results.blocked}`);
+        console.log(`   ℹ️  Sin cambios: ${results.noChange}`);
+        console.log(`   ⏭️  Omitidos: ${results.skipped}`);
+        console.log(`   ❌ Errores: ${results.errors}`);
+        if (results.cancelled) {
+            console.log(`   🛑 Cancelada: ${new Set(results.details.map(r => r.sku)).size}/${results.total} SKUs procesados`);
+        }
+        console.log(`   ⏱️  Tiempo total: ${duration}s`);
+        console.log('='.repeat(60));
+
+        recordSyncRun({ type: 'price', trigger: options.trigger, options: { ...options, priceList: priceListId }, startedAt, results });
+        return results;
+
+    } catch (error) {
+        console.error('\n❌ Error fatal en sincronización de precios:', error.message);
+        recordSyncRun({ type: 'price', trigger: options.trigger, options: { ...options, priceList: priceListId }, startedAt, error });
+        throw error;
+    }
+}
+
+/**
+ * Sincronizar los precios de todas las publicaciones con SKU
+ * 
+ * @param {Object} options - Opciones de sincronización de precios
+ * @returns {Promise<Object>} Resumen de la sincronización de precios
+ */
+async function syncAllPrices(options = {}) {
+    const startedAt = new Date().toISOString();
+    let skus;
+    let releaseLock = null;
+
+    try {
+        releaseLock = acquireFullSyncLock({ type: 'price', trigger: options.trigger || 'api' });
+        clearMercadoLibreProductsCache();
+        const mlProductsMap = await loadAllMercadoLibreProducts();
+        skus = Array.from(mlProductsMap.keys());
+
+        if (skus.length === 0) {
+            throw new Error('No hay publicaciones con SKU configurado en Mercado Libre.');
+        }
+    } catch (error) {
+        releaseLock?.();
+        recordSyncRun({ type: 'price', trigger: options.trigger, options, startedAt, error });
         throw error;
     }
+
+    try {
+        return await syncPrices(skus, { ...options, refreshCatalog: false });
+    } finally {
+        releaseLock();
+    }
 }
 
 // Exportar funciones
 module.exports = {
     syncProductStock,
     syncMultipleProducts,
+    syncMercadoLibreItemStock,
     syncAllProducts,
+    syncProductPrice,
+    syncPrices,
+    syncAllPrices,
     getManagerProductBySKU,
+    loadManagerStockSnapshot,
+    loadManagerPriceList,
+    clearMercadoLibreProductsCache,
+    getUnmappedMercadoLibreItems,
+    getDuplicateSkusReport,
+    getFulfillmentStockReport,
     getMercadoLibreProductStockBySKU
 };
 
@@ -883,9 +2046,17 @@ if (require.main === module) {
     const options = {
         dryRun: args.includes('--dry-run'),
         force: args.includes('--force'),
-        all: args.includes('--all')
+        all: args.includes('--all'),
+        prices: args.includes('--prices'),
+        trigger: 'cli'
     };
     
+    // Lista de precios de Manager+ (solo con --prices)
+    const priceListArg = args.find(arg => arg.startsWith('--price-list='));
+    if (priceListArg) {
+        options.priceList = priceListArg.split('=')[1];
+    }
+    
     // Extraer concurrencia si se especifica
     const concurrencyArg = args.find(arg => arg.startsWith('--concurrency='));
     if (concurrencyArg) {
@@ -928,6 +2099,7 @@ Uso:
   node syncStocksML.js [SKU1] [SKU2] ... [SKUn]        - Sincronizar productos específicos
   node syncStocksML.js --all                            - Sincronizar todos los productos
   node syncStocksML.js --all --dry-run                  - Simular sincronización sin cambios
+  node syncStocksML.js --all --prices                   - Sincronizar precios desde la lista de Manager+
 
 Opciones:
   --dry-run                 Simular sin hacer cambios reales
@@ -936,11 +2108,14 @@ Opciones:
   --max-retries=N           Número máximo de reintentos automáticos (default: 3)
   --retry-delay=N           Milisegundos de espera entre reintentos (default: 2000)
   --no-retry                Desactivar reintentos automáticos
+  --prices                  Sincronizar precios en vez de stock (con --dry-run solo simula)
+  --price-list=N            Lista de precios de Manager+ (default: ERP_PRICE_LIST o 18)
 
 Ejemplos:
   node syncStocksML.js --all --dry-run --concurrency=10
   node syncStocksML.js ABC123 DEF456 --concurrency=3
   node syncStocksML.js --all --max-retries=5 --retry-delay=3000
+  node syncStocksML.js --all --prices --dry-run
             `);
             process.exit(0);
         }
@@ -951,7 +2126,7 @@ Ejemplos:
         try {
             if (options.all) {
                 // Sincronizar todos los productos
-                await syncAllProducts(options);
+                await (options.prices ? syncAllPrices(options) : syncAllProducts(options));
             } else {
                 // Sincronizar SKUs específicos
                 const skus = args.filter(arg => !arg.startsWith('--'));
@@ -959,7 +2134,7 @@ Ejemplos:
                     console.error('❌ Error: Debes proporcionar al menos un SKU o usar --all');
                     process.exit(1);
                 }
-                await syncMultipleProducts(skus, options);
+                await (options.prices ? syncPrices(skus, options) : syncMultipleProducts(skus, options));
             }
         } catch (error) {
             console.error('❌ Error fatal:', error.message);
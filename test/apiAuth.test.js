@@ -0,0 +1,103 @@
+/**
+ * Pruebas de los permisos de API keys de apiAuth.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+const DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'ml-apiauth-test-'));
+process.env.API_KEYS_FILE = path.join(DATA_DIR, 'api-keys.json');
+
+const hash = key => `sha256:${crypto.createHash('sha256').update(key, 'utf8').digest('hex')}`;
+fs.writeFileSync(process.env.API_KEYS_FILE, JSON.stringify({
+    claves: [
+        { nombre: 'panel', hash: hash('clave-admin'), permisos: ['admin'] },
+        { nombre: 'sync', hash: hash('clave-sync'), permisos: ['run-sync'] }
+    ]
+}));
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { requireScope, loadApiKeys, reloadApiKeys } = require('../apiAuth');
+
+test.after(() => {
+    fs.rmSync(DATA_DIR, { recursive: true, force: true });
+});
+
+/**
+ * Ejecutar un middleware con una petición simulada
+ *
+ * @returns {Object} { status, body, nextCalled, apiKeyName }
+ */
+function run(middleware, { method = 'GET', headers = {}, query = {} } = {}) {
+    const lowerHeaders = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+    const req = {
+        method,
+        query,
+        ip: '127.0.0.1',
+        originalUrl: '/api/prueba',
+        get: name => lowerHeaders[name.toLowerCase()]
+    };
+    const result = { status: 200, body: null, nextCalled: false };
+    const res = {
+        status(code) {
+            result.status = code;
+            return this;
+        },
+        json(body) {
+            result.body = body;
+            return this;
+        }
+    };
+
+    middleware(req, res, () => {
+        result.nextCalled = true;
+    });
+    result.apiKeyName = req.apiKeyName;
+    return result;
+}
+
+test('sin clave o con una clave desconocida responde 401', () => {
+    assert.equal(run(requireScope('run-sync')).status, 401);
+    assert.equal(run(requireScope('run-sync'), { headers: { 'X-API-Key': 'otra' } }).status, 401);
+});
+
+test('una clave sin el permiso requerido responde 403', () => {
+    const result = run(requireScope('admin'), { headers: { 'X-API-Key': 'clave-sync' } });
+    assert.equal(result.status, 403);
+    assert.equal(result.nextCalled, false);
+});
+
+test('una clave con el permiso, o admin, pasa al siguiente middleware', () => {
+    const sync = run(requireScope('run-sync'), { headers: { 'X-API-Key': 'clave-sync' } });
+    assert.equal(sync.nextCalled, true);
+    assert.equal(sync.apiKeyName, 'sync');
+
+    const admin = run(requireScope('read-products'), { headers: { Authorization: 'Bearer clave-admin' } });
+    assert.equal(admin.nextCalled, true);
+    assert.equal(admin.apiKeyName, 'panel');
+});
+
+test('la clave en la URL solo se acepta en rutas GET que la habilitan', () => {
+    const query = { api_key: 'clave-sync' };
+
+    assert.equal(run(requireScope('run-sync'), { query }).status, 401);
+    assert.equal(run(requireScope('run-sync', { allowQueryKey: true }), { query }).nextCalled, true);
+    assert.equal(run(requireScope('run-sync', { allowQueryKey: true }), { method: 'POST', query }).status, 401);
+});
+
+test('un permiso desconocido falla al declarar la ruta', () => {
+    assert.throws(() => requireScope('superadmin'), /Permiso desconocido/);
+});
+
+test('un archivo de claves con hash o permisos inválidos no se carga', () => {
+    fs.writeFileSync(process.env.API_KEYS_FILE, JSON.stringify({ claves: [{ nombre: 'mala', hash: 'abc', permisos: ['admin'] }] }));
+    reloadApiKeys();
+    assert.throws(() => loadApiKeys(), /hash inválido para "mala"/);
+
+    fs.writeFileSync(process.env.API_KEYS_FILE, JSON.stringify({ claves: [{ nombre: 'mala', hash: hash('x'), permisos: ['todo'] }] }));
+    reloadApiKeys();
+    assert.throws(() => loadApiKeys(), /permiso inválido "todo"/);
+});
@@ -0,0 +1,71 @@
+/**
+ * Pruebas de los kits de bundles.js
+ *
+ * El archivo de kits se escribe en un directorio temporal y se vuelve a leer
+ * (reloadBundles) en cada prueba que lo usa.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const CONFIG_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'ml-kits-test-'));
+const BUNDLES_FILE = path.join(CONFIG_DIR, 'kits-ml.json');
+process.env.BUNDLES_FILE = BUNDLES_FILE;
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getBundle, reloadBundles, computeBundleStock, splitBundlePrice } = require('../bundles');
+
+function writeBundles(config) {
+    fs.writeFileSync(BUNDLES_FILE, JSON.stringify(config));
+    reloadBundles();
+}
+
+test.after(() => {
+    fs.rmSync(CONFIG_DIR, { recursive: true, force: true });
+});
+
+test('el stock de un kit es la cantidad de kits completos que se pueden armar', () => {
+    const components = [{ sku: 'A', cantidad: 1 }, { sku: 'B', cantidad: 3 }];
+
+    const { stock, components: detail } = computeBundleStock(components, { A: 10, B: 7 });
+    assert.equal(stock, 2);
+    assert.deepEqual(detail, [
+        { sku: 'A', cantidad: 1, stock: 10, kits: 10 },
+        { sku: 'B', cantidad: 3, stock: 7, kits: 2 }
+    ]);
+
+    // Un componente sin stock (o con saldo negativo) deja el kit en 0
+    assert.equal(computeBundleStock(components, { A: 10, B: -4 }).stock, 0);
+    assert.equal(computeBundleStock(components, { A: 10 }).stock, 0);
+});
+
+test('el precio se reparte según el precio de lista de cada componente', () => {
+    const components = [{ sku: 'A', cantidad: 1 }, { sku: 'B', cantidad: 2 }];
+
+    // 2 kits por 20000 neto: A pesa 3000, B pesa 2 x 1000
+    assert.deepEqual(splitBundlePrice(components, 2, 20000, { A: 3000, B: 1000 }), [
+        { sku: 'A', cantidad: 2, precioUnit: 6000 },
+        { sku: 'B', cantidad: 4, precioUnit: 2000 }
+    ]);
+
+    // Si falta un precio de lista el reparto es por cantidad
+    assert.deepEqual(splitBundlePrice(components, 1, 9000, { A: 3000 }), [
+        { sku: 'A', cantidad: 1, precioUnit: 3000 },
+        { sku: 'B', cantidad: 2, precioUnit: 3000 }
+    ]);
+});
+
+test('los kits se leen del archivo y se validan sus componentes', () => {
+    writeBundles({ kits: { ' PACK3 ': [{ sku: 'A', cantidad: 3 }], COMBO: [{ sku: 'A' }, { sku: 'B', cantidad: 2 }] } });
+    assert.deepEqual(getBundle('PACK3'), [{ sku: 'A', cantidad: 3 }]);
+    assert.deepEqual(getBundle('COMBO'), [{ sku: 'A', cantidad: 1 }, { sku: 'B', cantidad: 2 }]);
+    assert.equal(getBundle('A'), null);
+
+    writeBundles({ kits: { VACIO: [] } });
+    assert.throws(() => getBundle('VACIO'), /el kit VACIO debe tener al menos un componente/);
+
+    writeBundles({ kits: { MALO: [{ sku: 'A', cantidad: 1.5 }] } });
+    assert.throws(() => getBundle('MALO'), /componente inválido en el kit MALO/);
+});
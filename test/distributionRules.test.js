@@ -0,0 +1,71 @@
+/**
+ * Pruebas del reparto de stock entre publicaciones de distributionRules.js
+ *
+ * El archivo de reglas se escribe en un directorio temporal y se vuelve a
+ * leer (reloadDistributionRules) en cada prueba que lo usa.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const CONFIG_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'ml-reparto-test-'));
+const RULES_FILE = path.join(CONFIG_DIR, 'reparto-ml.json');
+process.env.DISTRIBUTION_RULES_FILE = RULES_FILE;
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { resolveDistributionRule, reloadDistributionRules, distributeStock } = require('../distributionRules');
+
+function writeRules(config) {
+    fs.writeFileSync(RULES_FILE, JSON.stringify(config));
+    reloadDistributionRules();
+}
+
+test.after(() => {
+    fs.rmSync(CONFIG_DIR, { recursive: true, force: true });
+});
+
+const listings = [
+    { itemId: 'MLC1', variationId: null },
+    { itemId: 'MLC2', variationId: 7 },
+    { itemId: 'MLC3', variationId: null }
+];
+
+test('en espejo todas las publicaciones reciben el stock completo', () => {
+    assert.deepEqual(distributeStock(5.8, listings, { estrategia: 'espejo', pesos: {} }), [
+        { stock: 5, peso: null },
+        { stock: 5, peso: null },
+        { stock: 5, peso: null }
+    ]);
+});
+
+test('en reparto el stock se divide por pesos y el sobrante va a las mayores fracciones', () => {
+    const rule = { estrategia: 'reparto', pesos: { MLC1: 2, 'MLC2/7': 1, MLC2: 5 } };
+
+    // 10 x 2/4 = 5, 10 x 1/4 = 2.5, 10 x 1/4 = 2.5: la unidad sobrante va a la primera en empate
+    assert.deepEqual(distributeStock(10, listings, rule), [
+        { stock: 5, peso: 2 },
+        { stock: 3, peso: 1 },
+        { stock: 2, peso: 1 }
+    ]);
+    assert.equal(distributeStock(10, listings, rule).reduce((sum, share) => sum + share.stock, 0), 10);
+});
+
+test('una publicación con peso 0 no recibe stock', () => {
+    const rule = { estrategia: 'reparto', pesos: { MLC1: 0, MLC2: 0, MLC3: 0 } };
+    assert.deepEqual(distributeStock(4, listings, rule).map(share => share.stock), [0, 0, 0]);
+
+    const partial = { estrategia: 'reparto', pesos: { MLC1: 0 } };
+    assert.deepEqual(distributeStock(3, listings, partial).map(share => share.stock), [0, 2, 1]);
+});
+
+test('la regla del SKU tiene prioridad y con pesos la estrategia por defecto es reparto', () => {
+    writeRules({ estrategia: 'espejo', skus: { ABC: { pesos: { mlc1: 2 } } } });
+
+    assert.deepEqual(resolveDistributionRule('ABC'), { estrategia: 'reparto', pesos: { MLC1: 2 }, origen: 'sku:ABC' });
+    assert.deepEqual(resolveDistributionRule('XYZ'), { estrategia: 'espejo', pesos: {}, origen: 'global' });
+
+    writeRules({ estrategia: 'mitad' });
+    assert.throws(() => resolveDistributionRule('ABC'), /"estrategia" global debe ser espejo o reparto/);
+});
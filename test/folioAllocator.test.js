@@ -0,0 +1,123 @@
+/**
+ * Pruebas de la asignación de folios de folioAllocator.js
+ *
+ * Los documentos de Manager+ se simulan reemplazando erpClient.getDocuments.
+ * Cada prueba usa su propio tipo de documento, porque el último folio
+ * asignado se recuerda por tipo durante todo el proceso.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const erpClient = require('../erpClient');
+const { createWithNextFolio, findDocumentByGlosa } = require('../folioAllocator');
+
+let documents = {};
+let lookups = [];
+
+erpClient.getDocuments = async (docType, docSubType, { df }) => {
+    lookups.push(`${docType} ${df}`);
+    return { data: documents[docType] || [] };
+};
+
+test.beforeEach(() => {
+    documents = {};
+    lookups = [];
+});
+
+function duplicateError() {
+    return Object.assign(new Error('Request failed with status code 400'), {
+        response: { status: 400, data: { mensaje: 'El documento con folio indicado ya existe' } }
+    });
+}
+
+test('usa el folio siguiente al último emitido', async () => {
+    documents.T1 = [{ folio: '100' }, { folio: '98' }, { folio: 'x' }];
+
+    const { folio, result } = await createWithNextFolio('T1', 'V', async (next) => ({ mensaje: `creado ${next}` }));
+    assert.equal(folio, 101);
+    assert.deepEqual(result, { mensaje: 'creado 101' });
+});
+
+test('reintenta con el folio siguiente cuando el ERP indica folio duplicado', async () => {
+    documents.T2 = [{ folio: '10' }];
+    const tried = [];
+
+    const { folio } = await createWithNextFolio('T2', 'V', async (next) => {
+        tried.push(next);
+        if (next === 11) throw duplicateError();
+        if (next === 12) return { mensaje: 'Documento ya existe para ese folio' };
+        return { mensaje: 'ok' };
+    });
+
+    assert.deepEqual(tried, [11, 12, 13]);
+    assert.equal(folio, 13);
+});
+
+test('una respuesta vacía es un documento creado, no una colisión', async () => {
+    documents.T3 = [{ folio: '5' }];
+    const tried = [];
+
+    const { folio, result } = await createWithNextFolio('T3', 'V', async (next) => {
+        tried.push(next);
+        return undefined;
+    });
+
+    assert.deepEqual(tried, [6]);
+    assert.equal(folio, 6);
+    assert.equal(result, undefined);
+});
+
+test('otros errores del ERP se propagan sin probar otro folio', async () => {
+    documents.T4 = [{ folio: '5' }];
+    const tried = [];
+
+    await assert.rejects(createWithNextFolio('T4', 'V', async (next) => {
+        tried.push(next);
+        throw Object.assign(new Error('timeout'), { code: 'ECONNABORTED' });
+    }), /timeout/);
+    assert.deepEqual(tried, [6]);
+});
+
+test('se rinde tras FOLIO_MAX_COLLISIONS folios duplicados', async () => {
+    documents.T5 = [{ folio: '1' }];
+
+    await assert.rejects(createWithNextFolio('T5', 'V', async () => {
+        throw duplicateError();
+    }), /No se pudo asignar un folio T5 libre después de 5 intentos/);
+});
+
+test('asignaciones simultáneas del mismo tipo usan folios distintos', async () => {
+    documents.T6 = [{ folio: '50' }];
+
+    const results = await Promise.all([1, 2, 3].map(() => createWithNextFolio('T6', 'V', async () => {
+        // El ERP tarda en reflejar los documentos creados
+        await new Promise(resolve => setImmediate(resolve));
+        return { mensaje: 'ok' };
+    })));
+
+    assert.deepEqual(results.map(result => result.folio), [51, 52, 53]);
+});
+
+test('sin documentos amplía la búsqueda y usa el folio inicial configurado', async () => {
+    const { folio } = await createWithNextFolio('T7', 'V', async () => ({ mensaje: 'ok' }), { initialFolio: 1000 });
+    assert.equal(folio, 1000);
+    assert.equal(lookups.length, 4);
+
+    await assert.rejects(
+        createWithNextFolio('T8', 'V', async () => ({ mensaje: 'ok' }), { initialFolioSetting: 'T8_INITIAL_FOLIO' }),
+        /Configura T8_INITIAL_FOLIO/
+    );
+});
+
+test('findDocumentByGlosa busca por la glosa y omite folios ya registrados', async () => {
+    documents.NCV = [
+        { folio: '50', glosa: 'Reversa NV 100; Orden: 4001' },
+        { folio: '51', glosa: 'Reversa NV 100; Orden: 4001; Motivo: refunded' },
+        { folio: '52', glosa: 'Reversa NV 100; Orden: 40011' }
+    ];
+    const pattern = /Reversa NV 100; Orden: 4001(;|$)/;
+
+    assert.equal((await findDocumentByGlosa('NCV', 'V', pattern)).folio, '50');
+    assert.equal((await findDocumentByGlosa('NCV', 'V', pattern, { excludeFolios: ['50'] })).folio, '51');
+    assert.equal(await findDocumentByGlosa('NCV', 'V', pattern, { excludeFolios: ['50', '51'] }), null);
+});
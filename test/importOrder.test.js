@@ -0,0 +1,268 @@
+/**
+ * Pruebas de reingreso al registro de órdenes en createClientAndOrderML.js
+ *
+ * Mercado Libre y Manager+ se simulan: las peticiones a Mercado Libre pasan
+ * por un adapter de axios y los métodos de erpClient se reemplazan, así que
+ * no sale ninguna petición de red. El estado local va a un DATA_DIR temporal.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'ml-import-test-'));
+process.env.DATA_DIR = DATA_DIR;
+process.env.MERCADOLIBRE_ACCESS_TOKEN = 'test-token';
+process.env.RUT_EMPRESA = '76086428-5';
+process.env.BUNDLES_FILE = path.join(DATA_DIR, 'kits-ml.json');
+fs.writeFileSync(process.env.BUNDLES_FILE, JSON.stringify({ kits: { COMBO: [{ sku: 'KA', cantidad: 1 }, { sku: 'KB', cantidad: 2 }] } }));
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { mlClient } = require('../mercadoLibreAuth');
+const erpClient = require('../erpClient');
+const { processOrderNotification, reconcileOrder } = require('../createClientAndOrderML');
+const { processPaymentNotification } = require('../paymentsML');
+const { processShipmentNotification } = require('../shipmentsML');
+const { getOrderEntry, saveOrderEntry, IMPORT_STATUS } = require('../orderLedger');
+
+// Estado simulado
+let orders = {};
+let payments = {};
+let shipments = {};
+let documents = {};
+let sent = [];
+let createDocument = null;
+
+function buildOrder(id, overrides = {}) {
+    return {
+        id,
+        status: 'paid',
+        total_amount: 11900,
+        buyer: { id: 9, nickname: 'COMPRADOR' },
+        order_items: [{ item: { id: 'MLC1', seller_sku: 'SKU1' }, quantity: 1, unit_price: 11900 }],
+        payments: [{ status: 'approved', transaction_amount: 11900, transaction_amount_refunded: 0 }],
+        ...overrides
+    };
+}
+
+function httpError(message, fields) {
+    return Object.assign(new Error(message), fields);
+}
+
+// Crear el documento en el ERP simulado (respuesta correcta)
+async function acceptDocument(document) {
+    documents[document.tipodocumento].push({ folio: document.num_doc, glosa: document.glosa });
+    return { mensaje: 'ok' };
+}
+
+mlClient.defaults.adapter = async (config) => {
+    const ok = data => ({ data, status: 200, statusText: 'OK', headers: {}, config });
+    if (config.url.endsWith('/billing_info')) {
+        throw httpError('Not Found', { response: { status: 404, data: {} }, config });
+    }
+    const orderMatch = config.url.match(/^\/orders\/(\d+)$/);
+    if (orderMatch) return ok(JSON.parse(JSON.stringify(orders[orderMatch[1]])));
+    const paymentMatch = config.url.match(/^\/collections\/(\d+)$/);
+    if (paymentMatch) return ok(payments[paymentMatch[1]]);
+    const shipmentMatch = config.url.match(/^\/shipments\/(\d+)$/);
+    if (shipmentMatch) return ok(shipments[shipmentMatch[1]]);
+    if (config.url.startsWith('/users/')) return ok({ nickname: 'COMPRADOR' });
+    throw new Error(`Petición no simulada: ${config.url}`);
+};
+
+erpClient.getDocuments = async (docType) => ({ data: documents[docType] || [] });
+// Precios de lista de los componentes de kits
+const listPrices = { KA: 3000, KB: 1000 };
+erpClient.getProduct = async (sku) => ({ data: [{ cod_producto: sku, unidad: 'UN', precio: listPrices[sku] }] });
+erpClient.createDocument = async (document) => {
+    sent.push(document);
+    return createDocument(document);
+};
+
+test.beforeEach(() => {
+    orders = {};
+    payments = {};
+    shipments = {};
+    documents = { NV: [{ folio: '100', glosa: 'Otra venta' }], NCV: [{ folio: '50', glosa: 'Otra reversa' }] };
+    sent = [];
+    createDocument = acceptDocument;
+});
+
+test.after(() => {
+    fs.rmSync(DATA_DIR, { recursive: true, force: true });
+});
+
+// Tipos de los documentos enviados a Manager+ (los folios avanzan entre pruebas)
+function sentTypes() {
+    return sent.map(document => document.tipodocumento);
+}
+
+function notify(orderId) {
+    return processOrderNotification({ resource: `/orders/${orderId}` });
+}
+
+test('una notificación repetida no crea una segunda NV', async () => {
+    orders['4001'] = buildOrder(4001);
+
+    const first = await notify(4001);
+    assert.equal(first.success, true);
+    assert.equal(getOrderEntry(4001).importStatus, IMPORT_STATUS.IMPORTED);
+    assert.equal(getOrderEntry(4001).nvFolio, sent[0].num_doc);
+
+    await notify(4001);
+    assert.deepEqual(sentTypes(), ['NV']);
+});
+
+test('un timeout tras enviar la NV no la reenvía y queda por conciliar', async () => {
+    orders['4002'] = buildOrder(4002);
+    createDocument = async () => {
+        throw httpError('timeout of 30000ms exceeded', { code: 'ECONNABORTED' });
+    };
+
+    await assert.rejects(notify(4002));
+    createDocument = acceptDocument;
+
+    const retry = await notify(4002);
+    assert.equal(retry.success, false);
+    assert.equal(retry.action, 'needs_reconcile');
+    assert.equal(getOrderEntry(4002).importStatus, IMPORT_STATUS.NEEDS_RECONCILE);
+    assert.deepEqual(sentTypes(), ['NV']);
+});
+
+test('una NV creada sin respuesta se adopta al encontrarla por la glosa', async () => {
+    orders['4003'] = buildOrder(4003);
+    createDocument = async (document) => {
+        await acceptDocument(document);
+        throw httpError('socket hang up', { code: 'ECONNRESET' });
+    };
+
+    await assert.rejects(notify(4003));
+    createDocument = acceptDocument;
+
+    const retry = await notify(4003);
+    assert.equal(retry.success, true);
+    assert.equal(retry.action, 'reconciled');
+
+    const entry = getOrderEntry(4003);
+    assert.equal(entry.importStatus, IMPORT_STATUS.IMPORTED);
+    assert.equal(entry.nvFolio, sent[0].num_doc);
+    assert.deepEqual(sentTypes(), ['NV']);
+});
+
+test('una NV rechazada por Manager+ se reintenta en la siguiente notificación', async () => {
+    orders['4004'] = buildOrder(4004);
+    createDocument = async () => {
+        throw httpError('Request failed with status code 400', { response: { status: 400, data: { mensaje: 'Producto inválido' } } });
+    };
+
+    await assert.rejects(notify(4004));
+    assert.equal(getOrderEntry(4004).importStatus, IMPORT_STATUS.FAILED);
+    createDocument = acceptDocument;
+
+    const retry = await notify(4004);
+    assert.equal(retry.success, true);
+    assert.equal(getOrderEntry(4004).nvFolio, sent[1].num_doc);
+    assert.deepEqual(sentTypes(), ['NV', 'NV']);
+});
+
+test('la conciliación manual con retry reenvía la NV una sola vez', async () => {
+    orders['4005'] = buildOrder(4005);
+    createDocument = async () => {
+        throw httpError('socket hang up', { code: 'ECONNRESET' });
+    };
+
+    await assert.rejects(notify(4005));
+    createDocument = acceptDocument;
+
+    const result = await reconcileOrder('4005', { retry: true });
+    assert.equal(result.success, true);
+    assert.equal(getOrderEntry(4005).importStatus, IMPORT_STATUS.IMPORTED);
+    assert.deepEqual(sentTypes(), ['NV', 'NV']);
+
+    await notify(4005);
+    assert.equal(sent.length, 2);
+});
+
+test('una entrada sin intento de NV registrado se importa normalmente', async () => {
+    orders['4008'] = buildOrder(4008);
+    saveOrderEntry(4008, { mlStatus: 'paid' });
+
+    const result = await notify(4008);
+    assert.equal(result.action, 'imported');
+    assert.equal(getOrderEntry(4008).importStatus, IMPORT_STATUS.IMPORTED);
+    assert.deepEqual(sentTypes(), ['NV']);
+});
+
+test('un pago notificado antes que la orden no impide importarla', async () => {
+    orders['4009'] = buildOrder(4009);
+    payments['9001'] = { id: 9001, order_id: 4009, status: 'approved', transaction_amount: 11900 };
+
+    const payment = await processPaymentNotification('9001');
+    assert.equal(payment.action, 'skipped');
+    assert.equal(getOrderEntry(4009), null);
+
+    const result = await notify(4009);
+    assert.equal(result.action, 'imported');
+    assert.deepEqual(sentTypes(), ['NV']);
+
+    const repeated = await processPaymentNotification('9001');
+    assert.equal(repeated.action, 'status_updated');
+    assert.equal(getOrderEntry(4009).paymentStatus, 'paid');
+});
+
+test('el envío se guarda en el registro solo para órdenes importadas', async () => {
+    orders['4010'] = buildOrder(4010);
+    shipments['7001'] = { id: 7001, order_id: 4010, status: 'shipped', tracking_number: 'TRK1' };
+
+    assert.equal((await processShipmentNotification('7001')).action, 'skipped');
+    assert.equal(getOrderEntry(4010), null);
+
+    await notify(4010);
+    const result = await processShipmentNotification('7001');
+    assert.equal(result.action, 'status_updated');
+    assert.equal(getOrderEntry(4010).shipment.trackingNumber, 'TRK1');
+    assert.equal((await processShipmentNotification('7001')).action, 'no_change');
+    assert.deepEqual(sentTypes(), ['NV']);
+});
+
+test('una orden ya cancelada no genera NV aunque se notifique otra vez', async () => {
+    orders['4006'] = buildOrder(4006, { status: 'cancelled' });
+
+    const result = await notify(4006);
+    assert.equal(result.action, 'skipped_cancelled');
+    assert.equal(getOrderEntry(4006).importStatus, IMPORT_STATUS.CANCELLED);
+
+    const repeated = await notify(4006);
+    assert.equal(repeated.action, 'skipped_cancelled');
+    assert.equal(getOrderEntry(4006).importStatus, IMPORT_STATUS.CANCELLED);
+    assert.equal(getOrderEntry(4006).notificationCount, 2);
+    assert.deepEqual(sentTypes(), []);
+});
+
+test('una cancelación posterior a la NV crea una sola reversa', async () => {
+    orders['4007'] = buildOrder(4007);
+    await notify(4007);
+
+    orders['4007'] = buildOrder(4007, { status: 'cancelled' });
+    await notify(4007);
+    await notify(4007);
+
+    assert.deepEqual(sentTypes(), ['NV', 'NCV']);
+    assert.equal(getOrderEntry(4007).reversals.length, 1);
+});
+
+test('un kit vendido se registra en la NV como sus componentes con el precio repartido', async () => {
+    orders['4011'] = buildOrder(4011, {
+        total_amount: 23800,
+        order_items: [{ item: { id: 'MLC2', seller_custom_field: 'COMBO', title: 'Combo' }, quantity: 2, unit_price: 11900 }],
+        payments: [{ status: 'approved', transaction_amount: 23800, transaction_amount_refunded: 0 }]
+    });
+
+    const result = await notify(4011);
+    assert.equal(result.action, 'imported');
+    assert.deepEqual(sent[0].detalles.map(line => [line.cod_producto, line.cantidad, line.precio_unit, line.desc_adic]), [
+        ['KA', '2', '6000', 'Kit COMBO'],
+        ['KB', '4', '2000', 'Kit COMBO']
+    ]);
+});
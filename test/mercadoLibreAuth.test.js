@@ -0,0 +1,101 @@
+/**
+ * Pruebas del refresco single-flight del cliente HTTP de mercadoLibreAuth.js
+ *
+ * Las peticiones a Mercado Libre pasan por un adapter de axios y el endpoint
+ * /oauth/token se simula reemplazando axios.post.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'ml-auth-test-'));
+process.env.DATA_DIR = DATA_DIR;
+process.env.ML_TOKEN_STORE = 'file';
+process.env.MERCADOLIBRE_ACCESS_TOKEN = 'token-1';
+process.env.MERCADOLIBRE_REFRESH_TOKEN = 'refresh-1';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+const { mlClient, getAccessToken, refreshAccessToken } = require('../mercadoLibreAuth');
+
+// Token que Mercado Libre acepta, respuestas de /oauth/token y refrescos hechos
+let validToken = 'token-1';
+let tokenResponses = [];
+let refreshes = 0;
+
+axios.post = async () => {
+    refreshes++;
+    // Dejar pasar un ciclo para que las peticiones concurrentes alcancen a llegar
+    await new Promise(resolve => setImmediate(resolve));
+    const response = tokenResponses.shift();
+    if (response instanceof Error) throw response;
+    validToken = response.access_token;
+    return { data: response };
+};
+
+mlClient.defaults.adapter = async (config) => {
+    if (config.headers.Authorization !== `Bearer ${validToken}`) {
+        throw Object.assign(new Error('Request failed with status code 401'), {
+            response: { status: 401, data: { message: 'invalid access token' } },
+            config
+        });
+    }
+    return { data: { url: config.url }, status: 200, statusText: 'OK', headers: {}, config };
+};
+
+test.beforeEach(() => {
+    refreshes = 0;
+});
+
+test.after(() => {
+    fs.rmSync(DATA_DIR, { recursive: true, force: true });
+});
+
+function getItems(count) {
+    return Promise.all(Array.from({ length: count }, (_, i) => mlClient.get(`/items/MLC${i}`)));
+}
+
+test('varios 401 concurrentes disparan un solo refresco y todas las peticiones se reintentan', async () => {
+    // Mercado Libre revoca el token antes de su expiración
+    validToken = 'token-2';
+    tokenResponses = [{ access_token: 'token-2', refresh_token: 'refresh-2', expires_in: 21600 }];
+
+    const responses = await getItems(10);
+    assert.equal(refreshes, 1);
+    assert.deepEqual(responses.map(r => r.data.url), Array.from({ length: 10 }, (_, i) => `/items/MLC${i}`));
+    assert.equal(await getAccessToken(), 'token-2');
+});
+
+test('un token por expirar se refresca una sola vez antes de las peticiones', async () => {
+    // Token vigente pero dentro del margen de refresco anticipado
+    tokenResponses = [{ access_token: 'token-3', refresh_token: 'refresh-3', expires_in: 60 }];
+    assert.equal(await refreshAccessToken(), 'token-3');
+    refreshes = 0;
+
+    tokenResponses = [{ access_token: 'token-4', refresh_token: 'refresh-4', expires_in: 21600 }];
+    await getItems(10);
+    assert.equal(refreshes, 1);
+    assert.equal(await getAccessToken(), 'token-4');
+});
+
+test('un 401 con un token que ya fue reemplazado no vuelve a refrescar', async () => {
+    assert.equal(await refreshAccessToken({ failedToken: 'token-3' }), 'token-4');
+    assert.equal(refreshes, 0);
+});
+
+test('si el refresco falla se devuelve el 401 original con el error del refresco', async () => {
+    validToken = 'token-5';
+    tokenResponses = [Object.assign(new Error('Request failed with status code 400'), {
+        response: { status: 400, data: { error_description: 'invalid_grant' } }
+    })];
+
+    const results = await Promise.allSettled([mlClient.get('/items/A'), mlClient.get('/items/B')]);
+    assert.equal(refreshes, 1);
+    for (const result of results) {
+        assert.equal(result.status, 'rejected');
+        assert.equal(result.reason.response.status, 401);
+        assert.match(result.reason.refreshError.message, /invalid_grant/);
+    }
+});
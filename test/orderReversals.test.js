@@ -0,0 +1,127 @@
+/**
+ * Pruebas de orderReversals.js (qué revertir de una orden ya importada)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    planReversal,
+    applyReversalToEntry,
+    REVERSAL_STATUS,
+    REVERSAL_REASONS
+} = require('../orderReversals');
+
+/**
+ * Orden con dos líneas (2 x 10.000 y 1 x 5.000) y envío de 3.000
+ */
+function buildOrder({ status = 'paid', refunded = 0, mediations = [] } = {}) {
+    return {
+        id: 3001,
+        status,
+        total_amount: 28000,
+        shipping: { cost: 3000 },
+        mediations,
+        order_items: [
+            { item: { id: 'MLC1', variation_id: 11 }, quantity: 2, unit_price: 10000 },
+            { item: { id: 'MLC2' }, quantity: 1, unit_price: 5000 }
+        ],
+        payments: [
+            { status: 'approved', transaction_amount: 28000, transaction_amount_refunded: refunded }
+        ]
+    };
+}
+
+test('sin reembolsos ni cancelación no hay nada que revertir', () => {
+    assert.equal(planReversal(buildOrder(), {}), null);
+});
+
+test('un reembolso parcial por una unidad revierte esa unidad', () => {
+    const plan = planReversal(buildOrder({ refunded: 5000 }), {});
+
+    assert.equal(plan.reason, REVERSAL_REASONS.PARTIALLY_REFUNDED);
+    assert.equal(plan.full, false);
+    assert.equal(plan.firstReversal, true);
+    assert.equal(plan.amount, 5000);
+    assert.deepEqual(plan.items.map(item => [item.key, item.quantity]), [['MLC2', 1]]);
+    assert.equal(plan.shipping, false);
+    assert.equal(plan.adjustment, 0);
+});
+
+test('un reembolso igual al envío revierte solo el envío', () => {
+    const plan = planReversal(buildOrder({ refunded: 3000 }), {});
+
+    assert.deepEqual(plan.items, []);
+    assert.equal(plan.shipping, true);
+    assert.equal(plan.adjustment, 0);
+});
+
+test('lo que no calza con unidades completas queda como ajuste', () => {
+    const plan = planReversal(buildOrder({ refunded: 12500 }), {});
+
+    assert.deepEqual(plan.items.map(item => [item.key, item.quantity]), [['MLC1/11', 1]]);
+    assert.equal(plan.shipping, false);
+    assert.equal(plan.adjustment, 2500);
+    assert.equal(plan.amount, 12500);
+});
+
+test('un reembolso con mediación usa el motivo de mediación', () => {
+    const plan = planReversal(buildOrder({ refunded: 10000, mediations: [{ id: 1 }] }), {});
+    assert.equal(plan.reason, REVERSAL_REASONS.MEDIATION);
+});
+
+test('solo se revierte la diferencia con lo ya revertido', () => {
+    const order = buildOrder({ refunded: 5000 });
+    const first = planReversal(order, {});
+    const entry = applyReversalToEntry({}, first, { folio: '50' });
+
+    assert.equal(entry.reversalStatus, REVERSAL_STATUS.PARTIALLY_REVERSED);
+    assert.equal(entry.reversedAmount, 5000);
+    assert.deepEqual(entry.reversedUnits, { MLC2: 1 });
+
+    // La misma notificación otra vez no genera una segunda reversa
+    assert.equal(planReversal(order, entry), null);
+
+    const second = planReversal(buildOrder({ refunded: 15000 }), entry);
+    assert.equal(second.firstReversal, false);
+    assert.equal(second.amount, 10000);
+    assert.deepEqual(second.items.map(item => [item.key, item.quantity]), [['MLC1/11', 1]]);
+});
+
+test('una cancelación sin reversas previas revierte la NV completa por su total', () => {
+    const plan = planReversal(buildOrder({ status: 'cancelled' }), {});
+
+    assert.equal(plan.reason, REVERSAL_REASONS.CANCELLED);
+    assert.equal(plan.full, true);
+    assert.equal(plan.firstReversal, true);
+    assert.equal(plan.amount, 28000);
+    assert.deepEqual(plan.items.map(item => [item.key, item.quantity]), [['MLC1/11', 2], ['MLC2', 1]]);
+    assert.equal(plan.shipping, true);
+});
+
+test('un reembolso total se trata como reversa completa', () => {
+    const plan = planReversal(buildOrder({ refunded: 28000 }), {});
+
+    assert.equal(plan.reason, REVERSAL_REASONS.REFUNDED);
+    assert.equal(plan.full, true);
+    assert.equal(plan.amount, 28000);
+});
+
+test('una cancelación tras una reversa parcial revierte solo lo pendiente', () => {
+    const partial = planReversal(buildOrder({ refunded: 13000 }), {});
+    const entry = applyReversalToEntry({}, partial, { folio: '50' });
+    assert.deepEqual(entry.reversedUnits, { 'MLC1/11': 1 });
+    assert.equal(entry.reversedShipping, true);
+
+    const plan = planReversal(buildOrder({ status: 'cancelled', refunded: 13000 }), entry);
+    assert.equal(plan.full, true);
+    assert.equal(plan.firstReversal, false);
+    assert.deepEqual(plan.items.map(item => [item.key, item.quantity]), [['MLC1/11', 1], ['MLC2', 1]]);
+    assert.equal(plan.shipping, false);
+    assert.equal(plan.amount, 15000);
+
+    const reversed = applyReversalToEntry(entry, plan, { folio: '51' });
+    assert.equal(reversed.reversalStatus, REVERSAL_STATUS.REVERSED);
+    assert.equal(reversed.reversedAmount, 28000);
+    assert.equal(reversed.reversals.length, 2);
+    assert.equal(planReversal(buildOrder({ status: 'cancelled' }), reversed), null);
+});
@@ -0,0 +1,36 @@
+/**
+ * Pruebas de priceRules.js con las reglas de reglas-precio-ml.example.json
+ */
+
+const path = require('path');
+
+process.env.PRICE_RULES_FILE = path.join(__dirname, '..', 'reglas-precio-ml.example.json');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { computeMercadoLibrePrice, checkPriceDelta } = require('../priceRules');
+
+test('computeMercadoLibrePrice agrega recargo global e IVA y redondea hacia arriba', () => {
+    const { price, rule } = computeMercadoLibrePrice(10000);
+    assert.equal(price, 13090);
+    assert.equal(rule.origen, 'global');
+    assert.equal(rule.recargo, 10);
+
+    assert.equal(computeMercadoLibrePrice(9999).price, 13090);
+    assert.equal(computeMercadoLibrePrice(10001).price, 13100);
+});
+
+test('computeMercadoLibrePrice usa el recargo de la categoría si existe', () => {
+    const { price, rule } = computeMercadoLibrePrice(10000, 'MLC1234');
+    assert.equal(price, 14280);
+    assert.equal(rule.origen, 'categoria:MLC1234');
+
+    assert.equal(computeMercadoLibrePrice(10000, 'MLC9999').rule.origen, 'global');
+});
+
+test('checkPriceDelta bloquea cambios sobre la variación máxima', () => {
+    assert.deepEqual(checkPriceDelta(10000, 11500), { allowed: true, deltaPercent: 15, maxVariacion: 15 });
+    assert.equal(checkPriceDelta(10000, 11600).allowed, false);
+    assert.equal(checkPriceDelta(10000, 8400).allowed, false);
+    assert.equal(checkPriceDelta(0, 50000).allowed, true);
+});
@@ -0,0 +1,42 @@
+/**
+ * Pruebas de rut.js (dígito verificador y formato para rut_cliente)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { cleanRut, computeCheckDigit, isValidRut, formatRut } = require('../rut');
+
+test('computeCheckDigit calcula el dígito verificador módulo 11', () => {
+    assert.equal(computeCheckDigit('12345678'), '5');
+    assert.equal(computeCheckDigit(11111111), '1');
+    assert.equal(computeCheckDigit('10000013'), 'K');
+    assert.equal(computeCheckDigit('20000000'), '5');
+});
+
+test('cleanRut deja solo dígitos y K en mayúsculas', () => {
+    assert.equal(cleanRut(' 10.000.013-k '), '10000013K');
+    assert.equal(cleanRut(null), '');
+});
+
+test('isValidRut acepta RUT válidos en cualquier formato', () => {
+    assert.equal(isValidRut('12.345.678-5'), true);
+    assert.equal(isValidRut('123456785'), true);
+    assert.equal(isValidRut('10000013-k'), true);
+    assert.equal(isValidRut('7.654.321-6'), true);
+});
+
+test('isValidRut rechaza dígito verificador incorrecto o largo inválido', () => {
+    assert.equal(isValidRut('12.345.678-9'), false);
+    assert.equal(isValidRut('10000013-0'), false);
+    assert.equal(isValidRut('6-K'), false);
+    assert.equal(isValidRut('123456789-0'), false);
+    assert.equal(isValidRut(''), false);
+    assert.equal(isValidRut(undefined), false);
+});
+
+test('formatRut entrega el formato de Manager+ o null si es inválido', () => {
+    assert.equal(formatRut('12.345.678-5'), '12345678-5');
+    assert.equal(formatRut('10000013k'), '10000013-K');
+    assert.equal(formatRut('07.654.321-6'), '7654321-6');
+    assert.equal(formatRut('12.345.678-9'), null);
+});
@@ -0,0 +1,61 @@
+/**
+ * Pruebas de la importación CSV de skuMappings.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'ml-mappings-test-'));
+process.env.DATA_DIR = DATA_DIR;
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { importSkuMappingsCsv, readSkuMappings, getSkuMapping } = require('../skuMappings');
+
+test.after(() => {
+    fs.rmSync(DATA_DIR, { recursive: true, force: true });
+});
+
+test('importa CSV con punto y coma, comillas y BOM', () => {
+    const csv = '﻿item_id;variation_id;cod_producto;multiplicador\r\n'
+        + 'mlc100;;SKU-A;6\r\n'
+        + 'MLC200;55;"SKU;B";\r\n';
+
+    const result = importSkuMappingsCsv(csv, { replace: true });
+    assert.deepEqual(result, { imported: 2, errors: [], rejected: false });
+
+    assert.equal(getSkuMapping('MLC100').codProducto, 'SKU-A');
+    assert.equal(getSkuMapping('MLC100').multiplier, 6);
+    assert.equal(getSkuMapping('MLC200', '55').codProducto, 'SKU;B');
+    assert.equal(getSkuMapping('MLC200', '55').multiplier, 1);
+});
+
+test('al combinar se guardan las filas válidas y se informan los errores', () => {
+    const csv = 'item_id,variation_id,cod_producto,multiplicador\n'
+        + 'MLC300,,SKU-C,2\n'
+        + 'X1,,SKU-D,1\n'
+        + 'MLC400,,SKU-E,0\n';
+
+    const result = importSkuMappingsCsv(csv);
+    assert.equal(result.imported, 1);
+    assert.equal(result.rejected, false);
+    assert.deepEqual(result.errors.map(error => error.row), [2, 3]);
+    assert.deepEqual(Object.keys(readSkuMappings()).sort(), ['MLC100', 'MLC200/55', 'MLC300']);
+});
+
+test('al reemplazar, una fila inválida rechaza la importación sin tocar la tabla', () => {
+    const before = readSkuMappings();
+    const csv = 'item_id,cod_producto\nMLC500,SKU-F\nMLC600,\n';
+
+    const result = importSkuMappingsCsv(csv, { replace: true });
+    assert.equal(result.rejected, true);
+    assert.equal(result.imported, 0);
+    assert.deepEqual(result.errors.map(error => error.row), [2]);
+    assert.deepEqual(readSkuMappings(), before);
+});
+
+test('rechaza CSV vacío o sin las columnas obligatorias', () => {
+    assert.throws(() => importSkuMappingsCsv('  \n'), /vacío/);
+    assert.throws(() => importSkuMappingsCsv('item,sku\nMLC1,A\n'), /encabezado/);
+});
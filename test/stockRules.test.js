@@ -0,0 +1,44 @@
+/**
+ * Pruebas de stockRules.js con las reglas de reglas-stock-ml.example.json
+ */
+
+const path = require('path');
+
+process.env.STOCK_RULES_FILE = path.join(__dirname, '..', 'reglas-stock-ml.example.json');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { resolveStockRule, applyStockRule } = require('../stockRules');
+
+test('resolveStockRule combina global, categoría y SKU en ese orden', () => {
+    const global = resolveStockRule('XYZ');
+    assert.equal(global.reserva, 1);
+    assert.equal(global.porcentaje, 100);
+    assert.deepEqual(global.origen, ['global']);
+
+    const category = resolveStockRule('XYZ', 'MLC1234');
+    assert.equal(category.reserva, 1);
+    assert.equal(category.porcentaje, 50);
+
+    const sku = resolveStockRule('ABC123', 'MLC1234');
+    assert.equal(sku.reserva, 0);
+    assert.equal(sku.porcentaje, 50);
+    assert.equal(sku.maximo, 5);
+    assert.equal(sku.minimo, 2);
+});
+
+test('applyStockRule aplica reserva, porcentaje y máximo', () => {
+    assert.equal(applyStockRule(10, resolveStockRule('XYZ')).quantity, 9);
+    assert.equal(applyStockRule(10, resolveStockRule('XYZ', 'MLC1234')).quantity, 4);
+    assert.equal(applyStockRule(20, resolveStockRule('ABC123')).quantity, 5);
+    assert.equal(applyStockRule(-3, resolveStockRule('XYZ')).quantity, 0);
+});
+
+test('applyStockRule pausa cuando el resultado queda bajo el mínimo', () => {
+    const rule = resolveStockRule('ABC123', 'MLC1234');
+    assert.deepEqual(
+        [applyStockRule(3, rule).quantity, applyStockRule(3, rule).pause],
+        [1, true]
+    );
+    assert.equal(applyStockRule(4, rule).pause, false);
+});
@@ -0,0 +1,100 @@
+/**
+ * Pruebas del bloqueo de sincronización completa de syncLock.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'ml-lock-test-'));
+process.env.DATA_DIR = DATA_DIR;
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { acquireFullSyncLock, getFullSyncLock, SYNC_LOCK_FILE } = require('../syncLock');
+
+test.afterEach(() => {
+    fs.rmSync(SYNC_LOCK_FILE, { force: true });
+});
+
+test.after(() => {
+    fs.rmSync(DATA_DIR, { recursive: true, force: true });
+});
+
+function writeLock(lock) {
+    fs.writeFileSync(SYNC_LOCK_FILE, typeof lock === 'string' ? lock : JSON.stringify(lock));
+}
+
+function readLock() {
+    return JSON.parse(fs.readFileSync(SYNC_LOCK_FILE, 'utf8'));
+}
+
+test('una segunda sincronización completa falla con SYNC_LOCKED hasta liberar el bloqueo', () => {
+    const release = acquireFullSyncLock({ type: 'stock', trigger: 'api' });
+    assert.equal(getFullSyncLock().trigger, 'api');
+
+    assert.throws(() => acquireFullSyncLock({ type: 'price', trigger: 'cli' }), error => {
+        assert.equal(error.code, 'SYNC_LOCKED');
+        assert.equal(error.lock.type, 'stock');
+        return true;
+    });
+
+    release();
+    assert.equal(getFullSyncLock(), null);
+    acquireFullSyncLock({ type: 'price', trigger: 'cli' })();
+    assert.deepEqual(fs.readdirSync(DATA_DIR), []);
+});
+
+test('un bloqueo de un proceso que ya no existe se reemplaza', () => {
+    const deadPid = spawnSync(process.execPath, ['-e', '']).pid;
+    const now = new Date().toISOString();
+    writeLock({ id: 'viejo', pid: deadPid, hostname: os.hostname(), acquiredAt: now, refreshedAt: now });
+
+    assert.equal(getFullSyncLock(), null);
+    const release = acquireFullSyncLock({ type: 'stock', trigger: 'scheduler' });
+    assert.equal(readLock().pid, process.pid);
+    release();
+});
+
+test('un bloqueo sin renovar por más del TTL se reemplaza, aunque sea de otra máquina', () => {
+    const old = new Date(Date.now() - 7 * 3600 * 1000).toISOString();
+    writeLock({ id: 'viejo', pid: 1, hostname: 'otra-maquina', acquiredAt: old, refreshedAt: old });
+
+    const release = acquireFullSyncLock({ type: 'stock' });
+    assert.notEqual(readLock().id, 'viejo');
+    release();
+});
+
+test('un bloqueo antiguo pero renovado sigue vigente', () => {
+    const old = new Date(Date.now() - 7 * 3600 * 1000).toISOString();
+    writeLock({ id: 'largo', pid: 1, hostname: 'otra-maquina', acquiredAt: old, refreshedAt: new Date().toISOString() });
+
+    assert.throws(() => acquireFullSyncLock({ type: 'stock' }), { code: 'SYNC_LOCKED' });
+    assert.equal(readLock().id, 'largo');
+});
+
+test('un archivo de bloqueo vacío o dañado no se considera abandonado', () => {
+    for (const content of ['', '{"pid": 12']) {
+        writeLock(content);
+        assert.deepEqual(getFullSyncLock(), { corrupt: true });
+        assert.throws(() => acquireFullSyncLock({ type: 'stock' }), { code: 'SYNC_LOCKED', message: /dañado/ });
+        assert.equal(fs.readFileSync(SYNC_LOCK_FILE, 'utf8'), content);
+    }
+});
+
+test('el bloqueo se renueva mientras la sincronización sigue en curso', (t) => {
+    t.mock.timers.enable({ apis: ['setInterval'] });
+    const release = acquireFullSyncLock({ type: 'stock' });
+
+    const old = new Date(Date.now() - 7 * 3600 * 1000).toISOString();
+    writeLock({ ...readLock(), refreshedAt: old });
+    assert.equal(getFullSyncLock(), null);
+
+    t.mock.timers.tick(5 * 60000);
+    assert.notEqual(readLock().refreshedAt, old);
+    assert.equal(getFullSyncLock().pid, process.pid);
+
+    release();
+    assert.equal(fs.existsSync(SYNC_LOCK_FILE), false);
+});
@@ -0,0 +1,595 @@
+/**
+ * Pruebas de la sincronización de stock de syncStocksML.js
+ *
+ * Mercado Libre y Manager+ se simulan: las peticiones a Mercado Libre pasan
+ * por un adapter de axios que mantiene un catálogo en memoria y los métodos
+ * de erpClient se reemplazan. Los archivos de configuración y el estado
+ * local van a un DATA_DIR temporal.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'ml-sync-test-'));
+process.env.DATA_DIR = DATA_DIR;
+process.env.MERCADOLIBRE_ACCESS_TOKEN = 'test-token';
+process.env.MERCADOLIBRE_USER_ID = '111';
+process.env.WAREHOUSE_RULES_FILE = path.join(DATA_DIR, 'bodegas-ml.json');
+process.env.STOCK_RULES_FILE = path.join(DATA_DIR, 'reglas-stock-ml.json');
+process.env.BUNDLES_FILE = path.join(DATA_DIR, 'kits-ml.json');
+process.env.DISTRIBUTION_RULES_FILE = path.join(DATA_DIR, 'reparto-ml.json');
+process.env.ERP_SNAPSHOT_PAGE_SIZE = '2';
+
+function writeConfig(envName, config) {
+    fs.writeFileSync(process.env[envName], JSON.stringify(config));
+}
+
+writeConfig('STOCK_RULES_FILE', { skus: { MIN3: { minimo: 3 }, 'MIN3-VAR': { minimo: 3 } } });
+writeConfig('BUNDLES_FILE', {
+    kits: {
+        'PACK3-KA': [{ sku: 'KA', cantidad: 3 }],
+        COMBO: [{ sku: 'KA', cantidad: 1 }, { sku: 'KB', cantidad: 2 }],
+        'COMBO-INCOMPLETO': [{ sku: 'KA', cantidad: 1 }, { sku: 'NO-EXISTE', cantidad: 1 }]
+    }
+});
+writeConfig('DISTRIBUTION_RULES_FILE', {
+    estrategia: 'espejo',
+    skus: {
+        REPARTO: { pesos: { MLC610: 2, 'MLC611/61': 1 } },
+        'FULL-MIXTO': { estrategia: 'reparto' }
+    }
+});
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// La sincronización escribe mucho en stdout y el runner de node --test de
+// Node 20 puede mezclar ese texto con sus propios mensajes (binarios) y fallar
+// al leerlos: el texto se descarta en estas pruebas
+const writeStdout = process.stdout.write.bind(process.stdout);
+test.mock.method(process.stdout, 'write', (chunk, ...args) => (
+    typeof chunk === 'string' ? true : writeStdout(chunk, ...args)
+));
+const { mlClient } = require('../mercadoLibreAuth');
+const erpClient = require('../erpClient');
+const {
+    syncMultipleProducts,
+    clearMercadoLibreProductsCache,
+    getUnmappedMercadoLibreItems,
+    getMercadoLibreProductStockBySKU,
+    getDuplicateSkusReport,
+    getFulfillmentStockReport
+} = require('../syncStocksML');
+const { createSyncJob, cancelSyncJob, subscribeToSyncJob, getSyncJob, JOB_STATUS } = require('../syncJobs');
+
+// Catálogo simulado de Mercado Libre (id -> publicación) y productos de Manager+ (sku -> producto)
+let items = {};
+let erpProducts = {};
+// Peticiones recibidas
+let puts = [];
+let mlRequests = [];
+// PUTs que fallan con 500 por publicación (id -> cantidad de fallos)
+let putFailures = {};
+let snapshotRequests = [];
+let erpLookups = [];
+// SKUs que no vienen en el listado de Manager+ y error del listado, si aplica
+let notInSnapshot = [];
+let snapshotError = null;
+
+function httpError(status, data = {}) {
+    return Object.assign(new Error(`Request failed with status code ${status}`), {
+        response: { status, data, headers: {} }
+    });
+}
+
+function mlItem(id, { sku = null, stock = 0, status = 'active', variations = null, ...fields } = {}) {
+    return {
+        id,
+        title: `Publicación ${id}`,
+        status,
+        available_quantity: stock,
+        seller_custom_field: sku,
+        variations: variations || [],
+        ...fields
+    };
+}
+
+function erpProduct(sku, stockEntries) {
+    const stock = typeof stockEntries === 'number' ? [{ bodega: 'Bodega General', saldo: stockEntries }] : stockEntries;
+    return { codigo_prod: sku, nombre: `Producto ${sku}`, stock: [stock] };
+}
+
+function addItems(...newItems) {
+    newItems.forEach(item => { items[item.id] = item; });
+}
+
+function addErpProducts(stockBySku) {
+    Object.entries(stockBySku).forEach(([sku, stock]) => { erpProducts[sku] = erpProduct(sku, stock); });
+}
+
+// Aplicar un PUT /items/:id al catálogo simulado
+function applyItemUpdate(item, body) {
+    if (body.available_quantity !== undefined) item.available_quantity = body.available_quantity;
+    if (body.status) item.status = body.status;
+    (body.variations || []).forEach(update => {
+        const variation = item.variations.find(v => v.id === update.id);
+        if (update.available_quantity !== undefined) variation.available_quantity = update.available_quantity;
+    });
+}
+
+mlClient.defaults.adapter = async (config) => {
+    const ok = data => ({ data, status: 200, statusText: 'OK', headers: {}, config });
+    const params = config.params || {};
+    mlRequests.push({ method: config.method, url: config.url, params });
+
+    if (config.url === '/users/me') return ok({ id: 111, nickname: 'VENDEDOR' });
+
+    if (config.url === '/users/111/items/search') {
+        const ids = Object.values(items).filter(item => item.status === params.status).map(item => item.id);
+        if (params.search_type === 'scan') {
+            const start = parseInt(params.scroll_id) || 0;
+            return ok({ results: ids.slice(start, start + params.limit), scroll_id: String(start + params.limit) });
+        }
+        // Con offset Mercado Libre no entrega más de 1000 resultados
+        if (params.offset + params.limit > 1000) throw httpError(400, { message: 'offset too large' });
+        return ok({
+            results: ids.slice(params.offset || 0, (params.offset || 0) + params.limit),
+            paging: { total: ids.length }
+        });
+    }
+
+    if (config.url === '/items') {
+        return ok(params.ids.split(',').map(id => (
+            items[id]
+                ? { code: 200, body: JSON.parse(JSON.stringify(items[id])) }
+                : { code: 404, body: { id, message: 'not found' } }
+        )));
+    }
+
+    const putMatch = config.method === 'put' && config.url.match(/^\/items\/(\w+)$/);
+    if (putMatch) {
+        const body = JSON.parse(config.data);
+        puts.push({ itemId: putMatch[1], body });
+        if (putFailures[putMatch[1]] > 0) {
+            putFailures[putMatch[1]]--;
+            throw httpError(500);
+        }
+        applyItemUpdate(items[putMatch[1]], body);
+        return ok({ id: putMatch[1] });
+    }
+
+    throw new Error(`Petición no simulada: ${config.method} ${config.url}`);
+};
+
+erpClient.listProducts = async (params) => {
+    snapshotRequests.push(params);
+    if (snapshotError) throw snapshotError;
+    const products = Object.values(erpProducts).filter(product => !notInSnapshot.includes(product.codigo_prod));
+    const { page, page_size: pageSize } = params;
+    return {
+        data: products.slice((page - 1) * pageSize, page * pageSize),
+        total_pages: Math.max(1, Math.ceil(products.length / pageSize))
+    };
+};
+erpClient.getProduct = async (sku) => {
+    erpLookups.push(sku);
+    return { data: erpProducts[sku] ? [erpProducts[sku]] : [] };
+};
+
+test.beforeEach(() => {
+    items = {};
+    erpProducts = {};
+    puts = [];
+    mlRequests = [];
+    putFailures = {};
+    snapshotRequests = [];
+    erpLookups = [];
+    notInSnapshot = [];
+    snapshotError = null;
+    clearMercadoLibreProductsCache();
+});
+
+test.after(() => {
+    fs.rmSync(DATA_DIR, { recursive: true, force: true });
+});
+
+function sync(skus, options = {}) {
+    return syncMultipleProducts(skus, { retryDelay: 0, ...options });
+}
+
+function findDetail(results, itemId, variationId = null) {
+    return results.details.find(result => result.itemId === itemId && result.variationId === variationId);
+}
+
+test('cada variación se sincroniza por su SKU y el PUT conserva las demás variaciones', async () => {
+    addItems(mlItem('MLC1', {
+        variations: [
+            { id: 11, available_quantity: 2, attributes: [{ id: 'SELLER_SKU', value_name: 'ROJO-M' }], attribute_combinations: [{ name: 'Color', value_name: 'Rojo' }] },
+            { id: 12, available_quantity: 5, attributes: [{ id: 'SELLER_SKU', value_name: 'AZUL-M' }], attribute_combinations: [{ name: 'Color', value_name: 'Azul' }] },
+            { id: 13, available_quantity: 1, attributes: [], attribute_combinations: [{ name: 'Color', value_name: 'Verde' }] }
+        ]
+    }));
+    addErpProducts({ 'ROJO-M': 7, 'AZUL-M': 5 });
+
+    const results = await sync(['ROJO-M', 'AZUL-M']);
+
+    assert.deepEqual(puts, [{
+        itemId: 'MLC1',
+        body: { variations: [{ id: 11, available_quantity: 7 }, { id: 12 }, { id: 13 }] }
+    }]);
+    assert.equal(findDetail(results, 'MLC1', 11).action, 'updated');
+    assert.equal(findDetail(results, 'MLC1', 11).newStock, 7);
+    assert.equal(findDetail(results, 'MLC1', 12).action, 'no_change');
+    assert.equal(results.updated, 1);
+    assert.equal(results.noChange, 1);
+
+    // La variación sin SKU queda en el reporte de publicaciones sin vincular
+    const { items: unmapped } = await getUnmappedMercadoLibreItems();
+    assert.deepEqual(unmapped.map(item => [item.id, item.variationId, item.title]), [['MLC1', 13, 'Publicación MLC1 (Color: Verde)']]);
+});
+
+test('una publicación sin variaciones actualiza available_quantity', async () => {
+    addItems(mlItem('MLC2', { sku: 'SIMPLE', stock: 1 }));
+    addErpProducts({ SIMPLE: 4 });
+
+    const results = await sync(['SIMPLE']);
+
+    assert.deepEqual(puts, [{ itemId: 'MLC2', body: { available_quantity: 4 } }]);
+    assert.equal(findDetail(results, 'MLC2').action, 'updated');
+});
+
+function searchRequests(status) {
+    return mlRequests.filter(request => request.url === '/users/111/items/search' && request.params.status === status);
+}
+
+test('el catálogo se carga con multiget en lotes de 20, incluyendo las publicaciones pausadas', async () => {
+    for (let i = 1; i <= 48; i++) {
+        addItems(mlItem(`MLC${100 + i}`, { sku: `S${i}`, stock: i, status: i > 45 ? 'paused' : 'active' }));
+    }
+
+    assert.equal((await getMercadoLibreProductStockBySKU('S1')).itemId, 'MLC101');
+    assert.equal((await getMercadoLibreProductStockBySKU('S48')).status, 'paused');
+
+    const multigets = mlRequests.filter(request => request.url === '/items');
+    assert.deepEqual(multigets.map(request => request.params.ids.split(',').length), [20, 20, 8]);
+    multigets.forEach(request => {
+        assert.match(request.params.attributes, /seller_custom_field/);
+        assert.match(request.params.attributes, /variations/);
+        assert.equal(request.params.include_attributes, 'all');
+    });
+    assert.equal(searchRequests('active').length, 1);
+    assert.equal(searchRequests('paused').length, 1);
+});
+
+test('una publicación que falla en el multiget se omite sin perder el resto del lote', async () => {
+    addItems(mlItem('MLC201', { sku: 'OK1' }), mlItem('MLC202', { sku: 'BORRADA' }), mlItem('MLC203', { sku: 'OK2' }));
+    // La publicación aparece en el listado pero el multiget responde 404
+    const originalAdapter = mlClient.defaults.adapter;
+    mlClient.defaults.adapter = async (config) => {
+        const response = await originalAdapter(config);
+        if (config.url === '/items') {
+            response.data = response.data.map(entry => (
+                entry.body.id === 'MLC202' ? { code: 404, body: { message: 'not found' } } : entry
+            ));
+        }
+        return response;
+    };
+
+    try {
+        assert.ok(await getMercadoLibreProductStockBySKU('OK1'));
+        assert.ok(await getMercadoLibreProductStockBySKU('OK2'));
+        assert.equal(await getMercadoLibreProductStockBySKU('BORRADA'), null);
+    } finally {
+        mlClient.defaults.adapter = originalAdapter;
+    }
+});
+
+test('un catálogo de más de 1000 publicaciones se lista con search_type=scan', async () => {
+    for (let i = 1; i <= 1205; i++) {
+        addItems(mlItem(`MLC${10000 + i}`, { sku: `G${i}` }));
+    }
+
+    assert.equal((await getMercadoLibreProductStockBySKU('G1205')).itemId, 'MLC11205');
+
+    const [first, ...scans] = searchRequests('active');
+    assert.equal(first.params.offset, 0);
+    assert.ok(scans.length > 0);
+    scans.forEach(request => assert.equal(request.params.search_type, 'scan'));
+    assert.equal(scans[0].params.scroll_id, undefined);
+    assert.equal(mlRequests.filter(request => request.url === '/items').length, Math.ceil(1205 / 20));
+});
+
+test('el stock de Manager+ se lee de una foto paginada y solo los SKUs que faltan se consultan uno por uno', async () => {
+    const skus = ['F1', 'F2', 'F3', 'F4', 'F5', 'NUEVO'];
+    skus.forEach((sku, i) => addItems(mlItem(`MLC${300 + i}`, { sku, stock: 0 })));
+    addErpProducts({ F1: 1, F2: 2, F3: 3, F4: 4, F5: 5, NUEVO: 6 });
+    notInSnapshot = ['NUEVO'];
+
+    const results = await sync(skus);
+
+    assert.deepEqual(snapshotRequests.map(params => [params.con_stock, params.page, params.page_size]), [['S', 1, 2], ['S', 2, 2], ['S', 3, 2]]);
+    assert.deepEqual(erpLookups, ['NUEVO']);
+    assert.equal(results.updated, 6);
+    assert.equal(findDetail(results, 'MLC305').newStock, 6);
+});
+
+test('si la foto de stock falla se consulta Manager+ SKU por SKU', async () => {
+    addItems(mlItem('MLC310', { sku: 'P1' }), mlItem('MLC311', { sku: 'P2' }));
+    addErpProducts({ P1: 3, P2: 4 });
+    snapshotError = httpError(500);
+
+    const results = await sync(['P1', 'P2']);
+
+    assert.deepEqual(erpLookups.sort(), ['P1', 'P2']);
+    assert.equal(results.updated, 2);
+    assert.equal(findDetail(results, 'MLC311').newStock, 4);
+});
+
+test('el resultado informa el aporte de cada bodega al stock publicado', async () => {
+    addItems(mlItem('MLC320', { sku: 'BOD', stock: 0 }));
+    erpProducts.BOD = erpProduct('BOD', [
+        { bodega: 'Bodega General', saldo: 4 },
+        { bodega: 'Bodega temporal', saldo: 10 }
+    ]);
+
+    const results = await sync(['BOD']);
+
+    const detail = findDetail(results, 'MLC320');
+    assert.equal(detail.newStock, 4);
+    assert.deepEqual(detail.warehouseBreakdown.map(entry => [entry.bodega, entry.incluida, entry.aporte]), [
+        ['Bodega General', true, 4],
+        ['Bodega temporal', false, 0]
+    ]);
+});
+
+function pausedBySync() {
+    const file = path.join(DATA_DIR, 'ml-paused-items.json');
+    return fs.existsSync(file) ? Object.keys(JSON.parse(fs.readFileSync(file, 'utf8'))) : [];
+}
+
+test('bajo el mínimo la publicación se pausa y se reactiva cuando vuelve el stock', async () => {
+    addItems(mlItem('MLC400', { sku: 'MIN3', stock: 5 }));
+    addErpProducts({ MIN3: 2 });
+
+    let results = await sync(['MIN3']);
+    assert.deepEqual(puts, [{ itemId: 'MLC400', body: { status: 'paused' } }]);
+    assert.equal(findDetail(results, 'MLC400').action, 'paused');
+    assert.equal(results.paused, 1);
+    assert.deepEqual(pausedBySync(), ['MLC400']);
+
+    puts = [];
+    addErpProducts({ MIN3: 8 });
+    results = await sync(['MIN3'], { refreshCatalog: true });
+    assert.deepEqual(puts, [{ itemId: 'MLC400', body: { available_quantity: 8, status: 'active' } }]);
+    assert.equal(findDetail(results, 'MLC400').action, 'reactivated');
+    assert.equal(results.reactivated, 1);
+    assert.deepEqual(pausedBySync(), []);
+});
+
+test('solo se reactivan las pausadas por falta de stock, no las pausadas por el vendedor', async () => {
+    addItems(
+        mlItem('MLC410', { sku: 'MANUAL', status: 'paused' }),
+        mlItem('MLC411', { sku: 'SIN-STOCK', status: 'paused', sub_status: ['out_of_stock'] })
+    );
+    addErpProducts({ MANUAL: 5, 'SIN-STOCK': 5 });
+
+    const results = await sync(['MANUAL', 'SIN-STOCK']);
+
+    assert.equal(findDetail(results, 'MLC410').action, 'skipped');
+    assert.equal(findDetail(results, 'MLC411').action, 'reactivated');
+    assert.deepEqual(puts, [{ itemId: 'MLC411', body: { available_quantity: 5, status: 'active' } }]);
+});
+
+test('en dry run las pausas y reactivaciones solo se informan', async () => {
+    addItems(
+        mlItem('MLC420', { sku: 'MIN3', stock: 5 }),
+        mlItem('MLC421', { sku: 'VUELVE', status: 'paused', sub_status: ['out_of_stock'] })
+    );
+    addErpProducts({ MIN3: 1, VUELVE: 4 });
+
+    const results = await sync(['MIN3', 'VUELVE'], { dryRun: true });
+
+    assert.equal(findDetail(results, 'MLC420').action, 'would_pause');
+    assert.equal(findDetail(results, 'MLC421').action, 'would_reactivate');
+    assert.equal(results.paused, 1);
+    assert.equal(results.reactivated, 1);
+    assert.deepEqual(puts, []);
+});
+
+test('una variación bajo el mínimo se publica en 0 porque no se puede pausar por separado', async () => {
+    addItems(mlItem('MLC430', {
+        variations: [
+            { id: 31, available_quantity: 4, attributes: [{ id: 'SELLER_SKU', value_name: 'MIN3-VAR' }] },
+            { id: 32, available_quantity: 4, attributes: [{ id: 'SELLER_SKU', value_name: 'OTRA-VAR' }] }
+        ]
+    }));
+    addErpProducts({ 'MIN3-VAR': 2 });
+
+    const results = await sync(['MIN3-VAR']);
+
+    assert.equal(findDetail(results, 'MLC430', 31).action, 'updated');
+    assert.deepEqual(puts, [{ itemId: 'MLC430', body: { variations: [{ id: 31, available_quantity: 0 }, { id: 32 }] } }]);
+});
+
+test('un kit publica los kits completos que se arman con el stock de sus componentes', async () => {
+    addItems(
+        mlItem('MLC500', { sku: 'PACK3-KA', stock: 0 }),
+        mlItem('MLC501', { sku: 'COMBO', stock: 0 }),
+        mlItem('MLC502', { sku: 'COMBO-INCOMPLETO', stock: 2 })
+    );
+    addErpProducts({ KA: 10, KB: 3 });
+
+    const results = await sync(['PACK3-KA', 'COMBO', 'COMBO-INCOMPLETO'], { maxRetries: 0 });
+
+    assert.equal(findDetail(results, 'MLC500').newStock, 3);
+    const combo = findDetail(results, 'MLC501');
+    assert.equal(combo.newStock, 1);
+    assert.deepEqual(combo.bundleComponents.map(component => [component.sku, component.stock, component.kits]), [['KA', 10, 10], ['KB', 3, 1]]);
+
+    // Un componente que no está en Manager+ es un error, no stock 0
+    const incomplete = results.details.find(result => result.sku === 'COMBO-INCOMPLETO');
+    assert.equal(incomplete.action, 'error');
+    assert.match(incomplete.error, /Componente NO-EXISTE del kit no encontrado/);
+    assert.deepEqual(puts.map(put => put.itemId), ['MLC500', 'MLC501']);
+});
+
+test('un SKU en varias publicaciones se sincroniza en todas, en espejo o repartido por pesos', async () => {
+    addItems(
+        mlItem('MLC600', { sku: 'ESPEJO', stock: 1 }),
+        mlItem('MLC601', { sku: 'ESPEJO', stock: 2 }),
+        mlItem('MLC610', { sku: 'REPARTO', stock: 0 }),
+        mlItem('MLC611', { variations: [{ id: 61, available_quantity: 0, attributes: [{ id: 'SELLER_SKU', value_name: 'REPARTO' }] }] })
+    );
+    addErpProducts({ ESPEJO: 5, REPARTO: 10 });
+
+    const results = await sync(['ESPEJO', 'REPARTO']);
+
+    assert.equal(results.details.length, 4);
+    assert.equal(findDetail(results, 'MLC600').newStock, 5);
+    assert.equal(findDetail(results, 'MLC601').newStock, 5);
+    assert.deepEqual(findDetail(results, 'MLC610').distribution, { estrategia: 'reparto', origen: 'sku:REPARTO', peso: 2, asignado: 7 });
+    assert.equal(findDetail(results, 'MLC610').newStock, 7);
+    assert.equal(findDetail(results, 'MLC611', 61).newStock, 3);
+    assert.equal(results.updated, 4);
+
+    const { skus } = await getDuplicateSkusReport();
+    assert.deepEqual(skus.map(duplicate => [duplicate.sku, duplicate.estrategia, duplicate.listings.map(listing => listing.itemId)]), [
+        ['ESPEJO', 'espejo', ['MLC600', 'MLC601']],
+        ['REPARTO', 'reparto', ['MLC610', 'MLC611']]
+    ]);
+});
+
+function fullItem(id, sku, stock) {
+    return mlItem(id, { sku, stock, shipping: { logistic_type: 'fulfillment' } });
+}
+
+test('las publicaciones Full no se actualizan ni cuentan como error', async () => {
+    addItems(fullItem('MLC700', 'FULL', 9));
+    addErpProducts({ FULL: 2 });
+
+    const results = await sync(['FULL']);
+
+    const detail = findDetail(results, 'MLC700');
+    assert.equal(detail.action, 'skipped');
+    assert.equal(detail.success, true);
+    assert.equal(detail.newStock, 9);
+    assert.equal(results.skipped, 1);
+    assert.equal(results.errors, 0);
+    assert.deepEqual(puts, []);
+});
+
+test('el stock de un SKU con una publicación Full se reparte solo entre las demás', async () => {
+    addItems(fullItem('MLC710', 'FULL-MIXTO', 4), mlItem('MLC711', { sku: 'FULL-MIXTO', stock: 0 }));
+    addErpProducts({ 'FULL-MIXTO': 6 });
+
+    const results = await sync(['FULL-MIXTO']);
+
+    assert.equal(findDetail(results, 'MLC710').action, 'skipped');
+    assert.equal(findDetail(results, 'MLC711').newStock, 6);
+    assert.deepEqual(puts, [{ itemId: 'MLC711', body: { available_quantity: 6 } }]);
+});
+
+test('el reporte Full compara el stock de Mercado Libre con el de Manager+ sin modificar nada', async () => {
+    addItems(fullItem('MLC720', 'FULL-A', 3), fullItem('MLC721', 'FULL-B', 1), mlItem('MLC722', { sku: 'NORMAL' }));
+    addErpProducts({ 'FULL-A': 10, NORMAL: 5 });
+
+    const report = await getFulfillmentStockReport({ refresh: true });
+
+    assert.equal(report.count, 2);
+    assert.deepEqual(report.items.map(item => [item.itemId, item.fullStock, item.managerStock, item.error]), [
+        ['MLC720', 3, 10, null],
+        ['MLC721', 1, null, 'Producto no encontrado en Manager+']
+    ]);
+    assert.deepEqual(puts, []);
+});
+
+test('un reintento reemplaza solo las publicaciones que fallaron y conserva el orden', async () => {
+    addItems(
+        mlItem('MLC800', { sku: 'ANTES', stock: 0 }),
+        mlItem('MLC801', { sku: 'REINTENTO', stock: 0 }),
+        mlItem('MLC802', { sku: 'REINTENTO', stock: 0 }),
+        mlItem('MLC803', { sku: 'DESPUES', stock: 0 })
+    );
+    addErpProducts({ ANTES: 1, REINTENTO: 5, DESPUES: 2 });
+    putFailures.MLC802 = 1;
+
+    const results = await sync(['ANTES', 'REINTENTO', 'DESPUES']);
+
+    assert.deepEqual(results.details.map(result => [result.itemId, result.action]), [
+        ['MLC800', 'updated'],
+        ['MLC801', 'updated'],
+        ['MLC802', 'updated'],
+        ['MLC803', 'updated']
+    ]);
+    assert.equal(results.updated, 4);
+    assert.equal(results.errors, 0);
+    assert.deepEqual(puts.map(put => put.itemId).filter(itemId => itemId === 'MLC801'), ['MLC801']);
+});
+
+test('una publicación que sigue fallando queda como error después de los reintentos', async () => {
+    addItems(mlItem('MLC810', { sku: 'FALLA', stock: 0 }));
+    addErpProducts({ FALLA: 3 });
+    putFailures.MLC810 = 10;
+
+    const results = await sync(['FALLA'], { maxRetries: 2 });
+
+    assert.equal(puts.length, 3);
+    assert.equal(results.errors, 1);
+    assert.match(findDetail(results, 'MLC810').error, /Error del servidor Mercado Libre \(500\)/);
+});
+
+test('con la señal abortada la sincronización se detiene y conserva los resultados parciales', async () => {
+    const skus = ['C1', 'C2', 'C3'];
+    skus.forEach((sku, i) => addItems(mlItem(`MLC${820 + i}`, { sku, stock: 0 })));
+    addErpProducts({ C1: 1, C2: 2, C3: 3 });
+    const controller = new AbortController();
+    const progress = [];
+
+    const results = await sync(skus, {
+        concurrency: 1,
+        signal: controller.signal,
+        onProgress: ({ processed, total }) => {
+            progress.push([processed, total]);
+            controller.abort();
+        }
+    });
+
+    assert.equal(results.cancelled, true);
+    assert.deepEqual(progress, [[1, 3]]);
+    assert.deepEqual(results.details.map(result => result.sku), ['C1']);
+    assert.deepEqual(puts.map(put => put.itemId), ['MLC820']);
+});
+
+function waitForJobEnd(id) {
+    return new Promise(resolve => {
+        const unsubscribe = subscribeToSyncJob(id, (event, data) => {
+            if (event === 'end') {
+                unsubscribe();
+                resolve(data);
+            }
+        });
+    });
+}
+
+test('un job cancelado termina como cancelado y solo hay una sincronización completa a la vez', async () => {
+    addItems(mlItem('MLC830', { sku: 'J1', stock: 0 }));
+    addErpProducts({ J1: 1 });
+
+    const job = createSyncJob({ all: true });
+    assert.throws(() => createSyncJob({ all: true }), error => error.code === 'SYNC_LOCKED');
+
+    cancelSyncJob(job.id);
+    const finished = await waitForJobEnd(job.id);
+
+    assert.equal(finished.status, JOB_STATUS.CANCELLED);
+    assert.equal(finished.cancelRequested, true);
+    assert.deepEqual(getSyncJob(job.id).details, []);
+    assert.deepEqual(puts, []);
+    assert.throws(() => cancelSyncJob(job.id), error => error.code === 'JOB_FINISHED');
+
+    // Al terminar se libera el bloqueo
+    const next = createSyncJob({ all: true });
+    assert.equal((await waitForJobEnd(next.id)).status, JOB_STATUS.COMPLETED);
+    assert.deepEqual(puts, [{ itemId: 'MLC830', body: { available_quantity: 1 } }]);
+});
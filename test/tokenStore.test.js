@@ -0,0 +1,92 @@
+/**
+ * Pruebas del almacén de tokens de tokenStore.js y de la rotación del
+ * refresh token en mercadoLibreAuth.js
+ *
+ * El endpoint /oauth/token se simula reemplazando axios.post.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'ml-tokens-test-'));
+process.env.DATA_DIR = DATA_DIR;
+process.env.ML_TOKEN_STORE = 'file';
+process.env.MERCADOLIBRE_ACCESS_TOKEN = '';
+process.env.MERCADOLIBRE_REFRESH_TOKEN = 'refresh-env';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+const { getTokenStore, setTokenStore, createFileTokenStore } = require('../tokenStore');
+const { getAccessToken, refreshAccessToken } = require('../mercadoLibreAuth');
+
+const TOKEN_FILE = path.join(DATA_DIR, 'ml-tokens.json');
+
+// Respuestas simuladas de /oauth/token y refresh tokens recibidos
+let tokenResponses = [];
+let sentRefreshTokens = [];
+
+axios.post = async (url, body) => {
+    assert.ok(url.endsWith('/oauth/token'));
+    sentRefreshTokens.push(body.refresh_token);
+    return { data: tokenResponses.shift() };
+};
+
+test.after(() => {
+    fs.rmSync(DATA_DIR, { recursive: true, force: true });
+});
+
+test('el almacén en archivo guarda, normaliza y borra los tokens', async () => {
+    const filePath = path.join(DATA_DIR, 'otro-tokens.json');
+    const store = createFileTokenStore(filePath);
+    assert.equal(await store.load(), null);
+
+    await store.save({ accessToken: 'a', refreshToken: 'r', expiresAt: '1700000000000', userId: 123 });
+    // Otra instancia (como tras un reinicio) lee lo mismo
+    const loaded = await createFileTokenStore(filePath).load();
+    assert.equal(loaded.accessToken, 'a');
+    assert.equal(loaded.refreshToken, 'r');
+    assert.equal(loaded.expiresAt, 1700000000000);
+    assert.equal(loaded.userId, '123');
+    assert.equal(fs.statSync(filePath).mode & 0o777, 0o600);
+
+    await store.clear();
+    assert.equal(await store.load(), null);
+});
+
+test('setTokenStore rechaza almacenes sin load() o save()', () => {
+    assert.throws(() => setTokenStore({ load() {} }), /load\(\) y save\(\)/);
+    assert.equal(getTokenStore().location, TOKEN_FILE);
+});
+
+test('el refresh token de .env solo siembra el almacén y cada rotación se persiste', async () => {
+    tokenResponses = [
+        { access_token: 'access-1', refresh_token: 'refresh-2', expires_in: 21600, user_id: 55 },
+        { access_token: 'access-2', refresh_token: 'refresh-3', expires_in: 21600 },
+        { access_token: 'access-3', expires_in: 21600 }
+    ];
+
+    assert.equal(await getAccessToken(), 'access-1');
+    assert.deepEqual(sentRefreshTokens, ['refresh-env']);
+    let saved = JSON.parse(fs.readFileSync(TOKEN_FILE, 'utf8'));
+    assert.equal(saved.refreshToken, 'refresh-2');
+    assert.equal(saved.userId, '55');
+
+    // Mientras el access token siga vigente no se vuelve a refrescar
+    assert.equal(await getAccessToken(), 'access-1');
+    assert.equal(sentRefreshTokens.length, 1);
+
+    // El siguiente refresco usa el token rotado, no el de .env
+    assert.equal(await refreshAccessToken(), 'access-2');
+    assert.deepEqual(sentRefreshTokens, ['refresh-env', 'refresh-2']);
+    saved = await createFileTokenStore(TOKEN_FILE).load();
+    assert.equal(saved.refreshToken, 'refresh-3');
+    assert.equal(saved.userId, '55');
+
+    // Si Mercado Libre no envía un refresh token nuevo se conserva el anterior
+    assert.equal(await refreshAccessToken(), 'access-3');
+    saved = await createFileTokenStore(TOKEN_FILE).load();
+    assert.equal(saved.accessToken, 'access-3');
+    assert.equal(saved.refreshToken, 'refresh-3');
+});
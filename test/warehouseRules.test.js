@@ -0,0 +1,95 @@
+/**
+ * Pruebas de las reglas de bodegas de warehouseRules.js
+ *
+ * El archivo de reglas se escribe en un directorio temporal y se vuelve a
+ * leer (reloadWarehouseRules) en cada prueba.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const CONFIG_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'ml-bodegas-test-'));
+const RULES_FILE = path.join(CONFIG_DIR, 'bodegas-ml.json');
+process.env.WAREHOUSE_RULES_FILE = RULES_FILE;
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { applyWarehouseRules, loadWarehouseRules, reloadWarehouseRules } = require('../warehouseRules');
+
+function writeRules(config) {
+    if (config === null) {
+        fs.rmSync(RULES_FILE, { force: true });
+    } else {
+        fs.writeFileSync(RULES_FILE, JSON.stringify(config));
+    }
+    reloadWarehouseRules();
+}
+
+test.after(() => {
+    fs.rmSync(CONFIG_DIR, { recursive: true, force: true });
+});
+
+test('sin archivo de reglas se excluyen solo las bodegas temporales', () => {
+    writeRules(null);
+
+    const { stock, breakdown } = applyWarehouseRules([
+        { bodega: 'Bodega General', saldo: 5 },
+        { bodega: 'Bodega Temporal', saldo: 7 },
+        { bodega: 'Sala de Ventas', saldo: 2 },
+        { saldo: 1 }
+    ]);
+
+    assert.equal(stock, 8);
+    assert.deepEqual(breakdown.map(entry => [entry.bodega, entry.incluida, entry.aporte]), [
+        ['Bodega General', true, 5],
+        ['Bodega Temporal', false, 0],
+        ['Sala de Ventas', true, 2],
+        [null, true, 1]
+    ]);
+});
+
+test('con archivo de reglas solo cuentan las bodegas configuradas, con su peso y máximo', () => {
+    writeRules({
+        bodegas: [
+            { bodega: 'Bodega General' },
+            { bodega: 'Sala de Ventas', peso: 0.5, maximo: 10 },
+            { bodega: 'B07' }
+        ]
+    });
+
+    const { stock, breakdown } = applyWarehouseRules([
+        { bodega: 'bodega general', saldo: 4 },
+        { bodega: 'Sala de Ventas', saldo: 30 },
+        { bodega: 'Bodega Norte', saldo: 100 },
+        { bodega: 'Tienda', cod_bodega: 'B07', saldo: 3 }
+    ]);
+
+    assert.equal(stock, 4 + 10 + 3);
+    assert.deepEqual(breakdown[1], { bodega: 'Sala de Ventas', saldo: 30, incluida: true, peso: 0.5, maximo: 10, aporte: 10 });
+    assert.deepEqual(breakdown[2], { bodega: 'Bodega Norte', saldo: 100, incluida: false, peso: null, maximo: null, aporte: 0 });
+    assert.equal(breakdown[3].aporte, 3);
+});
+
+test('el peso redondea hacia abajo y un saldo negativo no descuenta stock de otras bodegas', () => {
+    writeRules({ bodegas: [{ bodega: 'A', peso: 0.5 }, { bodega: 'B' }] });
+
+    const { stock, breakdown } = applyWarehouseRules([
+        { bodega: 'A', saldo: 5 },
+        { bodega: 'B', saldo: -3 }
+    ]);
+
+    assert.equal(stock, 2);
+    assert.equal(breakdown[1].aporte, 0);
+});
+
+test('las reglas inválidas se rechazan al cargar', () => {
+    writeRules({ bodegas: [{ bodega: 'A', peso: -1 }] });
+    assert.throws(() => loadWarehouseRules(), /"peso" inválido para la bodega A/);
+
+    writeRules({ bodegas: [{ peso: 1 }] });
+    assert.throws(() => loadWarehouseRules(), /la regla 1 no indica "bodega"/);
+
+    writeRules({ bodega: 'A' });
+    assert.throws(() => loadWarehouseRules(), /debe tener un arreglo "bodegas"/);
+});
@@ -0,0 +1,39 @@
+/**
+ * Pruebas de la lista de IPs permitidas de webhookAuth.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'ml-webhook-test-'));
+process.env.DATA_DIR = DATA_DIR;
+process.env.ML_WEBHOOK_ALLOWED_IPS = '54.88.218.97, 18.215.140.160/28,10.0.0.0/8';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { isAllowedIp } = require('../webhookAuth');
+
+test.after(() => {
+    fs.rmSync(DATA_DIR, { recursive: true, force: true });
+});
+
+test('isAllowedIp acepta IPs exactas de la lista', () => {
+    assert.equal(isAllowedIp('54.88.218.97'), true);
+    assert.equal(isAllowedIp('::ffff:54.88.218.97'), true);
+    assert.equal(isAllowedIp('54.88.218.98'), false);
+});
+
+test('isAllowedIp acepta IPs dentro de un rango CIDR', () => {
+    assert.equal(isAllowedIp('18.215.140.160'), true);
+    assert.equal(isAllowedIp('18.215.140.175'), true);
+    assert.equal(isAllowedIp('::ffff:10.20.30.40'), true);
+});
+
+test('isAllowedIp rechaza IPs fuera de los rangos', () => {
+    assert.equal(isAllowedIp('18.215.140.176'), false);
+    assert.equal(isAllowedIp('18.215.140.159'), false);
+    assert.equal(isAllowedIp('11.0.0.1'), false);
+    assert.equal(isAllowedIp('::1'), false);
+    assert.equal(isAllowedIp(''), false);
+});
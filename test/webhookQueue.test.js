@@ -0,0 +1,162 @@
+/**
+ * Pruebas de reintentos y dead-letter de webhookQueue.js
+ *
+ * Para no esperar el backoff real, las pruebas adelantan nextAttemptAt en el
+ * archivo de la cola y vuelven a ejecutar el worker.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'ml-queue-test-'));
+process.env.DATA_DIR = DATA_DIR;
+process.env.WEBHOOK_MAX_ATTEMPTS = '4';
+process.env.WEBHOOK_RETRY_BASE_DELAY_MS = '1000';
+process.env.WEBHOOK_RETRY_MAX_DELAY_MS = '3000';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    enqueueNotification,
+    startWebhookWorker,
+    processDueNotifications,
+    listQueuedNotifications,
+    listDeadLetters,
+    replayDeadLetter,
+    discardDeadLetter
+} = require('../webhookQueue');
+
+const QUEUE_FILE = path.join(DATA_DIR, 'webhook-queue.json');
+const DEAD_LETTER_FILE = path.join(DATA_DIR, 'webhook-dead-letter.json');
+
+// Comportamiento del handler en cada prueba y notificaciones recibidas
+let handle = async () => {};
+let handled = [];
+
+startWebhookWorker(async (payload) => {
+    handled.push(payload.resource);
+    await handle(payload);
+});
+
+test.beforeEach(() => {
+    fs.rmSync(QUEUE_FILE, { force: true });
+    fs.rmSync(DEAD_LETTER_FILE, { force: true });
+    handle = async () => {};
+    handled = [];
+});
+
+test.after(() => {
+    fs.rmSync(DATA_DIR, { recursive: true, force: true });
+});
+
+/**
+ * Esperar a que se cumpla una condición mientras el worker procesa
+ */
+async function waitFor(condition) {
+    for (let i = 0; i < 500; i++) {
+        if (condition()) return;
+        await new Promise(resolve => setImmediate(resolve));
+    }
+    throw new Error('La condición no se cumplió');
+}
+
+/**
+ * Dejar vencido el próximo intento de todos los elementos y procesar
+ */
+async function makeDueAndProcess() {
+    const queue = JSON.parse(fs.readFileSync(QUEUE_FILE, 'utf8'));
+    queue.forEach(item => { item.nextAttemptAt = new Date(Date.now() - 1).toISOString(); });
+    fs.writeFileSync(QUEUE_FILE, JSON.stringify(queue));
+    await processDueNotifications();
+}
+
+function delayOf(item) {
+    return new Date(item.nextAttemptAt).getTime() - new Date(item.updatedAt).getTime();
+}
+
+test('una notificación procesada sin error sale de la cola', async () => {
+    enqueueNotification({ topic: 'orders_v2', resource: '/orders/1' });
+
+    await waitFor(() => listQueuedNotifications().length === 0);
+    assert.deepEqual(handled, ['/orders/1']);
+    assert.deepEqual(listDeadLetters(), []);
+});
+
+test('los fallos se reintentan con backoff exponencial con tope y luego van a dead-letter', async () => {
+    handle = async () => {
+        throw new Error('ERP caído');
+    };
+    const { id } = enqueueNotification({ topic: 'orders_v2', resource: '/orders/2' });
+
+    await waitFor(() => listQueuedNotifications()[0]?.attempts === 1);
+    let [item] = listQueuedNotifications();
+    assert.equal(item.status, 'pending');
+    assert.equal(item.lastError, 'ERP caído');
+    assert.ok(Math.abs(delayOf(item) - 1000) < 50);
+
+    // Un intento que aún no vence no se procesa
+    await processDueNotifications();
+    assert.equal(listQueuedNotifications()[0].attempts, 1);
+
+    await makeDueAndProcess();
+    [item] = listQueuedNotifications();
+    assert.equal(item.attempts, 2);
+    assert.ok(Math.abs(delayOf(item) - 2000) < 50);
+
+    await makeDueAndProcess();
+    [item] = listQueuedNotifications();
+    assert.equal(item.attempts, 3);
+    assert.ok(Math.abs(delayOf(item) - 3000) < 50);
+
+    await makeDueAndProcess();
+    assert.deepEqual(listQueuedNotifications(), []);
+    const [dead] = listDeadLetters();
+    assert.equal(dead.id, id);
+    assert.equal(dead.status, 'dead');
+    assert.equal(dead.attempts, 4);
+    assert.equal(dead.lastError, 'ERP caído');
+    assert.equal(handled.length, 4);
+});
+
+test('una notificación en dead-letter se puede reprocesar o descartar', async () => {
+    handle = async () => {
+        throw new Error('falla');
+    };
+    const first = enqueueNotification({ topic: 'orders_v2', resource: '/orders/3' });
+    const second = enqueueNotification({ topic: 'orders_v2', resource: '/orders/4' });
+    await waitFor(() => listQueuedNotifications().every(item => item.attempts === 1));
+    for (let i = 0; i < 3; i++) await makeDueAndProcess();
+    assert.equal(listDeadLetters().length, 2);
+
+    handle = async () => {};
+    const replayed = replayDeadLetter(first.id);
+    assert.equal(replayed.attempts, 0);
+    await waitFor(() => listQueuedNotifications().length === 0);
+    assert.equal(handled[handled.length - 1], '/orders/3');
+
+    assert.equal(discardDeadLetter(second.id).resource, '/orders/4');
+    assert.deepEqual(listDeadLetters(), []);
+    assert.equal(replayDeadLetter('no-existe'), null);
+});
+
+test('las notificaciones interrumpidas por un reinicio vuelven a procesarse', async () => {
+    const now = new Date().toISOString();
+    fs.writeFileSync(QUEUE_FILE, JSON.stringify([{
+        id: 'interrumpida',
+        topic: 'orders_v2',
+        resource: '/orders/5',
+        payload: { topic: 'orders_v2', resource: '/orders/5' },
+        status: 'processing',
+        attempts: 1,
+        nextAttemptAt: now,
+        receivedAt: now,
+        updatedAt: now
+    }]));
+
+    startWebhookWorker(async (payload) => {
+        handled.push(payload.resource);
+    });
+    await waitFor(() => listQueuedNotifications().length === 0);
+    assert.deepEqual(handled, ['/orders/5']);
+});
@@ -0,0 +1,177 @@
+/**
+ * Almacén persistente de tokens OAuth de Mercado Libre
+ *
+ * Guarda el access token, refresh token, expiración y user id para que
+ * sobrevivan a reinicios y redeploys. Mercado Libre rota el refresh token
+ * en cada refresco, por lo que el valor vigente siempre vive aquí y no en .env.
+ *
+ * Backends disponibles (variable ML_TOKEN_STORE):
+ * - file (default): archivo JSON en DATA_DIR (ML_TOKEN_FILE)
+ * - sqlite: base SQLite (ML_TOKEN_SQLITE_PATH), requiere el paquete better-sqlite3
+ *
+ * También se puede registrar un almacén propio con setTokenStore().
+ */
+
+require('dotenv').config();
+const { resolveDataPath, ensureDirFor, readJsonFile, writeJsonFile } = require('./localStore');
+
+const ML_TOKEN_STORE = (process.env.ML_TOKEN_STORE || 'file').toLowerCase();
+const ML_TOKEN_FILE = resolveDataPath(process.env.ML_TOKEN_FILE || 'ml-tokens.json');
+const ML_TOKEN_SQLITE_PATH = resolveDataPath(process.env.ML_TOKEN_SQLITE_PATH || 'ml-tokens.sqlite');
+
+// Almacén activo (se crea al primer uso)
+let activeStore = null;
+
+/**
+ * Normalizar un registro de tokens al formato interno
+ *
+ * @param {Object} record - Registro de tokens
+ * @returns {Object|null} Registro normalizado o null si no hay tokens
+ */
+function normalizeTokens(record) {
+    if (!record || (!record.accessToken && !record.refreshToken)) {
+        return null;
+    }
+    return {
+        accessToken: record.accessToken || null,
+        refreshToken: record.refreshToken || null,
+        expiresAt: record.expiresAt ? Number(record.expiresAt) : null,
+        userId: record.userId ? record.userId.toString() : null,
+        scope: record.scope || null,
+        updatedAt: record.updatedAt || new Date().toISOString()
+    };
+}
+
+/**
+ * Crear un almacén de tokens basado en archivo JSON
+ *
+ * @param {string} filePath - Ruta del archivo de tokens
+ * @returns {Object} Almacén con métodos load/save/clear
+ */
+function createFileTokenStore(filePath = ML_TOKEN_FILE) {
+    return {
+        type: 'file',
+        location: filePath,
+
+        async load() {
+            return normalizeTokens(readJsonFile(filePath));
+        },
+
+        async save(tokens) {
+            const record = normalizeTokens({ ...tokens, updatedAt: new Date().toISOString() });
+            // Permisos 600: el archivo contiene credenciales
+            writeJsonFile(filePath, record, { mode: 0o600 });
+            return record;
+        },
+
+        async clear() {
+            writeJsonFile(filePath, {}, { mode: 0o600 });
+        }
+    };
+}
+
+/**
+ * Crear un almacén de tokens basado en SQLite
+ *
+ * @param {string} dbPath - Ruta de la base de datos
+ * @returns {Object} Almacén con métodos load/save/clear
+ */
+function createSqliteTokenStore(dbPath = ML_TOKEN_SQLITE_PATH) {
+    let Database;
+    try {
+        Database = require('better-sqlite3');
+    } catch (error) {
+        throw new Error('ML_TOKEN_STORE=sqlite requiere el paquete better-sqlite3. Ejecuta: npm install better-sqlite3');
+    }
+
+    ensureDirFor(dbPath);
+    const db = new Database(dbPath);
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS ml_tokens (
+            id INTEGER PRIMARY KEY CHECK (id = 1),
+            access_token TEXT,
+            refresh_token TEXT,
+            expires_at INTEGER,
+            user_id TEXT,
+            scope TEXT,
+            updated_at TEXT NOT NULL
+        )
+    `);
+
+    return {
+        type: 'sqlite',
+        location: dbPath,
+
+        async load() {
+            const row = db.prepare('SELECT * FROM ml_tokens WHERE id = 1').get();
+            if (!row) return null;
+            return normalizeTokens({
+                accessToken: row.access_token,
+                refreshToken: row.refresh_token,
+                expiresAt: row.expires_at,
+                userId: row.user_id,
+                scope: row.scope,
+                updatedAt: row.updated_at
+            });
+        },
+
+        async save(tokens) {
+            const record = normalizeTokens({ ...tokens, updatedAt: new Date().toISOString() });
+            db.prepare(`
+                INSERT INTO ml_tokens (id, access_token, refresh_token, expires_at, user_id, scope, updated_at)
+                VALUES (1, @accessToken, @refreshToken, @expiresAt, @userId, @scope, @updatedAt)
+                ON CONFLICT(id) DO UPDATE SET
+                    access_token = excluded.access_token,
+                    refresh_token = excluded.refresh_token,
+                    expires_at = excluded.expires_at,
+                    user_id = excluded.user_id,
+                    scope = excluded.scope,
+                    updated_at = excluded.updated_at
+            `).run(record);
+            return record;
+        },
+
+        async clear() {
+            db.prepare('DELETE FROM ml_tokens').run();
+        }
+    };
+}
+
+/**
+ * Obtener el almacén de tokens configurado
+ *
+ * @returns {Object} Almacén de tokens activo
+ */
+function getTokenStore() {
+    if (!activeStore) {
+        if (ML_TOKEN_STORE === 'sqlite') {
+            activeStore = createSqliteTokenStore();
+        } else if (ML_TOKEN_STORE === 'file') {
+            activeStore = createFileTokenStore();
+        } else {
+            throw new Error(`ML_TOKEN_STORE inválido: "${ML_TOKEN_STORE}". Usa "file" o "sqlite".`);
+        }
+    }
+    return activeStore;
+}
+
+/**
+ * Registrar un almacén de tokens propio
+ *
+ * Debe exponer load(), save(tokens) y clear() (pueden ser async).
+ *
+ * @param {Object} store - Almacén de tokens
+ */
+function setTokenStore(store) {
+    if (!store || typeof store.load !== 'function' || typeof store.save !== 'function') {
+        throw new Error('El almacén de tokens debe implementar load() y save()');
+    }
+    activeStore = store;
+}
+
+module.exports = {
+    getTokenStore,
+    setTokenStore,
+    createFileTokenStore,
+    createSqliteTokenStore
+};
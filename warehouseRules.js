@@ -0,0 +1,199 @@
+/**
+ * Reglas de bodegas de Manager+ para el stock publicado en Mercado Libre
+ *
+ * Un archivo de configuración (WAREHOUSE_RULES_FILE, default: bodegas-ml.json)
+ * lista qué bodegas de Manager+ cuentan para el stock de Mercado Libre, con un
+ * peso y un máximo opcionales por bodega. Las bodegas que no aparecen en el
+ * archivo no aportan stock. Si el archivo no existe se mantiene la regla
+ * histórica: solo se excluyen las bodegas "temporal".
+ *
+ * Ejemplo (ver bodegas-ml.example.json):
+ * {
+ *   "bodegas": [
+ *     { "bodega": "Bodega General" },
+ *     { "bodega": "Sala de Ventas", "peso": 0.5, "maximo": 10 }
+ *   ]
+ * }
+ */
+
+require('dotenv').config();
+const path = require('path');
+const { readJsonFile } = require('./localStore');
+
+const WAREHOUSE_RULES_FILE = path.resolve(__dirname, process.env.WAREHOUSE_RULES_FILE || 'bodegas-ml.json');
+
+// Reglas cargadas (null = aún no se leen, false = no hay archivo)
+let cachedRules = null;
+
+/**
+ * Obtener el nombre de la bodega de un registro de stock de Manager+
+ *
+ * @param {Object} stockItem - Registro de stock (campo "stock" de con_stock=S)
+ * @returns {string} Nombre de la bodega (vacío si no viene)
+ */
+function getWarehouseName(stockItem = {}) {
+    return (
+        stockItem.bodega ||
+        stockItem.almacen ||
+        stockItem.descripcion_bodega ||
+        stockItem.nombre_bodega ||
+        stockItem.bod ||
+        ''
+    ).toString().trim();
+}
+
+/**
+ * Obtener el código de la bodega de un registro de stock de Manager+
+ *
+ * @param {Object} stockItem - Registro de stock
+ * @returns {string} Código de la bodega (vacío si no viene)
+ */
+function getWarehouseCode(stockItem = {}) {
+    return (stockItem.cod_bodega || stockItem.codigo_bodega || stockItem.cod_bod || '').toString().trim();
+}
+
+/**
+ * Determina si un registro de stock pertenece a "Bodega General" y excluye "Bodega temporal".
+ * Regla usada cuando no existe el archivo de configuración de bodegas.
+ */
+function isGeneralWarehouse(stockItem = {}) {
+    const name = getWarehouseName(stockItem).toLowerCase();
+
+    // Si no hay nombre de bodega, asumimos bodega general (evita descartar todo por falta de campo)
+    if (!name) return true;
+
+    if (name.includes('temporal')) return false;
+    if (name.includes('general')) return true;
+
+    // Fallback: incluir otras bodegas solo si no son temporales
+    return !name.includes('temporal');
+}
+
+/**
+ * Validar y normalizar el archivo de reglas
+ *
+ * @param {Object} config - Contenido del archivo
+ * @returns {Array<Object>} Reglas normalizadas ({ bodega, peso, maximo })
+ */
+function normalizeRules(config) {
+    if (!config || !Array.isArray(config.bodegas)) {
+        throw new Error(`${WAREHOUSE_RULES_FILE} debe tener un arreglo "bodegas"`);
+    }
+
+    return config.bodegas.map((rule, index) => {
+        const bodega = (rule.bodega || '').toString().trim();
+        const peso = rule.peso !== undefined ? parseFloat(rule.peso) : 1;
+        const maximo = rule.maximo !== undefined && rule.maximo !== null ? parseInt(rule.maximo) : null;
+
+        if (!bodega) {
+            throw new Error(`${WAREHOUSE_RULES_FILE}: la regla ${index + 1} no indica "bodega"`);
+        }
+        if (isNaN(peso) || peso < 0) {
+            throw new Error(`${WAREHOUSE_RULES_FILE}: "peso" inválido para la bodega ${bodega}`);
+        }
+        if (maximo !== null && (isNaN(maximo) || maximo < 0)) {
+            throw new Error(`${WAREHOUSE_RULES_FILE}: "maximo" inválido para la bodega ${bodega}`);
+        }
+
+        return { bodega, peso, maximo };
+    });
+}
+
+/**
+ * Cargar las reglas de bodegas (se leen una vez por proceso)
+ *
+ * @returns {Array<Object>|null} Reglas o null si no hay archivo de configuración
+ */
+function loadWarehouseRules() {
+    if (cachedRules === null) {
+        const config = readJsonFile(WAREHOUSE_RULES_FILE, null);
+        if (config) {
+            cachedRules = normalizeRules(config);
+            console.log(`🏬 Reglas de bodegas cargadas desde ${WAREHOUSE_RULES_FILE}: ${cachedRules.map(rule => rule.bodega).join(', ')}`);
+        } else {
+            cachedRules = false;
+            console.warn(`⚠️  No existe ${WAREHOUSE_RULES_FILE}. Se publica el stock de todas las bodegas excepto las "temporal".`);
+        }
+    }
+    return cachedRules || null;
+}
+
+/**
+ * Volver a leer el archivo de reglas en la próxima consulta
+ */
+function reloadWarehouseRules() {
+    cachedRules = null;
+}
+
+/**
+ * Buscar la regla que aplica a un registro de stock (por nombre o código, sin distinguir mayúsculas)
+ *
+ * @param {Array<Object>} rules - Reglas cargadas
+ * @param {Object} stockItem - Registro de stock
+ * @returns {Object|null} Regla o null si la bodega no está configurada
+ */
+function findRule(rules, stockItem) {
+    const name = getWarehouseName(stockItem).toLowerCase();
+    const code = getWarehouseCode(stockItem).toLowerCase();
+
+    return rules.find(rule => {
+        const target = rule.bodega.toLowerCase();
+        return target === name || (code && target === code);
+    }) || null;
+}
+
+/**
+ * Calcular el aporte de cada bodega al stock publicado en Mercado Libre
+ *
+ * @param {Array<Object>} stockItems - Registros de stock del producto (uno por bodega)
+ * @returns {Object} { stock, breakdown } con el total y el detalle por bodega
+ */
+function applyWarehouseRules(stockItems) {
+    const rules = loadWarehouseRules();
+    let stock = 0;
+
+    const breakdown = stockItems.map(stockItem => {
+        const saldo = parseFloat(stockItem.saldo) || 0;
+        const entry = {
+            bodega: getWarehouseName(stockItem) || getWarehouseCode(stockItem) || null,
+            saldo,
+            incluida: false,
+            peso: null,
+            maximo: null,
+            aporte: 0
+        };
+
+        if (!rules) {
+            if (isGeneralWarehouse(stockItem)) {
+                entry.incluida = true;
+                entry.aporte = saldo;
+            }
+        } else {
+            const rule = findRule(rules, stockItem);
+            if (rule) {
+                entry.incluida = true;
+                entry.peso = rule.peso;
+                entry.maximo = rule.maximo;
+                // Un saldo negativo en una bodega no descuenta stock de las demás
+                let aporte = Math.floor(Math.max(0, saldo) * rule.peso);
+                if (rule.maximo !== null) {
+                    aporte = Math.min(aporte, rule.maximo);
+                }
+                entry.aporte = aporte;
+            }
+        }
+
+        stock += entry.aporte;
+        return entry;
+    });
+
+    return { stock, breakdown };
+}
+
+module.exports = {
+    applyWarehouseRules,
+    loadWarehouseRules,
+    reloadWarehouseRules,
+    isGeneralWarehouse,
+    WAREHOUSE_RULES_FILE
+};
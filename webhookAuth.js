@@ -0,0 +1,291 @@
+/**
+ * Verificación de autenticidad de las notificaciones de Mercado Libre
+ *
+ * Mercado Libre no firma sus notificaciones, así que antes de encolarlas se
+ * comprueba que:
+ * - vengan de una IP permitida (ML_WEBHOOK_ALLOWED_IPS, opcional)
+ * - incluyan el secreto de la URL de notificaciones (WEBHOOK_SECRET, opcional)
+ * - tengan la forma esperada (topic, resource, user_id, application_id)
+ * - application_id sea nuestra aplicación y user_id nuestra cuenta de vendedor
+ *
+ * Las notificaciones rechazadas se registran en WEBHOOK_AUDIT_FILE
+ * (default: webhook-audit.jsonl dentro de DATA_DIR).
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const crypto = require('crypto');
+const { resolveDataPath, ensureDirFor } = require('./localStore');
+const { getConnectedUserId } = require('./mercadoLibreAuth');
+
+const ML_APPLICATION_ID = process.env.MERCADOLIBRE_CLIENT_ID || null;
+const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET || null;
+const WEBHOOK_AUDIT_FILE = resolveDataPath(process.env.WEBHOOK_AUDIT_FILE || 'webhook-audit.jsonl');
+const WEBHOOK_AUDIT_MAX = parseInt(process.env.WEBHOOK_AUDIT_MAX) || 1000; // Rechazos que se conservan
+
+// IPs o rangos CIDR (IPv4) desde los que se aceptan notificaciones, separados por coma
+const ML_WEBHOOK_ALLOWED_IPS = (process.env.ML_WEBHOOK_ALLOWED_IPS || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean);
+
+// Forma del campo resource según el topic
+const RESOURCE_PATTERNS = {
+    orders_v2: /^\/orders\/\d+$/,
+    orders: /^\/orders\/\d+$/,
+    items: /^\/items\/[A-Z]{3}\d+$/,
+    shipments: /^\/shipments\/\d+$/,
+    payments: /^\/(collections|payments)\/\d+$/,
+    questions: /^\/questions\/\d+$/
+};
+// Otros topics: una ruta o id sin espacios ni ".."
+const GENERIC_RESOURCE_PATTERN = /^\/?[\w\-./]{1,200}$/;
+
+// Motivos de rechazo (code -> status HTTP)
+const REJECTION_STATUS = {
+    IP_NOT_ALLOWED: 403,
+    INVALID_SECRET: 403,
+    MALFORMED: 400,
+    APPLICATION_MISMATCH: 403,
+    USER_MISMATCH: 403
+};
+
+/**
+ * Normalizar una IP (las IPv4 pueden venir como "::ffff:1.2.3.4")
+ */
+function normalizeIp(ip) {
+    return (ip || '').toString().replace(/^::ffff:/, '');
+}
+
+/**
+ * Convertir una IPv4 a entero (null si no es IPv4)
+ */
+function ipv4ToInt(ip) {
+    const parts = ip.split('.');
+    if (parts.length !== 4 || parts.some(part => !/^\d{1,3}$/.test(part) || Number(part) > 255)) {
+        return null;
+    }
+    return parts.reduce((acc, part) => (acc * 256) + Number(part), 0);
+}
+
+/**
+ * Determinar si una IP está en ML_WEBHOOK_ALLOWED_IPS
+ *
+ * @param {string} ip - IP del cliente
+ * @returns {boolean} true si está permitida (o si no hay lista configurada)
+ */
+function isAllowedIp(ip) {
+    if (ML_WEBHOOK_ALLOWED_IPS.length === 0) return true;
+
+    const address = normalizeIp(ip);
+    const value = ipv4ToInt(address);
+
+    return ML_WEBHOOK_ALLOWED_IPS.some(entry => {
+        const [range, bitsText] = entry.split('/');
+        if (bitsText === undefined || value === null) {
+            return normalizeIp(range) === address;
+        }
+
+        const base = ipv4ToInt(range);
+        const bits = parseInt(bitsText);
+        if (base === null || isNaN(bits) || bits < 0 || bits > 32) return false;
+
+        const size = Math.pow(2, 32 - bits);
+        return Math.floor(value / size) === Math.floor(base / size);
+    });
+}
+
+/**
+ * Comparar dos textos en tiempo constante
+ */
+function safeEqual(a, b) {
+    const bufferA = Buffer.from(a.toString());
+    const bufferB = Buffer.from(b.toString());
+    return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+/**
+ * Validar la forma de una notificación
+ *
+ * @param {Object} body - Body de la notificación
+ * @returns {string|null} Motivo del rechazo o null si es válida
+ */
+function getMalformedReason(body) {
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        return 'el body no es un objeto JSON';
+    }
+
+    const topic = body.topic || body.type;
+    if (typeof topic !== 'string' || !/^[a-z_0-9]+$/.test(topic)) {
+        return 'topic ausente o inválido';
+    }
+
+    const pattern = RESOURCE_PATTERNS[topic] || GENERIC_RESOURCE_PATTERN;
+    if (typeof body.resource !== 'string' || !pattern.test(body.resource) || body.resource.includes('..')) {
+        return `resource inválido para el topic ${topic}: ${JSON.stringify(body.resource)?.slice(0, 100)}`;
+    }
+
+    if (!/^\d+$/.test((body.user_id ?? '').toString())) {
+        return 'user_id ausente o inválido';
+    }
+    if (!/^\d+$/.test((body.application_id ?? '').toString())) {
+        return 'application_id ausente o inválido';
+    }
+    return null;
+}
+
+/**
+ * Verificar una notificación recibida
+ *
+ * @param {Object} req - Petición de Express
+ * @returns {Promise<Object|null>} Rechazo { code, reason } o null si es auténtica
+ */
+async function verifyWebhookNotification(req) {
+    if (!isAllowedIp(req.ip)) {
+        return { code: 'IP_NOT_ALLOWED', reason: `IP ${normalizeIp(req.ip)} fuera de ML_WEBHOOK_ALLOWED_IPS` };
+    }
+
+    if (WEBHOOK_SECRET && !safeEqual(req.query.secret || '', WEBHOOK_SECRET)) {
+        return { code: 'INVALID_SECRET', reason: 'secreto ausente o incorrecto en la URL' };
+    }
+
+    const malformedReason = getMalformedReason(req.body);
+    if (malformedReason) {
+        return { code: 'MALFORMED', reason: malformedReason };
+    }
+
+    const applicationId = req.body.application_id.toString();
+    if (ML_APPLICATION_ID && applicationId !== ML_APPLICATION_ID.toString()) {
+        return { code: 'APPLICATION_MISMATCH', reason: `application_id ${applicationId} no es MERCADOLIBRE_CLIENT_ID` };
+    }
+
+    const sellerId = await getConnectedUserId();
+    const userId = req.body.user_id.toString();
+    if (sellerId && userId !== sellerId) {
+        return { code: 'USER_MISMATCH', reason: `user_id ${userId} no es la cuenta conectada (${sellerId})` };
+    }
+
+    return null;
+}
+
+/**
+ * Registrar una notificación rechazada en el log de auditoría
+ *
+ * Nunca lanza error: un problema al guardar el registro no debe cambiar la
+ * respuesta al remitente.
+ *
+ * @param {Object} req - Petición de Express
+ * @param {Object} rejection - { code, reason }
+ * @returns {Object|null} Entrada registrada o null si no se pudo guardar
+ */
+function recordWebhookRejection(req, rejection) {
+    try {
+        const body = req.body && typeof req.body === 'object' ? req.body : {};
+        const entry = {
+            id: crypto.randomUUID(),
+            at: new Date().toISOString(),
+            code: rejection.code,
+            reason: rejection.reason,
+            ip: normalizeIp(req.ip),
+            userAgent: req.get('user-agent') || null,
+            topic: body.topic || body.type || null,
+            resource: typeof body.resource === 'string' ? body.resource.slice(0, 200) : null,
+            userId: body.user_id ?? null,
+            applicationId: body.application_id ?? null,
+            // Solo un extracto: el body lo controla el remitente
+            payload: JSON.stringify(req.body ?? null).slice(0, 2000)
+        };
+
+        ensureDirFor(WEBHOOK_AUDIT_FILE);
+        fs.appendFileSync(WEBHOOK_AUDIT_FILE, JSON.stringify(entry) + '\n');
+
+        const entries = readWebhookAudit();
+        if (entries.length > WEBHOOK_AUDIT_MAX) {
+            const tmpPath = `${WEBHOOK_AUDIT_FILE}.${process.pid}.tmp`;
+            fs.writeFileSync(tmpPath, entries.slice(-WEBHOOK_AUDIT_MAX).map(item => JSON.stringify(item)).join('\n') + '\n');
+            fs.renameSync(tmpPath, WEBHOOK_AUDIT_FILE);
+        }
+
+        return entry;
+    } catch (error) {
+        console.warn(`⚠️  No se pudo guardar el registro de auditoría del webhook: ${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * Leer el log de auditoría (en orden de registro, ignorando líneas corruptas)
+ */
+function readWebhookAudit() {
+    let content;
+    try {
+        content = fs.readFileSync(WEBHOOK_AUDIT_FILE, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return [];
+        }
+        throw new Error(`Error al leer ${WEBHOOK_AUDIT_FILE}: ${error.message}`);
+    }
+
+    return content.split('\n').filter(line => line.trim()).reduce((entries, line) => {
+        try {
+            entries.push(JSON.parse(line));
+        } catch (error) {
+            // Línea incompleta: se omite
+        }
+        return entries;
+    }, []);
+}
+
+/**
+ * Listar notificaciones rechazadas (más recientes primero)
+ *
+ * @param {Object} filters - Filtros
+ * @param {string} filters.code - Motivo (IP_NOT_ALLOWED, INVALID_SECRET, MALFORMED, ...)
+ * @param {number} filters.limit - Máximo de entradas (default: 100)
+ * @returns {Array<Object>} Rechazos
+ */
+function listWebhookRejections({ code, limit = 100 } = {}) {
+    return readWebhookAudit()
+        .filter(entry => !code || entry.code === code)
+        .reverse()
+        .slice(0, limit);
+}
+
+/**
+ * Middleware que rechaza las notificaciones que no pasan la verificación
+ */
+async function verifyMercadoLibreWebhook(req, res, next) {
+    let rejection;
+    try {
+        rejection = await verifyWebhookNotification(req);
+    } catch (error) {
+        // No se pudo leer la cuenta conectada: responder con error para que Mercado Libre reintente
+        console.error('❌ Error al verificar webhook:', error.message);
+        return res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+
+    if (!rejection) {
+        return next();
+    }
+
+    console.warn(`🚫 Webhook rechazado (${rejection.code}) desde ${normalizeIp(req.ip)}: ${rejection.reason}`);
+    recordWebhookRejection(req, rejection);
+    res.status(REJECTION_STATUS[rejection.code]).json({
+        success: false,
+        error: 'Notificación rechazada'
+    });
+}
+
+module.exports = {
+    verifyMercadoLibreWebhook,
+    verifyWebhookNotification,
+    isAllowedIp,
+    recordWebhookRejection,
+    listWebhookRejections,
+    ML_WEBHOOK_ALLOWED_IPS,
+    WEBHOOK_AUDIT_FILE
+};
@@ -0,0 +1,275 @@
+/**
+ * Cola persistente de notificaciones de Mercado Libre
+ *
+ * Las notificaciones se guardan en disco antes de responder a Mercado Libre,
+ * y un worker las procesa con reintentos (backoff exponencial). Las que agotan
+ * los reintentos pasan a un almacén de dead-letter desde donde se pueden
+ * inspeccionar, reprocesar o descartar.
+ */
+
+require('dotenv').config();
+const crypto = require('crypto');
+const { resolveDataPath, readJsonFile, writeJsonFile } = require('./localStore');
+
+const WEBHOOK_QUEUE_FILE = resolveDataPath(process.env.WEBHOOK_QUEUE_FILE || 'webhook-queue.json');
+const WEBHOOK_DEAD_LETTER_FILE = resolveDataPath(process.env.WEBHOOK_DEAD_LETTER_FILE || 'webhook-dead-letter.json');
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+const WEBHOOK_RETRY_BASE_DELAY_MS = parseInt(process.env.WEBHOOK_RETRY_BASE_DELAY_MS) || 5000;
+const WEBHOOK_RETRY_MAX_DELAY_MS = parseInt(process.env.WEBHOOK_RETRY_MAX_DELAY_MS) || 30 * 60 * 1000;
+const WEBHOOK_WORKER_INTERVAL_MS = parseInt(process.env.WEBHOOK_WORKER_INTERVAL_MS) || 2000;
+
+// Estado del worker
+let workerHandler = null;
+let workerTimer = null;
+let workerRunning = false;
+
+/**
+ * Leer la cola de pendientes
+ */
+function readQueue() {
+    return readJsonFile(WEBHOOK_QUEUE_FILE, []);
+}
+
+/**
+ * Leer el almacén de dead-letter
+ */
+function readDeadLetters() {
+    return readJsonFile(WEBHOOK_DEAD_LETTER_FILE, []);
+}
+
+/**
+ * Actualizar un elemento de la cola
+ *
+ * @param {string} id - ID del elemento
+ * @param {Function} updater - Recibe el elemento y retorna el nuevo valor (o null para eliminarlo)
+ */
+function updateQueueItem(id, updater) {
+    const queue = readQueue();
+    const index = queue.findIndex(item => item.id === id);
+    if (index === -1) return;
+
+    const updated = updater(queue[index]);
+    if (updated) {
+        queue[index] = { ...updated, updatedAt: new Date().toISOString() };
+    } else {
+        queue.splice(index, 1);
+    }
+    writeJsonFile(WEBHOOK_QUEUE_FILE, queue);
+}
+
+/**
+ * Calcular la espera antes del próximo intento
+ *
+ * @param {number} attempts - Intentos realizados
+ * @returns {number} Milisegundos de espera
+ */
+function getBackoffDelay(attempts) {
+    return Math.min(WEBHOOK_RETRY_BASE_DELAY_MS * Math.pow(2, attempts - 1), WEBHOOK_RETRY_MAX_DELAY_MS);
+}
+
+/**
+ * Encolar una notificación (se persiste de inmediato)
+ *
+ * @param {Object} notification - Body de la notificación de Mercado Libre
+ * @returns {Object} Elemento encolado
+ */
+function enqueueNotification(notification) {
+    const now = new Date().toISOString();
+    const item = {
+        id: crypto.randomUUID(),
+        topic: notification?.topic || notification?.type || null,
+        resource: notification?.resource || null,
+        payload: notification,
+        status: 'pending',
+        attempts: 0,
+        nextAttemptAt: now,
+        lastError: null,
+        receivedAt: now,
+        updatedAt: now
+    };
+
+    const queue = readQueue();
+    queue.push(item);
+    writeJsonFile(WEBHOOK_QUEUE_FILE, queue);
+
+    // Procesar lo antes posible sin esperar el próximo ciclo
+    if (workerHandler) {
+        setImmediate(processDueNotifications);
+    }
+
+    return item;
+}
+
+/**
+ * Procesar las notificaciones cuyo próximo intento ya venció
+ */
+async function processDueNotifications() {
+    if (workerRunning || !workerHandler) return;
+    workerRunning = true;
+
+    try {
+        while (true) {
+            const now = Date.now();
+            const item = readQueue().find(entry =>
+                entry.status === 'pending' && new Date(entry.nextAttemptAt).getTime() <= now
+            );
+            if (!item) break;
+
+            updateQueueItem(item.id, current => ({ ...current, status: 'processing' }));
+
+            try {
+                await workerHandler(item.payload, item);
+                updateQueueItem(item.id, () => null);
+            } catch (error) {
+                const attempts = item.attempts + 1;
+                const lastError = error.response?.data?.mensaje || error.message;
+
+                if (attempts >= WEBHOOK_MAX_ATTEMPTS) {
+                    console.error(`❌ Notificación ${item.id} (${item.topic} ${item.resource}) falló ${attempts} veces. Movida a dead-letter: ${lastError}`);
+                    updateQueueItem(item.id, () => null);
+                    const deadLetters = readDeadLetters();
+                    deadLetters.push({
+                        ...item,
+                        status: 'dead',
+                        attempts,
+                        lastError,
+                        failedAt: new Date().toISOString(),
+                        updatedAt: new Date().toISOString()
+                    });
+                    writeJsonFile(WEBHOOK_DEAD_LETTER_FILE, deadLetters);
+                } else {
+                    const delay = getBackoffDelay(attempts);
+                    console.warn(`⚠️  Notificación ${item.id} falló (intento ${attempts}/${WEBHOOK_MAX_ATTEMPTS}). Reintento en ${Math.round(delay / 1000)}s: ${lastError}`);
+                    updateQueueItem(item.id, current => ({
+                        ...current,
+                        status: 'pending',
+                        attempts,
+                        lastError,
+                        nextAttemptAt: new Date(Date.now() + delay).toISOString()
+                    }));
+                }
+            }
+        }
+    } catch (error) {
+        console.error('❌ Error en el worker de notificaciones:', error.message);
+    } finally {
+        workerRunning = false;
+    }
+}
+
+/**
+ * Iniciar el worker que procesa la cola
+ *
+ * @param {Function} handler - Función async que procesa una notificación (lanza error para reintentar)
+ */
+function startWebhookWorker(handler) {
+    workerHandler = handler;
+
+    // Elementos que quedaron "processing" por un reinicio vuelven a pendientes
+    const queue = readQueue();
+    const interrupted = queue.filter(item => item.status === 'processing');
+    if (interrupted.length > 0) {
+        interrupted.forEach(item => { item.status = 'pending'; });
+        writeJsonFile(WEBHOOK_QUEUE_FILE, queue);
+        console.log(`🔁 ${interrupted.length} notificaciones interrumpidas vuelven a la cola`);
+    }
+    if (queue.length > 0) {
+        console.log(`📬 ${queue.length} notificaciones pendientes en la cola`);
+    }
+
+    if (!workerTimer) {
+        workerTimer = setInterval(processDueNotifications, WEBHOOK_WORKER_INTERVAL_MS);
+        workerTimer.unref();
+    }
+    setImmediate(processDueNotifications);
+}
+
+/**
+ * Listar notificaciones pendientes en la cola
+ *
+ * @returns {Array<Object>} Elementos de la cola
+ */
+function listQueuedNotifications() {
+    return readQueue();
+}
+
+/**
+ * Listar notificaciones en dead-letter
+ *
+ * @returns {Array<Object>} Elementos en dead-letter
+ */
+function listDeadLetters() {
+    return readDeadLetters();
+}
+
+/**
+ * Obtener una notificación en dead-letter
+ *
+ * @param {string} id - ID del elemento
+ * @returns {Object|null} Elemento o null si no existe
+ */
+function getDeadLetter(id) {
+    return readDeadLetters().find(item => item.id === id) || null;
+}
+
+/**
+ * Reencolar una notificación de dead-letter (reinicia los intentos)
+ *
+ * @param {string} id - ID del elemento
+ * @returns {Object|null} Elemento reencolado o null si no existe
+ */
+function replayDeadLetter(id) {
+    const deadLetters = readDeadLetters();
+    const index = deadLetters.findIndex(item => item.id === id);
+    if (index === -1) return null;
+
+    const [item] = deadLetters.splice(index, 1);
+    const now = new Date().toISOString();
+    const requeued = {
+        ...item,
+        status: 'pending',
+        attempts: 0,
+        nextAttemptAt: now,
+        replayedAt: now,
+        updatedAt: now
+    };
+    delete requeued.failedAt;
+
+    const queue = readQueue();
+    queue.push(requeued);
+    writeJsonFile(WEBHOOK_QUEUE_FILE, queue);
+    writeJsonFile(WEBHOOK_DEAD_LETTER_FILE, deadLetters);
+
+    if (workerHandler) {
+        setImmediate(processDueNotifications);
+    }
+
+    return requeued;
+}
+
+/**
+ * Descartar definitivamente una notificación de dead-letter
+ *
+ * @param {string} id - ID del elemento
+ * @returns {Object|null} Elemento descartado o null si no existe
+ */
+function discardDeadLetter(id) {
+    const deadLetters = readDeadLetters();
+    const index = deadLetters.findIndex(item => item.id === id);
+    if (index === -1) return null;
+
+    const [item] = deadLetters.splice(index, 1);
+    writeJsonFile(WEBHOOK_DEAD_LETTER_FILE, deadLetters);
+    return item;
+}
+
+module.exports = {
+    enqueueNotification,
+    startWebhookWorker,
+    processDueNotifications,
+    listQueuedNotifications,
+    listDeadLetters,
+    getDeadLetter,
+    replayDeadLetter,
+    discardDeadLetter
+};
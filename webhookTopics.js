@@ -0,0 +1,120 @@
+/**
+ * Enrutador de notificaciones de Mercado Libre por topic
+ *
+ * Cada topic tiene su handler, que recibe el id del recurso notificado (el
+ * último segmento de "resource") y la notificación completa. Los handlers se
+ * habilitan con WEBHOOK_TOPICS (separados por coma; default: todos):
+ * - orders_v2 / orders: importar la orden como Nota de Venta
+ * - shipments: seguimiento y estado de entrega en el registro de órdenes
+ * - items: re-sincronizar el stock de los SKUs de la publicación
+ * - payments: estado de pago (pagada, reembolsada) de las órdenes ya registradas
+ * - questions: guardar la pregunta para soporte
+ *
+ * Se pueden agregar topics con registerTopicHandler. Un handler lanza error
+ * para que la cola reintente la notificación.
+ */
+
+require('dotenv').config();
+const { processOrderNotification } = require('./createClientAndOrderML');
+const { processShipmentNotification } = require('./shipmentsML');
+const { processPaymentNotification } = require('./paymentsML');
+const { processQuestionNotification } = require('./questionsML');
+const { syncMercadoLibreItemStock } = require('./syncStocksML');
+
+// Topics habilitados (null = todos los registrados)
+const WEBHOOK_TOPICS = process.env.WEBHOOK_TOPICS
+    ? process.env.WEBHOOK_TOPICS.split(',').map(topic => topic.trim()).filter(Boolean)
+    : null;
+
+// Handlers registrados (topic -> { handler, description })
+const topicHandlers = new Map();
+
+/**
+ * Registrar el handler de un topic
+ *
+ * @param {string} topic - Topic de Mercado Libre
+ * @param {Function} handler - async (resourceId, notificationData) => resultado
+ * @param {string} description - Descripción para los listados
+ */
+function registerTopicHandler(topic, handler, description = '') {
+    topicHandlers.set(topic, { handler, description });
+}
+
+/**
+ * Determinar si un topic tiene handler y está habilitado
+ *
+ * @param {string} topic - Topic de Mercado Libre
+ * @returns {boolean} true si sus notificaciones se procesan
+ */
+function isTopicEnabled(topic) {
+    return topicHandlers.has(topic) && (!WEBHOOK_TOPICS || WEBHOOK_TOPICS.includes(topic));
+}
+
+/**
+ * Listar los topics registrados
+ *
+ * @returns {Array<Object>} [{ topic, description, enabled }]
+ */
+function listTopicHandlers() {
+    return Array.from(topicHandlers.entries()).map(([topic, { description }]) => ({
+        topic,
+        description,
+        enabled: isTopicEnabled(topic)
+    }));
+}
+
+/**
+ * Obtener el id del recurso notificado ("/items/MLC123" -> "MLC123")
+ *
+ * @param {Object} notificationData - Body de la notificación
+ * @returns {string|null} Id del recurso
+ */
+function getResourceId(notificationData = {}) {
+    const segments = (notificationData.resource || '').toString().split('/').filter(Boolean);
+    return segments.length > 0 ? segments[segments.length - 1] : null;
+}
+
+/**
+ * Procesar una notificación con el handler de su topic (invocado por el worker de la cola)
+ *
+ * Los topics sin handler o deshabilitados se omiten sin error (no se reintentan).
+ *
+ * @param {Object} notificationData - Body de la notificación
+ * @returns {Promise<Object|null>} Resultado del handler o null si se omitió
+ */
+async function routeNotification(notificationData) {
+    const topic = notificationData.topic || notificationData.type;
+
+    if (!topicHandlers.has(topic)) {
+        console.log(`ℹ️  Tipo de notificación no manejado: ${topic}`);
+        return null;
+    }
+    if (!isTopicEnabled(topic)) {
+        console.log(`ℹ️  Tipo de notificación deshabilitado (WEBHOOK_TOPICS): ${topic}`);
+        return null;
+    }
+
+    const resourceId = getResourceId(notificationData);
+    if (!resourceId) {
+        throw new Error(`La notificación ${topic} no indica el recurso`);
+    }
+
+    return await topicHandlers.get(topic).handler(resourceId, notificationData);
+}
+
+// Handlers incluidos
+const processOrder = (orderId, notificationData) => processOrderNotification(notificationData);
+registerTopicHandler('orders_v2', processOrder, 'Importar la orden como Nota de Venta');
+registerTopicHandler('orders', processOrder, 'Importar la orden como Nota de Venta (topic antiguo)');
+registerTopicHandler('shipments', processShipmentNotification, 'Seguimiento y estado de entrega en el registro de órdenes');
+registerTopicHandler('items', itemId => syncMercadoLibreItemStock(itemId, { trigger: 'webhook' }), 'Re-sincronizar el stock de la publicación');
+registerTopicHandler('payments', processPaymentNotification, 'Estado de pago en el registro de órdenes');
+registerTopicHandler('questions', processQuestionNotification, 'Guardar la pregunta para soporte');
+
+module.exports = {
+    routeNotification,
+    registerTopicHandler,
+    isTopicEnabled,
+    listTopicHandlers,
+    WEBHOOK_TOPICS
+};